@@ -0,0 +1,248 @@
+/* ========================================================================
+   3D VIEWER - ADAPTIVE QUALITY
+   ========================================================================
+
+   PURPOSE:
+   The "Adaptive" quality mode. Instead of a fixed preset, watches the
+   measured frame rate and steps through quality levels (hardware scaling,
+   sharpening, FXAA and splat budget) to hold a target FPS, and renders at
+   a lower resolution while the camera moves.
+
+   EXPORTS:
+   - AdaptiveQuality - Class driving the quality level of a scene
+
+   FEATURES:
+   - Levels from CONFIG.adaptiveQuality.levels, lowest first; starts at the
+     device's default preset
+   - Hysteresis: a band around the target FPS where nothing changes, longer
+     wait before stepping up than down, a settle time after each change and
+     a doubled wait after a step up that had to be undone
+   - Motion scaling while the user moves the camera (not during auto-rotation
+     or tours), restored once the camera is idle
+   - Leaves the hardware scaling alone while something else (screenshots,
+     recordings) has changed it
+
+   DEPENDENCIES:
+   - Babylon.js engine FPS counter and hardware scaling
+   - Rendering pipeline (scene.pipeline) and splat budget (scene.splatBudget)
+   - Configuration constants for levels and timings
+
+   ======================================================================== */
+
+import { CONFIG } from './config.js';
+import { getDefaultQuality } from './deviceDetection.js';
+
+/**
+ * Adaptive Quality System
+ * Steps the quality level up or down to hold CONFIG.adaptiveQuality.targetFps
+ */
+export class AdaptiveQuality {
+
+    constructor(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+        this.engine = scene.getEngine();
+
+        this.enabled = false;
+        this.levelIndex = 0;
+        this.moving = false;
+        this.appliedScaling = null;  // Last hardware scaling set here, null = not set yet
+
+        // Frame rate tracking (see evaluate)
+        this.lastSample = 0;
+        this.lastMotion = 0;
+        this.settleUntil = 0;
+        this.belowSince = null;
+        this.aboveSince = null;
+        this.stepUpTime = CONFIG.adaptiveQuality.stepUpTime;
+        this.lastStepUp = -Infinity;
+
+        this.renderObserver = null;
+        this.viewObserver = null;
+
+        // Notified with { level, index, moving } when the level or motion state changes
+        this.onLevelChangedObservable = new BABYLON.Observable();
+    }
+
+    /**
+     * Turn adaptive mode on (starting from the device's default preset) or off.
+     * Turning it off leaves the current settings for the next preset to replace.
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+
+        if (enabled) {
+            const levels = CONFIG.adaptiveQuality.levels;
+            const start = levels.findIndex(level => level.id === getDefaultQuality());
+            this.levelIndex = Math.max(0, start);
+            this.moving = false;
+            this.appliedScaling = null;
+            this.stepUpTime = CONFIG.adaptiveQuality.stepUpTime;
+            this.lastStepUp = -Infinity;
+
+            this.renderObserver = this.scene.onBeforeRenderObservable.add(() => this.update());
+            this.viewObserver = this.camera.onViewMatrixChangedObservable.add(() => this.onCameraMoved());
+            this.applyLevel();
+        } else {
+            this.scene.onBeforeRenderObservable.remove(this.renderObserver);
+            this.camera.onViewMatrixChangedObservable.remove(this.viewObserver);
+            this.renderObserver = null;
+            this.viewObserver = null;
+            this.moving = false;
+            this.notifyChanged();
+        }
+        console.log('Adaptive quality:', enabled ? 'on' : 'off');
+    }
+
+    /**
+     * Current level from CONFIG.adaptiveQuality.levels
+     * @returns {Object}
+     */
+    getLevel() {
+        return CONFIG.adaptiveQuality.levels[this.levelIndex];
+    }
+
+    /**
+     * Apply the current level: scaling, post effects and splat budget
+     */
+    applyLevel() {
+        const level = this.getLevel();
+
+        this.applyScaling();
+        if (this.scene.pipeline) {
+            this.scene.pipeline.sharpenEnabled = level.sharpen;
+            this.scene.pipeline.fxaaEnabled = level.fxaa;
+        }
+        const budget = this.scene.splatBudget;
+        if (budget && budget.quality !== level.splatBudget) {
+            budget.setQuality(level.splatBudget);
+        }
+
+        // FPS right after a change is not representative
+        this.settleUntil = performance.now() + CONFIG.adaptiveQuality.settleTime;
+        this.belowSince = null;
+        this.aboveSince = null;
+        this.notifyChanged();
+    }
+
+    /**
+     * Hardware scaling of the level, coarser while the camera moves
+     * @returns {boolean} False when another system owns the scaling right now
+     */
+    applyScaling() {
+        // Screenshots and recordings set their own scaling and restore it afterwards
+        if (this.appliedScaling !== null && this.engine.getHardwareScalingLevel() !== this.appliedScaling) {
+            return false;
+        }
+
+        const scaling = this.getLevel().scaling * (this.moving ? CONFIG.adaptiveQuality.motionScaling : 1);
+        if (scaling !== this.appliedScaling) {
+            this.engine.setHardwareScalingLevel(scaling);
+            this.appliedScaling = scaling;
+        }
+        return true;
+    }
+
+    /**
+     * Camera view changed: drop the resolution if the user is moving it
+     */
+    onCameraMoved() {
+        const behavior = this.camera.autoRotationBehavior;
+        const autoRotating = this.camera.useAutoRotationBehavior && behavior && behavior.rotationInProgress;
+        const touring = this.scene.cameraTour && this.scene.cameraTour.state === 'playing';
+        if (autoRotating || touring) return;
+
+        this.lastMotion = performance.now();
+        if (!this.moving) {
+            this.moving = true;
+            this.applyScaling();
+            this.notifyChanged();
+        }
+    }
+
+    /**
+     * Per frame: restore the resolution once the camera is idle and
+     * sample the frame rate
+     */
+    update() {
+        const config = CONFIG.adaptiveQuality;
+        const now = performance.now();
+
+        if (this.moving && now - this.lastMotion > config.idleDelay) {
+            this.moving = false;
+            this.applyScaling();
+            this.notifyChanged();
+        }
+
+        if (now - this.lastSample < config.sampleInterval) return;
+        this.lastSample = now;
+
+        // Skip while another system owns the scaling, or right after a change
+        if (this.engine.getHardwareScalingLevel() !== this.appliedScaling || now < this.settleUntil) {
+            this.belowSince = null;
+            this.aboveSince = null;
+            return;
+        }
+
+        this.evaluate(this.engine.getFps(), now);
+    }
+
+    /**
+     * Step down after the FPS stayed below the band for stepDownTime, up after it
+     * stayed above it for stepUpTime (not while moving - motion scaling inflates FPS)
+     * @param {number} fps
+     * @param {number} now
+     */
+    evaluate(fps, now) {
+        const config = CONFIG.adaptiveQuality;
+        const levels = config.levels;
+
+        if (fps < config.targetFps * config.stepDownBelow) {
+            this.aboveSince = null;
+            this.belowSince = this.belowSince ?? now;
+            if (now - this.belowSince >= config.stepDownTime && this.levelIndex > 0) {
+                // The last step up couldn't be held - wait longer before the next one
+                if (now - this.lastStepUp < config.failedStepUpWindow) {
+                    this.stepUpTime = Math.min(this.stepUpTime * 2, config.maxStepUpTime);
+                }
+                this.setLevel(this.levelIndex - 1);
+            }
+        } else if (fps > config.targetFps * config.stepUpAbove && !this.moving) {
+            this.belowSince = null;
+            this.aboveSince = this.aboveSince ?? now;
+            if (now - this.aboveSince >= this.stepUpTime && this.levelIndex < levels.length - 1) {
+                this.lastStepUp = now;
+                this.setLevel(this.levelIndex + 1);
+            }
+        } else {
+            this.belowSince = null;
+            this.aboveSince = null;
+        }
+    }
+
+    /**
+     * @param {number} index - Index into CONFIG.adaptiveQuality.levels
+     */
+    setLevel(index) {
+        this.levelIndex = index;
+        console.log(`Adaptive quality level: ${this.getLevel().name} (${this.engine.getFps().toFixed(1)} FPS)`);
+        this.applyLevel();
+    }
+
+    notifyChanged() {
+        this.onLevelChangedObservable.notifyObservers({
+            level: this.enabled ? this.getLevel() : null,
+            index: this.levelIndex,
+            moving: this.moving
+        });
+    }
+
+    dispose() {
+        this.setEnabled(false);
+        this.onLevelChangedObservable.clear();
+        this.scene = null;
+        this.camera = null;
+    }
+}
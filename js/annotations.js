@@ -0,0 +1,626 @@
+/* ========================================================================
+   3D VIEWER - ANNOTATIONS (HOTSPOTS)
+   ========================================================================
+
+   PURPOSE:
+   Notes pinned to points on the model. Each annotation has a title, rich
+   text, an optional link and image, and the view to fly to. It shows as a
+   numbered marker that follows its point on screen; clicking the marker
+   flies the camera there and opens the note.
+
+   EXPORTS:
+   - AnnotationManager - Class managing the scene's annotations
+
+   FEATURES:
+   - Points picked with getPickResult() (meshes and splats) in placing mode
+   - Markers hidden while the model is in front of their point
+   - Rich text: **bold**, *italic*, [links](https://...) and line breaks;
+     everything else is shown as plain text
+   - Saved per primary model (settings store), JSON import / export
+   - URL parameters: 'annotations' (URL of a JSON file) and
+     'annotationData' (the JSON itself, used by share links)
+
+   DEPENDENCIES:
+   - Picking (picking.js) for placement and occlusion
+   - Camera animation (cameraControl.js)
+   - Model registry (scene.modelRegistry) for the primary model
+   - Settings store for persistence
+   - Configuration constants for naming, fly duration and occlusion checks
+
+   ======================================================================== */
+
+import { CONFIG } from './config.js';
+import { getPickResult, isPointOccluded, prepareSplatPicking } from './picking.js';
+import { animateCamera } from './cameraControl.js';
+import { SettingsStore } from './settingsStore.js';
+
+const ANNOTATIONS_VERSION = 1;
+
+/**
+ * Annotation Manager
+ * Annotations of the current scene and their viewport markers
+ */
+export class AnnotationManager {
+
+    constructor(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+        this.annotations = [];        // { id, title, text, link, image, position: {x, y, z}, view }
+        this.nextId = 1;
+        this.selectedId = null;       // Annotation whose note is open
+        this.placing = false;         // Placing mode: the next click adds an annotation
+        this.modelKey = null;
+        this.animation = null;
+        this.lastOcclusionCheck = -Infinity;
+        this.occlusionCursor = 0;     // Marker whose occlusion is checked next
+
+        // Notified with the annotation list whenever it changes
+        this.onChangedObservable = new BABYLON.Observable();
+        // Notified with the selected annotation (or null)
+        this.onSelectedObservable = new BABYLON.Observable();
+        // Notified with the new state when placing mode turns on or off
+        this.onPlacingChangedObservable = new BABYLON.Observable();
+
+        // Markers and the open note, positioned over the canvas every frame
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'annotation-overlay';
+        document.body.appendChild(this.overlay);
+        this.markers = new Map();     // id -> { element, position: BABYLON.Vector3, occluded }
+        this.card = null;
+
+        this.overlay.addEventListener('click', (e) => {
+            const marker = e.target.closest('.annotation-marker');
+            if (marker) {
+                this.goTo(parseInt(marker.dataset.id, 10));
+            } else if (e.target.closest('.annotation-card-close')) {
+                this.select(null);
+            }
+        });
+
+        this.pointerObserver = scene.onPointerObservable.add((pointerInfo) => {
+            if (this.placing &&
+                pointerInfo.type === BABYLON.PointerEventTypes.POINTERTAP &&
+                pointerInfo.event.button === 0) {
+                this.placeAt(scene.pointerX, scene.pointerY);
+            }
+        });
+        this.renderObserver = scene.onAfterRenderObservable.add(() => this.updateMarkers());
+
+        this.handleKeyDown = (e) => {
+            if (e.key === 'Escape' && this.placing) this.setPlacing(false);
+        };
+        window.addEventListener('keydown', this.handleKeyDown);
+
+        // Switch to the saved annotations of each newly loaded scene
+        const registry = scene.modelRegistry;
+        this.registryObserver = registry
+            ? registry.onChangedObservable.add(() => this.updateModelKey())
+            : null;
+        this.updateModelKey();
+    }
+
+    /* ====================================================================
+       PLACING
+       ==================================================================== */
+
+    /**
+     * Turn placing mode on or off (turns measuring mode off - both use clicks)
+     * @param {boolean} placing
+     */
+    setPlacing(placing) {
+        if (this.placing === placing) return;
+
+        if (placing) {
+            prepareSplatPicking(this.scene);
+            if (this.scene.measurementTool) this.scene.measurementTool.setActive(false);
+        }
+        this.placing = placing;
+        this.scene.getEngine().getRenderingCanvas().style.cursor = placing ? 'crosshair' : '';
+        this.onPlacingChangedObservable.notifyObservers(placing);
+    }
+
+    /**
+     * Annotate the model point under a screen position
+     * @returns {Object|null} The new annotation, null when nothing was hit
+     */
+    placeAt(x, y) {
+        const pickResult = getPickResult(this.scene, this.camera, x, y);
+        if (!pickResult || !pickResult.hit || !pickResult.pickedPoint) return null;
+
+        this.setPlacing(false);
+        return this.add(pickResult.pickedPoint);
+    }
+
+    /**
+     * Add an annotation at a point; it flies to the current view direction,
+     * centred on the point
+     * @param {{x: number, y: number, z: number}} point - World space
+     * @param {Object} [fields] - title, text, link, image
+     * @returns {Object} The new annotation
+     */
+    add(point, fields = {}) {
+        const camera = this.camera;
+        const position = new BABYLON.Vector3(point.x, point.y, point.z);
+        const annotation = this.createAnnotation({
+            title: `${CONFIG.annotations.defaultTitle} ${this.annotations.length + 1}`,
+            ...fields,
+            position: { x: point.x, y: point.y, z: point.z },
+            view: {
+                alpha: camera.alpha,
+                beta: camera.beta,
+                radius: Math.min(camera.radius, BABYLON.Vector3.Distance(camera.position, position)),
+                target: { x: point.x, y: point.y, z: point.z },
+                fov: camera.fov
+            }
+        });
+
+        this.annotations.push(annotation);
+        this.save();
+        this.select(annotation.id);
+        console.log(`Added annotation "${annotation.title}"`);
+        return annotation;
+    }
+
+    /* ====================================================================
+       ANNOTATIONS
+       ==================================================================== */
+
+    /**
+     * Change an annotation's title, text, link or image
+     * @param {number} id
+     * @param {Object} fields
+     */
+    update(id, fields) {
+        const annotation = this.get(id);
+        if (!annotation) return;
+
+        if ('title' in fields) annotation.title = String(fields.title).trim() || annotation.title;
+        if ('text' in fields) annotation.text = String(fields.text);
+        if ('link' in fields) annotation.link = sanitizeUrl(fields.link, false);
+        if ('image' in fields) annotation.image = sanitizeUrl(fields.image, true);
+        this.save();
+    }
+
+    /**
+     * Fly to the current camera view when the annotation is opened
+     * @param {number} id
+     */
+    updateView(id) {
+        const annotation = this.get(id);
+        if (!annotation) return;
+
+        const camera = this.camera;
+        annotation.view = {
+            alpha: camera.alpha,
+            beta: camera.beta,
+            radius: camera.radius,
+            target: { x: camera.target.x, y: camera.target.y, z: camera.target.z },
+            fov: camera.fov
+        };
+        this.save();
+    }
+
+    /**
+     * @param {number} id
+     */
+    remove(id) {
+        const index = this.annotations.findIndex(annotation => annotation.id === id);
+        if (index === -1) return;
+
+        this.annotations.splice(index, 1);
+        if (this.selectedId === id) this.select(null);
+        this.save();
+    }
+
+    clear() {
+        this.annotations = [];
+        this.select(null);
+        this.save();
+    }
+
+    get(id) {
+        return this.annotations.find(annotation => annotation.id === id) || null;
+    }
+
+    /**
+     * Open an annotation's note (null closes it)
+     * @param {number|null} id
+     */
+    select(id) {
+        const annotation = id === null ? null : this.get(id);
+        this.selectedId = annotation ? annotation.id : null;
+        this.rebuild();
+        this.onSelectedObservable.notifyObservers(annotation);
+    }
+
+    /**
+     * Open an annotation and fly the camera to its view
+     * @param {number} id
+     * @returns {BABYLON.AnimationGroup|null}
+     */
+    goTo(id) {
+        const annotation = this.get(id);
+        if (!annotation) return null;
+
+        this.select(id);
+        this.stopAnimation();
+
+        const { alpha, beta, radius, target, fov } = annotation.view;
+        this.animation = animateCamera(
+            this.camera,
+            new BABYLON.Vector3(target.x, target.y, target.z),
+            radius,
+            CONFIG.annotations.flyDuration,
+            () => { this.animation = null; },
+            { alpha, beta, fov }
+        );
+        this.animation.play();
+        return this.animation;
+    }
+
+    stopAnimation() {
+        if (this.animation) {
+            this.animation.stop();
+            this.animation.dispose();
+            this.animation = null;
+        }
+    }
+
+    /**
+     * Scale the annotations with the scene (unit calibration rescales
+     * everything about the origin)
+     * @param {number} factor
+     */
+    rescale(factor) {
+        this.stopAnimation();
+        const scale = ({ x, y, z }) => ({ x: x * factor, y: y * factor, z: z * factor });
+        this.annotations.forEach(annotation => {
+            annotation.position = scale(annotation.position);
+            annotation.view.target = scale(annotation.view.target);
+            annotation.view.radius *= factor;
+        });
+        this.save();
+    }
+
+    /* ====================================================================
+       VIEWPORT
+       ==================================================================== */
+
+    /**
+     * Rebuild the markers and the open note
+     */
+    rebuild() {
+        this.overlay.innerHTML = '';
+        this.markers.clear();
+        this.card = null;
+
+        this.annotations.forEach((annotation, index) => {
+            const element = document.createElement('button');
+            element.className = annotation.id === this.selectedId ? 'annotation-marker selected' : 'annotation-marker';
+            element.dataset.id = annotation.id;
+            element.textContent = index + 1;
+            element.title = annotation.title;
+            this.overlay.appendChild(element);
+            this.markers.set(annotation.id, { element, position: toVector(annotation.position), occluded: false });
+        });
+
+        const selected = this.get(this.selectedId);
+        if (selected) {
+            this.card = createCard(selected);
+            this.overlay.appendChild(this.card);
+        }
+
+        this.lastOcclusionCheck = -Infinity;
+        this.occlusionCursor = 0;
+        this.updateMarkers();
+    }
+
+    /**
+     * Move the markers to their projected positions. Occlusion is checked for
+     * one marker every CONFIG.annotations.occlusionInterval ms, in turn: a
+     * splat depth pick scans every splat, so checking all markers at once
+     * would cost a scan per marker
+     */
+    updateMarkers() {
+        if (this.markers.size === 0) return;
+
+        const engine = this.scene.getEngine();
+        const width = engine.getRenderWidth();
+        const height = engine.getRenderHeight();
+        const rect = engine.getRenderingCanvas().getBoundingClientRect();
+        const viewport = this.camera.viewport.toGlobal(width, height);
+        const transform = this.scene.getTransformMatrix();
+
+        const now = performance.now();
+        let checkIndex = -1;
+        if (now - this.lastOcclusionCheck >= CONFIG.annotations.occlusionInterval) {
+            this.lastOcclusionCheck = now;
+            checkIndex = this.occlusionCursor++ % this.markers.size;
+        }
+
+        let index = 0;
+        this.markers.forEach((marker, id) => {
+            const { element, position } = marker;
+            const projected = BABYLON.Vector3.Project(position, BABYLON.Matrix.IdentityReadOnly, transform, viewport);
+            if (index++ === checkIndex) marker.occluded = isPointOccluded(this.scene, this.camera, position);
+
+            // Behind the camera, beyond the far plane or behind the model
+            const hidden = projected.z < 0 || projected.z > 1 || marker.occluded;
+            element.style.display = hidden ? 'none' : '';
+
+            const x = rect.left + projected.x * rect.width / width;
+            const y = rect.top + projected.y * rect.height / height;
+            element.style.transform = `translate(${x}px, ${y}px) translate(-50%, -50%)`;
+
+            if (this.card && id === this.selectedId) {
+                this.card.style.display = hidden ? 'none' : '';
+                this.card.style.transform = `translate(${x}px, ${y}px) translate(16px, -50%)`;
+            }
+        });
+    }
+
+    /* ====================================================================
+       SERIALIZATION & PERSISTENCE
+       ==================================================================== */
+
+    /**
+     * Annotations as plain JSON data (null without any, for viewer exports)
+     */
+    toJSON() {
+        if (this.annotations.length === 0) return null;
+
+        return {
+            version: ANNOTATIONS_VERSION,
+            annotations: this.annotations.map(({ id, position, view, ...fields }) => ({
+                ...fields,
+                position: { ...position },
+                view: { ...view, target: { ...view.target } }
+            }))
+        };
+    }
+
+    /**
+     * Replace the annotations with JSON data (see toJSON)
+     * @param {Object} data
+     * @param {boolean} [persist] - Save them for the current model
+     * @returns {boolean} False if the data is not a set of annotations
+     */
+    fromJSON(data, persist = true) {
+        const annotations = data && Array.isArray(data.annotations) ? data.annotations.map(parseAnnotation) : null;
+        if (!annotations || annotations.some(annotation => !annotation)) {
+            console.warn('Invalid annotation data:', data);
+            return false;
+        }
+
+        this.stopAnimation();
+        this.annotations = annotations.map(annotation => this.createAnnotation(annotation));
+        this.selectedId = null;
+        if (persist) {
+            this.save();
+        } else {
+            this.notifyChanged();
+        }
+        this.onSelectedObservable.notifyObservers(null);
+        return true;
+    }
+
+    /**
+     * Load the saved annotations when the primary model changes
+     */
+    updateModelKey() {
+        const registry = this.scene.modelRegistry;
+        const key = registry ? registry.getStorageKey() : null;
+        if (!key || key === this.modelKey) return;
+
+        this.modelKey = key;
+        const saved = SettingsStore.get('annotations')[key];
+        if (!saved || !this.fromJSON(saved, false)) {
+            this.annotations = [];
+            this.select(null);
+            this.notifyChanged();
+        }
+    }
+
+    save() {
+        if (this.modelKey) {
+            const all = { ...SettingsStore.get('annotations') };
+            if (this.annotations.length > 0) {
+                all[this.modelKey] = this.toJSON();
+            } else {
+                delete all[this.modelKey];
+            }
+            SettingsStore.set('annotations', all);
+        }
+        this.notifyChanged();
+    }
+
+    /**
+     * Annotations for the share URL
+     * @returns {string|null} Base64 JSON for 'annotationData'
+     */
+    getAnnotationsForUrl() {
+        const data = this.toJSON();
+        if (!data) return null;
+
+        const bytes = new TextEncoder().encode(JSON.stringify(data));
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    /**
+     * Show the annotations from the 'annotationData' or 'annotations' URL
+     * parameter instead of the saved ones (saved only once edited)
+     * @param {URLSearchParams} urlParams
+     * @returns {Promise<boolean>} False when the data couldn't be read
+     */
+    async applyAnnotationsFromUrl(urlParams) {
+        let data = null;
+        try {
+            if (urlParams.has('annotationData')) {
+                const binary = atob(urlParams.get('annotationData'));
+                const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+                data = JSON.parse(new TextDecoder().decode(bytes));
+            } else if (urlParams.has('annotations')) {
+                const response = await fetch(urlParams.get('annotations'));
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                data = await response.json();
+            }
+        } catch (error) {
+            console.warn('Could not read annotations from URL:', error);
+            return false;
+        }
+
+        if (!this.fromJSON(data, false)) return false;
+        console.log(`Applied ${this.annotations.length} annotations from URL`);
+        return true;
+    }
+
+    createAnnotation({ title, text = '', link = '', image = '', position, view }) {
+        return {
+            id: this.nextId++,
+            title,
+            text,
+            link: sanitizeUrl(link, false),
+            image: sanitizeUrl(image, true),
+            position: { ...position },
+            view: { ...view, target: { ...view.target } }
+        };
+    }
+
+    notifyChanged() {
+        this.rebuild();
+        this.onChangedObservable.notifyObservers(this.annotations);
+    }
+
+    dispose() {
+        this.setPlacing(false);
+        this.stopAnimation();
+        this.scene.onPointerObservable.remove(this.pointerObserver);
+        this.scene.onAfterRenderObservable.remove(this.renderObserver);
+        if (this.registryObserver && this.scene.modelRegistry) {
+            this.scene.modelRegistry.onChangedObservable.remove(this.registryObserver);
+        }
+        this.registryObserver = null;
+        window.removeEventListener('keydown', this.handleKeyDown);
+
+        this.overlay.remove();
+        this.markers.clear();
+        this.card = null;
+
+        this.onChangedObservable.clear();
+        this.onSelectedObservable.clear();
+        this.onPlacingChangedObservable.clear();
+        this.scene = null;
+        this.camera = null;
+    }
+}
+
+function toVector({ x, y, z }) {
+    return new BABYLON.Vector3(x, y, z);
+}
+
+function isPoint(value) {
+    return !!value && ['x', 'y', 'z'].every(key => Number.isFinite(value[key]));
+}
+
+/**
+ * Annotation from JSON data, or null when it is malformed
+ */
+function parseAnnotation(data) {
+    if (!data || typeof data.title !== 'string' || !isPoint(data.position)) return null;
+
+    const view = data.view;
+    const validView = view && isPoint(view.target) &&
+        ['alpha', 'beta', 'radius', 'fov'].every(key => Number.isFinite(view[key]));
+    if (!validView) return null;
+
+    return {
+        title: data.title,
+        text: typeof data.text === 'string' ? data.text : '',
+        link: typeof data.link === 'string' ? data.link : '',
+        image: typeof data.image === 'string' ? data.image : '',
+        position: data.position,
+        view
+    };
+}
+
+/**
+ * Only http(s) links (and data: images) - never javascript: URLs
+ * @param {string} url
+ * @param {boolean} image - Also allow data:image/ URLs
+ * @returns {string} The URL, or '' when it isn't allowed
+ */
+function sanitizeUrl(url, image) {
+    const value = String(url || '').trim();
+    if (!value) return '';
+    if (image && /^data:image\//i.test(value)) return value;
+
+    try {
+        const { protocol } = new URL(value, window.location.href);
+        return protocol === 'http:' || protocol === 'https:' ? value : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Rich text as HTML: the text is escaped first, then **bold**, *italic*,
+ * [label](https://...) and line breaks are turned into markup
+ * @param {string} text
+ */
+function formatRichText(text) {
+    const escaped = text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    return escaped
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+        .replace(/\n/g, '<br>');
+}
+
+/**
+ * Note card of an annotation
+ */
+function createCard(annotation) {
+    const card = document.createElement('div');
+    card.className = 'annotation-card';
+
+    const close = document.createElement('button');
+    close.className = 'annotation-card-close';
+    close.innerHTML = '&times;';
+    close.title = 'Close';
+
+    const title = document.createElement('div');
+    title.className = 'annotation-card-title';
+    title.textContent = annotation.title;
+    card.append(close, title);
+
+    if (annotation.image) {
+        const image = document.createElement('img');
+        image.className = 'annotation-card-image';
+        image.src = annotation.image;
+        image.alt = annotation.title;
+        card.appendChild(image);
+    }
+    if (annotation.text) {
+        const text = document.createElement('div');
+        text.className = 'annotation-card-text';
+        text.innerHTML = formatRichText(annotation.text);
+        card.appendChild(text);
+    }
+    if (annotation.link) {
+        const link = document.createElement('a');
+        link.className = 'annotation-card-link';
+        link.href = annotation.link;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = 'Open link';
+        card.appendChild(link);
+    }
+    return card;
+}
@@ -0,0 +1,263 @@
+/* ========================================================================
+   3D VIEWER - CAMERA BOOKMARKS (SAVED VIEWS)
+   ========================================================================
+
+   PURPOSE:
+   Named camera viewpoints: the current alpha / beta / radius / target / FOV
+   can be saved, renamed, deleted and flown back to. Views belong to the
+   scene's primary model, are saved locally, travel in share URLs and are
+   embedded in viewer exports as hotspots.
+
+   EXPORTS:
+   - CameraBookmarks - Class managing the saved views of the current scene
+
+   FEATURES:
+   - Animated fly-to (target, radius, orientation and FOV together)
+   - Saved per primary model (settings store)
+   - URL parameter serialization ('view', one per bookmark); views from a
+     shared URL replace the local ones for the session until edited
+
+   DEPENDENCIES:
+   - Camera animation (cameraControl.js)
+   - Model registry (scene.modelRegistry) for the primary model
+   - Settings store for persistence
+   - Configuration constants for fly duration and naming
+
+   ======================================================================== */
+
+import { CONFIG } from './config.js';
+import { animateCamera } from './cameraControl.js';
+import { SettingsStore } from './settingsStore.js';
+
+/**
+ * Camera Bookmarks
+ * Saved views for the current scene
+ */
+export class CameraBookmarks {
+
+    constructor(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+        this.bookmarks = [];          // { id, name, alpha, beta, radius, target: {x, y, z}, fov }
+        this.nextId = 1;
+        this.modelKey = null;         // Primary model URL (or file name) the views are saved under
+        this.animation = null;
+
+        // Notified with the bookmark list whenever it changes
+        this.onChangedObservable = new BABYLON.Observable();
+
+        // Switch to the saved views of each newly loaded scene
+        const registry = scene.modelRegistry;
+        this.registryObserver = registry
+            ? registry.onChangedObservable.add(() => this.updateModelKey())
+            : null;
+        this.updateModelKey();
+    }
+
+    /* ====================================================================
+       BOOKMARKS
+       ==================================================================== */
+
+    /**
+     * Save the current camera view
+     * @param {string} [name] - Defaults to "View N"
+     * @returns {Object} The new bookmark
+     */
+    add(name) {
+        const camera = this.camera;
+        const bookmark = createBookmark(this.nextId++, {
+            name: name || `${CONFIG.cameraBookmarks.defaultName} ${this.bookmarks.length + 1}`,
+            alpha: camera.alpha,
+            beta: camera.beta,
+            radius: camera.radius,
+            target: { x: camera.target.x, y: camera.target.y, z: camera.target.z },
+            fov: camera.fov
+        });
+
+        this.bookmarks.push(bookmark);
+        this.save();
+        console.log(`Saved camera view "${bookmark.name}"`);
+        return bookmark;
+    }
+
+    /**
+     * @param {number} id
+     * @param {string} name
+     */
+    rename(id, name) {
+        const bookmark = this.get(id);
+        if (!bookmark) return;
+
+        if (name && name.trim()) {
+            bookmark.name = name.trim();
+            this.save();
+        } else {
+            this.notifyChanged();  // Empty names are rejected - show the old one again
+        }
+    }
+
+    /**
+     * @param {number} id
+     */
+    remove(id) {
+        const index = this.bookmarks.findIndex(bookmark => bookmark.id === id);
+        if (index === -1) return;
+
+        this.bookmarks.splice(index, 1);
+        this.save();
+    }
+
+    /**
+     * Scale the saved views with the scene (unit calibration rescales
+     * everything about the origin)
+     * @param {number} factor
+     */
+    rescale(factor) {
+        this.stopAnimation();
+        this.bookmarks.forEach(bookmark => {
+            const { x, y, z } = bookmark.target;
+            bookmark.target = { x: x * factor, y: y * factor, z: z * factor };
+            bookmark.radius *= factor;
+        });
+        this.save();
+    }
+
+    get(id) {
+        return this.bookmarks.find(bookmark => bookmark.id === id) || null;
+    }
+
+    /**
+     * Fly the camera to a saved view
+     * @param {number} id
+     * @returns {BABYLON.AnimationGroup|null}
+     */
+    goTo(id) {
+        const bookmark = this.get(id);
+        if (!bookmark) return null;
+
+        this.stopAnimation();
+
+        const { alpha, beta, radius, target, fov } = bookmark;
+        this.animation = animateCamera(
+            this.camera,
+            new BABYLON.Vector3(target.x, target.y, target.z),
+            radius,
+            CONFIG.cameraBookmarks.flyDuration,
+            () => { this.animation = null; },
+            { alpha, beta, fov }
+        );
+        this.animation.play();
+        return this.animation;
+    }
+
+    stopAnimation() {
+        if (this.animation) {
+            this.animation.stop();
+            this.animation.dispose();
+            this.animation = null;
+        }
+    }
+
+    /* ====================================================================
+       PERSISTENCE
+       ==================================================================== */
+
+    /**
+     * Load the saved views when the primary model changes
+     */
+    updateModelKey() {
+        const registry = this.scene.modelRegistry;
+        const key = registry ? registry.getStorageKey() : null;
+
+        // Keep the list while a scene is being replaced (registry cleared before the load)
+        if (!key || key === this.modelKey) return;
+
+        this.modelKey = key;
+        const saved = SettingsStore.get('cameraBookmarks')[this.modelKey] || [];
+        this.setBookmarks(saved);
+    }
+
+    /**
+     * Store the views under the primary model and notify listeners
+     */
+    save() {
+        if (this.modelKey) {
+            const all = { ...SettingsStore.get('cameraBookmarks') };
+            if (this.bookmarks.length > 0) {
+                all[this.modelKey] = this.bookmarks.map(({ id, ...bookmark }) => bookmark);
+            } else {
+                delete all[this.modelKey];
+            }
+            SettingsStore.set('cameraBookmarks', all);
+        }
+        this.notifyChanged();
+    }
+
+    /**
+     * Replace the list without saving it
+     * @param {Object[]} bookmarks - Bookmarks without ids
+     */
+    setBookmarks(bookmarks) {
+        this.bookmarks = bookmarks.map(bookmark => createBookmark(this.nextId++, bookmark));
+        this.notifyChanged();
+    }
+
+    /* ====================================================================
+       URL SERIALIZATION
+       ==================================================================== */
+
+    /**
+     * Bookmarks for the share URL
+     * @returns {string[]} 'alpha,beta,radius,tx,ty,tz,fov,name' per bookmark
+     */
+    getBookmarksForUrl() {
+        return this.bookmarks.map(({ name, alpha, beta, radius, target, fov }) => [
+            alpha.toFixed(3), beta.toFixed(3), radius.toFixed(3),
+            target.x.toFixed(3), target.y.toFixed(3), target.z.toFixed(3),
+            fov.toFixed(3), name
+        ].join(','));
+    }
+
+    /**
+     * Show the views from 'view' URL parameters instead of the saved ones
+     * (saved only once the user edits them)
+     * @param {URLSearchParams} urlParams
+     */
+    applyBookmarksFromUrl(urlParams) {
+        const bookmarks = urlParams.getAll('view').map(value => {
+            const parts = value.split(',');
+            const numbers = parts.slice(0, 7).map(parseFloat);
+            if (numbers.length !== 7 || numbers.some(isNaN)) return null;
+
+            const [alpha, beta, radius, x, y, z, fov] = numbers;
+            return { name: parts.slice(7).join(',') || CONFIG.cameraBookmarks.defaultName, alpha, beta, radius, target: { x, y, z }, fov };
+        }).filter(Boolean);
+
+        if (bookmarks.length === 0) return;
+
+        this.setBookmarks(bookmarks);
+        console.log(`Applied ${bookmarks.length} camera views from URL`);
+    }
+
+    notifyChanged() {
+        this.onChangedObservable.notifyObservers(this.bookmarks);
+    }
+
+    dispose() {
+        this.stopAnimation();
+        if (this.registryObserver && this.scene.modelRegistry) {
+            this.scene.modelRegistry.onChangedObservable.remove(this.registryObserver);
+        }
+        this.registryObserver = null;
+        this.onChangedObservable.clear();
+        this.scene = null;
+        this.camera = null;
+    }
+}
+
+/**
+ * Bookmark with an id; the target is copied
+ */
+function createBookmark(id, { name, alpha, beta, radius, target, fov }) {
+    return { id, name, alpha, beta, radius, target: { ...target }, fov };
+}
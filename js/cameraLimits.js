@@ -1,505 +1,803 @@
-/* ========================================================================
-   3D VIEWER - CAMERA LIMITS & MOVEMENT RESTRICTIONS
-   ========================================================================
-   
-   PURPOSE:
-   Provides calculated area-based movement restrictions around 3D models.
-   Allows users to set custom camera boundaries for zoom, rotation, and
-   panning to control viewer navigation and focus areas.
-   
-   EXPORTS:
-   - CameraLimits - Class for managing camera movement restrictions
-   
-   FEATURES:
-   - Zoom distance limits (min/max radius)
-   - Vertical rotation limits (beta angle constraints)
-   - Horizontal rotation limits (alpha angle constraints)  
-   - Pan area restrictions around model
-   - URL parameter serialization for sharing camera limits
-   - Dynamic limit adjustment based on model size
-   - Visual debug indicators for limit boundaries
-   
-   DEPENDENCIES:
-   - Babylon.js camera system
-   - Configuration constants for default limits
-   - URL parameter handling for limit persistence
-   
-   ======================================================================== */
-
-import { CONFIG } from './config.js';
-
-/**
- * Camera Movement Limitation System
- * Provides calculated area-based movement restrictions around 3D models
- */
-export class CameraLimits {
-        
-    constructor(scene, camera) {
-        this.scene = scene;
-        this.camera = camera;
-        
-        // Current limits configuration
-        this.limits = {
-            // Horizontal movement limits (alpha angle)
-            alphaMin: -Math.PI * 2,    // Full rotation by default
-            alphaMax: Math.PI * 2,
-            
-            // Vertical movement limits (beta angle) 
-            betaMin: 0.1,             // Prevent camera from going below ground
-            betaMax: Math.PI - 0.1,   // Prevent camera from going above
-            
-            // Distance limits (radius) - use centralized config values
-            radiusMin: CONFIG.cameraLimits.defaultLimits.zoom.min,
-            radiusMax: CONFIG.cameraLimits.defaultLimits.zoom.max,
-            
-            // Restriction types
-            restrictHorizontal: false,  // Limit alpha rotation
-            restrictVertical: true,     // Limit beta rotation 
-            restrictDistance: true,     // Limit zoom
-            enablePanning: true,        // Enable/disable panning functionality
-        };
-        
-        this.isEnabled = true;
-        this.isDirty = false;  // Track when constraints need checking
-        this.constraintObserver = null;  // Store observer reference for cleanup
-        
-        // Apply defaults from config
-        this.resetToDefaults();
-        
-        this.setupConstraints();
-    }
-
-    /**
-     * Setup camera constraint observers - optimized to only check when camera moves
-     */
-    setupConstraints() {
-        // Use onViewMatrixChangedObservable instead of every frame checking
-        // This only triggers when the camera actually moves/rotates/zooms
-        this.constraintObserver = this.camera.onViewMatrixChangedObservable.add(() => {
-            if (!this.isEnabled) return;
-            this.enforceConstraints();
-        });
-        
-        console.log("Camera constraints setup - will only enforce when camera moves");
-    }
-
-    /**
-     * Enforce all camera constraints - optimized to only run when camera moves
-     */
-    enforceConstraints() {
-        if (!this.isEnabled) return;
-        
-        let constraintApplied = false;
-        const originalValues = {
-            beta: this.camera.beta,
-            alpha: this.camera.alpha,
-            radius: this.camera.radius
-        };
-
-        // Vertical constraints (beta)
-        if (this.limits.restrictVertical) {
-            this.camera.beta = Math.max(this.limits.betaMin, 
-                Math.min(this.limits.betaMax, this.camera.beta));
-            if (this.camera.beta !== originalValues.beta) constraintApplied = true;
-        }
-
-        // Horizontal constraints (alpha) 
-        if (this.limits.restrictHorizontal) {
-            this.camera.alpha = Math.max(this.limits.alphaMin,
-                Math.min(this.limits.alphaMax, this.camera.alpha));
-            if (this.camera.alpha !== originalValues.alpha) constraintApplied = true;
-        }
-
-        // Distance constraints (radius)
-        if (this.limits.restrictDistance) {
-            this.camera.radius = Math.max(this.limits.radiusMin,
-                Math.min(this.limits.radiusMax, this.camera.radius));
-            if (this.camera.radius !== originalValues.radius) constraintApplied = true;
-        }
-
-        // Panning control - handled by camera panningSensibility setting in updateCameraConstraints()
-
-        // Optional: Provide visual feedback when constraints are hit
-        if (constraintApplied && this.onConstraintHit) {
-            this.onConstraintHit();
-        }
-        
-        // Debug logging only when constraints are actually applied
-        if (constraintApplied) {
-            console.log("Camera constraints applied:", {
-                beta: originalValues.beta !== this.camera.beta ? `${originalValues.beta.toFixed(3)} → ${this.camera.beta.toFixed(3)}` : 'no change',
-                alpha: originalValues.alpha !== this.camera.alpha ? `${originalValues.alpha.toFixed(3)} → ${this.camera.alpha.toFixed(3)}` : 'no change',
-                radius: originalValues.radius !== this.camera.radius ? `${originalValues.radius.toFixed(3)} → ${this.camera.radius.toFixed(3)}` : 'no change'
-            });
-        }
-    }
-
-    /**
-     * Update camera's built-in constraints to match our limits
-     */
-    updateCameraConstraints() {
-        // Apply distance limits only if enabled
-        if (this.limits.restrictDistance) {
-            this.camera.lowerRadiusLimit = this.limits.radiusMin;
-            this.camera.upperRadiusLimit = this.limits.radiusMax;
-        } else {
-            this.camera.lowerRadiusLimit = null;
-            this.camera.upperRadiusLimit = null;
-        }
-        
-        // Apply vertical limits only if enabled
-        if (this.limits.restrictVertical) {
-            this.camera.lowerBetaLimit = this.limits.betaMin;
-            this.camera.upperBetaLimit = this.limits.betaMax;
-        } else {
-            this.camera.lowerBetaLimit = null;
-            this.camera.upperBetaLimit = null;
-        }
-        
-        if (this.limits.restrictHorizontal) {
-            this.camera.lowerAlphaLimit = this.limits.alphaMin;
-            this.camera.upperAlphaLimit = this.limits.alphaMax;
-        } else {
-            this.camera.lowerAlphaLimit = null;
-            this.camera.upperAlphaLimit = null;
-        }
-        
-        // Control panning by setting panningSensibility
-        if (this.limits.enablePanning) {
-            this.camera.panningSensibility = CONFIG.camera.panningSensibility;
-        } else {
-            this.camera.panningSensibility = 0; // Disable panning
-        }
-    }
-
-        /**
-         * Enhanced manual configuration methods with validation
-         */
-    setHorizontalLimits(enabled, minAngle = -Math.PI, maxAngle = Math.PI) {
-        this.limits.restrictHorizontal = enabled;
-        
-        // Ensure min is less than max
-        if (minAngle > maxAngle) {
-            [minAngle, maxAngle] = [maxAngle, minAngle];
-        }
-        
-        this.limits.alphaMin = minAngle;
-        this.limits.alphaMax = maxAngle;
-        this.updateCameraConstraints();
-        
-        // Immediately check constraints after changing settings
-        this.enforceConstraints();
-        
-        console.log(`Horizontal limits ${enabled ? 'enabled' : 'disabled'}:`, 
-            `${(minAngle * 180 / Math.PI).toFixed(0)}° to ${(maxAngle * 180 / Math.PI).toFixed(0)}°`);
-    }
-
-
-    
-    setVerticalLimits(enabled, minAngle = 0.1, maxAngle = Math.PI - 0.1) {
-        this.limits.restrictVertical = enabled;
-        
-        // Ensure min is less than max and within valid range
-        minAngle = Math.max(0.01, Math.min(minAngle, Math.PI - 0.01));
-        maxAngle = Math.max(0.01, Math.min(maxAngle, Math.PI - 0.01));
-        
-        if (minAngle > maxAngle) {
-            [minAngle, maxAngle] = [maxAngle, minAngle];
-        }
-        
-        this.limits.betaMin = minAngle;
-        this.limits.betaMax = maxAngle;
-        this.updateCameraConstraints();
-        
-        // Immediately check constraints after changing settings
-        this.enforceConstraints();
-        
-        console.log(`Vertical limits ${enabled ? 'enabled' : 'disabled'}:`, 
-            `${(minAngle * 180 / Math.PI).toFixed(0)}° to ${(maxAngle * 180 / Math.PI).toFixed(0)}°`);
-    }
-
-
-    
-    setDistanceLimits(enabled, minDistance = 1, maxDistance = 20) {
-        this.limits.restrictDistance = enabled;
-        
-        // Ensure min is less than max and positive
-        minDistance = Math.max(0.1, minDistance);
-        maxDistance = Math.max(minDistance + 0.1, maxDistance);
-        
-        this.limits.radiusMin = minDistance;
-        this.limits.radiusMax = maxDistance;
-        this.updateCameraConstraints();
-        
-        // Immediately check constraints after changing settings
-        this.enforceConstraints();
-        
-        console.log(`Distance limits ${enabled ? 'enabled' : 'disabled'}:`, 
-            `${minDistance.toFixed(1)} to ${maxDistance.toFixed(1)}`);
-    }
-
-    setPanningEnabled(enabled) {
-        this.limits.enablePanning = enabled;
-        this.updateCameraConstraints();
-        
-        console.log(`Panning ${enabled ? 'enabled' : 'disabled'}`);
-    }
-
-
-
-
-
-
-    /**
-     * Apply limits from URL parameters
-     */
-    applyLimitsFromUrl(urlParams) {
-        const restrictions = urlParams.get('restrictions') || '';
-        
-        // Apply restriction flags
-        this.limits.restrictHorizontal = restrictions.includes('h');
-        this.limits.restrictVertical = restrictions.includes('v');
-        this.limits.restrictDistance = restrictions.includes('d');
-        this.limits.enablePanning = restrictions.includes('p');
-        
-        // Apply limit values
-        if (urlParams.has('alphaMin')) this.limits.alphaMin = parseFloat(urlParams.get('alphaMin'));
-        if (urlParams.has('alphaMax')) this.limits.alphaMax = parseFloat(urlParams.get('alphaMax'));
-        if (urlParams.has('betaMin')) this.limits.betaMin = parseFloat(urlParams.get('betaMin'));
-        if (urlParams.has('betaMax')) this.limits.betaMax = parseFloat(urlParams.get('betaMax'));
-        if (urlParams.has('radiusMin')) this.limits.radiusMin = parseFloat(urlParams.get('radiusMin'));
-        if (urlParams.has('radiusMax')) this.limits.radiusMax = parseFloat(urlParams.get('radiusMax'));
-        
-        // Panning is now just enabled/disabled via the 'p' restriction flag
-        
-        this.updateCameraConstraints();
-        console.log("Applied camera limits from URL:", this.limits);
-    }
-
-    /**
-     * Enable/disable the entire constraint system
-     */
-    setEnabled(enabled) {
-        this.isEnabled = enabled;
-        
-        // Immediately check constraints when re-enabling
-        if (enabled) {
-            this.enforceConstraints();
-        }
-        
-        console.log(`Camera limits ${enabled ? 'enabled' : 'disabled'}`);
-    }
-
-    /**
-     * Get current limits configuration for UI display
-     */
-    getCurrentLimits() {
-        return { ...this.limits };
-    }
-
-    /**
-     * Reset to defaults using config values
-     */
-    
-    resetToDefaults() {
-        const defaultLimits = CONFIG.cameraLimits.defaultLimits;
-        const defaultRestrictions = CONFIG.cameraLimits.defaultRestrictions;
-        
-        // Distance limits
-        this.limits.radiusMin = defaultLimits.zoom.min;
-        this.limits.radiusMax = defaultLimits.zoom.max;
-        
-        // Set vertical limits using up/down system
-        this.setVerticalLimitsUpDown(
-            defaultRestrictions.vertical,
-            defaultLimits.vertical.upLimit || -80,
-            defaultLimits.vertical.downLimit || 80
-        );
-        
-        // Set horizontal limits using angle/offset system (defaults since horizontal is disabled by default)
-        this.setHorizontalLimitsAngleOffset(
-            defaultRestrictions.horizontal,
-            360,  // Full 360° freedom by default
-            0     // No offset by default
-        );
-        
-        // Set panning enabled/disabled
-        this.limits.enablePanning = defaultRestrictions.panning;
-        
-        // Restriction flags from config
-        this.limits.restrictDistance = defaultRestrictions.zoom;
-        this.limits.restrictVertical = defaultRestrictions.vertical;
-        this.limits.restrictHorizontal = defaultRestrictions.horizontal;
-        
-        this.updateCameraConstraints();
-        
-        // Immediately check constraints after reset
-        this.enforceConstraints();
-        
-        // Trigger UI update if callback exists
-        if (this.onLimitsChanged) {
-            this.onLimitsChanged();
-        }
-        
-        console.log("Camera limits reset to config defaults");
-    }
-
-    
-/**
- * Set UI update callback
- */
-setUIUpdateCallback(callback) {
-    this.onLimitsChanged = callback;
-}
-
-    /**
-     * Cleanup
-     */
-    dispose() {
-        // Remove constraint observer
-        if (this.constraintObserver && this.camera) {
-            this.camera.onViewMatrixChangedObservable.remove(this.constraintObserver);
-            this.constraintObserver = null;
-            console.log("Camera constraint observer removed");
-        }
-        
-        this.scene = null;
-        this.camera = null;
-    }
-
-
-    
-    /**
-     * Enhanced vertical limits with up/down degree system
-     * @param {boolean} enabled - Enable vertical limits
-     * @param {number} upDegrees - Up limit in degrees (-90 to 90, negative = looking up)
-     * @param {number} downDegrees - Down limit in degrees (-90 to 90, positive = looking down)
-     */
-    setVerticalLimitsUpDown(enabled, upDegrees = -80, downDegrees = 80) {
-        this.limits.restrictVertical = enabled;
-        
-        // Convert up/down degrees to beta radians
-        // up/down: -90° = looking straight up, 0° = looking forward, +90° = looking straight down
-        // beta: 0 = looking straight up, π/2 = looking forward, π = looking straight down
-        const upBeta = (upDegrees * Math.PI / 180) + Math.PI/2;
-        const downBeta = (downDegrees * Math.PI / 180) + Math.PI/2;
-        
-        // Ensure valid range
-        this.limits.betaMin = Math.max(0.01, Math.min(upBeta, downBeta));
-        this.limits.betaMax = Math.min(Math.PI - 0.01, Math.max(upBeta, downBeta));
-        
-        this.updateCameraConstraints();
-        
-        // Immediately check constraints after changing settings
-        this.enforceConstraints();
-        
-        console.log(`Vertical limits ${enabled ? 'enabled' : 'disabled'}:`, 
-            `${upDegrees}° (up) to ${downDegrees}° (down)`);
-    }
-
-    
-    /**
-     * Enhanced horizontal limits with angle + offset system
-     * @param {boolean} enabled - Enable horizontal limits
-     * @param {number} totalAngleDegrees - Total angle of freedom (30-360 degrees)
-     * @param {number} offsetDegrees - Center offset (-180 to 180 degrees)
-     */
-    setHorizontalLimitsAngleOffset(enabled, totalAngleDegrees = 360, offsetDegrees = 0) {
-        this.limits.restrictHorizontal = enabled;
-        
-        if (enabled) {
-            // Calculate min/max from total angle and offset
-            const halfAngle = totalAngleDegrees / 2;
-            const minAngleDeg = offsetDegrees - halfAngle;
-            const maxAngleDeg = offsetDegrees + halfAngle;
-            
-            // Convert to radians
-            this.limits.alphaMin = minAngleDeg * Math.PI / 180;
-            this.limits.alphaMax = maxAngleDeg * Math.PI / 180;
-            
-            console.log(`Horizontal limits enabled: ${totalAngleDegrees}° total, centered at ${offsetDegrees}°`);
-            console.log(`  Actual range: ${minAngleDeg.toFixed(0)}° to ${maxAngleDeg.toFixed(0)}°`);
-        } else {
-            // Full freedom
-            this.limits.alphaMin = -Math.PI * 2;
-            this.limits.alphaMax = Math.PI * 2;
-            console.log('Horizontal limits disabled: full 360° freedom');
-        }
-        
-        this.updateCameraConstraints();
-    }
-
-
-    /**
-     * Get limits in UI-friendly format with adjusted vertical system
-     */
-    getLimitsForUI() {
-        // Convert beta angles back to up/down degrees
-        const upDegrees = Math.round((this.limits.betaMin - Math.PI/2) * 180 / Math.PI);
-        const downDegrees = Math.round((this.limits.betaMax - Math.PI/2) * 180 / Math.PI);
-        
-        // Calculate horizontal angle and offset
-        const alphaMinDeg = this.limits.alphaMin * 180 / Math.PI;
-        const alphaMaxDeg = this.limits.alphaMax * 180 / Math.PI;
-        const totalAngle = alphaMaxDeg - alphaMinDeg;
-        const centerOffset = (alphaMinDeg + alphaMaxDeg) / 2;
-        
-        return {
-            // Restrictions
-            enabled: this.isEnabled,
-            restrictDistance: this.limits.restrictDistance,
-            restrictVertical: this.limits.restrictVertical,
-            restrictHorizontal: this.limits.restrictHorizontal,
-            enablePanning: this.limits.enablePanning,
-            
-            // Values in user-friendly units
-            zoom: {
-                min: this.limits.radiusMin,
-                max: this.limits.radiusMax
-            },
-            vertical: {
-                up: upDegrees,    // Negative = looking up
-                down: downDegrees // Positive = looking down
-            },
-            horizontal: {
-                totalAngle: Math.min(360, Math.max(30, totalAngle)),
-                offset: centerOffset
-            },
-            panning: {
-                enabled: this.limits.enablePanning
-            }
-        };
-    }
-
-    /**
-     * URL serialization for sharing
-     */
-    getLimitsForUrl() {
-        if (!this.limits || !this.isEnabled) return {};
-        
-        return {
-            // Only include active restrictions
-            ...(this.limits.restrictHorizontal && {
-                alphaMin: this.limits.alphaMin.toFixed(3),
-                alphaMax: this.limits.alphaMax.toFixed(3)
-            }),
-            ...(this.limits.restrictVertical && {
-                betaMin: this.limits.betaMin.toFixed(3),
-                betaMax: this.limits.betaMax.toFixed(3)
-            }),
-            ...(this.limits.restrictDistance && {
-                radiusMin: this.limits.radiusMin.toFixed(2),
-                radiusMax: this.limits.radiusMax.toFixed(2)
-            }),
-            // Panning is just enabled/disabled, no bounds needed
-            // Restriction flags
-            restrictions: [
-                this.limits.restrictHorizontal && 'h',
-                this.limits.restrictVertical && 'v', 
-                this.limits.restrictDistance && 'd',
-                this.limits.enablePanning && 'p'
-            ].filter(Boolean).join('')
-        };
-    }
-
+/* ========================================================================
+   3D VIEWER - CAMERA LIMITS & MOVEMENT RESTRICTIONS
+   ========================================================================
+   
+   PURPOSE:
+   Provides calculated area-based movement restrictions around 3D models.
+   Allows users to set custom camera boundaries for zoom, rotation, and
+   panning to control viewer navigation and focus areas.
+   
+   EXPORTS:
+   - CameraLimits - Class for managing camera movement restrictions
+   
+   FEATURES:
+   - Zoom distance limits (min/max radius)
+   - Vertical rotation limits (beta angle constraints)
+   - Horizontal rotation limits (alpha angle constraints)  
+   - Pan area restrictions around model (sphere or box target volume)
+   - URL parameter serialization for sharing camera limits
+   - State snapshots for the saved viewer settings
+   - Dynamic limit adjustment based on model size (auto-calculated on load,
+     manual UI/URL values take precedence)
+   - Visual debug indicators for limit boundaries
+   
+   DEPENDENCIES:
+   - Babylon.js camera system
+   - Configuration constants for default limits
+   - URL parameter handling for limit persistence
+   
+   ======================================================================== */
+
+import { CONFIG } from './config.js';
+
+// Limit values saved with the viewer settings, by manual override category
+const STATE_KEYS = {
+    always: ['restrictHorizontal', 'restrictVertical', 'restrictDistance', 'enablePanning', 'restrictPanArea',
+             'alphaMin', 'alphaMax'],
+    zoom: ['radiusMin', 'radiusMax'],
+    vertical: ['betaMin', 'betaMax'],
+    pan: ['panShape', 'panRadius', 'panExtents', 'panCenter']
+};
+
+/**
+ * Camera Movement Limitation System
+ * Provides calculated area-based movement restrictions around 3D models
+ */
+export class CameraLimits {
+        
+    constructor(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+        
+        // Current limits configuration
+        this.limits = {
+            // Horizontal movement limits (alpha angle)
+            alphaMin: -Math.PI * 2,    // Full rotation by default
+            alphaMax: Math.PI * 2,
+            
+            // Vertical movement limits (beta angle) 
+            betaMin: 0.1,             // Prevent camera from going below ground
+            betaMax: Math.PI - 0.1,   // Prevent camera from going above
+            
+            // Distance limits (radius) - use centralized config values
+            radiusMin: CONFIG.cameraLimits.defaultLimits.zoom.min,
+            radiusMax: CONFIG.cameraLimits.defaultLimits.zoom.max,
+            
+            // Restriction types
+            restrictHorizontal: false,  // Limit alpha rotation
+            restrictVertical: true,     // Limit beta rotation 
+            restrictDistance: true,     // Limit zoom
+            enablePanning: true,        // Enable/disable panning functionality
+            
+            // Pan area limits (camera target volume)
+            restrictPanArea: true,      // Keep the target inside the pan volume
+            panShape: 'sphere',         // 'sphere' or 'box'
+            panRadius: CONFIG.cameraLimits.defaultLimits.panning.maxDistance,
+            panExtents: { x: 10, y: 10, z: 10 },  // Box half-size per axis
+            panCenter: { x: 0, y: 0, z: 0 }       // Volume center (model origin)
+        };
+        
+        this.isEnabled = true;
+        this.isDirty = false;  // Track when constraints need checking
+        this.constraintObserver = null;  // Store observer reference for cleanup
+        
+        // Auto-calculated limits from the current model bounds
+        this.autoBounds = null;              // { center, size } of the last model
+        this.manualOverrides = new Set();    // 'zoom' | 'vertical' | 'pan' set by UI or URL
+        
+        // Apply defaults from config
+        this.resetToDefaults();
+        
+        this.setupConstraints();
+    }
+
+    /**
+     * Setup camera constraint observers - optimized to only check when camera moves
+     */
+    setupConstraints() {
+        // Use onViewMatrixChangedObservable instead of every frame checking
+        // This only triggers when the camera actually moves/rotates/zooms
+        this.constraintObserver = this.camera.onViewMatrixChangedObservable.add(() => {
+            if (!this.isEnabled) return;
+            this.enforceConstraints();
+        });
+        
+        console.log("Camera constraints setup - will only enforce when camera moves");
+    }
+
+    /**
+     * Enforce all camera constraints - optimized to only run when camera moves
+     */
+    enforceConstraints() {
+        if (!this.isEnabled) return;
+        
+        let constraintApplied = false;
+        const originalValues = {
+            beta: this.camera.beta,
+            alpha: this.camera.alpha,
+            radius: this.camera.radius,
+            target: this.camera.target.clone()
+        };
+
+        // Vertical constraints (beta)
+        if (this.limits.restrictVertical) {
+            this.camera.beta = Math.max(this.limits.betaMin, 
+                Math.min(this.limits.betaMax, this.camera.beta));
+            if (this.camera.beta !== originalValues.beta) constraintApplied = true;
+        }
+
+        // Horizontal constraints (alpha) 
+        if (this.limits.restrictHorizontal) {
+            this.camera.alpha = Math.max(this.limits.alphaMin,
+                Math.min(this.limits.alphaMax, this.camera.alpha));
+            if (this.camera.alpha !== originalValues.alpha) constraintApplied = true;
+        }
+
+        // Distance constraints (radius)
+        if (this.limits.restrictDistance) {
+            this.camera.radius = Math.max(this.limits.radiusMin,
+                Math.min(this.limits.radiusMax, this.camera.radius));
+            if (this.camera.radius !== originalValues.radius) constraintApplied = true;
+        }
+
+        // Panning on/off is handled by panningSensibility in updateCameraConstraints(),
+        // the pan area is enforced here so touch gestures that move the target are covered too
+        if (this.limits.restrictPanArea && this.clampTargetToPanArea()) {
+            constraintApplied = true;
+        }
+
+        // Optional: Provide visual feedback when constraints are hit
+        if (constraintApplied && this.onConstraintHit) {
+            this.onConstraintHit();
+        }
+        
+        // Debug logging only when constraints are actually applied
+        if (constraintApplied) {
+            console.log("Camera constraints applied:", {
+                beta: originalValues.beta !== this.camera.beta ? `${originalValues.beta.toFixed(3)} → ${this.camera.beta.toFixed(3)}` : 'no change',
+                alpha: originalValues.alpha !== this.camera.alpha ? `${originalValues.alpha.toFixed(3)} → ${this.camera.alpha.toFixed(3)}` : 'no change',
+                radius: originalValues.radius !== this.camera.radius ? `${originalValues.radius.toFixed(3)} → ${this.camera.radius.toFixed(3)}` : 'no change',
+                target: !originalValues.target.equals(this.camera.target) ? 'clamped to pan area' : 'no change'
+            });
+        }
+    }
+
+    /**
+     * Clamp the camera target into the configured pan volume
+     * @returns {boolean} True if the target was moved
+     */
+    clampTargetToPanArea() {
+        const target = this.camera.target;
+        const center = this.limits.panCenter;
+        let x = target.x, y = target.y, z = target.z;
+        
+        if (this.limits.panShape === 'box') {
+            const extents = this.limits.panExtents;
+            x = Math.max(center.x - extents.x, Math.min(center.x + extents.x, x));
+            y = Math.max(center.y - extents.y, Math.min(center.y + extents.y, y));
+            z = Math.max(center.z - extents.z, Math.min(center.z + extents.z, z));
+        } else {
+            const dx = x - center.x, dy = y - center.y, dz = z - center.z;
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (distance > this.limits.panRadius) {
+                const factor = this.limits.panRadius / distance;
+                x = center.x + dx * factor;
+                y = center.y + dy * factor;
+                z = center.z + dz * factor;
+            }
+        }
+        
+        if (x === target.x && y === target.y && z === target.z) return false;
+        
+        // Modify in place - ArcRotateCamera reads _target every frame
+        target.copyFromFloats(x, y, z);
+        return true;
+    }
+
+    /**
+     * Update camera's built-in constraints to match our limits
+     */
+    updateCameraConstraints() {
+        // Apply distance limits only if enabled
+        if (this.limits.restrictDistance) {
+            this.camera.lowerRadiusLimit = this.limits.radiusMin;
+            this.camera.upperRadiusLimit = this.limits.radiusMax;
+        } else {
+            this.camera.lowerRadiusLimit = null;
+            this.camera.upperRadiusLimit = null;
+        }
+        
+        // Apply vertical limits only if enabled
+        if (this.limits.restrictVertical) {
+            this.camera.lowerBetaLimit = this.limits.betaMin;
+            this.camera.upperBetaLimit = this.limits.betaMax;
+        } else {
+            this.camera.lowerBetaLimit = null;
+            this.camera.upperBetaLimit = null;
+        }
+        
+        if (this.limits.restrictHorizontal) {
+            this.camera.lowerAlphaLimit = this.limits.alphaMin;
+            this.camera.upperAlphaLimit = this.limits.alphaMax;
+        } else {
+            this.camera.lowerAlphaLimit = null;
+            this.camera.upperAlphaLimit = null;
+        }
+        
+        // Control panning by setting panningSensibility
+        if (this.limits.enablePanning) {
+            this.camera.panningSensibility = CONFIG.camera.panningSensibility;
+        } else {
+            this.camera.panningSensibility = 0; // Disable panning
+        }
+        
+        // Let Babylon's own panning input respect the sphere so mouse panning stops smoothly
+        // (box volumes and touch gestures are clamped in enforceConstraints)
+        if (this.limits.restrictPanArea && this.limits.panShape === 'sphere') {
+            const center = this.limits.panCenter;
+            this.camera.panningDistanceLimit = this.limits.panRadius;
+            this.camera.panningOriginTarget = new BABYLON.Vector3(center.x, center.y, center.z);
+        } else {
+            this.camera.panningDistanceLimit = null;
+        }
+    }
+
+        /**
+         * Enhanced manual configuration methods with validation
+         */
+    setHorizontalLimits(enabled, minAngle = -Math.PI, maxAngle = Math.PI) {
+        this.limits.restrictHorizontal = enabled;
+        
+        // Ensure min is less than max
+        if (minAngle > maxAngle) {
+            [minAngle, maxAngle] = [maxAngle, minAngle];
+        }
+        
+        this.limits.alphaMin = minAngle;
+        this.limits.alphaMax = maxAngle;
+        this.updateCameraConstraints();
+        
+        // Immediately check constraints after changing settings
+        this.enforceConstraints();
+        
+        console.log(`Horizontal limits ${enabled ? 'enabled' : 'disabled'}:`, 
+            `${(minAngle * 180 / Math.PI).toFixed(0)}° to ${(maxAngle * 180 / Math.PI).toFixed(0)}°`);
+    }
+
+
+    
+    setVerticalLimits(enabled, minAngle = 0.1, maxAngle = Math.PI - 0.1) {
+        this.limits.restrictVertical = enabled;
+        
+        // Ensure min is less than max and within valid range
+        minAngle = Math.max(0.01, Math.min(minAngle, Math.PI - 0.01));
+        maxAngle = Math.max(0.01, Math.min(maxAngle, Math.PI - 0.01));
+        
+        if (minAngle > maxAngle) {
+            [minAngle, maxAngle] = [maxAngle, minAngle];
+        }
+        
+        this.limits.betaMin = minAngle;
+        this.limits.betaMax = maxAngle;
+        this.updateCameraConstraints();
+        
+        // Immediately check constraints after changing settings
+        this.enforceConstraints();
+        
+        console.log(`Vertical limits ${enabled ? 'enabled' : 'disabled'}:`, 
+            `${(minAngle * 180 / Math.PI).toFixed(0)}° to ${(maxAngle * 180 / Math.PI).toFixed(0)}°`);
+    }
+
+
+    
+    setDistanceLimits(enabled, minDistance = 1, maxDistance = 20) {
+        this.limits.restrictDistance = enabled;
+        
+        // Ensure min is less than max and positive
+        minDistance = Math.max(0.1, minDistance);
+        maxDistance = Math.max(minDistance + 0.1, maxDistance);
+        
+        this.limits.radiusMin = minDistance;
+        this.limits.radiusMax = maxDistance;
+        this.updateCameraConstraints();
+        
+        // Immediately check constraints after changing settings
+        this.enforceConstraints();
+        
+        console.log(`Distance limits ${enabled ? 'enabled' : 'disabled'}:`, 
+            `${minDistance.toFixed(1)} to ${maxDistance.toFixed(1)}`);
+    }
+
+    setPanningEnabled(enabled) {
+        this.limits.enablePanning = enabled;
+        this.updateCameraConstraints();
+        
+        console.log(`Panning ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Limit how far the camera target can be panned away from the model origin
+     * @param {boolean} enabled - Enable the pan area restriction
+     * @param {number} maxDistance - Sphere radius; the box is scaled by the same
+     *   ratio, so a non-uniform box around the model keeps its proportions
+     * @param {string} shape - 'sphere' or 'box'
+     */
+    setPanAreaLimits(enabled, maxDistance = this.limits.panRadius, shape = this.limits.panShape) {
+        const radius = Math.max(0.1, maxDistance);
+        const scale = radius / this.limits.panRadius;
+        const extents = this.limits.panExtents;
+
+        this.limits.restrictPanArea = enabled;
+        this.limits.panShape = shape === 'box' ? 'box' : 'sphere';
+        this.limits.panRadius = radius;
+        this.limits.panExtents = { x: extents.x * scale, y: extents.y * scale, z: extents.z * scale };
+        this.updateCameraConstraints();
+        
+        // Immediately check constraints after changing settings
+        this.enforceConstraints();
+        
+        console.log(`Pan area limits ${enabled ? 'enabled' : 'disabled'}:`, 
+            `${this.limits.panShape} of ${this.limits.panRadius.toFixed(1)}`);
+    }
+
+    /**
+     * Set an explicit pan volume (e.g. a non-uniform box around a model)
+     * @param {Object} bounds - { shape, center: {x,y,z}, extents: {x,y,z}, radius }
+     */
+    setPanBounds({ shape = this.limits.panShape, center, extents, radius } = {}) {
+        this.limits.panShape = shape === 'box' ? 'box' : 'sphere';
+        if (center) this.limits.panCenter = { x: center.x, y: center.y, z: center.z };
+        if (extents) this.limits.panExtents = { x: extents.x, y: extents.y, z: extents.z };
+        if (radius !== undefined) this.limits.panRadius = Math.max(0.1, radius);
+        this.updateCameraConstraints();
+        this.enforceConstraints();
+    }
+
+
+
+
+
+
+    /**
+     * Mark a limit category as set by the user so auto-calculation leaves it alone
+     * @param {string} category - 'zoom', 'vertical' or 'pan'
+     */
+    markManual(category) {
+        this.manualOverrides.add(category);
+    }
+
+    /**
+     * Derive zoom, pan and vertical limits from a model's bounding box.
+     * Categories the user set manually (settings panel or shared URL) are kept.
+     * @param {BABYLON.AbstractMesh} model - Loaded, normalized and centered model
+     */
+    calculateFromModel(model) {
+        if (!model || !model.getHierarchyBoundingVectors) return;
+        
+        try {
+            this.calculateFromBounds(model.getHierarchyBoundingVectors(true));
+        } catch (error) {
+            console.warn("Could not calculate camera limits from model:", error);
+        }
+    }
+
+    /**
+     * Derive limits from a bounding box (e.g. the combined bounds of all loaded models)
+     * @param {{min: BABYLON.Vector3, max: BABYLON.Vector3}} bounds
+     */
+    calculateFromBounds({ min, max }) {
+        const size = max.subtract(min);
+        if (size.x === 0 && size.y === 0 && size.z === 0) return;
+        
+        this.autoBounds = {
+            center: min.add(max).scale(0.5),
+            size
+        };
+        this.applyAutoLimits();
+    }
+
+    /**
+     * Apply limits from the stored model bounds
+     */
+    applyAutoLimits() {
+        if (!this.autoBounds) return;
+        
+        const auto = CONFIG.cameraLimits.autoCalculate;
+        const { center, size } = this.autoBounds;
+        const boundingRadius = size.length() / 2;
+        
+        if (!this.manualOverrides.has('zoom')) {
+            this.setDistanceLimits(
+                this.limits.restrictDistance,
+                boundingRadius * auto.zoomMinFactor,
+                boundingRadius * auto.zoomMaxFactor
+            );
+        }
+        
+        if (!this.manualOverrides.has('pan')) {
+            this.setPanBounds({
+                shape: 'box',
+                center,
+                extents: size.scale(0.5 * auto.panPadding),
+                radius: boundingRadius * auto.panPadding
+            });
+        }
+        
+        if (!this.manualOverrides.has('vertical')) {
+            // Wide, flat captures (rooms, terrain) shouldn't be viewed from below the ground
+            const footprint = Math.max(size.x, size.z);
+            const isFlatScene = footprint > 0 && (size.y / footprint) < auto.flatSceneRatio;
+            this.setVerticalLimitsUpDown(
+                this.limits.restrictVertical,
+                auto.upLimit,
+                isFlatScene ? auto.sceneDownLimit : auto.objectDownLimit
+            );
+        }
+        
+        if (this.onLimitsChanged) {
+            this.onLimitsChanged();
+        }
+        
+        console.log(`Camera limits auto-calculated from model bounds (radius ${boundingRadius.toFixed(2)})`);
+    }
+
+    /**
+     * Apply limits from URL parameters
+     */
+    applyLimitsFromUrl(urlParams) {
+        // Restriction flags are only touched when the URL carries them
+        if (urlParams.has('restrictions')) {
+            const restrictions = urlParams.get('restrictions');
+            this.limits.restrictHorizontal = restrictions.includes('h');
+            this.limits.restrictVertical = restrictions.includes('v');
+            this.limits.restrictDistance = restrictions.includes('d');
+            this.limits.enablePanning = restrictions.includes('p');
+            this.limits.restrictPanArea = restrictions.includes('a');
+        }
+        
+        // Shared values win over auto-calculated ones on later loads
+        if (urlParams.has('radiusMin') || urlParams.has('radiusMax')) this.markManual('zoom');
+        if (urlParams.has('betaMin') || urlParams.has('betaMax')) this.markManual('vertical');
+        if (urlParams.has('panMax') || urlParams.has('panBox')) this.markManual('pan');
+        
+        // Apply limit values
+        if (urlParams.has('alphaMin')) this.limits.alphaMin = parseFloat(urlParams.get('alphaMin'));
+        if (urlParams.has('alphaMax')) this.limits.alphaMax = parseFloat(urlParams.get('alphaMax'));
+        if (urlParams.has('betaMin')) this.limits.betaMin = parseFloat(urlParams.get('betaMin'));
+        if (urlParams.has('betaMax')) this.limits.betaMax = parseFloat(urlParams.get('betaMax'));
+        if (urlParams.has('radiusMin')) this.limits.radiusMin = parseFloat(urlParams.get('radiusMin'));
+        if (urlParams.has('radiusMax')) this.limits.radiusMax = parseFloat(urlParams.get('radiusMax'));
+        
+        // Pan area volume
+        if (urlParams.has('panShape')) this.limits.panShape = urlParams.get('panShape') === 'box' ? 'box' : 'sphere';
+        if (urlParams.has('panMax')) {
+            const panMax = parseFloat(urlParams.get('panMax'));
+            if (!isNaN(panMax) && panMax > 0) {
+                this.limits.panRadius = panMax;
+                this.limits.panExtents = { x: panMax, y: panMax, z: panMax };
+            }
+        }
+        const panBox = parseVectorParam(urlParams.get('panBox'));
+        if (panBox) this.limits.panExtents = panBox;
+        const panCenter = parseVectorParam(urlParams.get('panCenter'));
+        if (panCenter) this.limits.panCenter = panCenter;
+        
+        this.updateCameraConstraints();
+        console.log("Applied camera limits from URL:", this.limits);
+    }
+
+    /**
+     * Enable/disable the entire constraint system
+     */
+    setEnabled(enabled) {
+        this.isEnabled = enabled;
+        
+        // Immediately check constraints when re-enabling
+        if (enabled) {
+            this.enforceConstraints();
+        }
+        
+        console.log(`Camera limits ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Get current limits configuration for UI display
+     */
+    getCurrentLimits() {
+        return { ...this.limits };
+    }
+
+    /**
+     * Snapshot for the saved settings. Auto-calculated values belong to the
+     * current model, so only categories the user set manually are included.
+     * @returns {{enabled: boolean, limits: Object, manual: string[]}}
+     */
+    getState() {
+        const keys = [...STATE_KEYS.always];
+        this.manualOverrides.forEach(category => keys.push(...STATE_KEYS[category]));
+
+        const limits = {};
+        keys.forEach(key => { limits[key] = JSON.parse(JSON.stringify(this.limits[key])); });
+
+        return { enabled: this.isEnabled, limits, manual: [...this.manualOverrides] };
+    }
+
+    /**
+     * Restore a snapshot from getState(); restored categories count as manual
+     * @param {{enabled: boolean, limits: Object, manual: string[]}} state
+     */
+    setState({ enabled = true, limits = {}, manual = [] } = {}) {
+        manual.filter(category => category !== 'always' && STATE_KEYS[category]).forEach(category => this.markManual(category));
+
+        Object.keys(limits)
+            .filter(key => key in this.limits)
+            .forEach(key => { this.limits[key] = limits[key]; });
+
+        this.updateCameraConstraints();
+        this.setEnabled(enabled);
+
+        if (this.onLimitsChanged) {
+            this.onLimitsChanged();
+        }
+        console.log("Restored saved camera limits:", this.limits);
+    }
+
+    /**
+     * Reset to defaults using config values
+     */
+    
+    resetToDefaults() {
+        const defaultLimits = CONFIG.cameraLimits.defaultLimits;
+        const defaultRestrictions = CONFIG.cameraLimits.defaultRestrictions;
+        
+        // Distance limits
+        this.limits.radiusMin = defaultLimits.zoom.min;
+        this.limits.radiusMax = defaultLimits.zoom.max;
+        
+        // Set vertical limits using up/down system
+        this.setVerticalLimitsUpDown(
+            defaultRestrictions.vertical,
+            defaultLimits.vertical.upLimit || -80,
+            defaultLimits.vertical.downLimit || 80
+        );
+        
+        // Set horizontal limits using angle/offset system (defaults since horizontal is disabled by default)
+        this.setHorizontalLimitsAngleOffset(
+            defaultRestrictions.horizontal,
+            360,  // Full 360° freedom by default
+            0     // No offset by default
+        );
+        
+        // Set panning enabled/disabled
+        this.limits.enablePanning = defaultRestrictions.panning;
+        
+        // Pan area around the model origin
+        this.limits.restrictPanArea = defaultRestrictions.panArea;
+        this.limits.panShape = defaultLimits.panning.shape || 'sphere';
+        this.limits.panRadius = defaultLimits.panning.maxDistance;
+        this.limits.panExtents = {
+            x: defaultLimits.panning.maxDistance,
+            y: defaultLimits.panning.maxDistance,
+            z: defaultLimits.panning.maxDistance
+        };
+        this.limits.panCenter = { x: 0, y: 0, z: 0 };
+        this.manualOverrides.clear();
+        
+        // Restriction flags from config
+        this.limits.restrictDistance = defaultRestrictions.zoom;
+        this.limits.restrictVertical = defaultRestrictions.vertical;
+        this.limits.restrictHorizontal = defaultRestrictions.horizontal;
+        
+        this.updateCameraConstraints();
+        
+        // "Defaults" for a loaded model are the limits derived from its bounds
+        if (CONFIG.cameraLimits.autoCalculateOnLoad && this.autoBounds) {
+            this.applyAutoLimits();
+        }
+        
+        // Immediately check constraints after reset
+        this.enforceConstraints();
+        
+        // Trigger UI update if callback exists
+        if (this.onLimitsChanged) {
+            this.onLimitsChanged();
+        }
+        
+        console.log("Camera limits reset to config defaults");
+    }
+
+    
+/**
+ * Set UI update callback
+ */
+setUIUpdateCallback(callback) {
+    this.onLimitsChanged = callback;
+}
+
+    /**
+     * Cleanup
+     */
+    dispose() {
+        // Remove constraint observer
+        if (this.constraintObserver && this.camera) {
+            this.camera.onViewMatrixChangedObservable.remove(this.constraintObserver);
+            this.constraintObserver = null;
+            console.log("Camera constraint observer removed");
+        }
+        
+        this.scene = null;
+        this.camera = null;
+    }
+
+
+    
+    /**
+     * Enhanced vertical limits with up/down degree system
+     * @param {boolean} enabled - Enable vertical limits
+     * @param {number} upDegrees - Up limit in degrees (-90 to 90, negative = looking up)
+     * @param {number} downDegrees - Down limit in degrees (-90 to 90, positive = looking down)
+     */
+    setVerticalLimitsUpDown(enabled, upDegrees = -80, downDegrees = 80) {
+        this.limits.restrictVertical = enabled;
+        
+        // Convert up/down degrees to beta radians
+        // up/down: -90° = looking straight up, 0° = looking forward, +90° = looking straight down
+        // beta: 0 = looking straight up, π/2 = looking forward, π = looking straight down
+        const upBeta = (upDegrees * Math.PI / 180) + Math.PI/2;
+        const downBeta = (downDegrees * Math.PI / 180) + Math.PI/2;
+        
+        // Ensure valid range
+        this.limits.betaMin = Math.max(0.01, Math.min(upBeta, downBeta));
+        this.limits.betaMax = Math.min(Math.PI - 0.01, Math.max(upBeta, downBeta));
+        
+        this.updateCameraConstraints();
+        
+        // Immediately check constraints after changing settings
+        this.enforceConstraints();
+        
+        console.log(`Vertical limits ${enabled ? 'enabled' : 'disabled'}:`, 
+            `${upDegrees}° (up) to ${downDegrees}° (down)`);
+    }
+
+    
+    /**
+     * Enhanced horizontal limits with angle + offset system
+     * @param {boolean} enabled - Enable horizontal limits
+     * @param {number} totalAngleDegrees - Total angle of freedom (30-360 degrees)
+     * @param {number} offsetDegrees - Center offset (-180 to 180 degrees)
+     */
+    setHorizontalLimitsAngleOffset(enabled, totalAngleDegrees = 360, offsetDegrees = 0) {
+        this.limits.restrictHorizontal = enabled;
+        
+        if (enabled) {
+            // Calculate min/max from total angle and offset
+            const halfAngle = totalAngleDegrees / 2;
+            const minAngleDeg = offsetDegrees - halfAngle;
+            const maxAngleDeg = offsetDegrees + halfAngle;
+            
+            // Convert to radians
+            this.limits.alphaMin = minAngleDeg * Math.PI / 180;
+            this.limits.alphaMax = maxAngleDeg * Math.PI / 180;
+            
+            console.log(`Horizontal limits enabled: ${totalAngleDegrees}° total, centered at ${offsetDegrees}°`);
+            console.log(`  Actual range: ${minAngleDeg.toFixed(0)}° to ${maxAngleDeg.toFixed(0)}°`);
+        } else {
+            // Full freedom
+            this.limits.alphaMin = -Math.PI * 2;
+            this.limits.alphaMax = Math.PI * 2;
+            console.log('Horizontal limits disabled: full 360° freedom');
+        }
+        
+        this.updateCameraConstraints();
+    }
+
+
+    /**
+     * Get limits in UI-friendly format with adjusted vertical system
+     */
+    getLimitsForUI() {
+        // Convert beta angles back to up/down degrees
+        const upDegrees = Math.round((this.limits.betaMin - Math.PI/2) * 180 / Math.PI);
+        const downDegrees = Math.round((this.limits.betaMax - Math.PI/2) * 180 / Math.PI);
+        
+        // Calculate horizontal angle and offset
+        const alphaMinDeg = this.limits.alphaMin * 180 / Math.PI;
+        const alphaMaxDeg = this.limits.alphaMax * 180 / Math.PI;
+        const totalAngle = alphaMaxDeg - alphaMinDeg;
+        const centerOffset = (alphaMinDeg + alphaMaxDeg) / 2;
+        
+        return {
+            // Restrictions
+            enabled: this.isEnabled,
+            restrictDistance: this.limits.restrictDistance,
+            restrictVertical: this.limits.restrictVertical,
+            restrictHorizontal: this.limits.restrictHorizontal,
+            enablePanning: this.limits.enablePanning,
+            
+            // Values in user-friendly units
+            zoom: {
+                min: this.limits.radiusMin,
+                max: this.limits.radiusMax
+            },
+            vertical: {
+                up: upDegrees,    // Negative = looking up
+                down: downDegrees // Positive = looking down
+            },
+            horizontal: {
+                totalAngle: Math.min(360, Math.max(30, totalAngle)),
+                offset: centerOffset
+            },
+            panning: {
+                enabled: this.limits.enablePanning,
+                restrictArea: this.limits.restrictPanArea,
+                shape: this.limits.panShape,
+                maxDistance: this.limits.panRadius
+            }
+        };
+    }
+
+    /**
+     * URL serialization for sharing
+     */
+    getLimitsForUrl() {
+        if (!this.limits || !this.isEnabled) return {};
+        
+        return {
+            // Only include active restrictions
+            ...(this.limits.restrictHorizontal && {
+                alphaMin: this.limits.alphaMin.toFixed(3),
+                alphaMax: this.limits.alphaMax.toFixed(3)
+            }),
+            ...(this.limits.restrictVertical && {
+                betaMin: this.limits.betaMin.toFixed(3),
+                betaMax: this.limits.betaMax.toFixed(3)
+            }),
+            ...(this.limits.restrictDistance && {
+                radiusMin: this.limits.radiusMin.toFixed(2),
+                radiusMax: this.limits.radiusMax.toFixed(2)
+            }),
+            ...(this.limits.restrictPanArea && {
+                panShape: this.limits.panShape,
+                panMax: this.limits.panRadius.toFixed(2),
+                ...(this.limits.panShape === 'box' && {
+                    panBox: formatVectorParam(this.limits.panExtents)
+                }),
+                ...(!isZeroVector(this.limits.panCenter) && {
+                    panCenter: formatVectorParam(this.limits.panCenter)
+                })
+            }),
+            // Restriction flags
+            restrictions: [
+                this.limits.restrictHorizontal && 'h',
+                this.limits.restrictVertical && 'v', 
+                this.limits.restrictDistance && 'd',
+                this.limits.enablePanning && 'p',
+                this.limits.restrictPanArea && 'a'
+            ].filter(Boolean).join('')
+        };
+    }
+
+}
+
+/**
+ * Parse an "x,y,z" URL parameter into a vector-like object
+ * @param {string|null} value
+ * @returns {{x:number, y:number, z:number}|null}
+ */
+function parseVectorParam(value) {
+    if (!value) return null;
+    const [x, y, z] = value.split(',').map(parseFloat);
+    if ([x, y, z].some(isNaN)) return null;
+    return { x, y, z };
+}
+
+/**
+ * Format a vector-like object as an "x,y,z" URL parameter
+ */
+function formatVectorParam(vector) {
+    return [vector.x, vector.y, vector.z].map(v => v.toFixed(2)).join(',');
+}
+
+function isZeroVector(vector) {
+    return !vector || (vector.x === 0 && vector.y === 0 && vector.z === 0);
 }
\ No newline at end of file
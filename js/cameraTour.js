@@ -0,0 +1,579 @@
+/* ========================================================================
+   3D VIEWER - GUIDED CAMERA TOURS
+   ========================================================================
+
+   PURPOSE:
+   Scripted fly-throughs: a sequence of recorded camera keyframes, each with
+   the duration and easing of the move that arrives at it. Tours play back
+   with play / pause / scrub controls and can loop unattended in kiosk mode
+   as an alternative to idle auto-rotation.
+
+   EXPORTS:
+   - CameraTour - Class recording and playing the tour of the current scene
+   - TOUR_EASINGS - Easing names for UI selects
+
+   FEATURES:
+   - Playback built from animateCamera() segments (one per keyframe move)
+   - Scrubbing to any point on the timeline
+   - Looping: the first keyframe's duration is the move from the last
+     keyframe back to the first (and the fly-in when playback starts)
+   - Kiosk mode: always loops, pauses while the user takes over the camera
+     and resumes after a period of inactivity
+   - JSON serialization (download / import, viewer exports), saved per
+     primary model (settings store)
+   - Frame-exact view sampling (getViewAt) for viewport recordings
+
+   DEPENDENCIES:
+   - Camera animation (cameraControl.js)
+   - Model registry (scene.modelRegistry) for the storage key
+   - Settings store for persistence
+   - Configuration constants for durations and kiosk timing
+
+   ======================================================================== */
+
+import { CONFIG } from './config.js';
+import { animateCamera, setCameraView } from './cameraControl.js';
+import { SettingsStore } from './settingsStore.js';
+
+const TOUR_VERSION = 1;
+const FPS = 30;   // Frame rate of animateCamera() keys
+
+export const TOUR_EASINGS = ['linear', 'easeIn', 'easeOut', 'easeInOut'];
+
+/**
+ * Camera Tour
+ * Keyframed camera paths for the current scene
+ */
+export class CameraTour {
+
+    constructor(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+        this.keyframes = [];        // { alpha, beta, radius, target: {x, y, z}, fov, duration, easing }
+        this.loop = false;
+        this.kiosk = false;
+        this.modelKey = null;
+
+        // Playback
+        this.state = 'stopped';     // 'stopped', 'playing' or 'paused'
+        this.time = 0;              // Seconds into the timeline (keyframe 0 is at 0)
+        this.segment = null;        // { index, group, elapsed } - the move into keyframes[index]
+        this.resumeTimer = null;
+        this.autoRotationState = null;
+
+        // Notified with the tour when keyframes or options change
+        this.onChangedObservable = new BABYLON.Observable();
+        // Notified with { state, time, duration } during playback
+        this.onPlaybackObservable = new BABYLON.Observable();
+
+        const registry = scene.modelRegistry;
+        this.registryObserver = registry
+            ? registry.onChangedObservable.add(() => this.updateModelKey())
+            : null;
+
+        this.tickObserver = scene.onBeforeRenderObservable.add(() => this.tick());
+
+        // The user grabbing the camera pauses the tour
+        this.pointerObserver = scene.onPointerObservable.add(
+            () => this.onUserInteraction(),
+            BABYLON.PointerEventTypes.POINTERDOWN | BABYLON.PointerEventTypes.POINTERWHEEL
+        );
+
+        this.updateModelKey();
+    }
+
+    /* ====================================================================
+       KEYFRAMES
+       ==================================================================== */
+
+    /**
+     * Record the current camera view as the last keyframe
+     * @returns {Object} The new keyframe
+     */
+    addKeyframe() {
+        const camera = this.camera;
+        const keyframe = {
+            alpha: camera.alpha,
+            beta: camera.beta,
+            radius: camera.radius,
+            target: { x: camera.target.x, y: camera.target.y, z: camera.target.z },
+            fov: camera.fov,
+            duration: CONFIG.cameraTour.defaultDuration,
+            easing: CONFIG.cameraTour.defaultEasing
+        };
+
+        this.keyframes.push(keyframe);
+        this.save();
+        console.log(`Tour keyframe ${this.keyframes.length} recorded`);
+        return keyframe;
+    }
+
+    /**
+     * Change a keyframe's move (duration in seconds, easing name)
+     * @param {number} index
+     * @param {{duration?: number, easing?: string}} changes
+     */
+    updateKeyframe(index, { duration, easing } = {}) {
+        const keyframe = this.keyframes[index];
+        if (!keyframe) return;
+
+        if (duration > 0) keyframe.duration = duration;
+        if (TOUR_EASINGS.includes(easing)) keyframe.easing = easing;
+        this.save();
+    }
+
+    /**
+     * @param {number} index
+     */
+    removeKeyframe(index) {
+        if (!this.keyframes[index]) return;
+
+        this.stop();
+        this.keyframes.splice(index, 1);
+        this.save();
+    }
+
+    clear() {
+        this.stop();
+        this.keyframes = [];
+        this.save();
+    }
+
+    /**
+     * Scale the keyframe views with the scene (unit calibration rescales
+     * everything about the origin)
+     * @param {number} factor
+     */
+    rescale(factor) {
+        this.stop();
+        this.keyframes.forEach(keyframe => {
+            const { x, y, z } = keyframe.target;
+            keyframe.target = { x: x * factor, y: y * factor, z: z * factor };
+            keyframe.radius *= factor;
+        });
+        this.save();
+    }
+
+    /**
+     * Fly to a keyframe's view (outside playback)
+     * @param {number} index
+     */
+    goToKeyframe(index) {
+        const keyframe = this.keyframes[index];
+        if (!keyframe) return;
+
+        this.stop();
+        const { target, radius, alpha, beta, fov } = keyframe;
+        animateCamera(this.camera, toVector(target), radius, CONFIG.cameraBookmarks.flyDuration, null,
+            { alpha, beta, fov }).play();
+    }
+
+    setLoop(loop) {
+        this.loop = !!loop;
+        this.save();
+    }
+
+    /**
+     * Kiosk mode: loop unattended, resuming after the user lets go of the camera
+     * @param {boolean} enabled
+     */
+    setKiosk(enabled) {
+        this.kiosk = !!enabled;
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = null;
+
+        if (this.kiosk) {
+            if (!this.play()) {
+                this.kiosk = false;
+                return false;
+            }
+        } else {
+            this.stop();
+        }
+        console.log(`Tour kiosk mode ${this.kiosk ? 'enabled' : 'disabled'}`);
+        return this.kiosk;
+    }
+
+    /**
+     * Length of the timeline in seconds (first to last keyframe)
+     */
+    getDuration() {
+        return this.keyframes.slice(1).reduce((total, keyframe) => total + keyframe.duration, 0);
+    }
+
+    /**
+     * Length of one pass, including the move back to the first keyframe when looping
+     */
+    getCycleDuration() {
+        if (this.keyframes.length === 0) return 0;
+        return this.getDuration() + (this.loop ? this.keyframes[0].duration : 0);
+    }
+
+    /**
+     * Camera view at a point of the cycle, eased the way playback moves
+     * (frame-exact sampling for recordings)
+     * @param {number} time - Seconds from the first keyframe
+     * @returns {Object|null} { alpha, beta, radius, target: {x, y, z}, fov }
+     */
+    getViewAt(time) {
+        const keyframes = this.keyframes;
+        if (keyframes.length === 0) return null;
+
+        // The move into keyframes[index]; with looping the last one wraps to keyframe 0
+        const moves = this.loop ? keyframes.length : keyframes.length - 1;
+        let start = 0;
+        for (let index = 1; index <= moves; index++) {
+            const to = keyframes[index % keyframes.length];
+            if (time < start + to.duration) {
+                return interpolateView(keyframes[index - 1], to, (time - start) / to.duration);
+            }
+            start += to.duration;
+        }
+
+        return interpolateView(keyframes[moves % keyframes.length], keyframes[moves % keyframes.length], 1);
+    }
+
+    /* ====================================================================
+       PLAYBACK
+       ==================================================================== */
+
+    /**
+     * Start or resume playback
+     * @returns {boolean} False when the tour has fewer than two keyframes
+     */
+    play() {
+        if (this.keyframes.length < 2) return false;
+        if (this.state === 'playing') return true;
+
+        if (this.state === 'paused' && this.segment) {
+            this.setState('playing');
+            this.segment.group.play();
+            return true;
+        }
+
+        // Replay from the start once the end was reached
+        this.setState('playing');
+        if (this.time >= this.getDuration()) {
+            this.time = 0;
+        }
+
+        // Fly in from wherever the camera is, or continue from a scrubbed position
+        if (this.time > 0) {
+            this.seek(this.time);
+        } else {
+            this.startSegment(0, 0, true);
+        }
+        return true;
+    }
+
+    pause() {
+        if (this.state !== 'playing') return;
+
+        this.setState('paused');
+        if (this.segment) this.segment.group.pause();
+    }
+
+    stop() {
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = null;
+        this.stopSegment();
+        this.time = 0;
+        this.setState('stopped');
+    }
+
+    /**
+     * Jump to a point on the timeline; playback continues from there
+     * @param {number} time - Seconds
+     */
+    seek(time) {
+        if (this.keyframes.length < 2) return;
+
+        const duration = this.getDuration();
+        time = Math.max(0, Math.min(duration, time));
+
+        // Find the move that covers this time
+        let start = 0;
+        let index = 1;
+        while (index < this.keyframes.length - 1 && start + this.keyframes[index].duration < time) {
+            start += this.keyframes[index].duration;
+            index++;
+        }
+
+        if (this.state === 'stopped') this.setState('paused');
+        this.startSegment(index, (time - start) / this.keyframes[index].duration);
+        this.time = time;
+        this.notifyPlayback();
+    }
+
+    /**
+     * Play the move into keyframes[index]
+     * @param {number} index
+     * @param {number} [fraction] - Start part-way through (0-1)
+     * @param {boolean} [fromCurrent] - Start from the camera's current view
+     *   instead of the previous keyframe (fly-in, loop wrap, kiosk resume)
+     */
+    startSegment(index, fraction = 0, fromCurrent = false) {
+        this.stopSegment();
+
+        const keyframe = this.keyframes[index];
+        if (!fromCurrent && index > 0) {
+            setCameraView(this.camera, this.keyframes[index - 1]);
+        }
+
+        const frames = Math.max(1, Math.round(keyframe.duration * FPS));
+        const segment = { index, group: null, elapsed: fraction * keyframe.duration, fromCurrent };
+        const { target, radius, alpha, beta, fov } = keyframe;
+
+        segment.group = animateCamera(this.camera, toVector(target), radius, frames, () => {
+            // Stopping a group also ends it - only react to the current one finishing
+            if (this.segment === segment) this.onSegmentEnd();
+        }, { alpha, beta, fov, easing: createEasing(keyframe.easing) });
+
+        this.segment = segment;
+        segment.group.play();
+        if (fraction > 0) segment.group.goToFrame(fraction * frames);
+        if (this.state !== 'playing') segment.group.pause();
+    }
+
+    stopSegment() {
+        const segment = this.segment;
+        this.segment = null;
+        if (segment) {
+            segment.group.stop();
+            segment.group.dispose();
+        }
+    }
+
+    onSegmentEnd() {
+        const next = this.segment.index + 1;
+
+        if (next < this.keyframes.length) {
+            this.startSegment(next);
+        } else if (this.loop || this.kiosk) {
+            // Move from the last keyframe back to the first, then around again
+            this.time = 0;
+            this.startSegment(0, 0, true);
+        } else {
+            this.stopSegment();
+            this.time = this.getDuration();
+            this.setState('stopped');
+        }
+    }
+
+    /**
+     * Advance the timeline clock while playing
+     */
+    tick() {
+        if (this.state !== 'playing' || !this.segment) return;
+
+        const segment = this.segment;
+        const keyframe = this.keyframes[segment.index];
+        segment.elapsed = Math.min(keyframe.duration,
+            segment.elapsed + this.scene.getEngine().getDeltaTime() / 1000);
+
+        // Moves into keyframe 0 (fly-in, loop wrap) happen before the timeline starts
+        if (segment.index > 0) {
+            const start = this.keyframes.slice(1, segment.index).reduce((total, k) => total + k.duration, 0);
+            this.time = start + segment.elapsed;
+        }
+        this.notifyPlayback();
+    }
+
+    onUserInteraction() {
+        if (this.state !== 'playing') return;
+
+        this.pause();
+        if (!this.kiosk) return;
+
+        // Kiosk: rejoin the tour once the visitor stops interacting
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = setTimeout(() => {
+            this.resumeTimer = null;
+            if (!this.kiosk || !this.segment) return;
+            this.setState('playing');
+            this.startSegment(this.segment.index, 0, true);
+        }, CONFIG.cameraTour.kioskResumeDelay);
+    }
+
+    setState(state) {
+        if (state === this.state) return;
+        this.state = state;
+
+        // A tour replaces idle auto-rotation while it runs
+        if (state === 'playing' && !this.autoRotationState) {
+            this.autoRotationState = { enabled: this.camera.useAutoRotationBehavior };
+            this.camera.useAutoRotationBehavior = false;
+        } else if (state === 'stopped' && this.autoRotationState) {
+            this.camera.useAutoRotationBehavior = this.autoRotationState.enabled;
+            this.autoRotationState = null;
+        }
+
+        this.notifyPlayback();
+    }
+
+    notifyPlayback() {
+        this.onPlaybackObservable.notifyObservers({
+            state: this.state,
+            time: this.time,
+            duration: this.getDuration()
+        });
+    }
+
+    /* ====================================================================
+       SERIALIZATION & PERSISTENCE
+       ==================================================================== */
+
+    /**
+     * Tour as plain JSON data
+     */
+    toJSON() {
+        return {
+            version: TOUR_VERSION,
+            loop: this.loop,
+            keyframes: this.keyframes.map(keyframe => ({ ...keyframe, target: { ...keyframe.target } }))
+        };
+    }
+
+    /**
+     * Replace the tour with JSON data (see toJSON)
+     * @param {Object} data
+     * @param {boolean} [persist] - Save it for the current model
+     * @returns {boolean} False if the data is not a tour
+     */
+    fromJSON(data, persist = true) {
+        const keyframes = data && Array.isArray(data.keyframes) ? data.keyframes.map(parseKeyframe) : null;
+        if (!keyframes || keyframes.some(keyframe => !keyframe)) {
+            console.warn('Invalid camera tour data:', data);
+            return false;
+        }
+
+        this.stop();
+        this.keyframes = keyframes;
+        this.loop = !!data.loop;
+
+        if (persist) {
+            this.save();
+        } else {
+            this.notifyChanged();
+        }
+        return true;
+    }
+
+    /**
+     * Load the saved tour when the primary model changes
+     */
+    updateModelKey() {
+        const registry = this.scene.modelRegistry;
+        const key = registry ? registry.getStorageKey() : null;
+        if (!key || key === this.modelKey) return;
+
+        this.modelKey = key;
+        const saved = SettingsStore.get('cameraTours')[key];
+        if (!saved || !this.fromJSON(saved, false)) {
+            this.stop();
+            this.keyframes = [];
+            this.loop = false;
+            this.notifyChanged();
+        }
+    }
+
+    save() {
+        if (this.modelKey) {
+            const all = { ...SettingsStore.get('cameraTours') };
+            if (this.keyframes.length > 0) {
+                all[this.modelKey] = this.toJSON();
+            } else {
+                delete all[this.modelKey];
+            }
+            SettingsStore.set('cameraTours', all);
+        }
+        this.notifyChanged();
+    }
+
+    notifyChanged() {
+        this.onChangedObservable.notifyObservers(this);
+        this.notifyPlayback();
+    }
+
+    dispose() {
+        this.stop();
+        this.scene.onBeforeRenderObservable.remove(this.tickObserver);
+        this.scene.onPointerObservable.remove(this.pointerObserver);
+        if (this.registryObserver && this.scene.modelRegistry) {
+            this.scene.modelRegistry.onChangedObservable.remove(this.registryObserver);
+        }
+        this.registryObserver = null;
+        this.onChangedObservable.clear();
+        this.onPlaybackObservable.clear();
+        this.scene = null;
+        this.camera = null;
+    }
+}
+
+function toVector({ x, y, z }) {
+    return new BABYLON.Vector3(x, y, z);
+}
+
+/**
+ * View part-way through the move between two keyframes
+ * @param {number} fraction - 0-1, before easing
+ */
+function interpolateView(from, to, fraction) {
+    const easing = createEasing(to.easing);
+    const t = Math.max(0, Math.min(1, fraction));
+    const amount = easing ? easing.ease(t) : t;
+    const lerp = (a, b) => a + (b - a) * amount;
+
+    // Short way round, as in animateCamera()
+    const turn = Math.PI * 2;
+    const alphaDelta = ((to.alpha - from.alpha) % turn + turn * 1.5) % turn - Math.PI;
+
+    return {
+        alpha: from.alpha + alphaDelta * amount,
+        beta: lerp(from.beta, to.beta),
+        radius: lerp(from.radius, to.radius),
+        target: {
+            x: lerp(from.target.x, to.target.x),
+            y: lerp(from.target.y, to.target.y),
+            z: lerp(from.target.z, to.target.z)
+        },
+        fov: lerp(from.fov, to.fov)
+    };
+}
+
+/**
+ * Easing function for an easing name, null for linear
+ */
+function createEasing(name) {
+    const modes = {
+        easeIn: BABYLON.EasingFunction.EASINGMODE_EASEIN,
+        easeOut: BABYLON.EasingFunction.EASINGMODE_EASEOUT,
+        easeInOut: BABYLON.EasingFunction.EASINGMODE_EASEINOUT
+    };
+    if (!(name in modes)) return null;
+
+    const easing = new BABYLON.CubicEase();
+    easing.setEasingMode(modes[name]);
+    return easing;
+}
+
+/**
+ * Validated copy of a keyframe from JSON, null if malformed
+ */
+function parseKeyframe(keyframe) {
+    if (!keyframe || !keyframe.target) return null;
+
+    const numbers = [keyframe.alpha, keyframe.beta, keyframe.radius, keyframe.fov,
+        keyframe.target.x, keyframe.target.y, keyframe.target.z];
+    if (numbers.some(value => typeof value !== 'number' || !isFinite(value))) return null;
+
+    return {
+        alpha: keyframe.alpha,
+        beta: keyframe.beta,
+        radius: keyframe.radius,
+        target: { x: keyframe.target.x, y: keyframe.target.y, z: keyframe.target.z },
+        fov: keyframe.fov,
+        duration: keyframe.duration > 0 ? keyframe.duration : CONFIG.cameraTour.defaultDuration,
+        easing: TOUR_EASINGS.includes(keyframe.easing) ? keyframe.easing : CONFIG.cameraTour.defaultEasing
+    };
+}
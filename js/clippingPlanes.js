@@ -0,0 +1,674 @@
+/* ========================================================================
+   3D VIEWER - CLIPPING PLANES (SECTION VIEWS)
+   ========================================================================
+
+   PURPOSE:
+   Up to six user-controlled planes that cut away part of the scene to look
+   inside meshes and splat clouds. Each plane can be moved and turned with
+   a gizmo, snapped to the X / Y / Z axis, inverted, and given a cap colour
+   that fills the cut faces of meshes.
+
+   EXPORTS:
+   - ClippingPlanes - Class managing the scene's clipping planes
+   - CLIP_CAP_SHADERS - Cap shader sources (shared with viewer exports)
+
+   FEATURES:
+   - Clipping on the GPU through the scene clip planes (scene.clipPlane to
+     clipPlane6), which every material honours - PBR / standard materials
+     of the glTF, OBJ, STL and FBX paths and GaussianSplattingMaterial
+   - Gizmo per plane (move along / turn the normal), one plane selected
+   - Section caps: each mesh gets a back-face copy with a flat shader; where
+     a cut opens the mesh its inside shows, coloured by the plane the view
+     passes through (the kept region is convex, so that's the last plane
+     the view ray crosses)
+   - URL parameter serialization ('clip', one per plane) and data for
+     viewer exports
+
+   DEPENDENCIES:
+   - Babylon.js clip planes, GizmoManager and ShaderMaterial
+   - Model registry (scene.modelRegistry) for the models and their bounds
+   - Configuration constants for plane count and colours
+
+   ======================================================================== */
+
+import { CONFIG } from './config.js';
+
+// Scene properties holding the clip planes, in plane order
+const CLIP_PLANE_SLOTS = ['clipPlane', 'clipPlane2', 'clipPlane3', 'clipPlane4', 'clipPlane5', 'clipPlane6'];
+
+const AXES = {
+    x: { x: 1, y: 0, z: 0 },
+    y: { x: 0, y: 1, z: 0 },
+    z: { x: 0, y: 0, z: 1 }
+};
+
+/**
+ * Cap shader: back faces in flat colour, clipped by the planes; 'capped'
+ * marks the planes with a cap colour (others leave the cut open)
+ */
+export const CLIP_CAP_SHADERS = {
+    vertex: `
+precision highp float;
+attribute vec3 position;
+uniform mat4 world;
+uniform mat4 viewProjection;
+varying vec3 vWorldPosition;
+void main(void) {
+    vec4 worldPosition = world * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+    gl_Position = viewProjection * worldPosition;
+}`,
+    fragment: `
+precision highp float;
+uniform vec4 planes[6];
+uniform vec3 colors[6];
+uniform float capped[6];
+uniform int planeCount;
+uniform vec3 cameraPosition;
+varying vec3 vWorldPosition;
+void main(void) {
+    float entry = -1.0;
+    vec3 color = vec3(0.0);
+    float hasCap = 0.0;
+    for (int i = 0; i < 6; i++) {
+        if (i >= planeCount) break;
+        float fragmentSide = dot(planes[i].xyz, vWorldPosition) + planes[i].w;
+        if (fragmentSide > 0.0) discard;
+        float cameraSide = dot(planes[i].xyz, cameraPosition) + planes[i].w;
+        if (cameraSide > 0.0) {
+            float t = cameraSide / (cameraSide - fragmentSide);
+            if (t > entry) {
+                entry = t;
+                color = colors[i];
+                hasCap = capped[i];
+            }
+        }
+    }
+    if (hasCap < 0.5) discard;
+    gl_FragColor = vec4(color, 1.0);
+}`
+};
+
+/**
+ * Clipping Planes
+ * Section planes, their gizmo and the mesh caps
+ */
+export class ClippingPlanes {
+
+    constructor(scene) {
+        this.scene = scene;
+        this.planes = [];             // { id, point: {x, y, z}, normal: {x, y, z}, inverted, capColor (null = open) }
+        this.nextId = 1;
+        this.selectedId = null;
+        this.helpersVisible = true;   // Gizmo and plane outlines
+
+        // Notified with the plane list whenever it changes
+        this.onChangedObservable = new BABYLON.Observable();
+
+        // Plane outlines are drawn over the model and never clipped or picked
+        this.utilityLayer = new BABYLON.UtilityLayerRenderer(scene);
+        this.gizmoManager = null;     // Created on first use
+        this.anchors = new Map();     // id -> { node: TransformNode (gizmo target), outline: Mesh }
+
+        this.caps = new Map();        // Source mesh -> cap mesh
+        this.capMaterials = new Map();  // Side orientation -> ShaderMaterial
+        this.capObserver = null;
+
+        // A new scene starts uncut; models added later get caps too
+        this.modelObserver = scene.onModelLoadedObservable
+            ? scene.onModelLoadedObservable.add(() => this.onModelLoaded())
+            : null;
+        const registry = scene.modelRegistry;
+        this.registryObserver = registry
+            ? registry.onChangedObservable.add(() => this.updateCaps())
+            : null;
+    }
+
+    /* ====================================================================
+       PLANES
+       ==================================================================== */
+
+    /**
+     * Add a plane through the middle of the models
+     * @param {string} [axis] - 'x', 'y' or 'z'
+     * @returns {Object|null} The new plane, null when all slots are taken
+     */
+    add(axis = 'y') {
+        if (this.planes.length >= CONFIG.clipping.maxPlanes) return null;
+
+        const center = this.getBoundsCenter();
+        const plane = createPlane(this.nextId++, {
+            point: { x: center.x, y: center.y, z: center.z },
+            normal: AXES[axis] || AXES.y
+        });
+        this.planes.push(plane);
+        this.createAnchor(plane);
+        this.select(plane.id);
+        console.log(`Added clipping plane ${this.planes.length} (${axis.toUpperCase()})`);
+        return plane;
+    }
+
+    /**
+     * @param {number} id
+     */
+    remove(id) {
+        const index = this.planes.findIndex(plane => plane.id === id);
+        if (index === -1) return;
+
+        this.planes.splice(index, 1);
+        this.disposeAnchor(id);
+        if (this.selectedId === id) {
+            this.selectedId = this.planes.length > 0 ? this.planes[this.planes.length - 1].id : null;
+        }
+        this.apply();
+    }
+
+    clear() {
+        this.planes.forEach(plane => this.disposeAnchor(plane.id));
+        this.planes = [];
+        this.selectedId = null;
+        this.apply();
+    }
+
+    get(id) {
+        return this.planes.find(plane => plane.id === id) || null;
+    }
+
+    /**
+     * Select the plane the gizmo is attached to
+     * @param {number|null} id
+     */
+    select(id) {
+        this.selectedId = this.get(id) ? id : null;
+        this.apply();
+    }
+
+    /**
+     * Snap a plane's normal to an axis (it keeps its position)
+     * @param {number} id
+     * @param {string} axis - 'x', 'y' or 'z'
+     */
+    setAxis(id, axis) {
+        const plane = this.get(id);
+        if (!plane || !AXES[axis]) return;
+
+        plane.normal = { ...AXES[axis] };
+        this.updateAnchor(plane);
+        this.apply();
+    }
+
+    /**
+     * Keep the other side of a plane
+     * @param {number} id
+     * @param {boolean} inverted
+     */
+    setInverted(id, inverted) {
+        const plane = this.get(id);
+        if (!plane) return;
+
+        plane.inverted = inverted;
+        this.apply();
+    }
+
+    /**
+     * @param {number} id
+     * @param {string|null} color - '#rrggbb', null leaves the cut open
+     */
+    setCapColor(id, color) {
+        const plane = this.get(id);
+        if (!plane) return;
+
+        plane.capColor = isHexColor(color) ? color : null;
+        this.apply();
+    }
+
+    /**
+     * Distance of a plane from the middle of the models, along its normal
+     * @param {Object} plane
+     */
+    getOffset(plane) {
+        const center = this.getBoundsCenter();
+        const { point, normal } = plane;
+        return (point.x - center.x) * normal.x + (point.y - center.y) * normal.y + (point.z - center.z) * normal.z;
+    }
+
+    /**
+     * Slide a plane along its normal
+     * @param {number} id
+     * @param {number} offset - From the middle of the models (see getOffset)
+     */
+    setOffset(id, offset) {
+        const plane = this.get(id);
+        if (!plane) return;
+
+        const center = this.getBoundsCenter();
+        const { normal } = plane;
+        plane.point = {
+            x: center.x + normal.x * offset,
+            y: center.y + normal.y * offset,
+            z: center.z + normal.z * offset
+        };
+        this.updateAnchor(plane);
+        this.apply();
+    }
+
+    /**
+     * Half the diagonal of the models' bounds - the useful offset range
+     */
+    getExtent() {
+        const bounds = this.getBounds();
+        return bounds ? bounds.max.subtract(bounds.min).length() / 2 : 1;
+    }
+
+    /**
+     * @param {boolean} visible - Show the gizmo and plane outlines
+     */
+    setHelpersVisible(visible) {
+        this.helpersVisible = visible;
+        this.apply();
+    }
+
+    /**
+     * Scale the planes with the scene (unit calibration rescales everything
+     * about the origin)
+     * @param {number} factor
+     */
+    rescale(factor) {
+        this.planes.forEach(plane => {
+            const { x, y, z } = plane.point;
+            plane.point = { x: x * factor, y: y * factor, z: z * factor };
+            this.updateAnchor(plane);
+        });
+        this.apply();
+    }
+
+    /**
+     * New scene: remove the planes
+     */
+    onModelLoaded() {
+        const registry = this.scene.modelRegistry;
+        if (!registry || registry.items.length !== 1 || this.planes.length === 0) return;
+        this.clear();
+    }
+
+    /* ====================================================================
+       CLIPPING
+       ==================================================================== */
+
+    /**
+     * Push the planes to the scene clip planes, gizmo, outlines and caps
+     */
+    apply() {
+        CLIP_PLANE_SLOTS.forEach((slot, index) => {
+            const plane = this.planes[index];
+            this.scene[slot] = plane ? toBabylonPlane(plane) : null;
+        });
+
+        this.updateHelpers();
+        this.updateCaps();
+        this.onChangedObservable.notifyObservers(this.planes);
+    }
+
+    getBounds() {
+        const registry = this.scene.modelRegistry;
+        return registry ? registry.getBounds() : null;
+    }
+
+    getBoundsCenter() {
+        const bounds = this.getBounds();
+        return bounds ? bounds.min.add(bounds.max).scale(0.5) : BABYLON.Vector3.Zero();
+    }
+
+    /* ====================================================================
+       GIZMO & OUTLINES
+       ==================================================================== */
+
+    /**
+     * Gizmo target of a plane: its local Y axis is the plane normal, so the
+     * green arrow slides the plane and the rings turn it
+     */
+    createAnchor(plane) {
+        const node = new BABYLON.TransformNode(`clippingPlane${plane.id}`, this.scene);
+        node.metadata = { helper: true };  // Not part of the model (bounds, export)
+
+        const size = this.getExtent() * 2 * CONFIG.clipping.planeSize;
+        const outline = BABYLON.MeshBuilder.CreatePlane(`clippingPlaneOutline${plane.id}`, { size }, this.utilityLayer.utilityLayerScene);
+        outline.bakeTransformIntoVertices(BABYLON.Matrix.RotationX(Math.PI / 2));  // Facing +Y like the anchor
+        outline.rotationQuaternion = BABYLON.Quaternion.Identity();
+        outline.isPickable = false;
+        outline.material = this.getOutlineMaterial();
+
+        this.anchors.set(plane.id, { node, outline });
+        this.updateAnchor(plane);
+    }
+
+    /**
+     * Move a plane's gizmo target and outline to the plane
+     */
+    updateAnchor(plane) {
+        const anchor = this.anchors.get(plane.id);
+        if (!anchor) return;
+
+        const { point, normal } = plane;
+        const rotation = new BABYLON.Quaternion();
+        BABYLON.Quaternion.FromUnitVectorsToRef(BABYLON.Axis.Y, new BABYLON.Vector3(normal.x, normal.y, normal.z), rotation);
+
+        anchor.node.position.set(point.x, point.y, point.z);
+        anchor.node.rotationQuaternion = rotation;
+        anchor.outline.position.set(point.x, point.y, point.z);
+        anchor.outline.rotationQuaternion.copyFrom(rotation);
+    }
+
+    /**
+     * Read a plane back from its gizmo target after a drag
+     */
+    updateFromAnchor(plane) {
+        const anchor = this.anchors.get(plane.id);
+        if (!anchor) return;
+
+        const matrix = anchor.node.computeWorldMatrix(true);
+        const point = anchor.node.getAbsolutePosition();
+        const normal = BABYLON.Vector3.TransformNormal(BABYLON.Axis.Y, matrix).normalize();
+        plane.point = { x: point.x, y: point.y, z: point.z };
+        plane.normal = { x: normal.x, y: normal.y, z: normal.z };
+
+        anchor.outline.position.copyFrom(point);
+        anchor.outline.rotationQuaternion.copyFrom(anchor.node.rotationQuaternion);
+        this.apply();
+    }
+
+    disposeAnchor(id) {
+        const anchor = this.anchors.get(id);
+        if (!anchor) return;
+
+        if (this.gizmoManager) this.gizmoManager.attachToNode(null);
+        anchor.node.dispose();
+        anchor.outline.dispose();
+        this.anchors.delete(id);
+    }
+
+    getOutlineMaterial() {
+        if (!this.outlineMaterial) {
+            const material = new BABYLON.StandardMaterial('clippingPlaneMaterial', this.utilityLayer.utilityLayerScene);
+            material.emissiveColor = BABYLON.Color3.FromHexString(CONFIG.clipping.planeColor);
+            material.disableLighting = true;
+            material.backFaceCulling = false;
+            this.outlineMaterial = material;
+        }
+        return this.outlineMaterial;
+    }
+
+    /**
+     * Attach the gizmo to the selected plane and highlight its outline
+     */
+    updateHelpers() {
+        const selected = this.helpersVisible ? this.anchors.get(this.selectedId) : null;
+
+        if (selected && !this.gizmoManager) {
+            this.gizmoManager = new BABYLON.GizmoManager(this.scene);
+            this.gizmoManager.usePointerToAttachGizmos = false;
+            this.gizmoManager.positionGizmoEnabled = true;
+            this.gizmoManager.rotationGizmoEnabled = true;
+
+            const { positionGizmo, rotationGizmo } = this.gizmoManager.gizmos;
+            const onDrag = () => {
+                const plane = this.get(this.selectedId);
+                if (plane) this.updateFromAnchor(plane);
+            };
+            positionGizmo.onDragObservable.add(onDrag);
+            rotationGizmo.onDragObservable.add(onDrag);
+        }
+        if (this.gizmoManager) {
+            this.gizmoManager.attachToNode(selected ? selected.node : null);
+        }
+
+        const { planeAlpha, selectedPlaneAlpha } = CONFIG.clipping;
+        this.anchors.forEach((anchor, id) => {
+            anchor.outline.isVisible = this.helpersVisible;
+            anchor.outline.visibility = id === this.selectedId ? selectedPlaneAlpha : planeAlpha;
+        });
+    }
+
+    /* ====================================================================
+       CAPS
+       ==================================================================== */
+
+    /**
+     * Create or remove the cap meshes and update the cap shader's planes
+     */
+    updateCaps() {
+        if (!this.scene) return;
+
+        const capped = this.planes.some(plane => plane.capColor);
+        if (!capped) {
+            this.disposeCaps();
+            return;
+        }
+
+        // Caps of disposed models went with them
+        this.caps.forEach((cap, source) => {
+            if (source.isDisposed() || cap.isDisposed()) this.caps.delete(source);
+        });
+        this.getCappableMeshes().forEach(source => {
+            if (!this.caps.has(source)) this.caps.set(source, this.createCap(source));
+        });
+
+        const planes = [], colors = [], flags = [];
+        for (let i = 0; i < CONFIG.clipping.maxPlanes; i++) {
+            const plane = this.planes[i];
+            const babylonPlane = plane ? toBabylonPlane(plane) : null;
+            const color = BABYLON.Color3.FromHexString(plane && plane.capColor ? plane.capColor : '#000000');
+            planes.push(...(babylonPlane ? [babylonPlane.normal.x, babylonPlane.normal.y, babylonPlane.normal.z, babylonPlane.d] : [0, 0, 0, 0]));
+            colors.push(color.r, color.g, color.b);
+            flags.push(plane && plane.capColor ? 1 : 0);
+        }
+        this.capMaterials.forEach(material => {
+            material.setArray4('planes', planes);
+            material.setArray3('colors', colors);
+            material.setFloats('capped', flags);
+            material.setInt('planeCount', this.planes.length);
+        });
+
+        if (!this.capObserver) {
+            this.capObserver = this.scene.onBeforeRenderObservable.add(() => {
+                const camera = this.scene.activeCamera;
+                if (!camera) return;
+                this.capMaterials.forEach(material => material.setVector3('cameraPosition', camera.globalPosition));
+            });
+        }
+    }
+
+    /**
+     * Meshes of the mesh models (splats have no inside to fill); skinned and
+     * morphing meshes are skipped - their caps wouldn't follow the animation
+     */
+    getCappableMeshes() {
+        const registry = this.scene.modelRegistry;
+        if (!registry) return [];
+
+        return registry.items
+            .filter(item => item.type !== 'splat')
+            .flatMap(({ model }) => [model, ...model.getChildMeshes(false)])
+            .filter(mesh => mesh instanceof BABYLON.Mesh && !mesh.isClipCap &&
+                mesh.getTotalVertices() > 0 && !mesh.skeleton && !mesh.morphTargetManager);
+    }
+
+    /**
+     * Back-face copy of a mesh, parented to it so it follows every transform
+     */
+    createCap(source) {
+        const cap = source.clone(`${source.name}_clipCap`, source, true);
+        cap.position.setAll(0);
+        cap.rotationQuaternion = null;
+        cap.rotation.setAll(0);
+        cap.scaling.setAll(1);
+        cap.isPickable = false;
+        cap.isClipCap = true;
+        cap.metadata = { helper: true };
+
+        const sideOrientation = source.material ? source.material.sideOrientation : null;
+        cap.material = this.getCapMaterial(sideOrientation);
+        return cap;
+    }
+
+    /**
+     * Cap material for one winding order (the same as the source material's,
+     * so the same faces count as back faces)
+     */
+    getCapMaterial(sideOrientation) {
+        if (!this.capMaterials.has(sideOrientation)) {
+            BABYLON.Effect.ShadersStore.clipCapVertexShader = CLIP_CAP_SHADERS.vertex;
+            BABYLON.Effect.ShadersStore.clipCapFragmentShader = CLIP_CAP_SHADERS.fragment;
+
+            const material = new BABYLON.ShaderMaterial('clipCapMaterial', this.scene, 'clipCap', {
+                attributes: ['position'],
+                uniforms: ['world', 'viewProjection', 'planes', 'colors', 'capped', 'planeCount', 'cameraPosition']
+            });
+            material.backFaceCulling = true;
+            material.cullBackFaces = false;   // Cull the front faces instead
+            material.zOffset = -1;            // Over double-sided materials' own back faces
+            if (sideOrientation !== null && sideOrientation !== undefined) material.sideOrientation = sideOrientation;
+            this.capMaterials.set(sideOrientation, material);
+        }
+        return this.capMaterials.get(sideOrientation);
+    }
+
+    disposeCaps() {
+        this.caps.forEach(cap => {
+            if (!cap.isDisposed()) cap.dispose();
+        });
+        this.caps.clear();
+        this.capMaterials.forEach(material => material.dispose());
+        this.capMaterials.clear();
+        if (this.capObserver) {
+            this.scene.onBeforeRenderObservable.remove(this.capObserver);
+            this.capObserver = null;
+        }
+    }
+
+    /* ====================================================================
+       SERIALIZATION
+       ==================================================================== */
+
+    /**
+     * Planes for the share URL
+     * @returns {string[]} 'nx,ny,nz,px,py,pz,inverted,capColor' per plane
+     */
+    getPlanesForUrl() {
+        return this.planes.map(({ normal, point, inverted, capColor }) => [
+            ...[normal.x, normal.y, normal.z, point.x, point.y, point.z].map(value => value.toFixed(4)),
+            inverted ? 1 : 0,
+            capColor ? capColor.slice(1) : ''
+        ].join(','));
+    }
+
+    /**
+     * Replace the planes with the 'clip' URL parameters
+     * @param {URLSearchParams} urlParams
+     */
+    applyPlanesFromUrl(urlParams) {
+        const planes = urlParams.getAll('clip').map(value => {
+            const parts = value.split(',');
+            const numbers = parts.slice(0, 6).map(parseFloat);
+            if (numbers.length !== 6 || numbers.some(isNaN)) return null;
+
+            const [nx, ny, nz, px, py, pz] = numbers;
+            return {
+                normal: { x: nx, y: ny, z: nz },
+                point: { x: px, y: py, z: pz },
+                inverted: parts[6] === '1',
+                capColor: parts[7] ? `#${parts[7]}` : null
+            };
+        }).filter(Boolean);
+
+        this.setPlanes(planes);
+        console.log(`Applied ${this.planes.length} clipping planes from URL`);
+    }
+
+    /**
+     * Planes for viewer exports
+     * @returns {Object|null} Null without planes
+     */
+    toJSON() {
+        if (this.planes.length === 0) return null;
+
+        return {
+            planes: this.planes.map(({ normal, point, inverted, capColor }) => ({
+                normal: { ...normal },
+                point: { ...point },
+                inverted,
+                capColor
+            }))
+        };
+    }
+
+    /**
+     * Replace the planes
+     * @param {Object[]} planes - { normal, point, inverted, capColor }
+     */
+    setPlanes(planes) {
+        this.planes.forEach(plane => this.disposeAnchor(plane.id));
+        this.planes = planes
+            .filter(plane => isNormal(plane.normal))
+            .slice(0, CONFIG.clipping.maxPlanes)
+            .map(plane => createPlane(this.nextId++, plane));
+        this.planes.forEach(plane => this.createAnchor(plane));
+        this.selectedId = this.planes.length > 0 ? this.planes[0].id : null;
+        this.apply();
+    }
+
+    dispose() {
+        this.clear();
+        this.disposeCaps();
+        if (this.modelObserver) this.scene.onModelLoadedObservable.remove(this.modelObserver);
+        if (this.registryObserver && this.scene.modelRegistry) {
+            this.scene.modelRegistry.onChangedObservable.remove(this.registryObserver);
+        }
+        this.registryObserver = null;
+
+        if (this.gizmoManager) {
+            this.gizmoManager.dispose();
+            this.gizmoManager = null;
+        }
+        if (this.outlineMaterial) this.outlineMaterial.dispose();
+        this.utilityLayer.dispose();
+
+        this.onChangedObservable.clear();
+        this.scene = null;
+    }
+}
+
+/**
+ * Plane with an id; the normal is normalized and the points are copied
+ */
+function createPlane(id, { point, normal, inverted = false, capColor = null }) {
+    const length = Math.hypot(normal.x, normal.y, normal.z);
+    return {
+        id,
+        point: { x: point.x, y: point.y, z: point.z },
+        normal: { x: normal.x / length, y: normal.y / length, z: normal.z / length },
+        inverted: !!inverted,
+        capColor: isHexColor(capColor) ? capColor : null
+    };
+}
+
+/**
+ * Babylon clip plane: fragments on the normal's side are removed, so the
+ * side the normal points to is cut away (the other one when inverted)
+ */
+function toBabylonPlane({ point, normal, inverted }) {
+    const sign = inverted ? -1 : 1;
+    return BABYLON.Plane.FromPositionAndNormal(
+        new BABYLON.Vector3(point.x, point.y, point.z),
+        new BABYLON.Vector3(normal.x * sign, normal.y * sign, normal.z * sign)
+    );
+}
+
+function isNormal(normal) {
+    return !!normal && ['x', 'y', 'z'].every(key => Number.isFinite(normal[key])) &&
+        Math.hypot(normal.x, normal.y, normal.z) > 0;
+}
+
+function isHexColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+}
@@ -1,313 +1,570 @@
-// js/config.js
-
-/* ========================================================================
-   3D VIEWER CONFIGURATION
-   Centralized configuration for all application settings
-   ======================================================================== */
-
-export const CONFIG = {
-
-    /* ====================================================================
-       APPLICATION SETTINGS
-       ==================================================================== */
-    
-    /**
-     * Default model to load on startup
-     */
-    defaultModelUrl: "https://raw.githubusercontent.com/CedricGuillemet/dump/master/Halo_Believe.splat",
-
-    /**
-     * Model loader settings
-     */
-    modelLoader: {
-        supportedFormats: ['splat', 'ply', 'spz', 'gltf', 'glb', 'obj', 'stl', 'fbx'],
-        
-        defaultFallbackModel: "https://raw.githubusercontent.com/CedricGuillemet/dump/master/Halo_Believe.splat",
-        
-        // Model processing constants
-        defaultNormalizedSize: 2.0,         // Default size for model normalization
-        urlCleanupDelay: 1000               // Delay before cleaning up object URLs (ms)
-    },
-
-    /* ====================================================================
-       RENDERING & ENGINE
-       ==================================================================== */
-
-    /**
-     * Babylon.js engine configuration
-     */
-    engine: {
-        preserveDrawingBuffer: true,
-        stencil: true,
-        disableWebGL2Support: false,
-        antialias: false                    // Use post-processing instead
-    },
-
-    /**
-     * Rendering quality settings
-     */
-    pixelRatio: {
-        mobile: 0.8,                        // Lower for mobile performance
-        pc: 1.2                             // Higher for desktop quality
-    },
-
-    /**
-     * Post-processing effects
-     */
-    postProcessing: {
-        sharpenEnabled: true,
-        sharpenEdgeAmount: 0.62,
-        fxaaEnabled: true,
-        antiAliasing: {
-            type: 'none',                   // 'none', 'fxaa'
-            taaEnabled: false,
-            taaSamples: 64
-        }
-    },
-
-    /**
-     * Scene lighting configuration
-     */
-    lighting: {
-        // Primary HDR environment lighting
-        hdr: {
-            environmentUrl: "https://playground.babylonjs.com/textures/environment.dds",
-            intensity: 1.0,
-            useFillLight: true,
-            fillLightIntensity: 0.1,
-            fillLightColor: [1, 1, 1]
-        },
-        
-        // Fallback lighting (if HDR fails)
-        hemisphere: {
-            intensity: 0.6,
-            diffuse: [1, 1, 1],
-            specular: [0.2, 0.2, 0.2],
-            groundColor: [0.2, 0.2, 0.3]
-        },
-        directional: {
-            intensity: 0.8,
-            direction: [-0.5, -1, -0.5],
-            diffuse: [1, 1, 1],
-            specular: [0.3, 0.3, 0.3]
-        }
-    },
-
-    /* ====================================================================
-       CAMERA CONTROLS
-       ==================================================================== */
-
-    /**
-     * Base camera settings
-     */
-    camera: {
-        // Initial position
-        alpha: -Math.PI / 4,                // Horizontal angle
-        beta: Math.PI / 3,                  // Vertical angle  
-        radius: 4,                          // Distance from target
-        
-        // Clipping planes
-        minZ: 0.02,
-        maxZ: 1000,
-        
-        // Desktop sensitivity
-        angularSensibilityX: 2500,
-        angularSensibilityY: 2500,
-        panningSensibility: 1000,
-        wheelPrecision: 100,
-        panningInertia: 0.6,
-        
-        // Auto-rotation
-        useAutoRotationBehavior: true,
-        autoRotation: {
-            idleRotationWaitTime: 5000,     // Wait before starting (ms)
-            idleRotationSpeed: 0.01,        // Rotation speed
-            idleRotationSpinUpTime: 3000    // Spin-up time (ms)
-        }
-    },
-
-    /**
-     * Mobile camera overrides
-     */
-    mobile: {
-        cameraInertia: 0.3,
-        pinchPrecision: 30,
-        angularSensibilityX: 3000,
-        angularSensibilityY: 3000,
-        panningSensibility: 700,
-        wheelPrecision: 80,
-        minimumPinchDistance: 15,
-        minimumPanDistance: 8,
-        touchActionDelay: 100,
-        gestureStabilityThreshold: 5,
-        inertiaTransitionTime: 150,
-        
-        // Mobile UI timing
-        orientationChangeDelay: 100,        // Delay after orientation change (ms)
-        touchIndicatorDuration: 3000        // Touch indicator display time (ms)
-    },
-
-    /**
-     * Camera movement limits
-     */
-    cameraLimits: {
-        enabled: true,
-        autoCalculateOnLoad: true,
-        
-        // What restrictions to enable by default
-        defaultRestrictions: {
-            zoom: true,
-            vertical: true,
-            horizontal: false,              // Full 360° by default
-            panning: true
-        },
-        
-        // Default limit values
-        defaultLimits: {
-            zoom: {
-                min: 1.0,
-                max: 15.0
-            },
-            vertical: {
-                upLimit: -80,               // Degrees (-90° = straight up)
-                downLimit: 5                // Degrees (90° = straight down)
-            },
-            panning: {
-                maxDistance: 10.0
-            }
-        },
-        
-        // UI configuration
-        ui: {
-            showDegreesInsteadOfRadians: true,
-            defaultHorizontalRestriction: false,
-            defaultPanningRestriction: true,
-            visualFeedback: true,
-            ranges: {
-                zoom: { min: 0.5, max: 30, step: 0.1 },
-                vertical: { min: 0, max: 180, step: 1 },
-                horizontal: { min: -360, max: 360, step: 5 },
-                panning: { min: 1, max: 50, step: 0.5 }
-            }
-        }
-    },
-
-    /* ====================================================================
-       INPUT & GESTURES
-       ==================================================================== */
-
-    /**
-     * Touch and gesture settings
-     */
-    gesture: {
-        doubleTapThreshold: 300,
-        doubleClickThreshold: 300,
-        pinchDebounceThreshold: 80,
-        pinchSensitivity: 0.0003,
-        tapMaxDistance: 10,
-        gestureChangeTimeout: 350,
-        enableGestureExclusivity: true,
-        smoothingFactor: 0.2
-    },
-
-    /* ====================================================================
-       USER INTERFACE
-       ==================================================================== */
-
-    /**
-     * UI update and refresh settings
-     */
-    ui: {
-        updateFrequency: 450,               // UI update frequency (ms)
-        domReadyDelay: 100,                 // Delay for DOM readiness checks (ms)
-        
-        // Touch sensitivity calculation constants
-        sensitivity: {
-            baseAngular: 2500,              // Base value for angular sensitivity calculations
-            basePanning: 1000,              // Base value for panning sensitivity calculations
-            defaultValue: 1.0               // Default sensitivity multiplier
-        },
-        
-        // Toast message timing
-        toast: {
-            showDelay: 10,                  // Delay before showing toast (ms)
-            displayDuration: 3000,          // How long to show toast (ms)
-            hideDelay: 300                  // Delay before hiding toast (ms)
-        },
-        
-        // Device detection timing
-        device: {
-            orientationChangeDelay: 100,    // Delay after orientation change (ms)
-            detectionInitDelay: 100         // Initial detection callback delay (ms)
-        }
-    }
-
-};
-
-/**
- * Setup lighting for GLB/GLTF models
- * GLB models need proper lighting to be visible, unlike splat files which are self-illuminated
- */
-export async function setupLighting(scene) {
-    const lightConfig = CONFIG.lighting;
-    
-    try {
-        // Add HDR environment lighting as primary light source
-        const hdrTexture = new BABYLON.CubeTexture(
-            lightConfig.hdr.environmentUrl,
-            scene
-        );
-        
-        // Set the environment texture for IBL (Image-Based Lighting)
-        scene.environmentTexture = hdrTexture;
-        scene.environmentIntensity = lightConfig.hdr.intensity;
-        
-        // HDR provides lighting and reflections but no visible skybox
-        
-        
-        // Add minimal fill lighting for areas that might be too dark
-        if (lightConfig.hdr.useFillLight) {
-            const fillLight = new BABYLON.HemisphericLight(
-                "fillLight", 
-                new BABYLON.Vector3(0, 1, 0), 
-                scene
-            );
-            fillLight.intensity = lightConfig.hdr.fillLightIntensity;
-            fillLight.diffuse = new BABYLON.Color3(...lightConfig.hdr.fillLightColor);
-            
-        }
-        
-    } catch (error) {
-        console.warn("Failed to load HDR environment, falling back to basic lighting:", error);
-        
-        // Fallback to basic lighting if HDR fails
-        setupBasicLighting(scene, lightConfig);
-    }
-}
-
-/**
- * Fallback basic lighting system
- */
-export function setupBasicLighting(scene, lightConfig) {
-    // Create a hemisphere light for ambient lighting
-    const hemisphereLight = new BABYLON.HemisphericLight(
-        "hemisphereLight", 
-        new BABYLON.Vector3(0, 1, 0), 
-        scene
-    );
-    hemisphereLight.intensity = lightConfig.hemisphere.intensity;
-    hemisphereLight.diffuse = new BABYLON.Color3(...lightConfig.hemisphere.diffuse);
-    hemisphereLight.specular = new BABYLON.Color3(...lightConfig.hemisphere.specular);
-    hemisphereLight.groundColor = new BABYLON.Color3(...lightConfig.hemisphere.groundColor);
-
-    // Create a directional light for key lighting
-    const directionalLight = new BABYLON.DirectionalLight(
-        "directionalLight", 
-        new BABYLON.Vector3(...lightConfig.directional.direction), 
-        scene
-    );
-    directionalLight.intensity = lightConfig.directional.intensity;
-    directionalLight.diffuse = new BABYLON.Color3(...lightConfig.directional.diffuse);
-    directionalLight.specular = new BABYLON.Color3(...lightConfig.directional.specular);
-
+// js/config.js
+
+/* ========================================================================
+   3D VIEWER CONFIGURATION
+   Centralized configuration for all application settings
+   ======================================================================== */
+
+export const CONFIG = {
+
+    /* ====================================================================
+       APPLICATION SETTINGS
+       ==================================================================== */
+    
+    /**
+     * Default model to load on startup
+     */
+    defaultModelUrl: "https://raw.githubusercontent.com/CedricGuillemet/dump/master/Halo_Believe.splat",
+
+    /**
+     * Model loader settings
+     */
+    modelLoader: {
+        supportedFormats: ['splat', 'ply', 'spz', 'gltf', 'glb', 'obj', 'stl', 'fbx'],
+        
+        defaultFallbackModel: "https://raw.githubusercontent.com/CedricGuillemet/dump/master/Halo_Believe.splat",
+        
+        // Model processing constants
+        defaultNormalizedSize: 2.0,         // Default size for model normalization
+        scaleMode: 'normalize',             // 'normalize' (fit to defaultNormalizedSize) or 'native' (keep file units)
+        // Unit of one file unit in native mode (glTF is metres by spec, STL is usually millimetres)
+        nativeUnits: {
+            gltf: 'm', glb: 'm', obj: 'm', fbx: 'cm', stl: 'mm',
+            splat: 'm', ply: 'm', spz: 'm'
+        },
+
+        // Progressive splat loading: .splat / .ply files are shown while they download
+        streaming: {
+            enabled: true,
+            updateInterval: 1000            // Minimum time between partial cloud updates (ms)
+        },
+        worker: {
+            enabled: true,                  // Download and decode in a Web Worker (inline otherwise)
+            filter: {
+                invalid: true,              // Drop splats with non-finite position, scale or rotation
+                transparent: true           // Drop splats with zero opacity
+            }
+        },
+
+        // Format detection for URLs and files without a known extension (formatDetection.js)
+        detection: {
+            sniffBytes: 4096,               // Bytes read to recognise the format
+            // Content-Type hints for files without a signature
+            contentTypes: {
+                'model/gltf-binary': 'glb',
+                'model/gltf+json': 'gltf',
+                'model/obj': 'obj',
+                'model/stl': 'stl',
+                'model/x.stl-binary': 'stl',
+                'model/x.stl-ascii': 'stl',
+                'application/sla': 'stl',
+                'application/vnd.ms-pki.stl': 'stl',
+                'application/ply': 'ply',
+                'model/vnd.fbx': 'fbx'
+            }
+        },
+
+        // Up axis / handedness correction applied at load time
+        orientation: {
+            presets: {
+                'y-up': { label: 'Y-up', rotation: [0, 0, 0], flip: 'y-down' },
+                'y-down': { label: 'Y-down', rotation: [180, 0, 0], flip: 'y-up' },
+                'z-up': { label: 'Z-up', rotation: [-90, 0, 0], flip: 'z-down' },
+                'z-down': { label: 'Z-down', rotation: [90, 0, 0], flip: 'z-up' }
+            },
+            defaultUp: 'y-up',              // Up axis for formats without a default
+            formatDefaults: {
+                ply: 'y-down'               // 3DGS trainer output (COLMAP convention)
+            },
+            rememberPerFile: true           // Reuse the last choice for the same file name
+        }
+    },
+
+    /**
+     * Splat editing (crop box, floater filters) settings
+     */
+    splatEditor: {
+        updateInterval: 150,                // Min delay between visibility rebuilds while dragging (ms)
+        cropBoxColor: '#ffaa00',            // Wireframe color of the crop box
+        cropBoxPadding: 1.02,               // Crop box size relative to the splat bounds when fitted
+
+        // Floater filters (defaults: off)
+        filters: {
+            minOpacity: 0,                  // Hide splats below this opacity (0-1)
+            maxScale: null                  // Hide splats larger than this fraction of the model size
+        },
+
+        // Settings panel slider ranges; the top of the scale range means "off"
+        ui: {
+            ranges: {
+                opacity: { min: 0, max: 1, step: 0.01 },
+                scale: { min: 0.001, max: 0.1, step: 0.001 }
+            }
+        }
+    },
+
+    /**
+     * Splat budget: splats drawn per device class and quality preset
+     * (null = unlimited). Over-budget scans draw their most important splats.
+     */
+    splatBudget: {
+        budgets: {
+            mobile: { low: 300000, medium: 750000, high: 1500000 },
+            tablet: { low: 500000, medium: 1500000, high: 3000000 },
+            desktop: { low: 2000000, medium: 5000000, high: null }
+        }
+    },
+
+    /**
+     * Model transform tools (gizmos, level to ground)
+     */
+    modelTransform: {
+        leveling: {
+            sampleCount: 50000,             // Splats sampled for the floor fit
+            groundBand: [0.02, 0.15],       // Height percentiles treated as floor (low end skips floaters)
+            iterations: 3,                  // Refits as the floor levels out
+            minAngle: 0.001                 // Stop once the floor is within this tilt (radians)
+        }
+    },
+
+    /* ====================================================================
+       RENDERING & ENGINE
+       ==================================================================== */
+
+    /**
+     * Babylon.js engine configuration
+     */
+    engine: {
+        preserveDrawingBuffer: true,
+        stencil: true,
+        disableWebGL2Support: false,
+        antialias: false                    // Use post-processing instead
+    },
+
+    /**
+     * Rendering quality settings
+     */
+    pixelRatio: {
+        mobile: 0.8,                        // Lower for mobile performance
+        pc: 1.2                             // Higher for desktop quality
+    },
+
+    /**
+     * Adaptive quality mode: steps through the levels to hold the target FPS
+     */
+    adaptiveQuality: {
+        targetFps: 45,
+        stepDownBelow: 0.9,                 // Step down below targetFps × this...
+        stepUpAbove: 1.2,                   // ...and up above targetFps × this (the gap is the hysteresis)
+        sampleInterval: 500,                // FPS sampling period (ms)
+        stepDownTime: 2000,                 // Time below the band before stepping down (ms)
+        stepUpTime: 5000,                   // Time above the band before stepping up (ms)
+        maxStepUpTime: 60000,               // stepUpTime doubles up to this after a failed step up (ms)
+        failedStepUpWindow: 10000,          // Stepping down this soon after a step up = failed step up (ms)
+        settleTime: 1500,                   // FPS ignored after a level change (ms)
+        motionScaling: 1.5,                 // Extra hardware scaling while the camera moves
+        idleDelay: 300,                     // Camera still this long = idle (ms)
+
+        // Lowest first; ids matching the quality presets are the starting levels
+        levels: [
+            { id: 'minimum', name: 'Minimum', scaling: 2.0, sharpen: false, fxaa: false, splatBudget: 'low' },
+            { id: 'low', name: 'Low', scaling: 1.5, sharpen: false, fxaa: false, splatBudget: 'low' },
+            { id: 'medium', name: 'Medium', scaling: 1.0, sharpen: true, fxaa: false, splatBudget: 'medium' },
+            { id: 'high', name: 'High', scaling: 0.85, sharpen: true, fxaa: false, splatBudget: 'high' },
+            { id: 'ultra', name: 'Ultra', scaling: 0.7, sharpen: true, fxaa: true, splatBudget: 'high' }
+        ]
+    },
+
+    /**
+     * Post-processing effects
+     */
+    postProcessing: {
+        sharpenEnabled: true,
+        sharpenEdgeAmount: 0.62,
+        fxaaEnabled: true,
+        antiAliasing: {
+            type: 'none',                   // 'none', 'fxaa'
+            taaEnabled: false,
+            taaSamples: 64
+        }
+    },
+
+    /**
+     * Scene lighting configuration
+     */
+    lighting: {
+        // Primary HDR environment lighting
+        hdr: {
+            environmentUrl: "https://playground.babylonjs.com/textures/environment.dds",
+            intensity: 1.0,
+            useFillLight: true,
+            fillLightIntensity: 0.1,
+            fillLightColor: [1, 1, 1]
+        },
+        
+        // Fallback lighting (if HDR fails)
+        hemisphere: {
+            intensity: 0.6,
+            diffuse: [1, 1, 1],
+            specular: [0.2, 0.2, 0.2],
+            groundColor: [0.2, 0.2, 0.3]
+        },
+        directional: {
+            intensity: 0.8,
+            direction: [-0.5, -1, -0.5],
+            diffuse: [1, 1, 1],
+            specular: [0.3, 0.3, 0.3]
+        }
+    },
+
+    /* ====================================================================
+       CAMERA CONTROLS
+       ==================================================================== */
+
+    /**
+     * Base camera settings
+     */
+    camera: {
+        // Initial position
+        alpha: -Math.PI / 4,                // Horizontal angle
+        beta: Math.PI / 3,                  // Vertical angle  
+        radius: 4,                          // Distance from target
+        
+        // Clipping planes
+        minZ: 0.02,
+        maxZ: 1000,
+        
+        // Desktop sensitivity
+        angularSensibilityX: 2500,
+        angularSensibilityY: 2500,
+        panningSensibility: 1000,
+        wheelPrecision: 100,
+        panningInertia: 0.6,
+        
+        // Auto-rotation
+        useAutoRotationBehavior: true,
+        autoRotation: {
+            idleRotationWaitTime: 5000,     // Wait before starting (ms)
+            idleRotationSpeed: 0.01,        // Rotation speed
+            idleRotationSpinUpTime: 3000    // Spin-up time (ms)
+        }
+    },
+
+    /**
+     * Mobile camera overrides
+     */
+    mobile: {
+        cameraInertia: 0.3,
+        pinchPrecision: 30,
+        angularSensibilityX: 3000,
+        angularSensibilityY: 3000,
+        panningSensibility: 700,
+        wheelPrecision: 80,
+        minimumPinchDistance: 15,
+        minimumPanDistance: 8,
+        touchActionDelay: 100,
+        gestureStabilityThreshold: 5,
+        inertiaTransitionTime: 150,
+        
+        // Mobile UI timing
+        orientationChangeDelay: 100,        // Delay after orientation change (ms)
+        touchIndicatorDuration: 3000        // Touch indicator display time (ms)
+    },
+
+    /**
+     * Camera movement limits
+     */
+    cameraLimits: {
+        enabled: true,
+        autoCalculateOnLoad: true,
+        
+        // Limits derived from the model bounding box on load (see CameraLimits.calculateFromModel)
+        autoCalculate: {
+            zoomMinFactor: 0.3,             // Min distance = bounding radius × factor
+            zoomMaxFactor: 5.0,             // Max distance = bounding radius × factor
+            panPadding: 1.25,               // Pan box = bounding box half-size × padding
+            flatSceneRatio: 0.35,           // Height / footprint below which the model is a ground-like scene
+            upLimit: -80,                   // Degrees, same convention as defaultLimits.vertical
+            sceneDownLimit: 0,              // Flat scenes: stay above the horizon
+            objectDownLimit: 45             // Compact objects: allow looking from below
+        },
+        
+        // What restrictions to enable by default
+        defaultRestrictions: {
+            zoom: true,
+            vertical: true,
+            horizontal: false,              // Full 360° by default
+            panning: true,
+            panArea: true                   // Keep the camera target inside the pan volume
+        },
+        
+        // Default limit values
+        defaultLimits: {
+            zoom: {
+                min: 1.0,
+                max: 15.0
+            },
+            vertical: {
+                upLimit: -80,               // Degrees (-90° = straight up)
+                downLimit: 5                // Degrees (90° = straight down)
+            },
+            panning: {
+                maxDistance: 10.0,          // Sphere radius / box half-size around the origin
+                shape: 'sphere'             // 'sphere' or 'box'
+            }
+        },
+        
+        // UI configuration
+        ui: {
+            showDegreesInsteadOfRadians: true,
+            defaultHorizontalRestriction: false,
+            defaultPanningRestriction: true,
+            visualFeedback: true,
+            ranges: {
+                zoom: { min: 0.5, max: 30, step: 0.1 },
+                vertical: { min: 0, max: 180, step: 1 },
+                horizontal: { min: -360, max: 360, step: 5 },
+                panning: { min: 1, max: 50, step: 0.5 }
+            }
+        }
+    },
+
+    /**
+     * Saved camera views (bookmarks)
+     */
+    cameraBookmarks: {
+        flyDuration: 45,                    // Frames at 30 fps
+        defaultName: 'View'                 // Numbered: "View 1", "View 2", ...
+    },
+
+    /**
+     * Guided camera tours (keyframed fly-throughs)
+     */
+    cameraTour: {
+        defaultDuration: 3,                 // Seconds for the move into a new keyframe
+        defaultEasing: 'easeInOut',         // 'linear', 'easeIn', 'easeOut', 'easeInOut'
+        kioskResumeDelay: 8000              // Kiosk mode: resume after user interaction (ms)
+    },
+
+    /**
+     * Viewport recording (WebM video / PNG sequence)
+     */
+    recording: {
+        resolutions: [[1280, 720], [1920, 1080], [3840, 2160]],
+        defaultResolution: 1,               // Index into resolutions
+        frameRates: [24, 30, 60],
+        defaultFrameRate: 30,
+        orbitDuration: 10,                  // Seconds for a 360° orbit
+        videoBitrate: 12000000,             // bits/s
+        videoMimeTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']  // First supported wins
+    },
+
+    /**
+     * High-resolution screenshots
+     */
+    screenshot: {
+        // Output sizes: a multiple of the canvas size or a fixed resolution
+        presets: [
+            { id: 'x1', label: 'Canvas size', scale: 1 },
+            { id: 'x2', label: '2× canvas', scale: 2 },
+            { id: 'x4', label: '4× canvas', scale: 4 },
+            { id: 'fhd', label: '1920 × 1080 (Full HD)', width: 1920, height: 1080 },
+            { id: '4k', label: '3840 × 2160 (4K)', width: 3840, height: 2160 }
+        ],
+        defaultPreset: 'x2',
+        formats: {
+            png: 'image/png',
+            jpeg: 'image/jpeg',
+            webp: 'image/webp'
+        },
+        quality: 0.92,                      // JPEG / WebP quality (0-1)
+        // Frames rendered after a camera jump before a batch capture, so the
+        // splat depth sort (computed in a worker) catches up with the view
+        splatSortFrames: { min: 2, max: 30 }
+    },
+
+    /**
+     * Turntable batches (product shots around the model)
+     */
+    turntable: {
+        defaultSteps: 24,                   // Images per full turn
+        defaultElevation: 15,               // Degrees above the horizon
+        ui: {
+            ranges: {
+                steps: { min: 4, max: 72, step: 1 },
+                elevation: { min: -45, max: 85, step: 1 }
+            }
+        }
+    },
+
+    /**
+     * Point-to-point measurements
+     */
+    measurement: {
+        lineColor: '#ffc107',
+        draftColor: '#ffffff',              // Measurement still being placed
+        decimals: 3,                        // Shown lengths
+        defaultName: 'Measurement',         // Numbered: "Measurement 1", ...
+        units: { mm: 0.001, cm: 0.01, m: 1, in: 0.0254 },  // Metres per unit
+        defaultUnit: 'm',
+        sceneUnitLabel: 'units'             // Lengths of normalized, uncalibrated scenes
+    },
+
+    /**
+     * Annotations pinned to 3D points
+     */
+    annotations: {
+        defaultTitle: 'Annotation',         // Numbered: "Annotation 1", ...
+        flyDuration: 45,                    // Frames at 30 fps
+        occlusionInterval: 100              // ms between occlusion checks (one marker per check, in turn)
+    },
+
+    /**
+     * Clipping planes and section caps
+     */
+    clipping: {
+        maxPlanes: 6,                       // Babylon.js scene clip plane slots
+        planeColor: '#00bcd4',              // Plane outline shown with the gizmo
+        planeAlpha: 0.12,
+        selectedPlaneAlpha: 0.3,
+        planeSize: 1.2,                     // Relative to the model bounds' diagonal
+        defaultCapColor: '#e53935'
+    },
+
+    /* ====================================================================
+       INPUT & GESTURES
+       ==================================================================== */
+
+    /**
+     * Touch and gesture settings
+     */
+    gesture: {
+        doubleTapThreshold: 300,
+        doubleClickThreshold: 300,
+        pinchDebounceThreshold: 80,
+        pinchSensitivity: 0.0003,
+        tapMaxDistance: 10,
+        gestureChangeTimeout: 350,
+        enableGestureExclusivity: true,
+        smoothingFactor: 0.2
+    },
+
+    /**
+     * Picking (double-click centring, measurements, annotations)
+     */
+    picking: {
+        splatPickRadius: 4,                 // Pixels around the pointer a splat may cover to be picked
+        splatMinOpacity: 0.3,               // Fainter splats (0-1) are looked through
+        occlusionMargin: 0.02               // Hits this close to a point (fraction of its distance) don't hide it
+    },
+
+    /* ====================================================================
+       USER INTERFACE
+       ==================================================================== */
+
+    /**
+     * UI update and refresh settings
+     */
+    ui: {
+        updateFrequency: 450,               // UI update frequency (ms)
+        domReadyDelay: 100,                 // Delay for DOM readiness checks (ms)
+        
+        // Touch sensitivity calculation constants
+        sensitivity: {
+            baseAngular: 2500,              // Base value for angular sensitivity calculations
+            basePanning: 1000,              // Base value for panning sensitivity calculations
+            defaultValue: 1.0               // Default sensitivity multiplier
+        },
+        
+        // Toast message timing
+        toast: {
+            showDelay: 10,                  // Delay before showing toast (ms)
+            displayDuration: 3000,          // How long to show toast (ms)
+            hideDelay: 300                  // Delay before hiding toast (ms)
+        },
+        
+        // Device detection timing
+        device: {
+            orientationChangeDelay: 100,    // Delay after orientation change (ms)
+            detectionInitDelay: 100         // Initial detection callback delay (ms)
+        }
+    },
+
+    /**
+     * Persisted viewer settings (localStorage)
+     */
+    settings: {
+        storageKey: 'babylonjs_viewer_settings',
+        saveDelay: 250,                     // Debounce for slider drags (ms)
+        restoreLastModel: true              // Reopen the last model URL when no 'model' param is given
+    }
+
+};
+
+/**
+ * Setup lighting for GLB/GLTF models
+ * GLB models need proper lighting to be visible, unlike splat files which are self-illuminated
+ */
+export async function setupLighting(scene) {
+    const lightConfig = CONFIG.lighting;
+    
+    try {
+        // Add HDR environment lighting as primary light source
+        const hdrTexture = new BABYLON.CubeTexture(
+            lightConfig.hdr.environmentUrl,
+            scene
+        );
+        
+        // Set the environment texture for IBL (Image-Based Lighting)
+        scene.environmentTexture = hdrTexture;
+        scene.environmentIntensity = lightConfig.hdr.intensity;
+        
+        // HDR provides lighting and reflections but no visible skybox
+        
+        
+        // Add minimal fill lighting for areas that might be too dark
+        if (lightConfig.hdr.useFillLight) {
+            const fillLight = new BABYLON.HemisphericLight(
+                "fillLight", 
+                new BABYLON.Vector3(0, 1, 0), 
+                scene
+            );
+            fillLight.intensity = lightConfig.hdr.fillLightIntensity;
+            fillLight.diffuse = new BABYLON.Color3(...lightConfig.hdr.fillLightColor);
+            
+        }
+        
+    } catch (error) {
+        console.warn("Failed to load HDR environment, falling back to basic lighting:", error);
+        
+        // Fallback to basic lighting if HDR fails
+        setupBasicLighting(scene, lightConfig);
+    }
+}
+
+/**
+ * Fallback basic lighting system
+ */
+export function setupBasicLighting(scene, lightConfig) {
+    // Create a hemisphere light for ambient lighting
+    const hemisphereLight = new BABYLON.HemisphericLight(
+        "hemisphereLight", 
+        new BABYLON.Vector3(0, 1, 0), 
+        scene
+    );
+    hemisphereLight.intensity = lightConfig.hemisphere.intensity;
+    hemisphereLight.diffuse = new BABYLON.Color3(...lightConfig.hemisphere.diffuse);
+    hemisphereLight.specular = new BABYLON.Color3(...lightConfig.hemisphere.specular);
+    hemisphereLight.groundColor = new BABYLON.Color3(...lightConfig.hemisphere.groundColor);
+
+    // Create a directional light for key lighting
+    const directionalLight = new BABYLON.DirectionalLight(
+        "directionalLight", 
+        new BABYLON.Vector3(...lightConfig.directional.direction), 
+        scene
+    );
+    directionalLight.intensity = lightConfig.directional.intensity;
+    directionalLight.diffuse = new BABYLON.Color3(...lightConfig.directional.diffuse);
+    directionalLight.specular = new BABYLON.Color3(...lightConfig.directional.specular);
+
 };
\ No newline at end of file
@@ -19,6 +19,13 @@
    - Camera state and settings preservation
    - Post-processing configuration export
    - Camera limits export for constrained navigation
+   - Cropped/filtered splat export (only the kept splats are embedded)
+   - Multi-model scenes (every model with its transform and visibility)
+   - Saved camera views as hotspot buttons
+   - Measurements drawn with their length labels, plus the scene's units
+   - Annotations as numbered markers with their notes
+   - Clipping planes with their section caps
+   - Guided camera tour with a play button (autoplays in kiosk mode)
    - Multiple format support (HTML, ZIP)
    
    DEPENDENCIES:
@@ -33,6 +40,9 @@ import { CONFIG } from '../config.js';
 import { WindowEvents, ErrorMessages } from '../helpers.js';
 import { showToast } from '../ui/components/toast.js';
 import { EXPORT_CONFIG, EXPORT_TEMPLATES, EXPORT_UTILS } from './exportConfig.js';
+import { writeSplat } from '../splat/splatWriter.js';
+import { formatOrientation } from '../modelOrientation.js';
+import { getModelScaleMode } from '../modelLoader.js';
 
 /**
  * ViewerExporter - Creates self-contained HTML or ZIP packages of the viewer
@@ -74,15 +84,38 @@ export class ViewerExporter {
      * Gather all data needed for export
      */
     async gatherExportData() {
+        const models = await this.getModelsData();
+
         return {
             // Current camera state
             cameraState: this.getCameraState(),
             
+            // Saved views, shown as hotspot buttons
+            bookmarks: this.getBookmarks(),
+            
+            // Camera tour, played from a button (null without one)
+            tour: this.getTour(),
+            
+            // Measurements with their labels (null without any)
+            measurements: this.scene.measurementTool ? this.scene.measurementTool.toJSON() : null,
+            
+            // Annotations pinned to the model (null without any)
+            annotations: this.scene.annotations ? this.scene.annotations.toJSON() : null,
+            
+            // Clipping planes (null without any)
+            clipping: this.scene.clippingPlanes ? this.scene.clippingPlanes.toJSON() : null,
+            
+            // Scale mode and real-world units of the scene
+            units: this.getUnits(),
+            
             // Current settings
             settings: this.getCurrentSettings(),
             
-            // Model data
-            modelData: await this.getModelData(),
+            // Every model in the scene (data embedded per model)
+            models,
+            
+            // Summary of the primary model for the info banner and README
+            modelData: this.getModelSummary(models),
             
             // Camera limits if enabled
             cameraLimits: this.getCameraLimits(),
@@ -90,6 +123,9 @@ export class ViewerExporter {
             // Post-processing settings
             postProcessing: this.getPostProcessingSettings(),
             
+            // Splat floater filters (already baked into edited splat model data)
+            splatFilters: this.getSplatFilters(),
+            
             // Timestamp and metadata
             metadata: {
                 exportDate: new Date().toISOString(),
@@ -120,6 +156,44 @@ export class ViewerExporter {
         };
     }
 
+    /**
+     * Get the saved camera views
+     */
+    getBookmarks() {
+        const bookmarks = this.scene.cameraBookmarks;
+        if (!bookmarks) return [];
+        
+        return bookmarks.bookmarks.map(({ name, alpha, beta, radius, target, fov }) => ({
+            name, alpha, beta, radius, target: { ...target }, fov
+        }));
+    }
+
+    /**
+     * Get the camera tour (needs at least two keyframes)
+     */
+    getTour() {
+        const tour = this.scene.cameraTour;
+        if (!tour || tour.keyframes.length < 2) return null;
+        
+        return {
+            ...tour.toJSON(),
+            autoplay: tour.kiosk,
+            resumeDelay: CONFIG.cameraTour.kioskResumeDelay
+        };
+    }
+
+    /**
+     * Get the scale mode and display unit; metersPerUnit is null while the
+     * scene is normalized and uncalibrated
+     */
+    getUnits() {
+        const tool = this.scene.measurementTool;
+        return {
+            scaleMode: getModelScaleMode(),
+            ...(tool ? tool.getUnits() : { unit: CONFIG.measurement.defaultUnit, metersPerUnit: null })
+        };
+    }
+
     /**
      * Get current settings
      */
@@ -132,6 +206,105 @@ export class ViewerExporter {
         };
     }
 
+    /**
+     * Get data for every registered model. Falls back to the single current
+     * model when there is no registry.
+     */
+    async getModelsData() {
+        const registry = this.scene.modelRegistry;
+        if (!registry || registry.items.length === 0) {
+            const modelData = await this.getModelData();
+            return modelData ? [{ name: 'Model', visible: true, transform: null, ...modelData }] : [];
+        }
+
+        const models = [];
+        for (const item of registry.items) {
+            models.push({
+                name: item.name,
+                visible: item.visible,
+                // Mesh transforms are baked into the exported GLB; both include the orientation
+                transform: item.type === 'splat' ? this.getTransform(item.model) : null,
+                orientation: formatOrientation(item.orientation),
+                ...await this.getItemData(item)
+            });
+        }
+        return models;
+    }
+
+    /**
+     * Get data for one registry entry - edited splats are re-encoded, other
+     * splats are fetched from their source URL and meshes are serialized to GLB
+     */
+    async getItemData(item) {
+        const { model, type, url } = item;
+        const editState = model.splatEditState;
+
+        if (type === 'splat' && model.splatData && editState && editState.visibleIndices) {
+            const blob = new Blob([writeSplat(model.splatData, editState.visibleIndices)], { type: 'application/octet-stream' });
+            return {
+                type,
+                format: 'splat',
+                data: await EXPORT_UTILS.blobToBase64(blob),
+                size: blob.size,
+                url,
+                edited: true
+            };
+        }
+
+        if (type === 'splat' && url) {
+            try {
+                const response = await fetch(url);
+                const blob = await response.blob();
+                return {
+                    type,
+                    format: item.format || EXPORT_UTILS.getModelFormat(url),
+                    data: await EXPORT_UTILS.blobToBase64(blob),
+                    size: blob.size,
+                    url
+                };
+            } catch (error) {
+                console.error(ErrorMessages.MODEL.FETCH_FAILED, error);
+                return { type, format: 'unknown', data: null, fallbackUrl: url };
+            }
+        }
+
+        const serialized = await this.serializeMeshModel(model);
+        return {
+            type: 'mesh',
+            format: 'glb',
+            data: serialized,
+            size: serialized ? serialized.length : 0
+        };
+    }
+
+    /**
+     * Local transform of a model root
+     */
+    getTransform(model) {
+        const rotation = model.rotationQuaternion
+            || BABYLON.Quaternion.FromEulerVector(model.rotation);
+
+        return {
+            position: model.position.asArray(),
+            rotation: rotation.asArray(),
+            scaling: model.scaling.asArray()
+        };
+    }
+
+    /**
+     * Summary of the primary (first) model plus totals, without the embedded data
+     */
+    getModelSummary(models) {
+        if (models.length === 0) return null;
+
+        const { data, ...primary } = models[0];
+        return {
+            ...primary,
+            size: models.reduce((total, model) => total + (model.size || 0), 0),
+            modelCount: models.length
+        };
+    }
+
     /**
      * Get model data - either as base64 or blob URL
      */
@@ -144,6 +317,22 @@ export class ViewerExporter {
             throw new Error(ErrorMessages.MODEL.NO_MODEL_TO_EXPORT);
         }
 
+        // Cropped/filtered splats ship only the kept splats, re-encoded as .splat
+        const splatEditor = this.scene.splatEditor;
+        if (modelType === 'splat' && splatEditor && splatEditor.hasEdits()) {
+            const blob = splatEditor.getEditedBlob('splat');
+            const base64 = await EXPORT_UTILS.blobToBase64(blob);
+
+            return {
+                type: modelType,
+                format: 'splat',
+                data: base64,
+                size: blob.size,
+                url: modelUrl,
+                edited: true
+            };
+        }
+
         // For splat/ply models, we need to fetch the original data
         if (modelType === 'splat' && modelUrl) {
             try {
@@ -192,6 +381,15 @@ export class ViewerExporter {
         return this.scene.cameraLimits.getLimitsForUrl();
     }
 
+    /**
+     * Get splat floater filter settings
+     */
+    getSplatFilters() {
+        if (!this.scene.splatEditor || this.scene.currentModelType !== 'splat') return null;
+        
+        return { ...this.scene.splatEditor.filters };
+    }
+
     /**
      * Get post-processing settings
      */
@@ -227,32 +425,35 @@ export class ViewerExporter {
         // Fetch current CSS
         const cssContent = await this.fetchAndInlineCSS();
         
-        const modelData = exportData.modelData || { format: 'Unknown', size: 0 };
-        const modelDataUrl = modelData.data
-        ? `data:application/octet-stream;base64,${modelData.data}`
-        : (modelData.fallbackUrl || '');
-
-        return EXPORT_TEMPLATES.generateSelfContainedHTML(exportData, cssContent, modelDataUrl);
+        return EXPORT_TEMPLATES.generateSelfContainedHTML(exportData, cssContent);
     }
 
     /**
      * Export as ZIP package with separate files
      */
     async exportAsZip(exportData) {
-        // Check if JSZip is available
-        if (!window.JSZip) {
-            await EXPORT_UTILS.loadExternalLibrary(EXPORT_CONFIG.cdn.jszip);
-        }
-        
+        const JSZip = await EXPORT_UTILS.loadJSZip();
         const zip = new JSZip();
         
+        // Models become separate files; the config references them by name
+        const models = exportData.models.map((model, index) => {
+            const { data, ...entry } = model;
+            if (!data) return entry;
+            
+            const fileName = index === 0 ? `model.${model.format}` : `model_${index}.${model.format}`;
+            zip.file(fileName, EXPORT_UTILS.base64ToBlob(data));
+            return { ...entry, file: fileName };
+        });
+        exportData = { ...exportData, models };
+        
         // Add HTML file
         const htmlContent = EXPORT_TEMPLATES.generateModularHTML(exportData);
         zip.file("index.html", htmlContent);
         
         // Add CSS file
+        // Viewer styles plus the export overlays (info banner, saved views)
         const cssContent = await this.fetchAndInlineCSS();
-        zip.file("styles.css", cssContent);
+        zip.file("styles.css", cssContent + EXPORT_TEMPLATES.getExportSpecificCSS());
         
         // Add JavaScript files
         const jsContent = EXPORT_TEMPLATES.generateModularJS(exportData);
@@ -261,13 +462,6 @@ export class ViewerExporter {
         // Add config file
         zip.file("config.json", JSON.stringify(exportData, null, 2));
         
-        // Add model file if it exists
-        if (exportData.modelData.data) {
-            const modelBlob = EXPORT_UTILS.base64ToBlob(exportData.modelData.data);
-            const modelFileName = `model.${exportData.modelData.format}`;
-            zip.file(modelFileName, modelBlob);
-        }
-        
         // Add README
         const readmeContent = EXPORT_TEMPLATES.generateReadme(exportData);
         zip.file("README.md", readmeContent);
@@ -316,12 +510,15 @@ export class ViewerExporter {
 
 
     /**
-     * Utility: Serialize mesh model to GLB
+     * Utility: Serialize mesh model to GLB (only this model's hierarchy)
      */
     async serializeMeshModel(mesh) {
         // Use Babylon's GLTF2Export if available
         if (BABYLON.GLTF2Export) {
-            const gltf = await BABYLON.GLTF2Export.GLBAsync(this.scene, "exportedModel");
+            const gltf = await BABYLON.GLTF2Export.GLBAsync(this.scene, "exportedModel", {
+                shouldExportNode: (node) => (node === mesh || node.isDescendantOf(mesh))
+                    && !(node.metadata && node.metadata.helper)
+            });
             return await EXPORT_UTILS.blobToBase64(gltf.glTFFiles["exportedModel.glb"]);
         }
         
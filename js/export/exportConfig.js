@@ -1,591 +1,1201 @@
-/* ========================================================================
-   3D VIEWER - EXPORT CONFIGURATION & UTILITIES
-   ========================================================================
-   
-   PURPOSE:
-   Centralized configuration and utility functions for the export system.
-   Contains export templates, size estimation, format handling, and
-   generation utilities used by ViewerExporter.
-   
-   EXPORTS:
-   - EXPORT_CONFIG - Export system configuration constants
-   - EXPORT_TEMPLATES - HTML/CSS/JS templates for exported viewers
-   - EXPORT_UTILS - Utility functions for export operations
-   
-   FEATURES:
-   - Export format configuration and size limits
-   - HTML/CSS/JS template generation for standalone viewers
-   - File size estimation and format detection
-   - CDN URLs and library dependencies
-   - Compression and optimization settings
-   
-   ======================================================================== */
-
-/**
- * Export system configuration constants
- */
-export const EXPORT_CONFIG = {
-    // File size limits (in bytes)
-    maxFileSizes: {
-        html: 50 * 1024 * 1024,    // 50MB for single HTML file
-        zip: 100 * 1024 * 1024,    // 100MB for ZIP package
-        model: 25 * 1024 * 1024     // 25MB for individual model files
-    },
-
-    // Supported export formats
-    formats: {
-        html: {
-            name: 'Single HTML',
-            description: 'Self-contained file',
-            icon: '📄',
-            extension: '.html'
-        },
-        zip: {
-            name: 'ZIP Package',
-            description: 'Organized files for editing',
-            icon: '📦',
-            extension: '.zip'
-        }
-    },
-
-    // CDN URLs for external libraries
-    cdn: {
-        babylon: 'https://cdn.babylonjs.com/babylon.js',
-        babylonLoaders: 'https://cdn.babylonjs.com/loaders/babylonjs.loaders.min.js',
-        gaussianSplatting: 'https://cdn.jsdelivr.net/gh/CedricGuillemet/GaussianSplatRendering@latest/js/GaussianSplattingMesh.js',
-        jszip: 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js'
-    },
-
-    // Compression settings for ZIP export
-    compression: {
-        level: 6,
-        algorithm: 'DEFLATE'
-    },
-
-    // Export metadata
-    metadata: {
-        version: '1.0.0',
-        generatedBy: '3D Viewer Export System'
-    }
-};
-
-/**
- * HTML templates for exported viewers
- */
-export const EXPORT_TEMPLATES = {
-    /**
-     * Generate self-contained HTML template
-     */
-    generateSelfContainedHTML: (exportData, cssContent, modelDataUrl) => `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="utf-8" />
-    <title>3D Viewer - Exported ${new Date().toLocaleDateString()}</title>
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <style>
-        /* Reset and Base Styles */
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        html, body { width: 100%; height: 100%; overflow: hidden; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
-        #renderCanvas { width: 100%; height: 100%; touch-action: none; outline: none; }
-        
-        /* Embedded CSS */
-        ${cssContent}
-        
-        /* Export-specific styles */
-        ${EXPORT_TEMPLATES.getExportSpecificCSS()}
-    </style>
-</head>
-<body>
-    <canvas id="renderCanvas"></canvas>
-    
-    <!-- Export Info -->
-    ${EXPORT_TEMPLATES.generateExportInfo(exportData)}
-    
-    <!-- Loading Overlay -->
-    ${EXPORT_TEMPLATES.generateLoadingOverlay()}
-
-    <!-- External Libraries -->
-    <script src="${EXPORT_CONFIG.cdn.babylon}"></script>
-    <script src="${EXPORT_CONFIG.cdn.babylonLoaders}"></script>
-    <script src="${EXPORT_CONFIG.cdn.gaussianSplatting}"></script>
-
-    <!-- Embedded Viewer Script -->
-    <script>
-        // Embedded export data
-        const EXPORT_DATA = ${JSON.stringify(exportData)};
-        
-        // Embedded model data URL
-        const MODEL_DATA_URL = "${modelDataUrl}";
-        
-        // Initialize viewer when DOM is ready
-        document.addEventListener('DOMContentLoaded', function() {
-            initializeExportedViewer();
-        });
-        
-        ${EXPORT_TEMPLATES.generateViewerScript()}
-    </script>
-</body>
-</html>`,
-
-    /**
-     * Generate modular HTML for ZIP export
-     */
-    generateModularHTML: (exportData) => `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="utf-8" />
-    <title>3D Viewer - Exported</title>
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <link rel="stylesheet" href="styles.css">
-</head>
-<body>
-    <canvas id="renderCanvas"></canvas>
-    
-    ${EXPORT_TEMPLATES.generateExportInfo(exportData, true)}
-    ${EXPORT_TEMPLATES.generateLoadingOverlay()}
-
-    <script src="${EXPORT_CONFIG.cdn.babylon}"></script>
-    <script src="${EXPORT_CONFIG.cdn.babylonLoaders}"></script>
-    <script src="${EXPORT_CONFIG.cdn.gaussianSplatting}"></script>
-    <script src="viewer.js"></script>
-</body>
-</html>`,
-
-    /**
-     * Generate modular JavaScript for ZIP export
-     */
-    generateModularJS: (exportData) => `// Exported Viewer Configuration
-const CONFIG = ${JSON.stringify(exportData, null, 2)};
-
-// Initialize viewer when DOM is ready
-document.addEventListener('DOMContentLoaded', function() {
-    initializeViewer();
-});
-
-async function initializeViewer() {
-    const canvas = document.getElementById("renderCanvas");
-    const engine = new BABYLON.Engine(canvas, true);
-    const scene = new BABYLON.Scene(engine);
-    
-    // Setup camera
-    const camera = new BABYLON.ArcRotateCamera(
-        "Camera",
-        CONFIG.cameraState.alpha,
-        CONFIG.cameraState.beta,
-        CONFIG.cameraState.radius,
-        new BABYLON.Vector3(
-            CONFIG.cameraState.target.x,
-            CONFIG.cameraState.target.y,
-            CONFIG.cameraState.target.z
-        ),
-        scene
-    );
-    camera.attachControl(canvas, true);
-    
-    // Load model
-    const modelPath = './model.' + CONFIG.modelData.format;
-    
-    if (CONFIG.modelData.type === 'splat') {
-        const splatMesh = new BABYLON.GaussianSplattingMesh("model", null, scene);
-        await splatMesh.loadFileAsync(modelPath);
-    } else {
-        await BABYLON.SceneLoader.ImportMeshAsync("", "./", modelPath, scene);
-    }
-    
-    // Hide loading overlay
-    document.getElementById('loadingOverlay').style.display = 'none';
-    
-    // Start render loop
-    engine.runRenderLoop(() => scene.render());
-    
-    // Handle resize
-    window.addEventListener("resize", () => engine.resize());
-}`,
-
-    /**
-     * Generate export-specific CSS styles
-     */
-    getExportSpecificCSS: () => `
-        /* Export Info Banner */
-        .export-info {
-            position: fixed;
-            top: 10px;
-            left: 10px;
-            background: rgba(30, 30, 30, 0.9);
-            color: white;
-            padding: 10px 15px;
-            border-radius: 8px;
-            font-size: 12px;
-            z-index: 1000;
-            backdrop-filter: blur(10px);
-        }
-        
-        .export-info-title {
-            font-weight: bold;
-            margin-bottom: 5px;
-            color: #2196f3;
-        }
-        
-        .export-info-detail {
-            opacity: 0.8;
-            margin: 2px 0;
-        }
-        
-        /* Loading Overlay */
-        .loading-overlay {
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0, 0, 0, 0.8);
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            z-index: 9999;
-        }
-        
-        .loading-content {
-            text-align: center;
-            color: white;
-        }
-        
-        .loading-spinner {
-            border: 3px solid rgba(255, 255, 255, 0.3);
-            border-top: 3px solid white;
-            border-radius: 50%;
-            width: 40px;
-            height: 40px;
-            animation: spin 1s linear infinite;
-            margin: 0 auto 20px;
-        }
-        
-        @keyframes spin {
-            0% { transform: rotate(0deg); }
-            100% { transform: rotate(360deg); }
-        }`,
-
-    /**
-     * Generate export info banner
-     */
-    generateExportInfo: (exportData, isModular = false) => {
-        const modelData = exportData.modelData || { format: 'Unknown', size: 0 };
-        return `<div class="export-info">
-        <div class="export-info-title">Exported Viewer</div>
-        <div class="export-info-detail">Date: ${new Date().toLocaleDateString()}</div>
-        <div class="export-info-detail">Model: ${modelData.format}</div>
-        <div class="export-info-detail">Size: ${EXPORT_UTILS.formatFileSize(modelData.size || 0)}</div>
-        ${isModular ? '<div class="export-info-detail">Check README.md for details</div>' : ''}
-    </div>`;
-    },
-
-    /**
-     * Generate loading overlay
-     */
-    generateLoadingOverlay: () => `<div class="loading-overlay" id="loadingOverlay">
-        <div class="loading-content">
-            <div class="loading-spinner"></div>
-            <div>Loading 3D Model...</div>
-        </div>
-    </div>`,
-
-    /**
-     * Generate main viewer script
-     */
-    generateViewerScript: () => `
-        async function initializeExportedViewer() {
-            const canvas = document.getElementById("renderCanvas");
-            const engine = new BABYLON.Engine(canvas, true, {
-                preserveDrawingBuffer: true,
-                stencil: true,
-                antialias: false
-            });
-            
-            const scene = new BABYLON.Scene(engine);
-            scene.clearColor = new BABYLON.Color3(0.1, 0.1, 0.1);
-            
-            // Setup camera with exported state
-            const camera = new BABYLON.ArcRotateCamera(
-                "Camera",
-                EXPORT_DATA.cameraState.alpha,
-                EXPORT_DATA.cameraState.beta,
-                EXPORT_DATA.cameraState.radius,
-                new BABYLON.Vector3(
-                    EXPORT_DATA.cameraState.target.x,
-                    EXPORT_DATA.cameraState.target.y,
-                    EXPORT_DATA.cameraState.target.z
-                ),
-                scene
-            );
-            camera.attachControl(canvas, true);
-            camera.minZ = EXPORT_DATA.cameraState.minZ;
-            camera.maxZ = EXPORT_DATA.cameraState.maxZ;
-            
-            // Apply camera limits if they exist
-            if (EXPORT_DATA.cameraLimits) {
-                applyCameraLimits(camera, EXPORT_DATA.cameraLimits);
-            }
-            
-            // Setup lighting
-            const light = new BABYLON.HemisphericLight("light", new BABYLON.Vector3(0, 1, 0), scene);
-            light.intensity = 0.7;
-            
-            // Load model
-            try {
-                await loadExportedModel(scene, EXPORT_DATA.modelData);
-                
-                // Apply post-processing if enabled
-                if (EXPORT_DATA.postProcessing) {
-                    applyPostProcessing(scene, camera, EXPORT_DATA.postProcessing);
-                }
-                
-                // Hide loading overlay
-                document.getElementById('loadingOverlay').style.display = 'none';
-                
-            } catch (error) {
-                console.error('Failed to load model:', error);
-                document.getElementById('loadingOverlay').innerHTML = 
-                    '<div style="color: red;">Failed to load model: ' + error.message + '</div>';
-            }
-            
-            // Setup auto-rotation if enabled
-            if (EXPORT_DATA.settings.autoRotation) {
-                camera.useAutoRotationBehavior = true;
-                camera.autoRotationBehavior.idleRotationWaitTime = 5000;
-                camera.autoRotationBehavior.idleRotationSpeed = 0.01;
-            }
-            
-            // Apply quality settings
-            engine.setHardwareScalingLevel(EXPORT_DATA.settings.hardwareScaling);
-            
-            // Start render loop
-            engine.runRenderLoop(() => {
-                scene.render();
-            });
-            
-            // Handle resize
-            window.addEventListener("resize", () => engine.resize());
-        }
-        
-        async function loadExportedModel(scene, modelData) {
-            if (modelData.type === 'splat') {
-                // Load Gaussian Splatting model
-                const splatMesh = new BABYLON.GaussianSplattingMesh("exportedModel", null, scene);
-                
-                if (modelData.data) {
-                    // Convert base64 to blob
-                    const response = await fetch(MODEL_DATA_URL);
-                    const blob = await response.blob();
-                    const url = URL.createObjectURL(blob);
-                    await splatMesh.loadFileAsync(url);
-                } else if (modelData.fallbackUrl) {
-                    await splatMesh.loadFileAsync(modelData.fallbackUrl);
-                }
-                
-                return splatMesh;
-                
-            } else if (modelData.type === 'mesh') {
-                // Load GLTF/GLB model
-                const result = await BABYLON.SceneLoader.ImportMeshAsync(
-                    "", 
-                    "", 
-                    MODEL_DATA_URL, 
-                    scene
-                );
-                return result.meshes[0];
-            }
-        }
-        
-        function applyCameraLimits(camera, limits) {
-            // Apply exported camera limits
-            if (limits.radiusMin) camera.lowerRadiusLimit = parseFloat(limits.radiusMin);
-            if (limits.radiusMax) camera.upperRadiusLimit = parseFloat(limits.radiusMax);
-            if (limits.betaMin) camera.lowerBetaLimit = parseFloat(limits.betaMin);
-            if (limits.betaMax) camera.upperBetaLimit = parseFloat(limits.betaMax);
-            if (limits.alphaMin) camera.lowerAlphaLimit = parseFloat(limits.alphaMin);
-            if (limits.alphaMax) camera.upperAlphaLimit = parseFloat(limits.alphaMax);
-        }
-        
-        function applyPostProcessing(scene, camera, settings) {
-            const pipeline = new BABYLON.DefaultRenderingPipeline(
-                "exportedPipeline",
-                false,
-                scene,
-                [camera]
-            );
-            
-            pipeline.sharpenEnabled = settings.sharpenEnabled;
-            if (settings.sharpenEdgeAmount) {
-                pipeline.sharpen.edgeAmount = settings.sharpenEdgeAmount;
-            }
-            
-            // Apply anti-aliasing based on exported settings
-            if (settings.antiAliasing && settings.antiAliasing.type) {
-                const aaType = settings.antiAliasing.type;
-                if (aaType === 'fxaa') {
-                    pipeline.fxaaEnabled = true;
-                } else if (aaType === 'none') {
-                    pipeline.fxaaEnabled = false;
-                } else {
-                    pipeline.fxaaEnabled = false;
-                    console.log('Exported viewer using FXAA fallback for ' + aaType);
-                }
-            } else {
-                // Legacy compatibility
-                pipeline.fxaaEnabled = settings.fxaaEnabled || false;
-            }
-        }`,
-
-    /**
-     * Generate README content for ZIP export
-     */
-    generateReadme: (exportData) => `# Exported 3D Viewer
-
-## Export Information
-- **Date**: ${new Date().toISOString()}
-- **Model Type**: ${exportData.modelData.type}
-- **Model Format**: ${exportData.modelData.format}
-- **File Size**: ${EXPORT_UTILS.formatFileSize(exportData.modelData.size)}
-
-## Camera Settings
-- **Position**: Alpha: ${exportData.cameraState.alpha.toFixed(2)}, Beta: ${exportData.cameraState.beta.toFixed(2)}, Radius: ${exportData.cameraState.radius.toFixed(2)}
-- **Target**: X: ${exportData.cameraState.target.x.toFixed(2)}, Y: ${exportData.cameraState.target.y.toFixed(2)}, Z: ${exportData.cameraState.target.z.toFixed(2)}
-
-## Viewer Settings
-- **Auto Rotation**: ${exportData.settings.autoRotation ? 'Enabled' : 'Disabled'}
-- **Quality**: ${exportData.settings.quality}
-- **Post-Processing**: Sharpen: ${exportData.postProcessing?.sharpenEnabled ? 'On' : 'Off'}, Anti-Aliasing: ${exportData.postProcessing?.antiAliasing?.type || 'none'}
-
-## How to Use
-1. Open index.html in a modern web browser
-2. The model will load automatically with all saved settings
-3. Use mouse/touch to navigate:
-   - Left click + drag: Orbit
-   - Right click + drag: Pan
-   - Scroll: Zoom
-
-## Requirements
-- Modern web browser with WebGL support
-- Internet connection (for loading Babylon.js from CDN)
-
-## Original Source
-${exportData.metadata.originalUrl}
-
-## Technical Details
-- **Babylon.js Version**: ${exportData.metadata.babylonVersion}
-- **Export Version**: ${EXPORT_CONFIG.metadata.version}
-- **Generated By**: ${EXPORT_CONFIG.metadata.generatedBy}
-`
-};
-
-/**
- * Export utility functions
- */
-export const EXPORT_UTILS = {
-    /**
-     * Format file size in human-readable format
-     */
-    formatFileSize: (bytes) => {
-        if (!bytes) return 'Unknown';
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(1024));
-        return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
-    },
-
-    /**
-     * Get model format from URL
-     */
-    getModelFormat: (url) => {
-        const extension = url.split('.').pop().toLowerCase();
-        return extension.split('?')[0]; // Remove query params
-    },
-
-    /**
-     * Estimate export size based on model and settings
-     */
-    estimateExportSize: (modelData, format) => {
-        const baseSize = 2; // Base HTML/CSS/JS size in MB
-        const modelSize = modelData?.size ? modelData.size / (1024 * 1024) : 0;
-        
-        if (format === 'html') {
-            return Math.round((baseSize + modelSize) * 10) / 10;
-        } else {
-            return Math.round((baseSize * 0.5 + modelSize) * 10) / 10;
-        }
-    },
-
-    /**
-     * Check if file size is within limits
-     */
-    isWithinSizeLimit: (size, format) => {
-        const limit = EXPORT_CONFIG.maxFileSizes[format];
-        return size <= limit;
-    },
-
-    /**
-     * Convert blob to base64
-     */
-    blobToBase64: (blob) => {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onloadend = () => resolve(reader.result.split(',')[1]);
-            reader.onerror = reject;
-            reader.readAsDataURL(blob);
-        });
-    },
-
-    /**
-     * Convert base64 to blob
-     */
-    base64ToBlob: (base64, contentType = 'application/octet-stream') => {
-        const byteCharacters = atob(base64);
-        const byteNumbers = new Array(byteCharacters.length);
-        
-        for (let i = 0; i < byteCharacters.length; i++) {
-            byteNumbers[i] = byteCharacters.charCodeAt(i);
-        }
-        
-        const byteArray = new Uint8Array(byteNumbers);
-        return new Blob([byteArray], { type: contentType });
-    },
-
-    /**
-     * Download blob as file
-     */
-    downloadBlob: (blob, filename) => {
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-    },
-
-    /**
-     * Load external library dynamically
-     */
-    loadExternalLibrary: (url) => {
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = url;
-            script.onload = resolve;
-            script.onerror = reject;
-            document.head.appendChild(script);
-        });
-    },
-
-    /**
-     * Estimate HTML export size for UI display
-     */
-    estimateHTMLSize: () => {
-        const scene = window.scene;
-        if (!scene || !scene.currentModel) return '?';
-        
-        // Estimate based on model complexity
-        const vertices = scene.getTotalVertices();
-        const estimatedMB = Math.round((vertices * 0.0001 + 2) * 10) / 10;
-        return estimatedMB;
-    }
+/* ========================================================================
+   3D VIEWER - EXPORT CONFIGURATION & UTILITIES
+   ========================================================================
+   
+   PURPOSE:
+   Centralized configuration and utility functions for the export system.
+   Contains export templates, size estimation, format handling, and
+   generation utilities used by ViewerExporter.
+   
+   EXPORTS:
+   - EXPORT_CONFIG - Export system configuration constants
+   - EXPORT_TEMPLATES - HTML/CSS/JS templates for exported viewers
+   - EXPORT_UTILS - Utility functions for export operations
+   
+   FEATURES:
+   - Export format configuration and size limits
+   - HTML/CSS/JS template generation for standalone viewers
+   - File size estimation and format detection
+   - CDN URLs and library dependencies
+   - Compression and optimization settings
+   
+   ======================================================================== */
+
+import { CLIP_CAP_SHADERS } from '../clippingPlanes.js';
+
+/**
+ * Export system configuration constants
+ */
+export const EXPORT_CONFIG = {
+    // File size limits (in bytes)
+    maxFileSizes: {
+        html: 50 * 1024 * 1024,    // 50MB for single HTML file
+        zip: 100 * 1024 * 1024,    // 100MB for ZIP package
+        model: 25 * 1024 * 1024     // 25MB for individual model files
+    },
+
+    // Supported export formats
+    formats: {
+        html: {
+            name: 'Single HTML',
+            description: 'Self-contained file',
+            icon: '📄',
+            extension: '.html'
+        },
+        zip: {
+            name: 'ZIP Package',
+            description: 'Organized files for editing',
+            icon: '📦',
+            extension: '.zip'
+        }
+    },
+
+    // CDN URLs for external libraries
+    cdn: {
+        babylon: 'https://cdn.babylonjs.com/babylon.js',
+        babylonLoaders: 'https://cdn.babylonjs.com/loaders/babylonjs.loaders.min.js',
+        gaussianSplatting: 'https://cdn.jsdelivr.net/gh/CedricGuillemet/GaussianSplatRendering@latest/js/GaussianSplattingMesh.js',
+        jszip: 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js'
+    },
+
+    // Compression settings for ZIP export
+    compression: {
+        level: 6,
+        algorithm: 'DEFLATE'
+    },
+
+    // Export metadata
+    metadata: {
+        version: '1.0.0',
+        generatedBy: '3D Viewer Export System'
+    }
+};
+
+/**
+ * HTML templates for exported viewers
+ */
+export const EXPORT_TEMPLATES = {
+    /**
+     * Generate self-contained HTML template
+     */
+    generateSelfContainedHTML: (exportData, cssContent) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8" />
+    <title>3D Viewer - Exported ${new Date().toLocaleDateString()}</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        /* Reset and Base Styles */
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        html, body { width: 100%; height: 100%; overflow: hidden; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+        #renderCanvas { width: 100%; height: 100%; touch-action: none; outline: none; }
+        
+        /* Embedded CSS */
+        ${cssContent}
+        
+        /* Export-specific styles */
+        ${EXPORT_TEMPLATES.getExportSpecificCSS()}
+    </style>
+</head>
+<body>
+    <canvas id="renderCanvas"></canvas>
+    
+    <!-- Export Info -->
+    ${EXPORT_TEMPLATES.generateExportInfo(exportData)}
+    
+    <!-- Loading Overlay -->
+    ${EXPORT_TEMPLATES.generateLoadingOverlay()}
+
+    <!-- External Libraries -->
+    <script src="${EXPORT_CONFIG.cdn.babylon}"></script>
+    <script src="${EXPORT_CONFIG.cdn.babylonLoaders}"></script>
+    <script src="${EXPORT_CONFIG.cdn.gaussianSplatting}"></script>
+
+    <!-- Embedded Viewer Script -->
+    <script>
+        // Embedded export data
+        const EXPORT_DATA = ${JSON.stringify(exportData).replace(/</g, '\\u003c')};
+        
+        // Initialize viewer when DOM is ready
+        document.addEventListener('DOMContentLoaded', function() {
+            initializeExportedViewer();
+        });
+        
+        ${EXPORT_TEMPLATES.generateViewerScript()}
+    </script>
+</body>
+</html>`,
+
+    /**
+     * Generate modular HTML for ZIP export
+     */
+    generateModularHTML: (exportData) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8" />
+    <title>3D Viewer - Exported</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link rel="stylesheet" href="styles.css">
+</head>
+<body>
+    <canvas id="renderCanvas"></canvas>
+    
+    ${EXPORT_TEMPLATES.generateExportInfo(exportData, true)}
+    ${EXPORT_TEMPLATES.generateLoadingOverlay()}
+
+    <script src="${EXPORT_CONFIG.cdn.babylon}"></script>
+    <script src="${EXPORT_CONFIG.cdn.babylonLoaders}"></script>
+    <script src="${EXPORT_CONFIG.cdn.gaussianSplatting}"></script>
+    <script src="viewer.js"></script>
+</body>
+</html>`,
+
+    /**
+     * Generate modular JavaScript for ZIP export
+     */
+    generateModularJS: (exportData) => `// Exported Viewer Configuration
+const CONFIG = ${JSON.stringify(exportData, null, 2)};
+
+// Initialize viewer when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    initializeViewer();
+});
+
+async function initializeViewer() {
+    const canvas = document.getElementById("renderCanvas");
+    const engine = new BABYLON.Engine(canvas, true);
+    const scene = new BABYLON.Scene(engine);
+    
+    // Setup camera
+    const camera = new BABYLON.ArcRotateCamera(
+        "Camera",
+        CONFIG.cameraState.alpha,
+        CONFIG.cameraState.beta,
+        CONFIG.cameraState.radius,
+        new BABYLON.Vector3(
+            CONFIG.cameraState.target.x,
+            CONFIG.cameraState.target.y,
+            CONFIG.cameraState.target.z
+        ),
+        scene
+    );
+    camera.attachControl(canvas, true);
+    
+    // Apply camera limits if they exist
+    if (CONFIG.cameraLimits) {
+        applyCameraLimits(camera, CONFIG.cameraLimits);
+    }
+    
+    // Load models (files next to index.html)
+    for (const model of CONFIG.models) {
+        await loadExportedModel(scene, model, model.file ? './' + model.file : model.fallbackUrl);
+    }
+    
+    // Saved views as hotspot buttons
+    setupBookmarks(camera, CONFIG.bookmarks);
+    
+    // Guided camera tour (play button, autoplays in kiosk mode)
+    setupTour(camera, CONFIG.tour);
+    
+    // Measurements with their length labels
+    setupMeasurements(scene, camera, CONFIG.measurements);
+    
+    // Annotations as numbered markers with their notes
+    setupAnnotations(scene, camera, CONFIG.annotations);
+    
+    // Clipping planes with their section caps
+    setupClipping(scene, CONFIG.clipping);
+    
+    // Hide loading overlay
+    document.getElementById('loadingOverlay').style.display = 'none';
+    
+    // Start render loop
+    engine.runRenderLoop(() => scene.render());
+    
+    // Handle resize
+    window.addEventListener("resize", () => engine.resize());
+}
+
+${EXPORT_TEMPLATES.generateModelLoaderScript()}
+${EXPORT_TEMPLATES.generateCameraLimitsScript()}
+${EXPORT_TEMPLATES.generateBookmarksScript()}
+${EXPORT_TEMPLATES.generateTourScript()}
+${EXPORT_TEMPLATES.generateMeasurementsScript()}
+${EXPORT_TEMPLATES.generateAnnotationsScript()}
+${EXPORT_TEMPLATES.generateClippingScript()}`,
+
+    /**
+     * Generate model loading helpers shared by both export formats
+     */
+    generateModelLoaderScript: () => `
+async function loadExportedModel(scene, model, url) {
+    if (!url) return null;
+    let root;
+    
+    if (model.type === 'splat') {
+        root = new BABYLON.GaussianSplattingMesh(model.name || "exportedModel", null, scene);
+        await root.loadFileAsync(url);
+        
+        // Splat files are stored untransformed
+        if (model.transform) {
+            root.position = BABYLON.Vector3.FromArray(model.transform.position);
+            root.rotationQuaternion = BABYLON.Quaternion.FromArray(model.transform.rotation);
+            root.scaling = BABYLON.Vector3.FromArray(model.transform.scaling);
+        }
+    } else {
+        const result = await BABYLON.SceneLoader.ImportMeshAsync("", "", url, scene, null, '.' + model.format);
+        root = result.meshes[0];
+    }
+    
+    if (model.visible === false) {
+        root.setEnabled(false);
+    }
+    return root;
+}`,
+
+    /**
+     * Generate camera limits helpers shared by both export formats
+     */
+    generateCameraLimitsScript: () => `
+function applyCameraLimits(camera, limits) {
+    // Apply exported camera limits
+    if (limits.radiusMin) camera.lowerRadiusLimit = parseFloat(limits.radiusMin);
+    if (limits.radiusMax) camera.upperRadiusLimit = parseFloat(limits.radiusMax);
+    if (limits.betaMin) camera.lowerBetaLimit = parseFloat(limits.betaMin);
+    if (limits.betaMax) camera.upperBetaLimit = parseFloat(limits.betaMax);
+    if (limits.alphaMin) camera.lowerAlphaLimit = parseFloat(limits.alphaMin);
+    if (limits.alphaMax) camera.upperAlphaLimit = parseFloat(limits.alphaMax);
+    
+    // Panning disabled unless the 'p' flag was exported
+    if (limits.restrictions !== undefined && !limits.restrictions.includes('p')) {
+        camera.panningSensibility = 0;
+    }
+    
+    // Pan area: keep the target inside the exported sphere/box
+    if (limits.panMax) {
+        applyPanAreaLimits(camera, limits);
+    }
+}
+
+function applyPanAreaLimits(camera, limits) {
+    const parseVector = (value, fallback) => {
+        if (!value) return fallback;
+        const parts = value.split(',').map(parseFloat);
+        return { x: parts[0], y: parts[1], z: parts[2] };
+    };
+    const maxDistance = parseFloat(limits.panMax);
+    const center = parseVector(limits.panCenter, { x: 0, y: 0, z: 0 });
+    const extents = parseVector(limits.panBox, { x: maxDistance, y: maxDistance, z: maxDistance });
+    const isBox = limits.panShape === 'box';
+    
+    camera.onViewMatrixChangedObservable.add(() => {
+        const target = camera.target;
+        let x = target.x, y = target.y, z = target.z;
+        
+        if (isBox) {
+            x = Math.max(center.x - extents.x, Math.min(center.x + extents.x, x));
+            y = Math.max(center.y - extents.y, Math.min(center.y + extents.y, y));
+            z = Math.max(center.z - extents.z, Math.min(center.z + extents.z, z));
+        } else {
+            const dx = x - center.x, dy = y - center.y, dz = z - center.z;
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (distance > maxDistance) {
+                const factor = maxDistance / distance;
+                x = center.x + dx * factor;
+                y = center.y + dy * factor;
+                z = center.z + dz * factor;
+            }
+        }
+        
+        if (x !== target.x || y !== target.y || z !== target.z) {
+            target.copyFromFloats(x, y, z);
+        }
+    });
+}`,
+
+    /**
+     * Generate saved view (bookmark) helpers shared by both export formats
+     */
+    generateBookmarksScript: () => `
+function setupBookmarks(camera, bookmarks) {
+    if (!bookmarks || bookmarks.length === 0) return;
+    
+    const bar = document.createElement('div');
+    bar.className = 'export-bookmarks';
+    bookmarks.forEach(bookmark => {
+        const button = document.createElement('button');
+        button.className = 'export-bookmark';
+        button.textContent = bookmark.name;
+        button.addEventListener('click', () => flyToBookmark(camera, bookmark));
+        bar.appendChild(button);
+    });
+    document.body.appendChild(bar);
+}
+
+function flyToBookmark(camera, bookmark) {
+    // Take the short way round
+    const turn = Math.PI * 2;
+    const alpha = camera.alpha + ((bookmark.alpha - camera.alpha) % turn + turn * 1.5) % turn - Math.PI;
+    const target = new BABYLON.Vector3(bookmark.target.x, bookmark.target.y, bookmark.target.z);
+    const values = { alpha, beta: bookmark.beta, radius: bookmark.radius, fov: bookmark.fov, target };
+    
+    Object.keys(values).forEach(property => {
+        const from = property === 'target' ? camera.target.clone() : camera[property];
+        BABYLON.Animation.CreateAndStartAnimation('fly_' + property, camera, property, 30, 45,
+            from, values[property], BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT);
+    });
+}`,
+
+    /**
+     * Generate camera tour player shared by both export formats
+     */
+    generateTourScript: () => `
+function setupTour(camera, tour) {
+    if (!tour || !tour.keyframes || tour.keyframes.length < 2) return;
+    
+    const scene = camera.getScene();
+    const player = { index: 0, playing: false, flight: 0, resumeTimer: null };
+    
+    const button = document.createElement('button');
+    button.className = 'export-tour-button';
+    document.body.appendChild(button);
+    
+    const setPlaying = (playing) => {
+        player.playing = playing;
+        button.textContent = playing ? 'Pause Tour' : 'Play Tour';
+        if (!playing) {
+            player.flight++;
+            scene.stopAnimation(camera);
+            // Resume with the move that was interrupted
+            player.index = Math.max(0, player.index - 1);
+        }
+    };
+    
+    const next = () => {
+        if (player.index >= tour.keyframes.length) {
+            if (!tour.loop && !tour.autoplay) {
+                player.index = 1;
+                setPlaying(false);
+                return;
+            }
+            player.index = 0;
+        }
+        const flight = ++player.flight;
+        flyToKeyframe(camera, tour.keyframes[player.index++], () => {
+            if (player.playing && flight === player.flight) next();
+        });
+    };
+    
+    const play = () => {
+        clearTimeout(player.resumeTimer);
+        setPlaying(true);
+        next();
+    };
+    
+    button.addEventListener('click', () => {
+        if (player.playing) {
+            setPlaying(false);
+        } else {
+            play();
+        }
+    });
+    
+    // Visitors taking over the camera pause the tour; autoplay resumes it later
+    const interrupt = () => {
+        if (!player.playing && !player.resumeTimer) return;
+        if (player.playing) setPlaying(false);
+        if (tour.autoplay) {
+            clearTimeout(player.resumeTimer);
+            player.resumeTimer = setTimeout(() => {
+                player.resumeTimer = null;
+                play();
+            }, tour.resumeDelay || 8000);
+        }
+    };
+    const canvas = scene.getEngine().getRenderingCanvas();
+    canvas.addEventListener('pointerdown', interrupt);
+    canvas.addEventListener('wheel', interrupt);
+    
+    setPlaying(false);
+    if (tour.autoplay) play();
+}
+
+function flyToKeyframe(camera, keyframe, onEnd) {
+    const frames = Math.max(1, Math.round(keyframe.duration * 30));
+    const turn = Math.PI * 2;
+    const alpha = camera.alpha + ((keyframe.alpha - camera.alpha) % turn + turn * 1.5) % turn - Math.PI;
+    const target = new BABYLON.Vector3(keyframe.target.x, keyframe.target.y, keyframe.target.z);
+    const values = { alpha, beta: keyframe.beta, radius: keyframe.radius, fov: keyframe.fov, target };
+    
+    const modes = {
+        easeIn: BABYLON.EasingFunction.EASINGMODE_EASEIN,
+        easeOut: BABYLON.EasingFunction.EASINGMODE_EASEOUT,
+        easeInOut: BABYLON.EasingFunction.EASINGMODE_EASEINOUT
+    };
+    let easing = null;
+    if (keyframe.easing in modes) {
+        easing = new BABYLON.CubicEase();
+        easing.setEasingMode(modes[keyframe.easing]);
+    }
+    
+    Object.keys(values).forEach(property => {
+        const from = property === 'target' ? camera.target.clone() : camera[property];
+        BABYLON.Animation.CreateAndStartAnimation('tour_' + property, camera, property, 30, frames,
+            from, values[property], BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT, easing,
+            property === 'target' ? onEnd : undefined);
+    });
+}`,
+
+    /**
+     * Generate measurement display shared by both export formats
+     */
+    generateMeasurementsScript: () => `
+function setupMeasurements(scene, camera, data) {
+    if (!data || !data.measurements || data.measurements.length === 0) return;
+    
+    // Lines in front of the model, labels as HTML following them
+    const layer = new BABYLON.UtilityLayerRenderer(scene);
+    const color = BABYLON.Color3.FromHexString(data.color);
+    const labels = [];
+    data.measurements.forEach(measurement => {
+        const points = measurement.points.map(p => new BABYLON.Vector3(p.x, p.y, p.z));
+        const line = BABYLON.MeshBuilder.CreateLines('measurement', { points }, layer.utilityLayerScene);
+        line.color = color;
+        
+        measurement.labels.forEach(label => {
+            const element = document.createElement('div');
+            element.className = 'export-measurement-label';
+            element.textContent = label.text;
+            element.style.borderColor = data.color;
+            document.body.appendChild(element);
+            labels.push({ element, position: new BABYLON.Vector3(label.position.x, label.position.y, label.position.z) });
+        });
+    });
+    
+    const engine = scene.getEngine();
+    scene.onAfterRenderObservable.add(() => {
+        const width = engine.getRenderWidth();
+        const height = engine.getRenderHeight();
+        const rect = engine.getRenderingCanvas().getBoundingClientRect();
+        const viewport = camera.viewport.toGlobal(width, height);
+        const transform = scene.getTransformMatrix();
+        labels.forEach(({ element, position }) => {
+            const p = BABYLON.Vector3.Project(position, BABYLON.Matrix.IdentityReadOnly, transform, viewport);
+            element.style.display = p.z < 0 || p.z > 1 ? 'none' : '';
+            element.style.transform = 'translate(' + (rect.left + p.x * rect.width / width) + 'px, ' +
+                (rect.top + p.y * rect.height / height) + 'px) translate(-50%, -50%)';
+        });
+    });
+}`,
+
+    /**
+     * Generate clipping planes and section caps shared by both export formats
+     */
+    generateClippingScript: () => `
+function setupClipping(scene, data) {
+    if (!data || !data.planes || data.planes.length === 0) return;
+    
+    // Fragments on the normal's side are removed (the other side when inverted)
+    const slots = ['clipPlane', 'clipPlane2', 'clipPlane3', 'clipPlane4', 'clipPlane5', 'clipPlane6'];
+    const planes = data.planes.slice(0, slots.length).map(plane => {
+        const sign = plane.inverted ? -1 : 1;
+        return BABYLON.Plane.FromPositionAndNormal(
+            new BABYLON.Vector3(plane.point.x, plane.point.y, plane.point.z),
+            new BABYLON.Vector3(plane.normal.x * sign, plane.normal.y * sign, plane.normal.z * sign));
+    });
+    planes.forEach((plane, index) => { scene[slots[index]] = plane; });
+    if (!data.planes.some(plane => plane.capColor)) return;
+    
+    // Caps: back-face copies of the meshes, coloured by the plane the view passes through
+    BABYLON.Effect.ShadersStore.clipCapVertexShader = ${JSON.stringify(CLIP_CAP_SHADERS.vertex)};
+    BABYLON.Effect.ShadersStore.clipCapFragmentShader = ${JSON.stringify(CLIP_CAP_SHADERS.fragment)};
+    const planeValues = [], colors = [], capped = [];
+    for (let i = 0; i < 6; i++) {
+        const plane = planes[i];
+        const capColor = data.planes[i] && data.planes[i].capColor;
+        const color = BABYLON.Color3.FromHexString(capColor || '#000000');
+        planeValues.push(...(plane ? [plane.normal.x, plane.normal.y, plane.normal.z, plane.d] : [0, 0, 0, 0]));
+        colors.push(color.r, color.g, color.b);
+        capped.push(capColor ? 1 : 0);
+    }
+    
+    const materials = new Map();
+    const getMaterial = (sideOrientation) => {
+        if (!materials.has(sideOrientation)) {
+            const material = new BABYLON.ShaderMaterial('clipCapMaterial', scene, 'clipCap', {
+                attributes: ['position'],
+                uniforms: ['world', 'viewProjection', 'planes', 'colors', 'capped', 'planeCount', 'cameraPosition']
+            });
+            material.backFaceCulling = true;
+            material.cullBackFaces = false;
+            material.zOffset = -1;
+            if (sideOrientation !== null && sideOrientation !== undefined) material.sideOrientation = sideOrientation;
+            material.setArray4('planes', planeValues);
+            material.setArray3('colors', colors);
+            material.setFloats('capped', capped);
+            material.setInt('planeCount', planes.length);
+            materials.set(sideOrientation, material);
+        }
+        return materials.get(sideOrientation);
+    };
+    
+    scene.meshes.slice().forEach(mesh => {
+        if (!(mesh instanceof BABYLON.Mesh) || mesh.getTotalVertices() === 0 || mesh.skeleton ||
+            mesh.morphTargetManager || mesh.getClassName() === 'GaussianSplattingMesh') return;
+        const cap = mesh.clone(mesh.name + '_clipCap', mesh, true);
+        cap.position.setAll(0);
+        cap.rotationQuaternion = null;
+        cap.rotation.setAll(0);
+        cap.scaling.setAll(1);
+        cap.isPickable = false;
+        cap.material = getMaterial(mesh.material ? mesh.material.sideOrientation : null);
+    });
+    
+    scene.onBeforeRenderObservable.add(() => {
+        materials.forEach(material => material.setVector3('cameraPosition', scene.activeCamera.globalPosition));
+    });
+}`,
+
+    /**
+     * Generate annotation markers and notes shared by both export formats
+     */
+    generateAnnotationsScript: () => `
+function setupAnnotations(scene, camera, data) {
+    if (!data || !data.annotations || data.annotations.length === 0) return;
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'export-annotation-overlay';
+    document.body.appendChild(overlay);
+    
+    const card = document.createElement('div');
+    card.className = 'export-annotation-card';
+    card.style.display = 'none';
+    let openIndex = -1;
+    
+    const markers = data.annotations.map((annotation, index) => {
+        const element = document.createElement('button');
+        element.className = 'export-annotation-marker';
+        element.textContent = index + 1;
+        element.title = annotation.title;
+        element.addEventListener('click', () => {
+            openIndex = index;
+            showAnnotationCard(card, annotation, () => { openIndex = -1; });
+            flyToBookmark(camera, annotation.view);
+        });
+        overlay.appendChild(element);
+        const p = annotation.position;
+        return { element, position: new BABYLON.Vector3(p.x, p.y, p.z), occluded: false };
+    });
+    overlay.appendChild(card);
+    
+    // Markers behind the model are hidden (checked a few times per second)
+    const isOccluded = (position) => {
+        const origin = camera.globalPosition;
+        const distance = BABYLON.Vector3.Distance(origin, position);
+        const ray = new BABYLON.Ray(origin, position.subtract(origin).normalize(), distance * 0.98);
+        const hit = scene.pickWithRay(ray, mesh => mesh.isPickable && mesh.isVisible &&
+            mesh.getClassName() !== 'GaussianSplattingMesh', true);
+        return !!(hit && hit.hit);
+    };
+    
+    const engine = scene.getEngine();
+    let lastCheck = 0;
+    scene.onAfterRenderObservable.add(() => {
+        const width = engine.getRenderWidth();
+        const height = engine.getRenderHeight();
+        const rect = engine.getRenderingCanvas().getBoundingClientRect();
+        const viewport = camera.viewport.toGlobal(width, height);
+        const transform = scene.getTransformMatrix();
+        const check = performance.now() - lastCheck > 200;
+        if (check) lastCheck = performance.now();
+        
+        markers.forEach((marker, index) => {
+            const p = BABYLON.Vector3.Project(marker.position, BABYLON.Matrix.IdentityReadOnly, transform, viewport);
+            if (check) marker.occluded = isOccluded(marker.position);
+            const hidden = p.z < 0 || p.z > 1 || marker.occluded;
+            const x = rect.left + p.x * rect.width / width;
+            const y = rect.top + p.y * rect.height / height;
+            marker.element.style.display = hidden ? 'none' : '';
+            marker.element.style.transform = 'translate(' + x + 'px, ' + y + 'px) translate(-50%, -50%)';
+            if (index === openIndex) {
+                card.style.display = hidden ? 'none' : '';
+                card.style.transform = 'translate(' + x + 'px, ' + y + 'px) translate(16px, -50%)';
+            }
+        });
+    });
+}
+
+function showAnnotationCard(card, annotation, onClose) {
+    card.innerHTML = '';
+    const close = document.createElement('button');
+    close.className = 'export-annotation-close';
+    close.innerHTML = '&times;';
+    close.addEventListener('click', () => {
+        card.style.display = 'none';
+        onClose();
+    });
+    const title = document.createElement('div');
+    title.className = 'export-annotation-title';
+    title.textContent = annotation.title;
+    card.append(close, title);
+    
+    if (annotation.image) {
+        const image = document.createElement('img');
+        image.src = annotation.image;
+        image.alt = annotation.title;
+        card.appendChild(image);
+    }
+    if (annotation.text) {
+        // Escaped first; only bold, italic, http(s) links and line breaks become markup
+        const text = document.createElement('div');
+        text.innerHTML = annotation.text
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+            .replace(/\\[([^\\]]+)\\]\\((https?:\\/\\/[^\\s)]+)\\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+            .replace(/\\*\\*([^*]+)\\*\\*/g, '<strong>$1</strong>')
+            .replace(/\\*([^*]+)\\*/g, '<em>$1</em>')
+            .replace(/\\n/g, '<br>');
+        card.appendChild(text);
+    }
+    if (annotation.link) {
+        const link = document.createElement('a');
+        link.href = annotation.link;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = 'Open link';
+        card.appendChild(link);
+    }
+    card.style.display = '';
+}`,
+
+    /**
+     * Generate export-specific CSS styles
+     */
+    getExportSpecificCSS: () => `
+        /* Export Info Banner */
+        .export-info {
+            position: fixed;
+            top: 10px;
+            left: 10px;
+            background: rgba(30, 30, 30, 0.9);
+            color: white;
+            padding: 10px 15px;
+            border-radius: 8px;
+            font-size: 12px;
+            z-index: 1000;
+            backdrop-filter: blur(10px);
+        }
+        
+        .export-info-title {
+            font-weight: bold;
+            margin-bottom: 5px;
+            color: #2196f3;
+        }
+        
+        .export-info-detail {
+            opacity: 0.8;
+            margin: 2px 0;
+        }
+        
+        /* Loading Overlay */
+        .loading-overlay {
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.8);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 9999;
+        }
+        
+        .loading-content {
+            text-align: center;
+            color: white;
+        }
+        
+        .loading-spinner {
+            border: 3px solid rgba(255, 255, 255, 0.3);
+            border-top: 3px solid white;
+            border-radius: 50%;
+            width: 40px;
+            height: 40px;
+            animation: spin 1s linear infinite;
+            margin: 0 auto 20px;
+        }
+        
+        @keyframes spin {
+            0% { transform: rotate(0deg); }
+            100% { transform: rotate(360deg); }
+        }
+        
+        /* Saved Views */
+        .export-bookmarks {
+            position: fixed;
+            bottom: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: center;
+            gap: 8px;
+            max-width: 90%;
+            z-index: 1000;
+        }
+        
+        .export-bookmark {
+            background: rgba(30, 30, 30, 0.9);
+            color: white;
+            border: 1px solid rgba(33, 150, 243, 0.6);
+            border-radius: 16px;
+            padding: 6px 14px;
+            font-size: 13px;
+            cursor: pointer;
+        }
+        
+        .export-bookmark:hover {
+            background: #2196f3;
+        }
+        
+        /* Camera Tour */
+        .export-tour-button {
+            position: fixed;
+            top: 10px;
+            right: 10px;
+            background: rgba(30, 30, 30, 0.9);
+            color: white;
+            border: 1px solid rgba(33, 150, 243, 0.6);
+            border-radius: 16px;
+            padding: 6px 14px;
+            font-size: 13px;
+            cursor: pointer;
+            z-index: 1000;
+        }
+        
+        .export-tour-button:hover {
+            background: #2196f3;
+        }
+        
+        /* Measurements */
+        .export-measurement-label {
+            position: fixed;
+            left: 0;
+            top: 0;
+            background: rgba(0, 0, 0, 0.75);
+            color: white;
+            border: 1px solid;
+            border-radius: 4px;
+            padding: 1px 4px;
+            font-size: 12px;
+            white-space: nowrap;
+            pointer-events: none;
+            z-index: 500;
+        }
+        
+        /* Annotations */
+        .export-annotation-overlay {
+            position: fixed;
+            inset: 0;
+            overflow: hidden;
+            pointer-events: none;
+            z-index: 600;
+        }
+        
+        .export-annotation-marker,
+        .export-annotation-card {
+            position: absolute;
+            left: 0;
+            top: 0;
+            pointer-events: auto;
+        }
+        
+        .export-annotation-marker {
+            width: 24px;
+            height: 24px;
+            padding: 0;
+            border: 2px solid white;
+            border-radius: 50%;
+            background: #2196f3;
+            color: white;
+            font-size: 12px;
+            font-weight: bold;
+            cursor: pointer;
+        }
+        
+        .export-annotation-card {
+            width: 240px;
+            padding: 8px 12px;
+            background: rgba(30, 30, 30, 0.9);
+            color: white;
+            border: 1px solid rgba(100, 100, 100, 0.4);
+            border-radius: 4px;
+            font-size: 12px;
+            line-height: 1.4;
+        }
+        
+        .export-annotation-card img {
+            display: block;
+            max-width: 100%;
+            max-height: 160px;
+            margin-bottom: 4px;
+        }
+        
+        .export-annotation-card a {
+            color: #42a5f5;
+        }
+        
+        .export-annotation-title {
+            margin-bottom: 4px;
+            font-size: 14px;
+            font-weight: bold;
+        }
+        
+        .export-annotation-close {
+            float: right;
+            background: none;
+            border: none;
+            color: #cccccc;
+            font-size: 16px;
+            cursor: pointer;
+        }`,
+
+    /**
+     * Generate export info banner
+     */
+    generateExportInfo: (exportData, isModular = false) => {
+        const modelData = exportData.modelData || { format: 'Unknown', size: 0 };
+        return `<div class="export-info">
+        <div class="export-info-title">Exported Viewer</div>
+        <div class="export-info-detail">Date: ${new Date().toLocaleDateString()}</div>
+        <div class="export-info-detail">Model: ${modelData.format}${modelData.modelCount > 1 ? ` (+${modelData.modelCount - 1} more)` : ''}</div>
+        <div class="export-info-detail">Size: ${EXPORT_UTILS.formatFileSize(modelData.size || 0)}</div>
+        ${isModular ? '<div class="export-info-detail">Check README.md for details</div>' : ''}
+    </div>`;
+    },
+
+    /**
+     * Generate loading overlay
+     */
+    generateLoadingOverlay: () => `<div class="loading-overlay" id="loadingOverlay">
+        <div class="loading-content">
+            <div class="loading-spinner"></div>
+            <div>Loading 3D Model...</div>
+        </div>
+    </div>`,
+
+    /**
+     * Generate main viewer script
+     */
+    generateViewerScript: () => `
+        async function initializeExportedViewer() {
+            const canvas = document.getElementById("renderCanvas");
+            const engine = new BABYLON.Engine(canvas, true, {
+                preserveDrawingBuffer: true,
+                stencil: true,
+                antialias: false
+            });
+            
+            const scene = new BABYLON.Scene(engine);
+            scene.clearColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+            
+            // Setup camera with exported state
+            const camera = new BABYLON.ArcRotateCamera(
+                "Camera",
+                EXPORT_DATA.cameraState.alpha,
+                EXPORT_DATA.cameraState.beta,
+                EXPORT_DATA.cameraState.radius,
+                new BABYLON.Vector3(
+                    EXPORT_DATA.cameraState.target.x,
+                    EXPORT_DATA.cameraState.target.y,
+                    EXPORT_DATA.cameraState.target.z
+                ),
+                scene
+            );
+            camera.attachControl(canvas, true);
+            camera.minZ = EXPORT_DATA.cameraState.minZ;
+            camera.maxZ = EXPORT_DATA.cameraState.maxZ;
+            
+            // Apply camera limits if they exist
+            if (EXPORT_DATA.cameraLimits) {
+                applyCameraLimits(camera, EXPORT_DATA.cameraLimits);
+            }
+            
+            // Setup lighting
+            const light = new BABYLON.HemisphericLight("light", new BABYLON.Vector3(0, 1, 0), scene);
+            light.intensity = 0.7;
+            
+            // Load models
+            try {
+                for (const model of EXPORT_DATA.models) {
+                    const url = model.data
+                        ? 'data:application/octet-stream;base64,' + model.data
+                        : model.fallbackUrl;
+                    await loadExportedModel(scene, model, url);
+                }
+                
+                // Saved views as hotspot buttons
+                setupBookmarks(camera, EXPORT_DATA.bookmarks);
+                
+                // Guided camera tour (play button, autoplays in kiosk mode)
+                setupTour(camera, EXPORT_DATA.tour);
+                
+                // Measurements with their length labels
+                setupMeasurements(scene, camera, EXPORT_DATA.measurements);
+                
+                // Annotations as numbered markers with their notes
+                setupAnnotations(scene, camera, EXPORT_DATA.annotations);
+                
+                // Clipping planes with their section caps
+                setupClipping(scene, EXPORT_DATA.clipping);
+                
+                // Apply post-processing if enabled
+                if (EXPORT_DATA.postProcessing) {
+                    applyPostProcessing(scene, camera, EXPORT_DATA.postProcessing);
+                }
+                
+                // Hide loading overlay
+                document.getElementById('loadingOverlay').style.display = 'none';
+                
+            } catch (error) {
+                console.error('Failed to load model:', error);
+                document.getElementById('loadingOverlay').innerHTML = 
+                    '<div style="color: red;">Failed to load model: ' + error.message + '</div>';
+            }
+            
+            // Setup auto-rotation if enabled
+            if (EXPORT_DATA.settings.autoRotation) {
+                camera.useAutoRotationBehavior = true;
+                camera.autoRotationBehavior.idleRotationWaitTime = 5000;
+                camera.autoRotationBehavior.idleRotationSpeed = 0.01;
+            }
+            
+            // Apply quality settings
+            engine.setHardwareScalingLevel(EXPORT_DATA.settings.hardwareScaling);
+            
+            // Start render loop
+            engine.runRenderLoop(() => {
+                scene.render();
+            });
+            
+            // Handle resize
+            window.addEventListener("resize", () => engine.resize());
+        }
+        
+        ${EXPORT_TEMPLATES.generateModelLoaderScript()}
+        
+        ${EXPORT_TEMPLATES.generateCameraLimitsScript()}
+        
+        ${EXPORT_TEMPLATES.generateBookmarksScript()}
+        
+        ${EXPORT_TEMPLATES.generateTourScript()}
+        
+        ${EXPORT_TEMPLATES.generateMeasurementsScript()}
+        
+        ${EXPORT_TEMPLATES.generateAnnotationsScript()}
+        
+        ${EXPORT_TEMPLATES.generateClippingScript()}
+        
+        function applyPostProcessing(scene, camera, settings) {
+            const pipeline = new BABYLON.DefaultRenderingPipeline(
+                "exportedPipeline",
+                false,
+                scene,
+                [camera]
+            );
+            
+            pipeline.sharpenEnabled = settings.sharpenEnabled;
+            if (settings.sharpenEdgeAmount) {
+                pipeline.sharpen.edgeAmount = settings.sharpenEdgeAmount;
+            }
+            
+            // Apply anti-aliasing based on exported settings
+            if (settings.antiAliasing && settings.antiAliasing.type) {
+                const aaType = settings.antiAliasing.type;
+                if (aaType === 'fxaa') {
+                    pipeline.fxaaEnabled = true;
+                } else if (aaType === 'none') {
+                    pipeline.fxaaEnabled = false;
+                } else {
+                    pipeline.fxaaEnabled = false;
+                    console.log('Exported viewer using FXAA fallback for ' + aaType);
+                }
+            } else {
+                // Legacy compatibility
+                pipeline.fxaaEnabled = settings.fxaaEnabled || false;
+            }
+        }`,
+
+    /**
+     * Generate README content for ZIP export
+     */
+    generateReadme: (exportData) => `# Exported 3D Viewer
+
+## Export Information
+- **Date**: ${new Date().toISOString()}
+- **Model Type**: ${exportData.modelData.type}
+- **Model Format**: ${exportData.modelData.format}
+- **File Size**: ${EXPORT_UTILS.formatFileSize(exportData.modelData.size)}${exportData.modelData.edited ? '\n- **Edited**: Yes (cropped/filtered splat, only the kept splats are included)' : ''}
+
+## Models
+${exportData.models.map(model => `- **${model.name}**: ${model.file || model.fallbackUrl || 'not included'} (${model.type}${model.orientation ? `, ${model.orientation}` : ''}${model.visible ? '' : ', hidden'}${model.edited ? ', edited' : ''})`).join('\n')}
+
+## Camera Settings
+- **Saved Views**: ${exportData.bookmarks.length > 0 ? exportData.bookmarks.map(bookmark => bookmark.name).join(', ') : 'None'}
+- **Units**: ${exportData.units.metersPerUnit ? `1 scene unit = ${exportData.units.metersPerUnit} m, shown in ${exportData.units.unit}` : 'Normalized (not calibrated)'}${exportData.units.scaleMode === 'native' ? ', native model units' : ''}
+- **Measurements**: ${exportData.measurements ? exportData.measurements.measurements.map(measurement => `${measurement.name} (${measurement.text})`).join(', ') : 'None'}
+- **Annotations**: ${exportData.annotations ? exportData.annotations.annotations.map(annotation => annotation.title).join(', ') : 'None'}
+- **Clipping Planes**: ${exportData.clipping ? `${exportData.clipping.planes.length}${exportData.clipping.planes.some(plane => plane.capColor) ? ' (capped)' : ''}` : 'None'}
+- **Camera Tour**: ${exportData.tour ? `${exportData.tour.keyframes.length} keyframes${exportData.tour.autoplay ? ' (kiosk autoplay)' : exportData.tour.loop ? ' (looping)' : ''}` : 'None'}
+- **Position**: Alpha: ${exportData.cameraState.alpha.toFixed(2)}, Beta: ${exportData.cameraState.beta.toFixed(2)}, Radius: ${exportData.cameraState.radius.toFixed(2)}
+- **Target**: X: ${exportData.cameraState.target.x.toFixed(2)}, Y: ${exportData.cameraState.target.y.toFixed(2)}, Z: ${exportData.cameraState.target.z.toFixed(2)}
+
+## Viewer Settings
+- **Auto Rotation**: ${exportData.settings.autoRotation ? 'Enabled' : 'Disabled'}
+- **Quality**: ${exportData.settings.quality}
+- **Post-Processing**: Sharpen: ${exportData.postProcessing?.sharpenEnabled ? 'On' : 'Off'}, Anti-Aliasing: ${exportData.postProcessing?.antiAliasing?.type || 'none'}
+
+## How to Use
+1. Open index.html in a modern web browser
+2. The model will load automatically with all saved settings
+3. Use mouse/touch to navigate:
+   - Left click + drag: Orbit
+   - Right click + drag: Pan
+   - Scroll: Zoom
+
+## Requirements
+- Modern web browser with WebGL support
+- Internet connection (for loading Babylon.js from CDN)
+
+## Original Source
+${exportData.metadata.originalUrl}
+
+## Technical Details
+- **Babylon.js Version**: ${exportData.metadata.babylonVersion}
+- **Export Version**: ${EXPORT_CONFIG.metadata.version}
+- **Generated By**: ${EXPORT_CONFIG.metadata.generatedBy}
+`
+};
+
+/**
+ * Export utility functions
+ */
+export const EXPORT_UTILS = {
+    /**
+     * Format file size in human-readable format
+     */
+    formatFileSize: (bytes) => {
+        if (!bytes) return 'Unknown';
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(1024));
+        return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
+    },
+
+    /**
+     * Get model format from URL
+     */
+    getModelFormat: (url) => {
+        const extension = url.split('.').pop().toLowerCase();
+        return extension.split('?')[0]; // Remove query params
+    },
+
+    /**
+     * Estimate export size based on model and settings
+     */
+    estimateExportSize: (modelData, format) => {
+        const baseSize = 2; // Base HTML/CSS/JS size in MB
+        const modelSize = modelData?.size ? modelData.size / (1024 * 1024) : 0;
+        
+        if (format === 'html') {
+            return Math.round((baseSize + modelSize) * 10) / 10;
+        } else {
+            return Math.round((baseSize * 0.5 + modelSize) * 10) / 10;
+        }
+    },
+
+    /**
+     * Check if file size is within limits
+     */
+    isWithinSizeLimit: (size, format) => {
+        const limit = EXPORT_CONFIG.maxFileSizes[format];
+        return size <= limit;
+    },
+
+    /**
+     * Convert blob to base64
+     */
+    blobToBase64: (blob) => {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onloadend = () => resolve(reader.result.split(',')[1]);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+    },
+
+    /**
+     * Convert base64 to blob
+     */
+    base64ToBlob: (base64, contentType = 'application/octet-stream') => {
+        const byteCharacters = atob(base64);
+        const byteNumbers = new Array(byteCharacters.length);
+        
+        for (let i = 0; i < byteCharacters.length; i++) {
+            byteNumbers[i] = byteCharacters.charCodeAt(i);
+        }
+        
+        const byteArray = new Uint8Array(byteNumbers);
+        return new Blob([byteArray], { type: contentType });
+    },
+
+    /**
+     * Download blob as file
+     */
+    downloadBlob: (blob, filename) => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Load external library dynamically
+     */
+    loadExternalLibrary: (url) => {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = resolve;
+            script.onerror = reject;
+            document.head.appendChild(script);
+        });
+    },
+
+    /**
+     * Load JSZip from the CDN unless the page already has it
+     * @returns {Promise<Function>} The JSZip constructor
+     */
+    loadJSZip: async () => {
+        if (!window.JSZip) {
+            await EXPORT_UTILS.loadExternalLibrary(EXPORT_CONFIG.cdn.jszip);
+        }
+        return window.JSZip;
+    },
+
+    /**
+     * Estimate HTML export size for UI display
+     */
+    estimateHTMLSize: () => {
+        const scene = window.scene;
+        if (!scene || !scene.currentModel) return '?';
+        
+        // Estimate based on model complexity
+        const vertices = scene.getTotalVertices();
+        const estimatedMB = Math.round((vertices * 0.0001 + 2) * 10) / 10;
+        return estimatedMB;
+    }
 };
\ No newline at end of file
@@ -0,0 +1,290 @@
+/* ========================================================================
+   3D VIEWER - HIGH-RESOLUTION SCREENSHOTS
+   ========================================================================
+
+   PURPOSE:
+   Renders the current view at an arbitrary resolution (a multiple of the
+   canvas size or a fixed size such as 4K) and encodes it as PNG, JPEG or
+   WebP, optionally on a transparent background.
+
+   EXPORTS:
+   - captureScreenshot() - Render and encode a screenshot
+   - getScreenshotSize() - Output size of a size preset
+   - getScreenshotMetadata() - Camera and render settings of the current view
+   - hasVisibleSplats() - Whether the scene shows Gaussian splats
+   - isSplatSortSettled() - Whether the splats are depth sorted for the view
+   - waitForSplatSort() - Render until they are (batch captures after a
+     camera jump)
+
+   FEATURES:
+   - Rendered through the scene's own DefaultRenderingPipeline, so sharpen
+     and FXAA match the screen
+   - Transparent background (PNG / WebP) instead of scene.clearColor
+   - Camera metadata embedded in PNGs (tEXt chunk) or returned for a
+     sidecar file
+   - Editing gizmos, clipping plane outlines and measurement lines are
+     left out of the image
+
+   DEPENDENCIES:
+   - Babylon.js engine (canvas resized for the capture, then restored)
+   - Configuration constants for presets, formats and quality
+
+   ======================================================================== */
+
+import { CONFIG } from '../config.js';
+import { ErrorMessages } from '../helpers.js';
+
+const METADATA_KEYWORD = 'Description';
+
+/**
+ * Output size of a screenshot preset
+ * @param {BABYLON.Scene} scene
+ * @param {Object} preset - { scale } or { width, height } (see CONFIG.screenshot.presets)
+ * @returns {{width: number, height: number}}
+ */
+export function getScreenshotSize(scene, preset) {
+    if (preset.width && preset.height) {
+        return { width: preset.width, height: preset.height };
+    }
+
+    const canvas = scene.getEngine().getRenderingCanvas();
+    const scale = preset.scale || 1;
+    return {
+        width: Math.round(canvas.clientWidth * scale),
+        height: Math.round(canvas.clientHeight * scale)
+    };
+}
+
+/**
+ * Render the current view and encode it
+ * @param {BABYLON.Scene} scene
+ * @param {Object} [options]
+ * @param {number} [options.width] - Output size; defaults to the canvas size
+ * @param {number} [options.height]
+ * @param {string} [options.format] - 'png', 'jpeg' or 'webp'
+ * @param {boolean} [options.transparent] - Clear to transparent (ignored for JPEG)
+ * @param {boolean} [options.includeMetadata] - Add camera parameters
+ * @returns {Promise<{blob: Blob, fileName: string, width: number, height: number, metadata: Object|null, metadataEmbedded: boolean}>}
+ */
+export async function captureScreenshot(scene, options = {}) {
+    const engine = scene.getEngine();
+    const canvas = engine.getRenderingCanvas();
+    const {
+        width = canvas.clientWidth,
+        height = canvas.clientHeight,
+        format = 'png',
+        transparent = false,
+        includeMetadata = false
+    } = options;
+
+    const mimeType = CONFIG.screenshot.formats[format];
+    if (!mimeType) {
+        throw new Error(`Unknown screenshot format "${format}"`);
+    }
+
+    const caps = engine.getCaps();
+    const maxSize = Math.min(caps.maxRenderbufferSize || caps.maxTextureSize, caps.maxTextureSize);
+    if (width > maxSize || height > maxSize) {
+        throw new Error(ErrorMessages.SYSTEM.SCREENSHOT_TOO_LARGE(maxSize));
+    }
+
+    let blob = await renderToBlob(scene, width, height, mimeType, transparent && format !== 'jpeg');
+    if (!blob) {
+        throw new Error(ErrorMessages.SYSTEM.SCREENSHOT_FAILED('the image could not be encoded'));
+    }
+
+    const metadata = includeMetadata ? getScreenshotMetadata(scene, width, height) : null;
+    let metadataEmbedded = false;
+    if (metadata && blob.type === 'image/png') {
+        blob = await addPngText(blob, METADATA_KEYWORD, JSON.stringify(metadata));
+        metadataEmbedded = true;
+    }
+
+    // Browsers without WebP encoding hand back a PNG
+    const extension = blob.type === 'image/jpeg' ? 'jpg' : blob.type.split('/')[1];
+    console.log(`Screenshot captured: ${width}x${height} ${blob.type}`);
+
+    return {
+        blob,
+        fileName: `screenshot-${width}x${height}-${Date.now()}.${extension}`,
+        width,
+        height,
+        metadata,
+        metadataEmbedded
+    };
+}
+
+/**
+ * Whether the visible splat meshes are depth sorted for the current view.
+ * The sort runs in a worker and lands a frame or more after the camera
+ * moves; images captured before show the splats in the old view's order.
+ * Babylon versions that don't expose the sort state count as settled.
+ * @param {BABYLON.Scene} scene
+ * @returns {boolean}
+ */
+export function isSplatSortSettled(scene) {
+    return getSplatMeshes(scene).every(mesh => mesh._isDepthSortSettled !== false);
+}
+
+/**
+ * Render until the splats are sorted for the current view, at least
+ * CONFIG.screenshot.splatSortFrames.min and at most .max frames. Returns
+ * at once for scenes without splats.
+ * @param {BABYLON.Scene} scene
+ * @returns {Promise<void>}
+ */
+export async function waitForSplatSort(scene) {
+    if (!hasVisibleSplats(scene)) return;
+
+    const { min, max } = CONFIG.screenshot.splatSortFrames;
+    for (let frame = 1; frame <= max; frame++) {
+        scene.render();
+        await new Promise(resolve => requestAnimationFrame(resolve));
+        if (frame >= min && isSplatSortSettled(scene)) return;
+    }
+}
+
+/**
+ * Whether the scene shows Gaussian splats (batch captures then wait for their sort)
+ * @param {BABYLON.Scene} scene
+ * @returns {boolean}
+ */
+export function hasVisibleSplats(scene) {
+    return getSplatMeshes(scene).length > 0;
+}
+
+/**
+ * Visible Gaussian splat meshes
+ */
+function getSplatMeshes(scene) {
+    if (!BABYLON.GaussianSplattingMesh) return [];
+    return scene.meshes.filter(mesh =>
+        mesh instanceof BABYLON.GaussianSplattingMesh && mesh.isEnabled() && mesh.isVisible);
+}
+
+/**
+ * Camera parameters and render settings of the current view
+ * @param {BABYLON.Scene} scene
+ * @param {number} width
+ * @param {number} height
+ */
+export function getScreenshotMetadata(scene, width, height) {
+    const camera = scene.activeCamera;
+    const pipeline = scene.pipeline;
+    const round = value => parseFloat(value.toFixed(5));
+    const vector = ({ x, y, z }) => ({ x: round(x), y: round(y), z: round(z) });
+
+    return {
+        camera: {
+            alpha: round(camera.alpha),
+            beta: round(camera.beta),
+            radius: round(camera.radius),
+            target: vector(camera.target),
+            position: vector(camera.position),
+            fov: round(camera.fov),
+            minZ: camera.minZ,
+            maxZ: camera.maxZ
+        },
+        resolution: { width, height },
+        render: pipeline ? {
+            sharpenEnabled: pipeline.sharpenEnabled,
+            sharpenEdgeAmount: pipeline.sharpen.edgeAmount,
+            fxaaEnabled: pipeline.fxaaEnabled
+        } : null,
+        model: scene.modelRegistry ? scene.modelRegistry.getStorageKey() : null,
+        date: new Date().toISOString()
+    };
+}
+
+/**
+ * Render one frame at the output size and start encoding it
+ * The canvas bitmap is copied when toBlob() is called, so the viewport is
+ * restored before the (asynchronous) encoding finishes.
+ * @returns {Promise<Blob|null>}
+ */
+function renderToBlob(scene, width, height, mimeType, transparent) {
+    const engine = scene.getEngine();
+    const canvas = engine.getRenderingCanvas();
+    const scaling = engine.getHardwareScalingLevel();
+    const clearColor = scene.clearColor;
+    const gizmoLayers = getGizmoLayers(scene).filter(layer => layer.shouldRender);
+
+    try {
+        engine.setHardwareScalingLevel(1);
+        engine.setSize(width, height);
+        if (transparent) {
+            scene.clearColor = new BABYLON.Color4(clearColor.r, clearColor.g, clearColor.b, 0);
+        }
+        gizmoLayers.forEach(layer => { layer.shouldRender = false; });
+
+        scene.render();
+        return new Promise(resolve => canvas.toBlob(resolve, mimeType, CONFIG.screenshot.quality));
+    } finally {
+        gizmoLayers.forEach(layer => { layer.shouldRender = true; });
+        scene.clearColor = clearColor;
+        engine.setHardwareScalingLevel(scaling);
+        engine.resize();
+    }
+}
+
+/**
+ * Utility layers of the transform, crop box and clipping plane gizmos, the
+ * plane outlines and the measurement lines (their labels are HTML, so the
+ * lines would be left unlabelled)
+ */
+function getGizmoLayers(scene) {
+    return [scene.modelTransform, scene.splatEditor, scene.clippingPlanes]
+        .map(tool => tool && tool.gizmoManager && tool.gizmoManager.utilityLayer)
+        .concat(scene.measurementTool ? scene.measurementTool.utilityLayer : null)
+        .concat(scene.clippingPlanes ? scene.clippingPlanes.utilityLayer : null)
+        .filter(Boolean)
+        .filter((layer, index, layers) => layers.indexOf(layer) === index);
+}
+
+/**
+ * Add a tEXt chunk before a PNG's IEND chunk
+ * @param {Blob} blob - PNG
+ * @param {string} keyword
+ * @param {string} text - Non-Latin-1 characters are escaped (JSON-safe)
+ * @returns {Promise<Blob>}
+ */
+async function addPngText(blob, keyword, text) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const latin1 = text.replace(/[\u0080-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+    const data = new Uint8Array(keyword.length + 1 + latin1.length);
+    for (let i = 0; i < keyword.length; i++) data[i] = keyword.charCodeAt(i);
+    for (let i = 0; i < latin1.length; i++) data[keyword.length + 1 + i] = latin1.charCodeAt(i);
+
+    // length | type | data | CRC of type + data
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set([0x74, 0x45, 0x58, 0x74], 4);  // 'tEXt'
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+    const iend = bytes.length - 12;
+    return new Blob([bytes.subarray(0, iend), chunk, bytes.subarray(iend)], { type: 'image/png' });
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
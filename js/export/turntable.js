@@ -0,0 +1,159 @@
+/* ========================================================================
+   3D VIEWER - TURNTABLE RENDER BATCH
+   ========================================================================
+
+   PURPOSE:
+   Catalogue product shots: orbits the viewer's camera around the current
+   model in N equal steps at a fixed elevation and distance, captures one
+   image per step and packs them into a ZIP with a JSON manifest of the
+   camera poses.
+
+   EXPORTS:
+   - renderTurntable() - Render the batch and build the ZIP
+
+   FEATURES:
+   - Same camera (setupCamera's ArcRotateCamera) and render path as the
+     screenshots, so post-processing matches the screen
+   - Orbit centre: the bounds of the visible models (camera target without)
+   - Camera limits are lifted for the batch and restored afterwards, along
+     with the original view
+   - manifest.json: file name, angle and full camera pose per image
+   - Each image waits for the splat depth sort of its view
+
+   DEPENDENCIES:
+   - Screenshot capture (screenshot.js)
+   - Export utilities for JSZip loading
+   - Model registry (scene.modelRegistry) for the model bounds
+
+   ======================================================================== */
+
+import { EXPORT_CONFIG, EXPORT_UTILS } from './exportConfig.js';
+import { captureScreenshot, waitForSplatSort } from './screenshot.js';
+import { setCameraView } from '../cameraControl.js';
+
+/**
+ * Render a turntable batch
+ * @param {BABYLON.Scene} scene
+ * @param {Object} options
+ * @param {number} options.steps - Images per full turn
+ * @param {number} options.elevation - Degrees above the horizon
+ * @param {number} options.radius - Camera distance from the orbit centre
+ * @param {number} options.width - Image size in pixels
+ * @param {number} options.height
+ * @param {string} [options.format] - 'png', 'jpeg' or 'webp'
+ * @param {boolean} [options.transparent]
+ * @param {Function} [onProgress] - Called with the finished fraction (0-1)
+ * @returns {Promise<{blob: Blob, fileName: string, manifest: Object}>}
+ */
+export async function renderTurntable(scene, options, onProgress) {
+    const { steps, elevation, radius, width, height, format = 'png', transparent = false } = options;
+    const JSZip = await EXPORT_UTILS.loadJSZip();
+    const zip = new JSZip();
+
+    const camera = scene.activeCamera;
+    const center = getOrbitCenter(scene, camera);
+    const beta = Math.PI / 2 - elevation * Math.PI / 180;
+    const startAlpha = camera.alpha;
+    const digits = String(steps).length;
+    const restore = takeOverCamera(scene, camera);
+
+    const frames = [];
+    try {
+        for (let step = 0; step < steps; step++) {
+            const angle = 360 * step / steps;
+            setCameraView(camera, {
+                alpha: startAlpha + angle * Math.PI / 180,
+                beta,
+                radius,
+                target: center,
+                fov: camera.fov
+            });
+
+            // Pose before rendering; the position follows from alpha / beta / radius
+            camera.getViewMatrix(true);
+            const pose = {
+                angle,
+                alpha: camera.alpha,
+                beta: camera.beta,
+                radius: camera.radius,
+                target: { ...center },
+                position: { x: camera.position.x, y: camera.position.y, z: camera.position.z }
+            };
+
+            // The splats are still sorted for the previous step
+            await waitForSplatSort(scene);
+
+            const { blob } = await captureScreenshot(scene, { width, height, format, transparent });
+            const extension = blob.type === 'image/jpeg' ? 'jpg' : blob.type.split('/')[1];
+            const file = `turntable_${String(step).padStart(digits, '0')}.${extension}`;
+            zip.file(file, blob);
+            frames.push({ file, ...pose });
+
+            if (onProgress) onProgress((step + 1) / steps);
+        }
+    } finally {
+        restore();
+    }
+
+    const manifest = {
+        generatedBy: EXPORT_CONFIG.metadata.generatedBy,
+        date: new Date().toISOString(),
+        model: scene.modelRegistry ? scene.modelRegistry.getStorageKey() : null,
+        resolution: { width, height },
+        format,
+        transparent,
+        steps,
+        elevation,
+        radius,
+        center,
+        fov: camera.fov,
+        frames
+    };
+    zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+    // Images are already compressed
+    const blob = await zip.generateAsync({ type: 'blob', compression: 'STORE' });
+    console.log(`Turntable rendered: ${steps} images at ${width}x${height}`);
+
+    return { blob, fileName: `turntable-${Date.now()}.zip`, manifest };
+}
+
+/**
+ * Centre of the visible models, or the camera target when there are none
+ */
+function getOrbitCenter(scene, camera) {
+    const bounds = scene.modelRegistry ? scene.modelRegistry.getBounds() : null;
+    const center = bounds ? bounds.min.add(bounds.max).scale(0.5) : camera.target;
+    return { x: center.x, y: center.y, z: center.z };
+}
+
+/**
+ * Stop everything that moves the camera on its own and lift its limits
+ * @returns {Function} Restores the limits, auto-rotation and view
+ */
+function takeOverCamera(scene, camera) {
+    const limitsSystem = scene.cameraLimits;
+    const limitsEnabled = limitsSystem ? limitsSystem.isEnabled : false;
+    const limitKeys = ['lowerRadiusLimit', 'upperRadiusLimit', 'lowerBetaLimit', 'upperBetaLimit', 'lowerAlphaLimit', 'upperAlphaLimit'];
+    const limits = Object.fromEntries(limitKeys.map(key => [key, camera[key]]));
+    const autoRotation = camera.useAutoRotationBehavior;
+    const view = {
+        alpha: camera.alpha,
+        beta: camera.beta,
+        radius: camera.radius,
+        target: { x: camera.target.x, y: camera.target.y, z: camera.target.z },
+        fov: camera.fov
+    };
+
+    if (scene.cameraTour) scene.cameraTour.stop();
+    if (limitsSystem) limitsSystem.setEnabled(false);
+    limitKeys.forEach(key => { camera[key] = null; });
+    camera.useAutoRotationBehavior = false;
+
+    return () => {
+        Object.assign(camera, limits);
+        camera.useAutoRotationBehavior = autoRotation;
+        setCameraView(camera, view);
+        if (limitsSystem) limitsSystem.setEnabled(limitsEnabled);
+    };
+}
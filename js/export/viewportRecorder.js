@@ -0,0 +1,311 @@
+/* ========================================================================
+   3D VIEWER - VIEWPORT RECORDER
+   ========================================================================
+
+   PURPOSE:
+   Records the viewport along a scripted camera path - a full 360° orbit
+   around the current target or one pass of the camera tour - at a fixed
+   resolution and frame rate, as a WebM video or a PNG image sequence.
+
+   EXPORTS:
+   - ViewportRecorder - Class recording the scene's canvas
+   - RECORDING_PATHS - Camera path names for UI selects
+
+   FEATURES:
+   - WebM via MediaRecorder (real time; the camera follows the clock)
+   - PNG sequence zipped with JSZip (deterministic: one rendered frame per
+     video frame, however long each frame takes to render and encode;
+     each frame waits for the splat depth sort of its view)
+   - Fixed output size: the canvas is resized for the recording and
+     restored afterwards, along with the camera view and auto-rotation
+   - Progress notifications and cancellation
+
+   DEPENDENCIES:
+   - Camera tour (scene.cameraTour) for tour recordings
+   - Export utilities for JSZip loading
+   - Splat sort state (screenshot.js) for PNG sequences
+   - Configuration constants for sizes, frame rates and encoding
+
+   ======================================================================== */
+
+import { CONFIG } from '../config.js';
+import { ErrorMessages } from '../helpers.js';
+import { setCameraView } from '../cameraControl.js';
+import { EXPORT_UTILS } from './exportConfig.js';
+import { hasVisibleSplats, isSplatSortSettled } from './screenshot.js';
+
+export const RECORDING_PATHS = ['orbit', 'tour'];
+
+/**
+ * Viewport Recorder
+ * Captures the canvas along an orbit or the camera tour
+ */
+export class ViewportRecorder {
+
+    constructor(scene) {
+        this.scene = scene;
+        this.recording = false;
+        this.cancelled = false;
+
+        // Notified with the recorded fraction (0-1)
+        this.onProgressObservable = new BABYLON.Observable();
+    }
+
+    /**
+     * Supported WebM MIME type, or null when video can't be recorded
+     */
+    static getVideoMimeType() {
+        if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+            return null;
+        }
+        return CONFIG.recording.videoMimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    /**
+     * Record the viewport
+     * @param {Object} [options]
+     * @param {string} [options.format] - 'webm' or 'png' (zipped sequence)
+     * @param {number} [options.width] - Output size in pixels
+     * @param {number} [options.height]
+     * @param {number} [options.fps]
+     * @param {string} [options.path] - 'orbit' or 'tour'
+     * @returns {Promise<{blob: Blob, fileName: string, frames: number}>}
+     */
+    async record(options = {}) {
+        if (this.recording) {
+            throw new Error('A recording is already in progress');
+        }
+        this.cancelled = false;
+
+        const [defaultWidth, defaultHeight] = CONFIG.recording.resolutions[CONFIG.recording.defaultResolution];
+        const {
+            format = 'webm',
+            width = defaultWidth,
+            height = defaultHeight,
+            fps = CONFIG.recording.defaultFrameRate,
+            path = 'orbit'
+        } = options;
+
+        const mimeType = format === 'webm' ? ViewportRecorder.getVideoMimeType() : null;
+        if (format === 'webm' && !mimeType) {
+            throw new Error(ErrorMessages.SYSTEM.VIDEO_RECORDING_UNSUPPORTED);
+        }
+
+        const camera = this.scene.activeCamera;
+        const sampler = this.createPathSampler(path, camera);
+        const frameCount = Math.max(1, Math.round(sampler.duration * fps));
+
+        this.recording = true;
+        const restore = this.prepareViewport(camera, width, height);
+        console.log(`Recording ${frameCount} frames (${width}x${height} @ ${fps} fps, ${path}, ${format})`);
+
+        try {
+            const blob = format === 'png'
+                ? await this.recordFrames(camera, sampler, fps, frameCount)
+                : await this.recordVideo(camera, sampler, fps, mimeType);
+
+            const extension = format === 'png' ? 'zip' : 'webm';
+            return { blob, fileName: `viewport-${path}-${Date.now()}.${extension}`, frames: frameCount };
+        } finally {
+            restore();
+            this.recording = false;
+        }
+    }
+
+    /**
+     * Stop the current recording; record() rejects
+     */
+    cancel() {
+        if (this.recording) this.cancelled = true;
+    }
+
+    /**
+     * Camera view as a function of time for a path
+     * @returns {{duration: number, getView: Function}}
+     */
+    createPathSampler(path, camera) {
+        if (path === 'tour') {
+            const tour = this.scene.cameraTour;
+            if (!tour || tour.keyframes.length < 2) {
+                throw new Error(ErrorMessages.INPUT.TOUR_TOO_SHORT);
+            }
+            return { duration: tour.getCycleDuration(), getView: time => tour.getViewAt(time) };
+        }
+
+        // One turn around the current target, from the current view
+        const duration = CONFIG.recording.orbitDuration;
+        const { alpha, beta, radius, fov } = camera;
+        const target = { x: camera.target.x, y: camera.target.y, z: camera.target.z };
+        return {
+            duration,
+            getView: time => ({ alpha: alpha + Math.PI * 2 * time / duration, beta, radius, target, fov })
+        };
+    }
+
+    /**
+     * Resize the canvas and take the camera over for the recording
+     * @returns {Function} Restores the viewport and camera
+     */
+    prepareViewport(camera, width, height) {
+        const engine = this.scene.getEngine();
+        const tour = this.scene.cameraTour;
+        const scaling = engine.getHardwareScalingLevel();
+        const autoRotation = camera.useAutoRotationBehavior;
+        const view = {
+            alpha: camera.alpha,
+            beta: camera.beta,
+            radius: camera.radius,
+            target: { x: camera.target.x, y: camera.target.y, z: camera.target.z },
+            fov: camera.fov
+        };
+
+        // The view is set after the camera update of every frame, so input can't move it
+        if (tour) tour.stop();
+        camera.useAutoRotationBehavior = false;
+
+        // Exact output size: no hardware scaling, drawing buffer set directly
+        engine.setHardwareScalingLevel(1);
+        engine.setSize(width, height);
+
+        return () => {
+            engine.setHardwareScalingLevel(scaling);
+            engine.resize();
+            camera.useAutoRotationBehavior = autoRotation;
+            setCameraView(camera, view);
+        };
+    }
+
+    /**
+     * PNG sequence: step the camera one frame per render, waiting for the
+     * splat sort and for each capture to finish before moving on
+     * @returns {Promise<Blob>} ZIP of frame_00001.png, frame_00002.png, ...
+     */
+    async recordFrames(camera, sampler, fps, frameCount) {
+        const JSZip = await EXPORT_UTILS.loadJSZip();
+        const zip = new JSZip();
+        const canvas = this.scene.getEngine().getRenderingCanvas();
+        const digits = Math.max(5, String(frameCount).length);
+        const { min: minSortFrames, max: maxSortFrames } = CONFIG.screenshot.splatSortFrames;
+        const hasSplats = hasVisibleSplats(this.scene);
+
+        await new Promise((resolve, reject) => {
+            let frame = 0;
+            let capturing = false;
+            let sortFrames = 0;      // Frames rendered at the current camera position
+
+            const finish = (error) => {
+                this.scene.onBeforeRenderObservable.remove(beforeRender);
+                this.scene.onAfterRenderObservable.remove(afterRender);
+                if (error) reject(error); else resolve();
+            };
+
+            const beforeRender = this.scene.onBeforeRenderObservable.add(() => {
+                setCameraView(camera, sampler.getView(frame / fps));
+            });
+
+            const afterRender = this.scene.onAfterRenderObservable.add(() => {
+                if (this.cancelled) {
+                    finish(new Error('Recording cancelled'));
+                    return;
+                }
+                if (capturing) return;
+
+                // The splat sort lands a frame or more after the camera moved
+                if (hasSplats) {
+                    sortFrames++;
+                    const settled = sortFrames >= minSortFrames && isSplatSortSettled(this.scene);
+                    if (!settled && sortFrames < maxSortFrames) return;
+                }
+
+                // The drawing buffer is preserved, so it is still complete here
+                capturing = true;
+                const name = `frame_${String(frame + 1).padStart(digits, '0')}.png`;
+                canvas.toBlob(blob => {
+                    capturing = false;
+                    if (!blob) {
+                        finish(new Error(`Could not capture ${name}`));
+                        return;
+                    }
+
+                    zip.file(name, blob);
+                    frame++;
+                    sortFrames = 0;
+                    this.onProgressObservable.notifyObservers(frame / frameCount);
+                    if (frame >= frameCount) finish();
+                }, 'image/png');
+            });
+        });
+
+        // PNGs are already compressed
+        return zip.generateAsync({ type: 'blob', compression: 'STORE' });
+    }
+
+    /**
+     * WebM: MediaRecorder on the canvas stream, camera driven by the clock
+     * @returns {Promise<Blob>}
+     */
+    recordVideo(camera, sampler, fps, mimeType) {
+        const canvas = this.scene.getEngine().getRenderingCanvas();
+        const stream = canvas.captureStream(fps);
+        const recorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: CONFIG.recording.videoBitrate
+        });
+        const chunks = [];
+
+        return new Promise((resolve, reject) => {
+            let startTime = null;
+            let error = null;
+
+            const stop = () => {
+                this.scene.onBeforeRenderObservable.remove(beforeRender);
+                if (recorder.state !== 'inactive') recorder.stop();
+            };
+
+            recorder.ondataavailable = (event) => {
+                if (event.data.size > 0) chunks.push(event.data);
+            };
+            recorder.onerror = (event) => {
+                error = event.error || new Error('MediaRecorder error');
+                stop();
+            };
+            recorder.onstop = () => {
+                stream.getTracks().forEach(track => track.stop());
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(new Blob(chunks, { type: mimeType.split(';')[0] }));
+                }
+            };
+
+            const beforeRender = this.scene.onBeforeRenderObservable.add(() => {
+                if (this.cancelled) {
+                    error = new Error('Recording cancelled');
+                    stop();
+                    return;
+                }
+
+                const now = performance.now();
+                if (startTime === null) startTime = now;
+                const time = Math.min(sampler.duration, (now - startTime) / 1000);
+
+                setCameraView(camera, sampler.getView(time));
+                this.onProgressObservable.notifyObservers(time / sampler.duration);
+
+                // Let this last frame render into the stream before stopping
+                if (time >= sampler.duration) {
+                    this.scene.onBeforeRenderObservable.remove(beforeRender);
+                    setTimeout(stop, 1000 / fps);
+                }
+            });
+
+            recorder.start();
+        });
+    }
+
+    dispose() {
+        this.cancel();
+        this.onProgressObservable.clear();
+        this.scene = null;
+    }
+}
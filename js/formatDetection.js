@@ -0,0 +1,156 @@
+/* ========================================================================
+   3D VIEWER - MODEL FORMAT DETECTION
+   ========================================================================
+
+   PURPOSE:
+   Works out the format of a model that has no usable file extension, e.g.
+   signed S3 links, API endpoints and blob: URLs. The first bytes of the
+   file are matched against the signatures of the supported formats; the
+   server's Content-Type is only a hint for files without a signature.
+
+   EXPORTS:
+   - getExtension() - Extension of a file name or URL path
+   - getFormatFromName() - Supported format from a file name or URL path
+   - getUrlFormat() - Supported format from a URL's path
+   - parseFormat() - Format from a 'format' URL parameter
+   - detectFormat() - Format from the first bytes and the Content-Type
+
+   SIGNATURES:
+   - .glb - 'glTF' magic
+   - .gltf - JSON with glTF top-level properties ("asset", "meshes", ...)
+   - .ply - 'ply' header line (ASCII and binary)
+   - .spz - gzip signature, or the raw 'NGSP' magic
+   - .stl - binary: 84-byte header whose triangle count matches the file
+     size; ASCII: 'solid' followed by a facet
+   - .fbx - 'Kaydara FBX Binary' magic or the ASCII '; FBX' comment
+   - .obj - text made of OBJ statements (v, vn, vt, f, o, g, ...)
+   - .splat - no signature; a binary file whose size is a multiple of the
+     32-byte record, when nothing else matches
+
+   DEPENDENCIES:
+   - Configuration constants for supported formats and Content-Types
+
+   ======================================================================== */
+
+import { CONFIG } from './config.js';
+
+const SPLAT_RECORD_SIZE = 32;          // Bytes per splat in a .splat file
+const STL_HEADER_SIZE = 84;            // 80-byte header + uint32 triangle count
+const STL_TRIANGLE_SIZE = 50;
+
+const GLTF_PROPERTY = /"(asset|scenes?|nodes|meshes|accessors|bufferViews|buffers)"\s*:/;
+const STL_ASCII = /^solid\b[^\n]*\n\s*(facet|endsolid)\b/;
+const OBJ_STATEMENT = /^(v|vn|vt|vp|f|l|o|g|s|mtllib|usemtl)\s/m;
+const BINARY_BYTES = /[\x00-\x08\x0e-\x1a\x1c-\x1f]/;  // Control characters that don't appear in text
+
+/**
+ * Extension of a file name or URL path
+ * @param {string} name - File name, URL or URL path
+ * @returns {string} Lower-case extension without the dot, '' when there is none
+ */
+export function getExtension(name) {
+    const fileName = name.split(/[?#]/)[0].split('/').pop();
+    const dot = fileName.lastIndexOf('.');
+    return dot > 0 ? fileName.slice(dot + 1).toLowerCase() : '';
+}
+
+/**
+ * Supported format from a file name or URL path
+ * @param {string} name
+ * @returns {string|null} null when the extension is missing or unsupported
+ */
+export function getFormatFromName(name) {
+    const extension = getExtension(name);
+    return CONFIG.modelLoader.supportedFormats.includes(extension) ? extension : null;
+}
+
+/**
+ * Supported format from a URL's path (blob: URLs have none)
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function getUrlFormat(url) {
+    try {
+        return getFormatFromName(new URL(url).pathname);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Format from a 'format' URL parameter ('glb', '.glb', 'GLB')
+ * @param {string} value
+ * @returns {string|null} null for missing or unsupported formats
+ */
+export function parseFormat(value) {
+    if (!value) return null;
+
+    const format = value.trim().replace(/^\./, '').toLowerCase();
+    return CONFIG.modelLoader.supportedFormats.includes(format) ? format : null;
+}
+
+/**
+ * Recognise a model format from the start of the file
+ * @param {Uint8Array} bytes - First bytes of the file (CONFIG.modelLoader.detection.sniffBytes)
+ * @param {Object} [hints]
+ * @param {string} [hints.contentType] - Content-Type header or File type
+ * @param {number} [hints.totalBytes] - File size, 0 when unknown
+ * @returns {string|null} Format, null when it can't be recognised
+ */
+export function detectFormat(bytes, { contentType = '', totalBytes = 0 } = {}) {
+    const format = detectSignature(bytes, totalBytes);
+    if (format) return format;
+
+    // No signature: trust the server's Content-Type
+    const mimeType = contentType.split(';')[0].trim().toLowerCase();
+    const hinted = CONFIG.modelLoader.detection.contentTypes[mimeType];
+    if (hinted) return hinted;
+
+    // .splat is a bare array of 32-byte records
+    if (totalBytes > 0 && totalBytes % SPLAT_RECORD_SIZE === 0 && isBinary(bytes)) {
+        return 'splat';
+    }
+
+    return null;
+}
+
+/**
+ * Format from magic bytes or recognisable text
+ * @returns {string|null}
+ */
+function detectSignature(bytes, totalBytes) {
+    const ascii = readAscii(bytes, 20);
+
+    if (ascii.startsWith('glTF')) return 'glb';
+    if (/^ply\r?\n/.test(ascii)) return 'ply';
+    if ((bytes[0] === 0x1f && bytes[1] === 0x8b) || ascii.startsWith('NGSP')) return 'spz';
+    if (ascii.startsWith('Kaydara FBX Binary')) return 'fbx';
+
+    // Binary STL headers may start with 'solid' too, so check the size first
+    if (bytes.length >= STL_HEADER_SIZE && totalBytes > 0) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const triangles = view.getUint32(80, true);
+        if (STL_HEADER_SIZE + triangles * STL_TRIANGLE_SIZE === totalBytes) return 'stl';
+    }
+
+    if (isBinary(bytes)) return null;
+
+    const text = new TextDecoder().decode(bytes).trimStart();  // The BOM is dropped
+    if (text.startsWith('{') && GLTF_PROPERTY.test(text)) return 'gltf';
+    if (STL_ASCII.test(text)) return 'stl';
+    if (text.startsWith('; FBX')) return 'fbx';
+    if (OBJ_STATEMENT.test(text.replace(/^#.*$/gm, ''))) return 'obj';
+
+    return null;
+}
+
+/**
+ * Whether the bytes contain control characters that text files don't have
+ */
+function isBinary(bytes) {
+    return BINARY_BYTES.test(readAscii(bytes, bytes.length));
+}
+
+function readAscii(bytes, length) {
+    return String.fromCharCode(...bytes.subarray(0, length));
+}
@@ -1,589 +1,753 @@
-/* ========================================================================
-   3D VIEWER - UTILITY HELPERS & DOM MANAGEMENT
-   ========================================================================
-   
-   PURPOSE:
-   Provides utility functions for DOM manipulation, event handling, error 
-   management, and UI update coordination. Contains reusable helpers used
-   throughout the application.
-   
-   EXPORTS:
-   - DOM - Utility functions for element access and caching
-   - Events - Standardized event listener management 
-   - WindowEvents - Centralized window event management with debouncing
-   - ErrorMessages - Consistent error message constants
-   - LoadingSpinner - Centralized loading spinner management
-   - setMeshesPickable() - Make Babylon.js meshes pickable
-   - getTotalVertices() - Count scene vertices
-   - setupUIUpdates() - Initialize UI update system
-   - startUIUpdates() - Start UI update observer
-   - stopUIUpdates() - Stop UI update observer  
-   - restartUIUpdates() - Restart UI updates when content changes
-   
-   DEPENDENCIES:
-   - Device detection for responsive behavior
-   - Configuration constants
-   
-   ======================================================================== */
-
-import { detectDevice } from './deviceDetection.js';
-import { CONFIG } from './config.js';
-
-/**
- * DOM Utility Functions for efficient element access and caching
- */
-export const DOM = {
-    // Cache for expensive queries
-    _cache: new Map(),
-
-    /**
-     * Get a single element by ID
-     * @param {string} id - Element ID
-     * @returns {HTMLElement|null}
-     */
-    get(id) {
-        return document.getElementById(id);
-    },
-
-    /**
-     * Get multiple elements by IDs and return as an object
-     * @param {string[]} ids - Array of element IDs
-     * @returns {Object} Object with keys as IDs and values as elements
-     */
-    getAll(ids) {
-        return ids.reduce((acc, id) => {
-            acc[id] = document.getElementById(id);
-            return acc;
-        }, {});
-    },
-
-    /**
-     * Check if element exists
-     * @param {string} id - Element ID
-     * @returns {boolean}
-     */
-    exists(id) {
-        return document.getElementById(id) !== null;
-    },
-
-    /**
-     * Get element with null check and warning
-     * @param {string} id - Element ID
-     * @param {string} context - Context for warning message
-     * @returns {HTMLElement|null}
-     */
-    getSafe(id, context = '') {
-        const element = document.getElementById(id);
-        if (!element && context) {
-            console.warn(`Element '${id}' not found in context: ${context}`);
-        }
-        return element;
-    },
-
-    /**
-     * Cache and return result of expensive DOM queries
-     * @param {string} key - Cache key
-     * @param {Function} queryFn - Function that performs the DOM query
-     * @returns {HTMLElement[]|NodeList}
-     */
-    cached(key, queryFn) {
-        if (!this._cache.has(key)) {
-            this._cache.set(key, queryFn());
-        }
-        return this._cache.get(key);
-    },
-
-    /**
-     * Clear specific cache entry or entire cache
-     * @param {string} key - Cache key to clear (optional)
-     */
-    clearCache(key = null) {
-        if (key) {
-            this._cache.delete(key);
-        } else {
-            this._cache.clear();
-        }
-    },
-
-    /**
-     * Get all content sections (cached)
-     * @returns {NodeList}
-     */
-    getAllContentSections() {
-        return this.cached('content-sections', () => 
-            document.querySelectorAll('.content-section')
-        );
-    },
-
-    /**
-     * Get all icon buttons (cached)
-     * @returns {NodeList}
-     */
-    getAllIconButtons() {
-        return this.cached('icon-buttons', () => 
-            document.querySelectorAll('.icon-button')
-        );
-    },
-
-    /**
-     * Get buttons within a specific container (cached per container)
-     * @param {HTMLElement} container - Container element
-     * @returns {NodeList}
-     */
-    getButtonsInContainer(container) {
-        const containerId = container.id || container.className || 'unknown';
-        const cacheKey = `buttons-${containerId}`;
-        return this.cached(cacheKey, () => 
-            container.querySelectorAll('button')
-        );
-    }
-};
-
-/**
- * Event Listener Utility Functions for standardized behavior
- */
-export const Events = {
-    /**
-     * Adds a toggle event listener with standardized behavior
-     * @param {HTMLElement} element - The toggle element
-     * @param {Function} callback - Callback function receiving (checked, event)
-     */
-    addToggleListener(element, callback) {
-        element.addEventListener('change', (e) => {
-            callback(e.target.checked, e);
-        });
-    },
-
-    /**
-     * Adds a range input event listener with standardized behavior
-     * @param {HTMLElement} element - The range input element
-     * @param {Function} callback - Callback function receiving (value, event)
-     * @param {HTMLElement} displayElement - Optional element to update with value
-     */
-    addRangeListener(element, callback, displayElement = null) {
-        element.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            if (displayElement) displayElement.textContent = value;
-            callback(value, e);
-        });
-    },
-
-    /**
-     * Adds a click event listener with standardized behavior
-     * @param {HTMLElement} element - The element to listen to
-     * @param {Function} callback - Callback function
-     */
-    addClickListener(element, callback) {
-        element.addEventListener('click', callback);
-    }
-};
-
-/**
- * Centralized Window Event Management
- */
-export const WindowEvents = {
-    resizeCallbacks: new Set(),
-    resizeDebounceTimer: null,
-    resizeDebounceDelay: 16, // ~60fps, good balance between responsiveness and performance
-
-    /**
-     * Initialize window event handlers (call once)
-     */
-    init() {
-        if (this.initialized) return;
-        
-        window.addEventListener("resize", () => {
-            // Clear existing timer
-            if (this.resizeDebounceTimer) {
-                clearTimeout(this.resizeDebounceTimer);
-            }
-            
-            // Debounce resize callbacks to avoid excessive firing
-            this.resizeDebounceTimer = setTimeout(() => {
-                this.resizeCallbacks.forEach(callback => {
-                    try {
-                        callback();
-                    } catch (error) {
-                        console.error(ErrorMessages.SYSTEM.RESIZE_CALLBACK_ERROR, error);
-                    }
-                });
-                this.resizeDebounceTimer = null;
-            }, this.resizeDebounceDelay);
-        });
-        
-        this.initialized = true;
-    },
-
-    /**
-     * Add a resize callback
-     * @param {Function} callback - Function to call on window resize
-     */
-    addResizeCallback(callback) {
-        this.init(); // Ensure listener is initialized
-        this.resizeCallbacks.add(callback);
-    },
-
-    /**
-     * Remove a resize callback
-     * @param {Function} callback - Function to remove
-     */
-    removeResizeCallback(callback) {
-        this.resizeCallbacks.delete(callback);
-    },
-
-    /**
-     * Common engine resize handler
-     * @param {BABYLON.Engine} engine - Babylon.js engine to resize
-     */
-    createEngineResizeHandler(engine) {
-        return () => engine.resize();
-    },
-
-    /**
-     * Configure resize debounce delay
-     * @param {number} delay - Delay in milliseconds (default: 16ms for ~60fps)
-     */
-    setDebounceDelay(delay) {
-        this.resizeDebounceDelay = Math.max(0, delay);
-    }
-};
-
-/**
- * Standardized Error Messages for Consistent UX
- */
-export const ErrorMessages = {
-    // Model Loading Errors
-    MODEL: {
-        NO_MODEL_TO_EXPORT: 'No 3D model is currently loaded to export',
-        UNSUPPORTED_FORMAT: (format) => `File format ".${format}" is not supported`,
-        SPLAT_PLUGIN_MISSING: 'Required 3D viewer plugin is not available. Please reload the page',
-        LOAD_FAILED: (reason) => `Failed to load 3D model${reason ? `: ${reason}` : ''}`,
-        FETCH_FAILED: 'Unable to download the model file. Please check the URL and try again'
-    },
-
-    // System Errors
-    SYSTEM: {
-        RESIZE_CALLBACK_ERROR: 'Error occurred during window resize',
-        TAA_SETUP_FAILED: 'Anti-aliasing setup encountered an issue',
-        FULLSCREEN_FAILED: 'Fullscreen mode is not available. Check your browser settings',
-        EXPORT_FAILED: (reason) => `Export failed${reason ? `: ${reason}` : ''}`
-    },
-
-    // User Input Errors
-    INPUT: {
-        INVALID_URL: 'Please enter a valid model URL',
-        EMPTY_URL: 'Please enter a URL to load',
-        NO_FILE_SELECTED: 'Please select a file to load'
-    },
-
-    // Generic Messages
-    GENERIC: {
-        OPERATION_FAILED: (operation) => `${operation} failed. Please try again`,
-        UNKNOWN_ERROR: 'An unexpected error occurred. Please try again'
-    }
-};
-
-/**
- * Sets all child meshes of a given mesh to be pickable.
- * @param {BABYLON.Mesh} mesh 
- */
-export function setMeshesPickable(mesh) {
-    if (mesh instanceof BABYLON.Mesh) {
-        mesh.isPickable = true;
-        mesh.getChildMeshes().forEach(child => {
-            child.isPickable = true;
-        });
-    }
-}
-
-/**
- * Counts the total number of vertices in the scene.
- * @param {BABYLON.Scene} scene 
- * @returns {number}
- */
-export function getTotalVertices(scene) {
-    return scene.meshes.reduce((total, mesh) => {
-        return total + (mesh.getTotalVertices() || 0);
-    }, 0);
-}
-
-// Global UI update observer management
-let uiUpdateObserver = null;
-let uiUpdateElements = null;
-let uiUpdateScene = null;
-let uiUpdateEngine = null;
-let uiVisibilityObserver = null;
-let isPanelVisible = false;
-let lastUIValues = {}; // Cache last values to avoid unnecessary DOM updates
-
-/**
- * Optimized UI updates - only runs observer when panel is visible
- * @param {BABYLON.Scene} scene 
- * @param {BABYLON.Engine} engine 
- */
-export function setupUIUpdates(scene, engine) {
-    // Clean up any existing observers first
-    stopUIUpdates();
-    
-    // Store element IDs and device info - we'll query elements fresh each time
-    uiUpdateElements = {
-        elementIds: [
-            "controlPanelFps",
-            "controlPanelResolution", 
-            "controlPanelVertices",
-            "controlPanelContent",
-            "deviceTouch",
-            "deviceMobile",
-            "deviceTouchDevice",
-            "deviceType",
-            "deviceMaxTouch",
-            "deviceScreenSize"
-        ],
-        // Cache device detection result - only run once!
-        cachedDevice: detectDevice()
-    };
-    
-    uiUpdateScene = scene;
-    uiUpdateEngine = engine;
-
-    // Set up Intersection Observer for efficient visibility detection
-    // Use a small delay to ensure DOM elements are ready
-    setTimeout(() => {
-        const controlPanelElement = DOM.get("controlPanelContent");
-        if ('IntersectionObserver' in window && controlPanelElement) {
-            uiVisibilityObserver = new IntersectionObserver((entries) => {
-                isPanelVisible = entries[0].isIntersecting;
-                // Start updates when panel becomes visible
-                if (isPanelVisible && !uiUpdateObserver) {
-                    startUIUpdates();
-                }
-            }, {
-                threshold: 0.1 // Trigger when 10% of panel is visible
-            });
-            uiVisibilityObserver.observe(controlPanelElement);
-        }
-        
-        // Start updates immediately if panel is visible
-        const panelElement = DOM.get("controlPanelContent");
-        if (panelElement && panelElement.offsetParent !== null) {
-            isPanelVisible = true;
-            startUIUpdates();
-        }
-    }, 100); // Small delay to ensure DOM is ready
-
-}
-
-/**
- * Starts UI update observer - only called when panel becomes visible
- */
-export function startUIUpdates() {
-    if (uiUpdateObserver || !uiUpdateScene || !uiUpdateEngine || !uiUpdateElements) {
-        return; // Already running or not properly initialized
-    }
-    
-    let lastUpdateTime = 0;
-    const updateFrequency = CONFIG.ui.updateFrequency;
-    
-    uiUpdateObserver = uiUpdateScene.onBeforeRenderObservable.add(() => {
-        // Efficient visibility check - skip if panel is not visible
-        if (!isPanelVisible) {
-            return; // Panel not visible, skip expensive updates
-        }
-        
-        const now = performance.now();
-        if (now - lastUpdateTime > updateFrequency) {
-            lastUpdateTime = now;
-            
-            // Perform UI updates with error handling
-            try {
-                const fps = uiUpdateEngine.getFps();
-                const width = uiUpdateEngine.getRenderWidth();
-                const height = uiUpdateEngine.getRenderHeight();
-                const totalVertices = getTotalVertices(uiUpdateScene);
-
-                // Query elements fresh each time to handle UI state changes
-                const newFps = fps.toFixed(2);
-                const newResolution = `${width} x ${height}`;
-                const newVertices = totalVertices.toString();
-                
-                // Get fresh element references from DOM
-                const fpsElement = DOM.get("controlPanelFps");
-                const resolutionElement = DOM.get("controlPanelResolution");
-                const verticesElement = DOM.get("controlPanelVertices");
-                
-                if (fpsElement && lastUIValues.fps !== newFps) {
-                    fpsElement.textContent = newFps;
-                    lastUIValues.fps = newFps;
-                }
-                if (resolutionElement && lastUIValues.resolution !== newResolution) {
-                    resolutionElement.textContent = newResolution;
-                    lastUIValues.resolution = newResolution;
-                }
-                if (verticesElement && lastUIValues.vertices !== newVertices) {
-                    verticesElement.textContent = newVertices;
-                    lastUIValues.vertices = newVertices;
-                }
-                
-                // Update device detection info (using cached result)
-                const { cachedDevice } = uiUpdateElements;
-                if (cachedDevice) {
-                    const deviceUpdates = [
-                        [DOM.get("deviceTouch"), cachedDevice.hasTouch ? 'YES' : 'NO'],
-                        [DOM.get("deviceMobile"), cachedDevice.isMobile ? 'YES' : 'NO'],
-                        [DOM.get("deviceTouchDevice"), cachedDevice.isTouchDevice ? 'YES' : 'NO'],
-                        [DOM.get("deviceType"), cachedDevice.type],
-                        [DOM.get("deviceMaxTouch"), navigator.maxTouchPoints || 0],
-                        [DOM.get("deviceScreenSize"), `${cachedDevice.screenWidth}×${cachedDevice.screenHeight}`]
-                    ];
-                    
-                    // Batch update device info elements
-                    deviceUpdates.forEach(([element, value]) => {
-                        if (element) element.textContent = value;
-                    });
-                }
-            } catch (error) {
-                console.error('UI update failed:', error);
-                // Don't stop the observer, just skip this update
-            }
-        }
-    });
-    
-}
-
-/**
- * Stops UI update observer - called when panel becomes hidden
- */
-export function stopUIUpdates() {
-    if (uiUpdateObserver && uiUpdateScene) {
-        uiUpdateScene.onBeforeRenderObservable.remove(uiUpdateObserver);
-        uiUpdateObserver = null;
-    }
-    
-    // Clean up visibility observer
-    if (uiVisibilityObserver) {
-        uiVisibilityObserver.disconnect();
-        uiVisibilityObserver = null;
-        isPanelVisible = false;
-    }
-    
-    // Reset cached values
-    lastUIValues = {};
-}
-
-/**
- * Restart UI updates - call this when UI content changes or becomes visible
- */
-export function restartUIUpdates() {
-    if (!uiUpdateScene || !uiUpdateEngine) return;
-    
-    // Stop current updates
-    if (uiUpdateObserver) {
-        stopUIUpdates();
-    }
-    
-    // Check if elements are now visible and restart
-    const panelElement = DOM.get("controlPanelContent");
-    if (panelElement && panelElement.offsetParent !== null) {
-        isPanelVisible = true;
-        startUIUpdates();
-    }
-}
-
-/**
- * Centralized Loading Spinner Management
- */
-export const LoadingSpinner = {
-    // Cache spinner element reference
-    _spinnerElement: null,
-    _spinnerTextElement: null,
-    
-    /**
-     * Get spinner element with caching
-     * @returns {HTMLElement|null}
-     */
-    _getSpinnerElement() {
-        if (!this._spinnerElement) {
-            this._spinnerElement = DOM.get("loadingSpinner");
-        }
-        return this._spinnerElement;
-    },
-    
-    /**
-     * Get spinner text element with caching
-     * @returns {HTMLElement|null}
-     */
-    _getSpinnerTextElement() {
-        if (!this._spinnerTextElement) {
-            this._spinnerTextElement = document.querySelector('.spinner-text');
-        }
-        return this._spinnerTextElement;
-    },
-    
-    /**
-     * Show the loading spinner
-     * @param {string} displayStyle - CSS display style ('block', 'flex', etc.)
-     * @param {string} text - Optional text to display
-     */
-    show(displayStyle = 'block', text = null) {
-        const spinner = this._getSpinnerElement();
-        if (spinner) {
-            spinner.style.display = displayStyle;
-            
-            // Update text if provided
-            if (text) {
-                this.updateText(text);
-            }
-        }
-    },
-    
-    /**
-     * Hide the loading spinner
-     */
-    hide() {
-        const spinner = this._getSpinnerElement();
-        if (spinner) {
-            spinner.style.display = "none";
-        }
-    },
-    
-    /**
-     * Update spinner text
-     * @param {string} text - Text to display
-     */
-    updateText(text) {
-        const spinnerText = this._getSpinnerTextElement();
-        if (spinnerText) {
-            spinnerText.textContent = text;
-        }
-    },
-    
-    /**
-     * Update progress text with percentage
-     * @param {number} percentage - Progress percentage (0-100)
-     * @param {string} baseText - Base text (default: "Loading Model...")
-     */
-    updateProgress(percentage, baseText = "Loading Model...") {
-        if (percentage > 0) {
-            this.updateText(`${baseText} ${percentage}%`);
-        } else {
-            this.updateText(baseText);
-        }
-    },
-    
-    /**
-     * Reset cached elements (call when DOM changes)
-     */
-    resetCache() {
-        this._spinnerElement = null;
-        this._spinnerTextElement = null;
-    },
-    
-    /**
-     * Check if spinner is currently visible
-     * @returns {boolean}
-     */
-    isVisible() {
-        const spinner = this._getSpinnerElement();
-        return spinner && spinner.style.display !== "none";
-    }
-};
+/* ========================================================================
+   3D VIEWER - UTILITY HELPERS & DOM MANAGEMENT
+   ========================================================================
+   
+   PURPOSE:
+   Provides utility functions for DOM manipulation, event handling, error 
+   management, and UI update coordination. Contains reusable helpers used
+   throughout the application.
+   
+   EXPORTS:
+   - DOM - Utility functions for element access and caching
+   - Events - Standardized event listener management 
+   - WindowEvents - Centralized window event management with debouncing
+   - ErrorMessages - Consistent error message constants (single source of
+     user-facing error text)
+   - LoadErrorTypes - Kinds of model load failure
+   - ModelLoadError - Typed model load failure
+   - LoadingSpinner - Centralized loading spinner management
+   - setMeshesPickable() - Make Babylon.js meshes pickable
+   - getTotalVertices() - Count scene vertices
+   - setupUIUpdates() - Initialize UI update system
+   - startUIUpdates() - Start UI update observer
+   - stopUIUpdates() - Stop UI update observer  
+   - restartUIUpdates() - Restart UI updates when content changes
+   
+   DEPENDENCIES:
+   - Device detection for responsive behavior
+   - Configuration constants
+   
+   ======================================================================== */
+
+import { detectDevice } from './deviceDetection.js';
+import { CONFIG } from './config.js';
+
+/**
+ * DOM Utility Functions for efficient element access and caching
+ */
+export const DOM = {
+    // Cache for expensive queries
+    _cache: new Map(),
+
+    /**
+     * Get a single element by ID
+     * @param {string} id - Element ID
+     * @returns {HTMLElement|null}
+     */
+    get(id) {
+        return document.getElementById(id);
+    },
+
+    /**
+     * Get multiple elements by IDs and return as an object
+     * @param {string[]} ids - Array of element IDs
+     * @returns {Object} Object with keys as IDs and values as elements
+     */
+    getAll(ids) {
+        return ids.reduce((acc, id) => {
+            acc[id] = document.getElementById(id);
+            return acc;
+        }, {});
+    },
+
+    /**
+     * Check if element exists
+     * @param {string} id - Element ID
+     * @returns {boolean}
+     */
+    exists(id) {
+        return document.getElementById(id) !== null;
+    },
+
+    /**
+     * Get element with null check and warning
+     * @param {string} id - Element ID
+     * @param {string} context - Context for warning message
+     * @returns {HTMLElement|null}
+     */
+    getSafe(id, context = '') {
+        const element = document.getElementById(id);
+        if (!element && context) {
+            console.warn(`Element '${id}' not found in context: ${context}`);
+        }
+        return element;
+    },
+
+    /**
+     * Cache and return result of expensive DOM queries
+     * @param {string} key - Cache key
+     * @param {Function} queryFn - Function that performs the DOM query
+     * @returns {HTMLElement[]|NodeList}
+     */
+    cached(key, queryFn) {
+        if (!this._cache.has(key)) {
+            this._cache.set(key, queryFn());
+        }
+        return this._cache.get(key);
+    },
+
+    /**
+     * Clear specific cache entry or entire cache
+     * @param {string} key - Cache key to clear (optional)
+     */
+    clearCache(key = null) {
+        if (key) {
+            this._cache.delete(key);
+        } else {
+            this._cache.clear();
+        }
+    },
+
+    /**
+     * Get all content sections (cached)
+     * @returns {NodeList}
+     */
+    getAllContentSections() {
+        return this.cached('content-sections', () => 
+            document.querySelectorAll('.content-section')
+        );
+    },
+
+    /**
+     * Get all icon buttons (cached)
+     * @returns {NodeList}
+     */
+    getAllIconButtons() {
+        return this.cached('icon-buttons', () => 
+            document.querySelectorAll('.icon-button')
+        );
+    },
+
+    /**
+     * Get buttons within a specific container (cached per container)
+     * @param {HTMLElement} container - Container element
+     * @returns {NodeList}
+     */
+    getButtonsInContainer(container) {
+        const containerId = container.id || container.className || 'unknown';
+        const cacheKey = `buttons-${containerId}`;
+        return this.cached(cacheKey, () => 
+            container.querySelectorAll('button')
+        );
+    }
+};
+
+/**
+ * Event Listener Utility Functions for standardized behavior
+ */
+export const Events = {
+    /**
+     * Adds a toggle event listener with standardized behavior
+     * @param {HTMLElement} element - The toggle element
+     * @param {Function} callback - Callback function receiving (checked, event)
+     */
+    addToggleListener(element, callback) {
+        element.addEventListener('change', (e) => {
+            callback(e.target.checked, e);
+        });
+    },
+
+    /**
+     * Adds a range input event listener with standardized behavior
+     * @param {HTMLElement} element - The range input element
+     * @param {Function} callback - Callback function receiving (value, event)
+     * @param {HTMLElement} displayElement - Optional element to update with value
+     */
+    addRangeListener(element, callback, displayElement = null) {
+        element.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (displayElement) displayElement.textContent = value;
+            callback(value, e);
+        });
+    },
+
+    /**
+     * Adds a click event listener with standardized behavior
+     * @param {HTMLElement} element - The element to listen to
+     * @param {Function} callback - Callback function
+     */
+    addClickListener(element, callback) {
+        element.addEventListener('click', callback);
+    }
+};
+
+/**
+ * Centralized Window Event Management
+ */
+export const WindowEvents = {
+    resizeCallbacks: new Set(),
+    resizeDebounceTimer: null,
+    resizeDebounceDelay: 16, // ~60fps, good balance between responsiveness and performance
+
+    /**
+     * Initialize window event handlers (call once)
+     */
+    init() {
+        if (this.initialized) return;
+        
+        window.addEventListener("resize", () => {
+            // Clear existing timer
+            if (this.resizeDebounceTimer) {
+                clearTimeout(this.resizeDebounceTimer);
+            }
+            
+            // Debounce resize callbacks to avoid excessive firing
+            this.resizeDebounceTimer = setTimeout(() => {
+                this.resizeCallbacks.forEach(callback => {
+                    try {
+                        callback();
+                    } catch (error) {
+                        console.error(ErrorMessages.SYSTEM.RESIZE_CALLBACK_ERROR, error);
+                    }
+                });
+                this.resizeDebounceTimer = null;
+            }, this.resizeDebounceDelay);
+        });
+        
+        this.initialized = true;
+    },
+
+    /**
+     * Add a resize callback
+     * @param {Function} callback - Function to call on window resize
+     */
+    addResizeCallback(callback) {
+        this.init(); // Ensure listener is initialized
+        this.resizeCallbacks.add(callback);
+    },
+
+    /**
+     * Remove a resize callback
+     * @param {Function} callback - Function to remove
+     */
+    removeResizeCallback(callback) {
+        this.resizeCallbacks.delete(callback);
+    },
+
+    /**
+     * Common engine resize handler
+     * @param {BABYLON.Engine} engine - Babylon.js engine to resize
+     */
+    createEngineResizeHandler(engine) {
+        return () => engine.resize();
+    },
+
+    /**
+     * Configure resize debounce delay
+     * @param {number} delay - Delay in milliseconds (default: 16ms for ~60fps)
+     */
+    setDebounceDelay(delay) {
+        this.resizeDebounceDelay = Math.max(0, delay);
+    }
+};
+
+/**
+ * Kinds of model load failure (ModelLoadError.type)
+ */
+export const LoadErrorTypes = {
+    NETWORK: 'network',                         // Offline, unreachable or HTTP error
+    CORS: 'cors',                               // Blocked by the server's cross-origin policy
+    UNSUPPORTED_FORMAT: 'unsupported-format',   // Format the viewer can't load or recognise
+    PARSE: 'parse',                             // The file could not be decoded
+    OUT_OF_MEMORY: 'out-of-memory',             // Allocation failed while decoding
+    INVALID_SOURCE: 'invalid-source',           // Not a valid URL or file
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * Standardized Error Messages for Consistent UX
+ */
+export const ErrorMessages = {
+    // Model Loading Errors
+    MODEL: {
+        NO_MODEL_TO_EXPORT: 'No 3D model is currently loaded to export',
+        SPLAT_PLUGIN_MISSING: 'Required 3D viewer plugin is not available. Please reload the page',
+        LOAD_FAILED: (reason) => `Failed to load 3D model${reason ? `: ${reason}` : ''}`,
+        LOAD_CANCELLED: 'Model loading cancelled',
+        FETCH_FAILED: 'Unable to download the model file. Please check the URL and try again',
+        NO_SPLAT_DATA: 'The current model has no editable splat data',
+        NO_MODEL_SELECTED: 'Load or select a model first'
+    },
+
+    // Model load failures by ModelLoadError type; the argument is the error's detail
+    LOAD: {
+        [LoadErrorTypes.NETWORK]: (status) => status
+            ? `The server could not provide the model file (HTTP ${status}). Please check the URL and try again`
+            : 'Unable to download the model file. Please check the URL and your connection and try again',
+        [LoadErrorTypes.CORS]: 'The server does not allow this model to be loaded from another site (CORS). Download the file and open it from your device instead',
+        [LoadErrorTypes.UNSUPPORTED_FORMAT]: (format) => format
+            ? `File format ".${format}" is not supported. Supported formats: ${CONFIG.modelLoader.supportedFormats.join(', ')}`
+            : `The file format could not be recognised. Supported formats: ${CONFIG.modelLoader.supportedFormats.join(', ')}. For links, add format=<type> to set it`,
+        [LoadErrorTypes.PARSE]: (reason) => `The model file could not be read${reason ? `: ${reason}` : ''}`,
+        [LoadErrorTypes.OUT_OF_MEMORY]: 'There is not enough memory to load this model. Try a smaller or compressed (.spz) file',
+        [LoadErrorTypes.INVALID_SOURCE]: 'The model address is not a valid URL. Loading the default model instead',
+        [LoadErrorTypes.UNKNOWN]: (reason) => ErrorMessages.MODEL.LOAD_FAILED(reason)
+    },
+
+    // Error panel titles by ModelLoadError type
+    LOAD_TITLES: {
+        [LoadErrorTypes.NETWORK]: 'Download failed',
+        [LoadErrorTypes.CORS]: 'Blocked by the server',
+        [LoadErrorTypes.UNSUPPORTED_FORMAT]: 'Unsupported file',
+        [LoadErrorTypes.PARSE]: 'Could not read the model',
+        [LoadErrorTypes.OUT_OF_MEMORY]: 'Out of memory',
+        [LoadErrorTypes.INVALID_SOURCE]: 'Invalid model address',
+        [LoadErrorTypes.UNKNOWN]: 'Model failed to load'
+    },
+
+    // System Errors
+    SYSTEM: {
+        RESIZE_CALLBACK_ERROR: 'Error occurred during window resize',
+        TAA_SETUP_FAILED: 'Anti-aliasing setup encountered an issue',
+        FULLSCREEN_FAILED: 'Fullscreen mode is not available. Check your browser settings',
+        EXPORT_FAILED: (reason) => `Export failed${reason ? `: ${reason}` : ''}`,
+        CONVERSION_FAILED: (reason) => `Conversion failed${reason ? `: ${reason}` : ''}`,
+        RECORDING_FAILED: (reason) => `Recording failed${reason ? `: ${reason}` : ''}`,
+        VIDEO_RECORDING_UNSUPPORTED: 'This browser cannot record WebM video. Use the PNG sequence instead',
+        SCREENSHOT_FAILED: (reason) => `Screenshot failed${reason ? `: ${reason}` : ''}`,
+        SCREENSHOT_TOO_LARGE: (maxSize) => `Screenshots are limited to ${maxSize} pixels per side on this device`,
+        TURNTABLE_FAILED: (reason) => `Turntable render failed${reason ? `: ${reason}` : ''}`,
+        ANNOTATIONS_LOAD_FAILED: 'The annotations in the link could not be loaded'
+    },
+
+    // User Input Errors
+    INPUT: {
+        INVALID_URL: 'Please enter a valid model URL',
+        EMPTY_URL: 'Please enter a URL to load',
+        NO_FILE_SELECTED: 'Please select a file to load',
+        TOUR_TOO_SHORT: 'Record at least two keyframes to play a tour',
+        INVALID_TOUR_FILE: 'The selected file is not a camera tour',
+        INVALID_CALIBRATION_LENGTH: 'Enter the known distance between the two points first',
+        INVALID_ANNOTATIONS_FILE: 'The selected file is not an annotations file',
+        TOO_MANY_CLIPPING_PLANES: (maxPlanes) => `At most ${maxPlanes} clipping planes are supported`
+    },
+
+    // Generic Messages
+    GENERIC: {
+        OPERATION_FAILED: (operation) => `${operation} failed. Please try again`,
+        UNKNOWN_ERROR: 'An unexpected error occurred. Please try again'
+    }
+};
+
+// Allocation failures surface as RangeErrors with engine-specific messages
+const OUT_OF_MEMORY_PATTERN = /allocation failed|out of memory|invalid (typed )?array (buffer )?length|array buffer length/i;
+
+/**
+ * Model load failure with a type the UI (and scripts listening to
+ * scene.onModelLoadErrorObservable) can act on. The message comes from
+ * ErrorMessages.LOAD.
+ */
+export class ModelLoadError extends Error {
+    /**
+     * @param {string} type - One of LoadErrorTypes
+     * @param {Object} [options]
+     * @param {*} [options.detail] - Message argument: HTTP status, format or reason
+     * @param {*} [options.cause] - Underlying error
+     */
+    constructor(type, { detail = null, cause } = {}) {
+        const template = ErrorMessages.LOAD[type] || ErrorMessages.LOAD[LoadErrorTypes.UNKNOWN];
+        super(typeof template === 'function' ? template(detail) : template, { cause });
+        this.name = 'ModelLoadError';
+        this.type = ErrorMessages.LOAD[type] ? type : LoadErrorTypes.UNKNOWN;
+        this.detail = detail;
+    }
+
+    /**
+     * Short title for error panels
+     * @returns {string}
+     */
+    get title() {
+        return ErrorMessages.LOAD_TITLES[this.type];
+    }
+
+    /**
+     * Whether loading the same source again may succeed
+     * @returns {boolean}
+     */
+    get retryable() {
+        return this.type === LoadErrorTypes.NETWORK
+            || this.type === LoadErrorTypes.OUT_OF_MEMORY
+            || this.type === LoadErrorTypes.UNKNOWN;
+    }
+
+    /**
+     * Classify any error thrown while loading a model
+     * @param {Error|Object} error - Error, or { name, message, status } from the loading worker
+     * @param {File|string} [source] - Model source, tells CORS from network failures
+     * @param {string} [fallbackType] - Type for errors that match nothing else
+     * @returns {ModelLoadError}
+     */
+    static from(error, source = null, fallbackType = LoadErrorTypes.UNKNOWN) {
+        if (error instanceof ModelLoadError) return error;
+
+        const { name, message = '', status } = error;
+        if (status) {
+            return new ModelLoadError(LoadErrorTypes.NETWORK, { detail: status, cause: error });
+        }
+        // fetch() rejects with a bare TypeError for both; a cross-origin URL while online is most likely CORS
+        if (name === 'NetworkError') {
+            const type = navigator.onLine !== false && isCrossOrigin(source) ? LoadErrorTypes.CORS : LoadErrorTypes.NETWORK;
+            return new ModelLoadError(type, { cause: error });
+        }
+        if (name === 'RangeError' && OUT_OF_MEMORY_PATTERN.test(message)) {
+            return new ModelLoadError(LoadErrorTypes.OUT_OF_MEMORY, { cause: error });
+        }
+        if (name === 'SplatFormatError') {
+            return new ModelLoadError(LoadErrorTypes.PARSE, { detail: message, cause: error });
+        }
+        return new ModelLoadError(fallbackType, { detail: message, cause: error });
+    }
+}
+
+/**
+ * Whether a model URL is on another origin than the viewer
+ */
+function isCrossOrigin(source) {
+    if (typeof source !== 'string') return false;
+    try {
+        return new URL(source, window.location.href).origin !== window.location.origin;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Sets all child meshes of a given mesh to be pickable.
+ * @param {BABYLON.Mesh} mesh 
+ */
+export function setMeshesPickable(mesh) {
+    if (mesh instanceof BABYLON.Mesh) {
+        mesh.isPickable = true;
+        mesh.getChildMeshes().forEach(child => {
+            child.isPickable = true;
+        });
+    }
+}
+
+/**
+ * Counts the total number of vertices in the scene.
+ * @param {BABYLON.Scene} scene 
+ * @returns {number}
+ */
+export function getTotalVertices(scene) {
+    return scene.meshes.reduce((total, mesh) => {
+        return total + (mesh.getTotalVertices() || 0);
+    }, 0);
+}
+
+// Global UI update observer management
+let uiUpdateObserver = null;
+let uiUpdateElements = null;
+let uiUpdateScene = null;
+let uiUpdateEngine = null;
+let uiVisibilityObserver = null;
+let isPanelVisible = false;
+let lastUIValues = {}; // Cache last values to avoid unnecessary DOM updates
+
+/**
+ * Optimized UI updates - only runs observer when panel is visible
+ * @param {BABYLON.Scene} scene 
+ * @param {BABYLON.Engine} engine 
+ */
+export function setupUIUpdates(scene, engine) {
+    // Clean up any existing observers first
+    stopUIUpdates();
+    
+    // Store element IDs and device info - we'll query elements fresh each time
+    uiUpdateElements = {
+        elementIds: [
+            "controlPanelFps",
+            "controlPanelResolution", 
+            "controlPanelVertices",
+            "controlPanelContent",
+            "deviceTouch",
+            "deviceMobile",
+            "deviceTouchDevice",
+            "deviceType",
+            "deviceMaxTouch",
+            "deviceScreenSize"
+        ],
+        // Cache device detection result - only run once!
+        cachedDevice: detectDevice()
+    };
+    
+    uiUpdateScene = scene;
+    uiUpdateEngine = engine;
+
+    // Set up Intersection Observer for efficient visibility detection
+    // Use a small delay to ensure DOM elements are ready
+    setTimeout(() => {
+        const controlPanelElement = DOM.get("controlPanelContent");
+        if ('IntersectionObserver' in window && controlPanelElement) {
+            uiVisibilityObserver = new IntersectionObserver((entries) => {
+                isPanelVisible = entries[0].isIntersecting;
+                // Start updates when panel becomes visible
+                if (isPanelVisible && !uiUpdateObserver) {
+                    startUIUpdates();
+                }
+            }, {
+                threshold: 0.1 // Trigger when 10% of panel is visible
+            });
+            uiVisibilityObserver.observe(controlPanelElement);
+        }
+        
+        // Start updates immediately if panel is visible
+        const panelElement = DOM.get("controlPanelContent");
+        if (panelElement && panelElement.offsetParent !== null) {
+            isPanelVisible = true;
+            startUIUpdates();
+        }
+    }, 100); // Small delay to ensure DOM is ready
+
+}
+
+/**
+ * Starts UI update observer - only called when panel becomes visible
+ */
+export function startUIUpdates() {
+    if (uiUpdateObserver || !uiUpdateScene || !uiUpdateEngine || !uiUpdateElements) {
+        return; // Already running or not properly initialized
+    }
+    
+    let lastUpdateTime = 0;
+    const updateFrequency = CONFIG.ui.updateFrequency;
+    
+    uiUpdateObserver = uiUpdateScene.onBeforeRenderObservable.add(() => {
+        // Efficient visibility check - skip if panel is not visible
+        if (!isPanelVisible) {
+            return; // Panel not visible, skip expensive updates
+        }
+        
+        const now = performance.now();
+        if (now - lastUpdateTime > updateFrequency) {
+            lastUpdateTime = now;
+            
+            // Perform UI updates with error handling
+            try {
+                const fps = uiUpdateEngine.getFps();
+                const width = uiUpdateEngine.getRenderWidth();
+                const height = uiUpdateEngine.getRenderHeight();
+                const totalVertices = getTotalVertices(uiUpdateScene);
+
+                // Query elements fresh each time to handle UI state changes
+                const newFps = fps.toFixed(2);
+                const newResolution = `${width} x ${height}`;
+                const newVertices = totalVertices.toString();
+                
+                // Get fresh element references from DOM
+                const fpsElement = DOM.get("controlPanelFps");
+                const resolutionElement = DOM.get("controlPanelResolution");
+                const verticesElement = DOM.get("controlPanelVertices");
+                
+                if (fpsElement && lastUIValues.fps !== newFps) {
+                    fpsElement.textContent = newFps;
+                    lastUIValues.fps = newFps;
+                }
+                if (resolutionElement && lastUIValues.resolution !== newResolution) {
+                    resolutionElement.textContent = newResolution;
+                    lastUIValues.resolution = newResolution;
+                }
+                if (verticesElement && lastUIValues.vertices !== newVertices) {
+                    verticesElement.textContent = newVertices;
+                    lastUIValues.vertices = newVertices;
+                }
+                
+                // Update device detection info (using cached result)
+                const { cachedDevice } = uiUpdateElements;
+                if (cachedDevice) {
+                    const deviceUpdates = [
+                        [DOM.get("deviceTouch"), cachedDevice.hasTouch ? 'YES' : 'NO'],
+                        [DOM.get("deviceMobile"), cachedDevice.isMobile ? 'YES' : 'NO'],
+                        [DOM.get("deviceTouchDevice"), cachedDevice.isTouchDevice ? 'YES' : 'NO'],
+                        [DOM.get("deviceType"), cachedDevice.type],
+                        [DOM.get("deviceMaxTouch"), navigator.maxTouchPoints || 0],
+                        [DOM.get("deviceScreenSize"), `${cachedDevice.screenWidth}×${cachedDevice.screenHeight}`]
+                    ];
+                    
+                    // Batch update device info elements
+                    deviceUpdates.forEach(([element, value]) => {
+                        if (element) element.textContent = value;
+                    });
+                }
+            } catch (error) {
+                console.error('UI update failed:', error);
+                // Don't stop the observer, just skip this update
+            }
+        }
+    });
+    
+}
+
+/**
+ * Stops UI update observer - called when panel becomes hidden
+ */
+export function stopUIUpdates() {
+    if (uiUpdateObserver && uiUpdateScene) {
+        uiUpdateScene.onBeforeRenderObservable.remove(uiUpdateObserver);
+        uiUpdateObserver = null;
+    }
+    
+    // Clean up visibility observer
+    if (uiVisibilityObserver) {
+        uiVisibilityObserver.disconnect();
+        uiVisibilityObserver = null;
+        isPanelVisible = false;
+    }
+    
+    // Reset cached values
+    lastUIValues = {};
+}
+
+/**
+ * Restart UI updates - call this when UI content changes or becomes visible
+ */
+export function restartUIUpdates() {
+    if (!uiUpdateScene || !uiUpdateEngine) return;
+    
+    // Stop current updates
+    if (uiUpdateObserver) {
+        stopUIUpdates();
+    }
+    
+    // Check if elements are now visible and restart
+    const panelElement = DOM.get("controlPanelContent");
+    if (panelElement && panelElement.offsetParent !== null) {
+        isPanelVisible = true;
+        startUIUpdates();
+    }
+}
+
+/**
+ * Centralized Loading Spinner Management
+ */
+export const LoadingSpinner = {
+    // Cache spinner element reference
+    _spinnerElement: null,
+    _spinnerTextElement: null,
+    _cancelButtonElement: null,
+    
+    /**
+     * Get spinner element with caching
+     * @returns {HTMLElement|null}
+     */
+    _getSpinnerElement() {
+        if (!this._spinnerElement) {
+            this._spinnerElement = DOM.get("loadingSpinner");
+        }
+        return this._spinnerElement;
+    },
+    
+    /**
+     * Get spinner text element with caching
+     * @returns {HTMLElement|null}
+     */
+    _getSpinnerTextElement() {
+        if (!this._spinnerTextElement) {
+            this._spinnerTextElement = document.querySelector('.spinner-text');
+        }
+        return this._spinnerTextElement;
+    },
+    
+    /**
+     * Get cancel button element with caching
+     * @returns {HTMLElement|null}
+     */
+    _getCancelButtonElement() {
+        if (!this._cancelButtonElement) {
+            this._cancelButtonElement = DOM.get("loadingCancelButton");
+        }
+        return this._cancelButtonElement;
+    },
+    
+    /**
+     * Show the loading spinner
+     * @param {string} displayStyle - CSS display style ('block', 'flex', etc.)
+     * @param {string} text - Optional text to display
+     */
+    show(displayStyle = 'block', text = null) {
+        const spinner = this._getSpinnerElement();
+        if (spinner) {
+            spinner.style.display = displayStyle;
+            
+            // Update text if provided
+            if (text) {
+                this.updateText(text);
+            }
+        }
+    },
+    
+    /**
+     * Hide the loading spinner
+     */
+    hide() {
+        const spinner = this._getSpinnerElement();
+        if (spinner) {
+            spinner.style.display = "none";
+        }
+        this.setCancelHandler(null);
+    },
+    
+    /**
+     * Show a Cancel button that calls the handler, or hide it
+     * @param {Function|null} handler
+     */
+    setCancelHandler(handler) {
+        const button = this._getCancelButtonElement();
+        if (button) {
+            button.onclick = handler ? () => handler() : null;
+            button.style.display = handler ? "" : "none";
+        }
+    },
+    
+    /**
+     * Update spinner text
+     * @param {string} text - Text to display
+     */
+    updateText(text) {
+        const spinnerText = this._getSpinnerTextElement();
+        if (spinnerText) {
+            spinnerText.textContent = text;
+        }
+    },
+    
+    /**
+     * Update progress text with percentage
+     * @param {number} percentage - Progress percentage (0-100)
+     * @param {string} baseText - Base text (default: "Loading Model...")
+     */
+    updateProgress(percentage, baseText = "Loading Model...") {
+        if (percentage > 0) {
+            this.updateText(`${baseText} ${percentage}%`);
+        } else {
+            this.updateText(baseText);
+        }
+    },
+    
+    /**
+     * Reset cached elements (call when DOM changes)
+     */
+    resetCache() {
+        this._spinnerElement = null;
+        this._spinnerTextElement = null;
+        this._cancelButtonElement = null;
+    },
+    
+    /**
+     * Check if spinner is currently visible
+     * @returns {boolean}
+     */
+    isVisible() {
+        const spinner = this._getSpinnerElement();
+        return spinner && spinner.style.display !== "none";
+    }
+};
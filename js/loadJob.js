@@ -0,0 +1,210 @@
+/* ========================================================================
+   3D VIEWER - MODEL LOAD JOBS
+   ========================================================================
+
+   PURPOSE:
+   Main thread side of the loading worker (loaderWorker.js). A load job
+   downloads a model (or reads a local file) and, for splats, decodes and
+   filters it in the worker, so the UI and the loading spinner stay
+   responsive while big files come in.
+
+   EXPORTS:
+   - startLoadJob() - Run a load job with progress, previews and cancellation
+   - terminateLoadWorker() - Stop the worker (cleanup)
+
+   FEATURES:
+   - One shared module worker; jobs are matched to replies by id
+   - Cancellation through an AbortSignal: the job rejects with an
+     AbortError right away and the worker stops downloading
+   - Failures reject with a typed ModelLoadError (network, CORS, parse,
+     out of memory)
+   - Runs jobs inline when module workers are unavailable or fail to start
+
+   DEPENDENCIES:
+   - Loading worker (loaderWorker.js)
+   - Configuration constants for streaming and filtering
+   - ModelLoadError (helpers.js)
+
+   ======================================================================== */
+
+import { CONFIG } from './config.js';
+import { ModelLoadError, LoadErrorTypes } from './helpers.js';
+import { runLoadJob } from './loaderWorker.js';
+
+let worker = null;
+let workerFailed = false;     // Module workers unsupported or the script failed to load
+let nextJobId = 1;
+const jobs = new Map();       // Job id -> { job, handlers, resolve, reject }
+
+/**
+ * Download (and for splats decode) a model off the main thread
+ * @param {Object} request
+ * @param {File|string} request.source - Local file or URL
+ * @param {string} request.kind - 'splat', 'mesh' or 'sniff' (first bytes, for format detection)
+ * @param {string} [request.format] - File extension (splat and mesh jobs)
+ * @param {number} [request.maxPreview] - Splat previews stop growing at this many splats
+ * @param {number} [request.sniffBytes] - Bytes read by sniff jobs
+ * @param {Object} [handlers]
+ * @param {AbortSignal} [handlers.signal] - Cancels the job
+ * @param {Function} [handlers.onProgress] - Called with (loadedBytes, totalBytes); total is 0 when unknown
+ * @param {Function} [handlers.onPartial] - Called with (.splat buffer, splat count) for splat previews
+ * @returns {Promise<Object>} { buffer } for meshes, { splatData, removed } for splats,
+ *   { head, contentType, totalBytes } for sniffs; rejects with a ModelLoadError, or an
+ *   AbortError when cancelled
+ */
+export function startLoadJob(request, handlers = {}) {
+    const { signal } = handlers;
+    if (signal && signal.aborted) {
+        return Promise.reject(signal.reason);
+    }
+
+    const id = nextJobId++;
+    const job = {
+        ...request,
+        id,
+        streaming: CONFIG.modelLoader.streaming,
+        filter: CONFIG.modelLoader.worker.filter
+    };
+
+    return new Promise((resolve, reject) => {
+        const entry = { job, handlers, resolve, reject };
+        jobs.set(id, entry);
+
+        if (signal) {
+            entry.onAbort = () => {
+                if (!jobs.has(id)) return;
+                if (entry.controller) {
+                    entry.controller.abort();
+                } else if (worker) {
+                    worker.postMessage({ type: 'cancel', id });
+                }
+                finishJob(id);
+                reject(signal.reason);
+            };
+            signal.addEventListener('abort', entry.onAbort);
+        }
+
+        const target = getWorker();
+        if (target) {
+            target.postMessage({ type: 'load', job });
+        } else {
+            runInline(entry);
+        }
+    });
+}
+
+/**
+ * Stop the worker; jobs in progress are cancelled
+ */
+export function terminateLoadWorker() {
+    if (worker) {
+        worker.terminate();
+        worker = null;
+    }
+    for (const [id, entry] of jobs) {
+        finishJob(id);
+        entry.reject(new DOMException('Model loading stopped', 'AbortError'));
+    }
+}
+
+/**
+ * The shared worker, created on first use
+ * @returns {Worker|null} null when jobs run inline
+ */
+function getWorker() {
+    if (worker || workerFailed) return worker;
+
+    if (!CONFIG.modelLoader.worker.enabled || typeof Worker === 'undefined') {
+        workerFailed = true;
+        return null;
+    }
+
+    try {
+        worker = new Worker(new URL('./loaderWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.warn('Loading worker unavailable, loading on the main thread:', error);
+        workerFailed = true;
+        return null;
+    }
+
+    worker.onmessage = ({ data: message }) => handleMessage(message);
+
+    // The script failed to load (or module workers are unsupported): rerun inline
+    worker.onerror = (event) => {
+        event.preventDefault();
+        console.warn('Loading worker failed, loading on the main thread:', event.message);
+        worker.terminate();
+        worker = null;
+        workerFailed = true;
+        for (const entry of jobs.values()) {
+            runInline(entry);
+        }
+    };
+
+    return worker;
+}
+
+/**
+ * Run a job on the main thread, replying as the worker would
+ */
+function runInline(entry) {
+    const { id } = entry.job;
+    entry.controller = new AbortController();
+
+    runLoadJob(entry.job, handleMessage, entry.controller.signal)
+        .then(({ result }) => handleMessage({ type: 'done', id, result }))
+        .catch(error => handleMessage({
+            type: 'error',
+            id,
+            error: { name: error.name, message: error.message, status: error.status || 0 }
+        }));
+}
+
+/**
+ * Dispatch a worker reply to its job
+ */
+function handleMessage(message) {
+    const entry = jobs.get(message.id);
+    if (!entry) return;  // Cancelled
+
+    const { onProgress, onPartial } = entry.handlers;
+    switch (message.type) {
+        case 'progress':
+            if (onProgress) onProgress(message.loaded, message.total);
+            break;
+        case 'partial':
+            if (onPartial) onPartial(message.buffer, message.count);
+            break;
+        case 'done':
+            finishJob(message.id);
+            entry.resolve(message.result);
+            break;
+        case 'error':
+            finishJob(message.id);
+            entry.reject(toError(message.error, entry.job.source));
+            break;
+    }
+}
+
+function finishJob(id) {
+    const entry = jobs.get(id);
+    if (!entry) return;
+
+    jobs.delete(id);
+    if (entry.onAbort) {
+        entry.handlers.signal.removeEventListener('abort', entry.onAbort);
+    }
+}
+
+/**
+ * Error object for an error reported by the worker
+ * @param {{name: string, message: string, status: number}} error
+ * @param {File|string} source - Source of the job
+ */
+function toError(error, source) {
+    if (error.name === 'AbortError') {
+        return new DOMException(error.message, 'AbortError');
+    }
+    // Anything else failed while decoding
+    return ModelLoadError.from(error, source, LoadErrorTypes.PARSE);
+}
@@ -0,0 +1,277 @@
+/* ========================================================================
+   3D VIEWER - MODEL LOADING WORKER
+   ========================================================================
+
+   PURPOSE:
+   Runs the per-byte part of model loading off the main thread: downloads
+   the file (or reads a local one), decodes splat files while they arrive,
+   drops splats that can't be drawn and encodes the preview clouds. Mesh
+   formats are only downloaded here - Babylon's scene loader needs the
+   scene, so it parses them on the main thread. Sniff jobs read just the
+   first bytes, for format detection (formatDetection.js).
+
+   EXPORTS:
+   - runLoadJob() - Run one load job (in the worker, or inline where
+     module workers are unavailable)
+
+   MESSAGES (see loadJob.js for the main thread side):
+   in:  { type: 'load', job }      job = { id, source, kind, format, streaming, maxPreview, filter, sniffBytes }
+        { type: 'cancel', id }
+   out: { type: 'progress', id, loaded, total }
+        { type: 'partial', id, buffer, count }     .splat-encoded preview
+        { type: 'done', id, result }
+        { type: 'error', id, error: { name, message, status } }
+
+   DEPENDENCIES:
+   - Splat parsing/encoding (js/splat) - no DOM or Babylon.js here
+
+   ======================================================================== */
+
+import { SplatStreamParser, SplatFormatError } from './splat/splatParser.js';
+import { writeSplat } from './splat/splatWriter.js';
+
+/**
+ * Run a load job
+ * @param {Object} job
+ * @param {number} job.id
+ * @param {File|string} job.source - Local file or URL
+ * @param {string} job.kind - 'splat' (decoded here), 'mesh' (bytes only) or 'sniff' (first bytes only)
+ * @param {string} [job.format] - File extension (splat and mesh jobs)
+ * @param {Object} [job.streaming] - { enabled, updateInterval } for splat previews
+ * @param {number} [job.maxPreview] - Previews stop growing at this many splats
+ * @param {Object} [job.filter] - { invalid, transparent } splats to drop
+ * @param {number} [job.sniffBytes] - Bytes read by sniff jobs
+ * @param {Function} post - Called with (message, transferList)
+ * @param {AbortSignal} signal
+ * @returns {Promise<{result: Object, transfer: ArrayBuffer[]}>} result is { buffer } for meshes,
+ *   { splatData, removed } for splats (splatData is null for files the parser doesn't understand),
+ *   { head, contentType, totalBytes } for sniffs
+ */
+export async function runLoadJob(job, post, signal) {
+    const { id, kind, format } = job;
+    const { reader, totalBytes, contentType } = await openSource(job.source, signal);
+    const onProgress = (loaded) => post({ type: 'progress', id, loaded, total: totalBytes });
+
+    if (kind === 'sniff') {
+        const chunks = [];
+        await readChunks(reader, signal, (chunk, loaded) => {
+            chunks.push(chunk);
+            return loaded < job.sniffBytes;
+        });
+        const head = joinChunks(chunks).slice(0, job.sniffBytes);
+        return { result: { head, contentType, totalBytes }, transfer: [head] };
+    }
+
+    if (kind === 'mesh') {
+        const chunks = [];
+        await readChunks(reader, signal, (chunk, loaded) => {
+            chunks.push(chunk);
+            onProgress(loaded);
+        });
+        const buffer = joinChunks(chunks);
+        return { result: { buffer }, transfer: [buffer] };
+    }
+
+    const parser = new SplatStreamParser(format, totalBytes);
+    const { enabled, updateInterval } = job.streaming || { enabled: false };
+    const maxPreview = job.maxPreview ?? Infinity;
+    let lastUpdate = performance.now();
+    let shownCount = 0;
+
+    await readChunks(reader, signal, (chunk, loaded) => {
+        parser.push(chunk);
+        onProgress(loaded);
+
+        const partial = enabled && performance.now() - lastUpdate >= updateInterval
+            ? parser.getPartialData()
+            : null;
+        if (partial && partial.count > shownCount && shownCount < maxPreview) {
+            partial.count = Math.min(partial.count, maxPreview);
+            const buffer = writeSplat(partial, findDrawableSplats(partial, job.filter));
+            post({ type: 'partial', id, buffer, count: partial.count }, [buffer]);
+            shownCount = partial.count;
+            lastUpdate = performance.now();
+        }
+    });
+
+    let splatData;
+    try {
+        splatData = await parser.finish();
+    } catch (error) {
+        // The main thread falls back to Babylon's own loader
+        if (!(error instanceof SplatFormatError)) throw error;
+        console.warn(`Splat data unavailable (${error.message}), using the built-in loader`);
+        return { result: { splatData: null, removed: 0 }, transfer: [] };
+    }
+
+    const count = splatData.count;
+    const indices = findDrawableSplats(splatData, job.filter);
+    if (indices) keepSplats(splatData, indices);
+
+    return {
+        result: { splatData, removed: count - splatData.count },
+        transfer: [splatData.positions, splatData.scales, splatData.rotations, splatData.colors, splatData.sh]
+            .filter(Boolean)
+            .map(array => array.buffer)
+    };
+}
+
+/**
+ * Open a local file or URL for reading
+ * @returns {Promise<{reader: ReadableStreamDefaultReader, totalBytes: number, contentType: string}>}
+ */
+async function openSource(source, signal) {
+    if (source instanceof Blob) {
+        return { reader: source.stream().getReader(), totalBytes: source.size, contentType: source.type };
+    }
+
+    let response;
+    try {
+        response = await fetch(source, { signal });
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        // Network and CORS failures (a TypeError, like any bug would be)
+        const networkError = new Error(error.message);
+        networkError.name = 'NetworkError';
+        throw networkError;
+    }
+    if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return {
+        reader: response.body.getReader(),
+        totalBytes: Number(response.headers.get('Content-Length')) || 0,
+        contentType: response.headers.get('Content-Type') || ''
+    };
+}
+
+/**
+ * Read a source chunk by chunk
+ * @param {Function} onChunk - Called with (Uint8Array chunk, loadedBytes); returning
+ *   false stops reading (and the download)
+ */
+async function readChunks(reader, signal, onChunk) {
+    let loadedBytes = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        // Local files don't see the abort signal
+        if (signal.aborted) {
+            reader.cancel();
+            signal.throwIfAborted();
+        }
+        if (done) break;
+        loadedBytes += value.byteLength;
+        if (onChunk(value, loadedBytes) === false) {
+            reader.cancel();
+            break;
+        }
+    }
+}
+
+/**
+ * Join byte chunks into one buffer
+ * @returns {ArrayBuffer}
+ */
+function joinChunks(chunks) {
+    const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return bytes.buffer;
+}
+
+/**
+ * Splats worth drawing: finite position, scale and rotation (invalid) and
+ * some opacity (transparent), for the enabled filters
+ * @param {Object} data - Splat data
+ * @param {Object} [filter] - { invalid, transparent }
+ * @returns {Uint32Array|null} Kept indices, null when every splat is kept
+ */
+function findDrawableSplats(data, filter) {
+    if (!filter || (!filter.invalid && !filter.transparent)) return null;
+
+    const { count, positions, scales, rotations, colors } = data;
+    const indices = new Uint32Array(count);
+    let kept = 0;
+
+    for (let i = 0; i < count; i++) {
+        if (filter.transparent && colors[i * 4 + 3] === 0) continue;
+        if (filter.invalid && !(
+            Number.isFinite(positions[i * 3] + positions[i * 3 + 1] + positions[i * 3 + 2]) &&
+            Number.isFinite(scales[i * 3] + scales[i * 3 + 1] + scales[i * 3 + 2]) &&
+            Number.isFinite(rotations[i * 4] + rotations[i * 4 + 1] + rotations[i * 4 + 2] + rotations[i * 4 + 3])
+        )) continue;
+        indices[kept++] = i;
+    }
+
+    return kept === count ? null : indices.subarray(0, kept);
+}
+
+/**
+ * Compact splat data in place to the given splats (in order)
+ * @param {Object} data - Splat data, its arrays are replaced by shorter views
+ * @param {Uint32Array} indices - Ascending splat indices
+ */
+function keepSplats(data, indices) {
+    const shStride = data.sh ? data.sh.length / data.count : 0;  // Floats per splat
+    const count = indices.length;
+
+    for (let n = 0; n < count; n++) {
+        const i = indices[n];
+        if (i === n) continue;
+        data.positions.copyWithin(n * 3, i * 3, i * 3 + 3);
+        data.scales.copyWithin(n * 3, i * 3, i * 3 + 3);
+        data.rotations.copyWithin(n * 4, i * 4, i * 4 + 4);
+        data.colors.copyWithin(n * 4, i * 4, i * 4 + 4);
+        if (data.sh) data.sh.copyWithin(n * shStride, i * shStride, (i + 1) * shStride);
+    }
+
+    data.count = count;
+    data.positions = data.positions.subarray(0, count * 3);
+    data.scales = data.scales.subarray(0, count * 3);
+    data.rotations = data.rotations.subarray(0, count * 4);
+    data.colors = data.colors.subarray(0, count * 4);
+    if (data.sh) data.sh = data.sh.subarray(0, count * shStride);
+}
+
+/* ========================================================================
+   WORKER ENTRY
+   ======================================================================== */
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    const controllers = new Map();  // Job id -> AbortController
+
+    self.onmessage = async ({ data: message }) => {
+        if (message.type === 'cancel') {
+            const controller = controllers.get(message.id);
+            if (controller) controller.abort();
+            return;
+        }
+        if (message.type !== 'load') return;
+
+        const { id } = message.job;
+        const controller = new AbortController();
+        controllers.set(id, controller);
+
+        try {
+            const { result, transfer } = await runLoadJob(
+                message.job,
+                (reply, transferList = []) => self.postMessage(reply, transferList),
+                controller.signal
+            );
+            self.postMessage({ type: 'done', id, result }, transfer);
+        } catch (error) {
+            self.postMessage({
+                type: 'error',
+                id,
+                error: { name: error.name, message: error.message, status: error.status || 0 }
+            });
+        } finally {
+            controllers.delete(id);
+        }
+    };
+}
@@ -1,361 +1,600 @@
-/* ========================================================================
-   3D VIEWER - MAIN APPLICATION ENTRY POINT
-   ========================================================================
-   
-   PURPOSE:
-   Main application initialization and scene creation for the 3D viewer.
-   Coordinates all subsystems and handles the primary rendering loop.
-   
-   EXPORTS:
-   - createScene() - Initialize and start the 3D viewer application
-   
-   DEPENDENCIES:
-   - Camera control system for navigation
-   - Model loading and management
-   - UI components and controls
-   - Post-processing effects
-   - Mobile and touch support
-   - Device detection
-   
-   ======================================================================== */
-
-import { setupCamera, animateCamera } from './cameraControl.js';
-import { loadModel, disposeCurrentModel } from './modelLoader.js';
-import { setupUI, applyCameraParametersFromUrl, applyModelScaleFromUrl } from './ui.js';
-import { addPostEffects } from './postProcessing.js';
-import { getPickResult } from './picking.js';
-import { CONFIG, setupLighting } from './config.js';  // Import the centralized configuration and lighting
-import { setupMobileControls } from './mobileControl.js';
-import { detectDevice } from './deviceDetection.js';
-import { CameraLimits } from './cameraLimits.js';
-import { WindowEvents, ErrorMessages } from './helpers.js';
-
-/**
- * Global Variables
- */
-let engine, scene, camera;
-let pipeline = null; // For post-process reuse
-let gestureController = null; // For mobile gesture control
-let cameraLimits = null; // For camera movement limitations
-
-
-/**
- * Initialize Engine and Scene
- */
-async function initializeEngineAndScene() {
-    const canvas = document.getElementById("renderCanvas");
-    
-    
-    // Using config to fine-tune engine
-    engine = new BABYLON.Engine(canvas, true, {
-        preserveDrawingBuffer: CONFIG.engine.preserveDrawingBuffer,
-        stencil: CONFIG.engine.stencil,
-        disableWebGL2Support: CONFIG.engine.disableWebGL2Support,
-        antialias: CONFIG.engine.antialias
-    });
-    scene = new BABYLON.Scene(engine);
-    scene.clearColor = new BABYLON.Color3(0.1, 0.1, 0.1);
-
-    // Setup lighting for GLB models (async for HDR loading)
-    await setupLighting(scene);
-
-    // Initialize custom properties for tracking loaded model
-    scene.currentModel = null;
-    scene.currentModelType = null;
-
-    return { engine, scene, canvas };
-}
-
-/**
- * Setup Double-Click Pan
- */
-function setupDoubleClickPan(scene, camera) {
-    // Animation lock flag to prevent overlapping animations
-    let isAnimating = false;
-
-    const onDoubleTap = () => {
-        handleDoubleTap(scene, camera, isAnimating, (val) => { isAnimating = val; });
-    };
-
-    scene.onPointerObservable.add((pointerInfo) => {
-        if (
-            pointerInfo.type === BABYLON.PointerEventTypes.POINTERDOUBLETAP &&
-            pointerInfo.event.button === 0
-        ) {
-            onDoubleTap();
-        }
-    });
-
-    // Double-tap for touch
-    let lastTap = 0;
-    const doubleTapThreshold = CONFIG.gesture.doubleTapThreshold; // ms
-    scene.onPointerObservable.add((pointerInfo) => {
-        if (pointerInfo.type === BABYLON.PointerEventTypes.POINTERDOWN) {
-            const currentTime = new Date().getTime();
-            const tapLength = currentTime - lastTap;
-            if (tapLength < doubleTapThreshold && tapLength > 0) {
-                onDoubleTap();
-                lastTap = 0;
-            } else {
-                lastTap = currentTime;
-            }
-        }
-    });
-}
-
-/**
- * Handles the double-tap/double-click event to animate the camera.
- */
-function handleDoubleTap(scene, camera, isAnimating, setAnimating) {
-    if (isAnimating) {
-        return;
-    }
-    const pickResult = getPickResult(scene, camera, scene.pointerX, scene.pointerY);
-    if (pickResult && pickResult.hit && pickResult.pickedPoint) {
-        const distanceToPoint = BABYLON.Vector3.Distance(camera.target, pickResult.pickedPoint);
-        // Use centralized camera limits from config
-        const targetRadius = Math.max(
-            Math.min(distanceToPoint * 3.5, CONFIG.cameraLimits.defaultLimits.zoom.max),
-            CONFIG.cameraLimits.defaultLimits.zoom.min
-        );
-
-        setAnimating(true);
-        const animationGroup = animateCamera(camera, pickResult.pickedPoint, targetRadius, 30, () => {
-            setAnimating(false);
-        });
-        animationGroup.play();
-    }
-}
-
-/**
- * Configure auto rotation
- */
-function configureAutoRotation(camera) {
-    if (camera.useAutoRotationBehavior && camera.autoRotationBehavior) {
-        const autoConfig = CONFIG.camera.autoRotation;
-        camera.autoRotationBehavior.idleRotationWaitTime = autoConfig.idleRotationWaitTime;
-        camera.autoRotationBehavior.idleRotationSpeed = autoConfig.idleRotationSpeed;
-        camera.autoRotationBehavior.idleRotationSpinUpTime = autoConfig.idleRotationSpinUpTime;
-    }
-}
-
-/**
- * Cleanup Resources
- */
-function cleanup(scene, engine) {
-    // Dispose gesture controller if it exists
-    if (gestureController) {
-        try {
-            gestureController.dispose();
-        } catch (e) {
-            console.warn("Error disposing gesture controller:", e);
-        }
-        gestureController = null;
-    }
-
-    // Dispose camera limits if it exists
-    if (cameraLimits) {
-        try {
-            cameraLimits.dispose();
-        } catch (e) {
-            console.warn("Error disposing camera limits:", e);
-        }
-        cameraLimits = null;
-    }
-
-
-    // Dispose post-processing pipeline
-    if (pipeline) {
-        pipeline.dispose();
-        pipeline = null;
-    }
-
-    // Dispose current model
-    disposeCurrentModel(scene.currentModel, scene.currentModelType);
-    scene.currentModel = null;
-    scene.currentModelType = null;
-
-    // Dispose scene
-    if (scene) {
-        scene.dispose();
-    }
-
-    // Dispose engine
-    if (engine) {
-        engine.dispose();
-    }
-}
-
-/**
- * Create the Scene
- */
-
-
-
-async function createScene() {
-    try {
-        const { engine: eng, scene: scn, canvas } = await initializeEngineAndScene();
-        engine = eng;
-        scene = scn;
-
-        // Detect device using consolidated detection system
-        const device = detectDevice();
-        const hasTouch = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0); // ADD THIS LINE
-        const isMobile = device.isMobile; // Keep existing
-
-        // Determine initial pixel ratio based on device type
-        const initialPixelRatio = isMobile ? CONFIG.pixelRatio.mobile : CONFIG.pixelRatio.pc;
-
-        // Set hardware scaling level based on initial pixel ratio
-        engine.setHardwareScalingLevel(1 / initialPixelRatio);
-        console.log(`Initial hardware scaling level set to: ${1 / initialPixelRatio} for ${isMobile ? 'mobile' : 'PC'}`);
-
-        // Setup camera
-        camera = setupCamera(scene, canvas, CONFIG);
-        
-        // Apply camera parameters from URL (position, FOV, etc.)
-        applyCameraParametersFromUrl(camera);
-        
-        // Initialize camera limits system
-        cameraLimits = new CameraLimits(scene, camera);
-        scene.cameraLimits = cameraLimits; // Make it accessible from scene
-        
-        // TEST CODE - Verify camera limits integration
-        setTimeout(() => {
-        }, 2000);
-        
-        // Configure camera auto-rotation
-        configureAutoRotation(camera);
-
-        // Setup drag & drop functionality
-        setupDragAndDrop(canvas, scene);
-
-        // Double-click to center - only for desktop devices (conflicts with mobile touch)
-        if (!device.hasTouch && !device.isTouchDevice) {
-            setupDoubleClickPan(scene, camera);
-        }
-
-        // Setup touch-optimized controls if device has touch capability
-        // This is additional to the default controls
-        if (device.hasTouch || device.isTouchDevice) {
-            try {
-                // Setup touch controls - this doesn't replace default controls
-                // but adds better touch handling
-                gestureController = setupMobileControls(camera, scene);
-            } catch (e) {
-                console.warn("Error setting up touch controls:", e);
-                // The default controls will still work even if this fails
-            }
-        }
-
-        // Device debug info is now available in the developer tools panel
-
-
-        // Post-processing
-        pipeline = addPostEffects(scene, camera);
-        
-        // Initial anti-aliasing will be applied through the post-processing pipeline
-        // TAA mode can be selected in the UI settings
-
-        // UI
-        setupUI(camera, scene, engine, initialPixelRatio);
-
-        // Attempt to load a model from URL param or default
-        const urlParams = new URLSearchParams(window.location.search);
-        const modelUrl = urlParams.get('model');
-
-        if (modelUrl) {
-            try {
-                const decodedModelUrl = decodeURIComponent(modelUrl);
-                console.log(`Loading model from URL parameter: ${decodedModelUrl}`);
-                await loadModel(scene, decodedModelUrl, CONFIG.modelLoader.defaultFallbackModel);
-            } catch (error) {
-                console.error(ErrorMessages.MODEL.LOAD_FAILED('from URL parameter'), error);
-                await loadModel(scene, CONFIG.modelLoader.defaultFallbackModel, CONFIG.modelLoader.defaultFallbackModel);
-            }
-        } else {
-            await loadModel(scene, CONFIG.defaultModelUrl, CONFIG.modelLoader.defaultFallbackModel);
-        }
-        
-        // Apply model scale from URL if present (must be after model loading)
-        applyModelScaleFromUrl(scene);
-        
-        // Apply camera limits from URL if present
-        if (cameraLimits && urlParams.toString()) {
-            cameraLimits.applyLimitsFromUrl(urlParams);
-        }
-
-        // Start render loop
-        engine.runRenderLoop(() => {
-            if (scene) {
-                scene.render();
-            }
-        });
-
-        // Handle window resize using centralized handler
-        WindowEvents.addResizeCallback(WindowEvents.createEngineResizeHandler(engine));
-
-        // Handle scene disposal for cleanup
-        scene.onDisposeObservable.add(() => {
-            cleanup(scene, engine);
-        });
-
-    } catch (error) {
-        console.error("Error during scene creation:", error);
-        cleanup(scene, engine);
-    }
-}
-
-/**
- * Setup drag and drop functionality for model files
- * @param {HTMLCanvasElement} canvas - The canvas element
- * @param {BABYLON.Scene} scene - The Babylon.js scene
- */
-function setupDragAndDrop(canvas, scene) {
-    // Prevent default drag behaviors on canvas
-    canvas.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        e.dataTransfer.dropEffect = 'copy';
-        canvas.style.filter = 'brightness(1.2)';
-    });
-
-    canvas.addEventListener('dragleave', (e) => {
-        e.preventDefault();
-        canvas.style.filter = 'none';
-    });
-
-    canvas.addEventListener('drop', async (e) => {
-        e.preventDefault();
-        canvas.style.filter = 'none';
-        
-        const files = e.dataTransfer.files;
-        if (files.length > 0 && isValidModelFile(files[0])) {
-            console.log('Drag & drop file detected:', files[0].name);
-            try {
-                // Pass the File object directly to loadModel
-                await loadModel(scene, files[0], CONFIG.modelLoader.defaultFallbackModel);
-                // Apply model scale from URL if present (for shared URLs)
-                applyModelScaleFromUrl(scene);
-            } catch (error) {
-                console.error('Error loading dropped file:', error);
-            }
-        } else {
-            console.warn('Invalid file format. Supported formats:', CONFIG.modelLoader.supportedFormats);
-        }
-    });
-}
-
-/**
- * Check if a file is a valid model file
- * @param {File} file - The file to validate
- * @returns {boolean} - True if file is valid
- */
-function isValidModelFile(file) {
-    if (!file || !file.name) return false;
-    
-    const extension = file.name.split('.').pop().toLowerCase();
-    return CONFIG.modelLoader.supportedFormats.includes(extension);
-}
-
-// Start the application
+/* ========================================================================
+   3D VIEWER - MAIN APPLICATION ENTRY POINT
+   ========================================================================
+   
+   PURPOSE:
+   Main application initialization and scene creation for the 3D viewer.
+   Coordinates all subsystems and handles the primary rendering loop.
+   
+   EXPORTS:
+   - createScene() - Initialize and start the 3D viewer application
+   
+   DEPENDENCIES:
+   - Camera control system for navigation
+   - Model loading and management
+   - UI components and controls
+   - Post-processing effects
+   - Mobile and touch support
+   - Device detection
+   
+   ======================================================================== */
+
+import { setupCamera, animateCamera } from './cameraControl.js';
+import { loadModel, disposeCurrentModel, setModelScaleMode } from './modelLoader.js';
+import { terminateLoadWorker } from './loadJob.js';
+import { setupUI, applyCameraParametersFromUrl, applyModelScaleFromUrl } from './ui.js';
+import { addPostEffects } from './postProcessing.js';
+import { getPickResult } from './picking.js';
+import { CONFIG, setupLighting } from './config.js';  // Import the centralized configuration and lighting
+import { setupMobileControls } from './mobileControl.js';
+import { detectDevice } from './deviceDetection.js';
+import { CameraLimits } from './cameraLimits.js';
+import { SplatEditor } from './splat/splatEditor.js';
+import { SplatBudget } from './splat/splatBudget.js';
+import { AdaptiveQuality } from './adaptiveQuality.js';
+import { ModelRegistry } from './modelRegistry.js';
+import { ModelTransform } from './modelTransform.js';
+import { CameraBookmarks } from './cameraBookmarks.js';
+import { CameraTour } from './cameraTour.js';
+import { MeasurementTool } from './measurementTool.js';
+import { AnnotationManager } from './annotations.js';
+import { ClippingPlanes } from './clippingPlanes.js';
+import { showToast } from './ui/components/toast.js';
+import { parseOrientation } from './modelOrientation.js';
+import { getExtension, getFormatFromName, parseFormat } from './formatDetection.js';
+import { SettingsStore } from './settingsStore.js';
+import { WindowEvents, ErrorMessages } from './helpers.js';
+
+/**
+ * Global Variables
+ */
+let engine, scene, camera;
+let pipeline = null; // For post-process reuse
+let gestureController = null; // For mobile gesture control
+let cameraLimits = null; // For camera movement limitations
+let splatEditor = null; // For splat cropping/editing
+let splatBudget = null; // Splats drawn per device class / quality
+let adaptiveQuality = null; // Quality level driven by the frame rate
+let modelTransform = null; // For model gizmos and leveling
+let cameraBookmarks = null; // For saved camera views
+let cameraTour = null; // For guided camera tours
+let measurementTool = null; // For point-to-point measurements
+let annotations = null; // For notes pinned to the model
+let clippingPlanes = null; // For section views
+
+
+/**
+ * Initialize Engine and Scene
+ */
+async function initializeEngineAndScene() {
+    const canvas = document.getElementById("renderCanvas");
+    
+    
+    // Using config to fine-tune engine
+    engine = new BABYLON.Engine(canvas, true, {
+        preserveDrawingBuffer: CONFIG.engine.preserveDrawingBuffer,
+        stencil: CONFIG.engine.stencil,
+        disableWebGL2Support: CONFIG.engine.disableWebGL2Support,
+        antialias: CONFIG.engine.antialias
+    });
+    scene = new BABYLON.Scene(engine);
+    scene.clearColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+
+    // Setup lighting for GLB models (async for HDR loading)
+    await setupLighting(scene);
+
+    // Initialize custom properties for tracking loaded model
+    scene.currentModel = null;
+    scene.currentModelType = null;
+    scene.onModelLoadedObservable = new BABYLON.Observable();
+    scene.onModelLoadErrorObservable = new BABYLON.Observable();  // { error: ModelLoadError, source, retry }
+    
+    // All loaded models (the selected one is mirrored to scene.currentModel)
+    scene.modelRegistry = new ModelRegistry(scene);
+
+    return { engine, scene, canvas };
+}
+
+/**
+ * Setup Double-Click Pan
+ */
+function setupDoubleClickPan(scene, camera) {
+    // Animation lock flag to prevent overlapping animations
+    let isAnimating = false;
+
+    const onDoubleTap = () => {
+        handleDoubleTap(scene, camera, isAnimating, (val) => { isAnimating = val; });
+    };
+
+    scene.onPointerObservable.add((pointerInfo) => {
+        if (
+            pointerInfo.type === BABYLON.PointerEventTypes.POINTERDOUBLETAP &&
+            pointerInfo.event.button === 0
+        ) {
+            onDoubleTap();
+        }
+    });
+
+    // Double-tap for touch
+    let lastTap = 0;
+    const doubleTapThreshold = CONFIG.gesture.doubleTapThreshold; // ms
+    scene.onPointerObservable.add((pointerInfo) => {
+        if (pointerInfo.type === BABYLON.PointerEventTypes.POINTERDOWN) {
+            const currentTime = new Date().getTime();
+            const tapLength = currentTime - lastTap;
+            if (tapLength < doubleTapThreshold && tapLength > 0) {
+                onDoubleTap();
+                lastTap = 0;
+            } else {
+                lastTap = currentTime;
+            }
+        }
+    });
+}
+
+/**
+ * Handles the double-tap/double-click event to animate the camera.
+ */
+function handleDoubleTap(scene, camera, isAnimating, setAnimating) {
+    // Clicks place measurement points or annotations
+    if (isAnimating || (scene.measurementTool && scene.measurementTool.active) ||
+        (scene.annotations && scene.annotations.placing)) {
+        return;
+    }
+    const pickResult = getPickResult(scene, camera, scene.pointerX, scene.pointerY);
+    if (pickResult && pickResult.hit && pickResult.pickedPoint) {
+        const distanceToPoint = BABYLON.Vector3.Distance(camera.target, pickResult.pickedPoint);
+        // Use centralized camera limits from config
+        const targetRadius = Math.max(
+            Math.min(distanceToPoint * 3.5, CONFIG.cameraLimits.defaultLimits.zoom.max),
+            CONFIG.cameraLimits.defaultLimits.zoom.min
+        );
+
+        setAnimating(true);
+        const animationGroup = animateCamera(camera, pickResult.pickedPoint, targetRadius, 30, () => {
+            setAnimating(false);
+        });
+        animationGroup.play();
+    }
+}
+
+/**
+ * Configure auto rotation
+ */
+function configureAutoRotation(camera) {
+    if (camera.useAutoRotationBehavior && camera.autoRotationBehavior) {
+        const autoConfig = CONFIG.camera.autoRotation;
+        camera.autoRotationBehavior.idleRotationWaitTime = autoConfig.idleRotationWaitTime;
+        camera.autoRotationBehavior.idleRotationSpeed = autoConfig.idleRotationSpeed;
+        camera.autoRotationBehavior.idleRotationSpinUpTime = autoConfig.idleRotationSpinUpTime;
+    }
+}
+
+/**
+ * Cleanup Resources
+ */
+function cleanup(scene, engine) {
+    // Dispose gesture controller if it exists
+    if (gestureController) {
+        try {
+            gestureController.dispose();
+        } catch (e) {
+            console.warn("Error disposing gesture controller:", e);
+        }
+        gestureController = null;
+    }
+
+    // Dispose camera limits if it exists
+    if (cameraLimits) {
+        try {
+            cameraLimits.dispose();
+        } catch (e) {
+            console.warn("Error disposing camera limits:", e);
+        }
+        cameraLimits = null;
+    }
+
+    // Dispose splat editor if it exists
+    if (splatEditor) {
+        try {
+            splatEditor.dispose();
+        } catch (e) {
+            console.warn("Error disposing splat editor:", e);
+        }
+        splatEditor = null;
+    }
+
+    // Dispose splat budget if it exists
+    if (splatBudget) {
+        try {
+            splatBudget.dispose();
+        } catch (e) {
+            console.warn("Error disposing splat budget:", e);
+        }
+        splatBudget = null;
+    }
+
+    // Dispose adaptive quality if it exists
+    if (adaptiveQuality) {
+        try {
+            adaptiveQuality.dispose();
+        } catch (e) {
+            console.warn("Error disposing adaptive quality:", e);
+        }
+        adaptiveQuality = null;
+    }
+
+    // Dispose model transform tools if they exist
+    if (modelTransform) {
+        try {
+            modelTransform.dispose();
+        } catch (e) {
+            console.warn("Error disposing model transform:", e);
+        }
+        modelTransform = null;
+    }
+
+    // Dispose camera bookmarks if they exist
+    if (cameraBookmarks) {
+        try {
+            cameraBookmarks.dispose();
+        } catch (e) {
+            console.warn("Error disposing camera bookmarks:", e);
+        }
+        cameraBookmarks = null;
+    }
+
+    // Dispose camera tour if it exists
+    if (cameraTour) {
+        try {
+            cameraTour.dispose();
+        } catch (e) {
+            console.warn("Error disposing camera tour:", e);
+        }
+        cameraTour = null;
+    }
+
+    // Dispose measurement tool if it exists
+    if (measurementTool) {
+        try {
+            measurementTool.dispose();
+        } catch (e) {
+            console.warn("Error disposing measurement tool:", e);
+        }
+        measurementTool = null;
+    }
+
+    // Dispose annotations if they exist
+    if (annotations) {
+        try {
+            annotations.dispose();
+        } catch (e) {
+            console.warn("Error disposing annotations:", e);
+        }
+        annotations = null;
+    }
+
+    // Dispose clipping planes if they exist
+    if (clippingPlanes) {
+        try {
+            clippingPlanes.dispose();
+        } catch (e) {
+            console.warn("Error disposing clipping planes:", e);
+        }
+        clippingPlanes = null;
+    }
+
+    // Dispose post-processing pipeline
+    if (pipeline) {
+        pipeline.dispose();
+        pipeline = null;
+    }
+
+    // Stop downloads in progress
+    terminateLoadWorker();
+
+    // Dispose all loaded models
+    if (scene.modelRegistry) {
+        scene.modelRegistry.dispose();
+        scene.modelRegistry = null;
+    } else {
+        disposeCurrentModel(scene.currentModel, scene.currentModelType);
+    }
+    scene.currentModel = null;
+    scene.currentModelType = null;
+
+    // Dispose scene
+    if (scene) {
+        scene.dispose();
+    }
+
+    // Dispose engine
+    if (engine) {
+        engine.dispose();
+    }
+}
+
+/**
+ * Create the Scene
+ */
+
+
+
+async function createScene() {
+    try {
+        const { engine: eng, scene: scn, canvas } = await initializeEngineAndScene();
+        engine = eng;
+        scene = scn;
+
+        // Detect device using consolidated detection system
+        const device = detectDevice();
+        const hasTouch = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0); // ADD THIS LINE
+        const isMobile = device.isMobile; // Keep existing
+
+        // Determine initial pixel ratio based on device type
+        const initialPixelRatio = isMobile ? CONFIG.pixelRatio.mobile : CONFIG.pixelRatio.pc;
+
+        // Set hardware scaling level based on initial pixel ratio
+        engine.setHardwareScalingLevel(1 / initialPixelRatio);
+        console.log(`Initial hardware scaling level set to: ${1 / initialPixelRatio} for ${isMobile ? 'mobile' : 'PC'}`);
+
+        // Setup camera
+        camera = setupCamera(scene, canvas, CONFIG);
+        
+        // Apply camera parameters from URL (position, FOV, etc.)
+        applyCameraParametersFromUrl(camera);
+        
+        // Initialize camera limits system
+        cameraLimits = new CameraLimits(scene, camera);
+        scene.cameraLimits = cameraLimits; // Make it accessible from scene
+        
+        // Initialize splat editing (attaches to the selected splat model)
+        splatEditor = new SplatEditor(scene);
+        scene.splatEditor = splatEditor;
+        
+        // Initialize the splat budget (fewer splats on phones and at lower quality)
+        splatBudget = new SplatBudget(scene);
+        scene.splatBudget = splatBudget;
+        
+        // Initialize adaptive quality (enabled by the "Adaptive" quality preset)
+        adaptiveQuality = new AdaptiveQuality(scene, camera);
+        scene.adaptiveQuality = adaptiveQuality;
+        
+        // Initialize model transform tools (gizmos follow the selected model)
+        modelTransform = new ModelTransform(scene);
+        scene.modelTransform = modelTransform;
+        
+        // Initialize saved camera views (follow the primary model)
+        cameraBookmarks = new CameraBookmarks(scene, camera);
+        scene.cameraBookmarks = cameraBookmarks;
+        
+        // Initialize guided camera tours (follow the primary model)
+        cameraTour = new CameraTour(scene, camera);
+        scene.cameraTour = cameraTour;
+        
+        // Initialize measurements (points picked on meshes and splats)
+        measurementTool = new MeasurementTool(scene, camera);
+        scene.measurementTool = measurementTool;
+        
+        // Initialize annotations (follow the primary model)
+        annotations = new AnnotationManager(scene, camera);
+        scene.annotations = annotations;
+        
+        // Initialize clipping planes (section views of meshes and splats)
+        clippingPlanes = new ClippingPlanes(scene);
+        scene.clippingPlanes = clippingPlanes;
+        
+        // TEST CODE - Verify camera limits integration
+        setTimeout(() => {
+        }, 2000);
+        
+        // Configure camera auto-rotation
+        configureAutoRotation(camera);
+
+        // Setup drag & drop functionality
+        setupDragAndDrop(canvas, scene);
+
+        // Double-click to center - only for desktop devices (conflicts with mobile touch)
+        if (!device.hasTouch && !device.isTouchDevice) {
+            setupDoubleClickPan(scene, camera);
+        }
+
+        // Setup touch-optimized controls if device has touch capability
+        // This is additional to the default controls
+        if (device.hasTouch || device.isTouchDevice) {
+            try {
+                // Setup touch controls - this doesn't replace default controls
+                // but adds better touch handling
+                gestureController = setupMobileControls(camera, scene);
+            } catch (e) {
+                console.warn("Error setting up touch controls:", e);
+                // The default controls will still work even if this fails
+            }
+        }
+
+        // Device debug info is now available in the developer tools panel
+
+
+        // Post-processing
+        pipeline = addPostEffects(scene, camera);
+        
+        // Initial anti-aliasing will be applied through the post-processing pipeline
+        // TAA mode can be selected in the UI settings
+
+        // UI
+        setupUI(camera, scene, engine, initialPixelRatio);
+
+        // Attempt to load models from URL params (one or more 'model') or default
+        const urlParams = new URLSearchParams(window.location.search);
+        const modelUrls = urlParams.getAll('model');
+        const orientations = urlParams.getAll('orient');  // Per model, in 'model' order
+        const formats = urlParams.getAll('format');       // Per model, for links without an extension
+
+        // Shared scenes load in the sender's scale mode (not saved)
+        if (urlParams.has('scaleMode')) {
+            setModelScaleMode(urlParams.get('scaleMode'), false);
+        }
+
+        if (modelUrls.length > 0) {
+            try {
+                for (const [index, modelUrl] of modelUrls.entries()) {
+                    const decodedModelUrl = decodeURIComponent(modelUrl);
+                    console.log(`Loading model from URL parameter: ${decodedModelUrl}`);
+                    const result = await loadModel(scene, decodedModelUrl, CONFIG.modelLoader.defaultFallbackModel, {
+                        additive: index > 0,
+                        orientation: parseOrientation(orientations[index]),
+                        format: parseFormat(formats[index])
+                    });
+                    if (result.cancelled) break;
+                }
+                applyModelVisibilityFromUrl(scene, urlParams);
+            } catch (error) {
+                console.error(ErrorMessages.MODEL.LOAD_FAILED('from URL parameter'), error);
+                await loadModel(scene, CONFIG.modelLoader.defaultFallbackModel, CONFIG.modelLoader.defaultFallbackModel);
+            }
+        } else {
+            // Reopen the model from last session, if any
+            const lastModelUrl = CONFIG.settings.restoreLastModel && SettingsStore.get('lastModelUrl');
+            await loadModel(scene, lastModelUrl || CONFIG.defaultModelUrl, CONFIG.modelLoader.defaultFallbackModel);
+        }
+        
+        // Apply model scale from URL if present (must be after model loading)
+        applyModelScaleFromUrl(scene);
+        
+        // Apply per-model transforms from URL if present (override 'scale')
+        if (modelTransform && urlParams.has('transform')) {
+            modelTransform.applyTransformsFromUrl(urlParams);
+        }
+        
+        // Apply camera limits from URL if present
+        if (cameraLimits && urlParams.toString()) {
+            cameraLimits.applyLimitsFromUrl(urlParams);
+        }
+        
+        // Apply splat floater filters from URL if present
+        if (splatEditor && urlParams.toString()) {
+            splatEditor.applyFiltersFromUrl(urlParams);
+        }
+        
+        // Apply shared camera views from URL if present (after the models - they replace the saved views)
+        if (cameraBookmarks && urlParams.has('view')) {
+            cameraBookmarks.applyBookmarksFromUrl(urlParams);
+        }
+
+        // Apply shared measurements and units from URL if present
+        if (measurementTool && ['measure', 'units', 'unitScale'].some(key => urlParams.has(key))) {
+            measurementTool.applyMeasurementsFromUrl(urlParams);
+        }
+
+        // Apply shared clipping planes from URL if present
+        if (clippingPlanes && urlParams.has('clip')) {
+            clippingPlanes.applyPlanesFromUrl(urlParams);
+        }
+
+        // Apply shared annotations from URL if present (inline data or a JSON file)
+        if (annotations && (urlParams.has('annotationData') || urlParams.has('annotations'))) {
+            if (!await annotations.applyAnnotationsFromUrl(urlParams)) {
+                showToast(ErrorMessages.SYSTEM.ANNOTATIONS_LOAD_FAILED, 5000);
+            }
+        }
+
+        // Start the saved tour in kiosk mode (unattended displays)
+        if (cameraTour && urlParams.get('kiosk') === 'true') {
+            cameraTour.setKiosk(true);
+        }
+
+        // Start render loop
+        engine.runRenderLoop(() => {
+            if (scene) {
+                scene.render();
+            }
+        });
+
+        // Handle window resize using centralized handler
+        WindowEvents.addResizeCallback(WindowEvents.createEngineResizeHandler(engine));
+
+        // Handle scene disposal for cleanup
+        scene.onDisposeObservable.add(() => {
+            cleanup(scene, engine);
+        });
+
+    } catch (error) {
+        console.error("Error during scene creation:", error);
+        cleanup(scene, engine);
+    }
+}
+
+/**
+ * Setup drag and drop functionality for model files
+ * @param {HTMLCanvasElement} canvas - The canvas element
+ * @param {BABYLON.Scene} scene - The Babylon.js scene
+ */
+function setupDragAndDrop(canvas, scene) {
+    // Prevent default drag behaviors on canvas
+    canvas.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        canvas.style.filter = 'brightness(1.2)';
+    });
+
+    canvas.addEventListener('dragleave', (e) => {
+        e.preventDefault();
+        canvas.style.filter = 'none';
+    });
+
+    canvas.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        canvas.style.filter = 'none';
+        
+        const files = Array.from(e.dataTransfer.files).filter(isValidModelFile);
+        if (files.length > 0) {
+            console.log('Drag & drop files detected:', files.map(file => file.name).join(', '));
+            try {
+                // Several files (or Shift held) are added to the scene instead of replacing it
+                for (const [index, file] of files.entries()) {
+                    const additive = index > 0 || e.shiftKey;
+                    const result = await loadModel(scene, file, CONFIG.modelLoader.defaultFallbackModel, { additive });
+                    if (result.cancelled) break;
+                }
+                // Apply model scale from URL if present (for shared URLs)
+                applyModelScaleFromUrl(scene);
+            } catch (error) {
+                console.error('Error loading dropped file:', error);
+            }
+        } else {
+            console.warn('Invalid file format. Supported formats:', CONFIG.modelLoader.supportedFormats);
+        }
+    });
+}
+
+/**
+ * Hide models listed in the 'hidden' URL parameter (comma-separated indices)
+ * and keep the first model selected, as in the shared scene
+ */
+function applyModelVisibilityFromUrl(scene, urlParams) {
+    const registry = scene.modelRegistry;
+    if (!registry || registry.items.length === 0) return;
+
+    const hidden = (urlParams.get('hidden') || '').split(',').map(value => parseInt(value, 10));
+    registry.items.forEach((item, index) => {
+        if (hidden.includes(index)) {
+            registry.setVisible(item.id, false);
+        }
+    });
+    registry.select(registry.items[0].id);
+}
+
+/**
+ * Check if a file is a valid model file
+ * @param {File} file - The file to validate
+ * @returns {boolean} - True if file is valid
+ */
+function isValidModelFile(file) {
+    if (!file || !file.name) return false;
+    
+    // Files without an extension are recognised from their content
+    return !getExtension(file.name) || getFormatFromName(file.name) !== null;
+}
+
+// Start the application
 createScene();
\ No newline at end of file
@@ -0,0 +1,629 @@
+/* ========================================================================
+   3D VIEWER - MEASUREMENT TOOL
+   ========================================================================
+
+   PURPOSE:
+   Point-to-point distances on meshes and Gaussian splats. In measuring
+   mode every click places a point on the model under the pointer; two or
+   more points make a measurement (a polyline). Lengths are shown next to
+   the lines in the viewport and kept in a list.
+
+   EXPORTS:
+   - MeasurementTool - Class managing the scene's measurements
+
+   FEATURES:
+   - Points picked with getPickResult(), including its depth pick for
+     splats (which mesh picking can't hit)
+   - Lines drawn in a utility layer, so they stay visible in front of the
+     model; HTML labels follow them on screen
+   - Real-world units (mm / cm / m / in): known for models loaded in
+     native units, otherwise set by calibration - pick two points, enter
+     their true distance, and the whole scene is rescaled to metres; the
+     scale is saved for the model and applied again when it is reopened
+   - URL parameter serialization ('measure' per measurement, 'units',
+     'unitScale') and labelled data for viewer exports
+
+   DEPENDENCIES:
+   - Picking (picking.js)
+   - Camera animation (cameraControl.js) to frame a measurement
+   - Model registry (scene.modelRegistry) for the models' units and rescaling
+   - Settings store for the display unit and saved calibrations
+   - Configuration constants for colours, units and formatting
+
+   ======================================================================== */
+
+import { CONFIG } from './config.js';
+import { getPickResult, prepareSplatPicking } from './picking.js';
+import { animateCamera, setCameraView } from './cameraControl.js';
+import { SettingsStore } from './settingsStore.js';
+
+/**
+ * Measurement Tool
+ * Measuring mode, measurement list and viewport labels
+ */
+export class MeasurementTool {
+
+    constructor(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+        this.measurements = [];       // { id, name, points: [{x, y, z}, ...] } in world space
+        this.draft = null;            // Points of the measurement being placed
+        this.nextId = 1;
+        this.active = false;          // Measuring mode: clicks place points
+        this.metersPerUnit = null;    // Real size of one scene unit; null = unknown (normalized)
+        this.unit = SettingsStore.get('measurementUnit');
+        this.calibration = null;      // { meters } while the two calibration points are picked
+        this.animation = null;
+
+        // Notified with the measurement list whenever it (or the units) change
+        this.onChangedObservable = new BABYLON.Observable();
+        // Notified with the new state when measuring mode turns on or off
+        this.onActiveChangedObservable = new BABYLON.Observable();
+        // Notified with the scale factor after a calibration rescaled the scene
+        this.onCalibratedObservable = new BABYLON.Observable();
+
+        // Lines live in their own scene: drawn over the model and never picked
+        this.utilityLayer = new BABYLON.UtilityLayerRenderer(scene);
+        this.lines = [];
+
+        // Labels and point markers, positioned over the canvas every frame
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'measurement-overlay';
+        document.body.appendChild(this.overlay);
+        this.labels = [];             // { element, position: BABYLON.Vector3 }
+
+        // Taps only - drags still orbit the camera
+        this.pointerObserver = scene.onPointerObservable.add((pointerInfo) => {
+            if (this.active &&
+                pointerInfo.type === BABYLON.PointerEventTypes.POINTERTAP &&
+                pointerInfo.event.button === 0) {
+                this.pickPoint(scene.pointerX, scene.pointerY);
+            }
+        });
+        this.renderObserver = scene.onAfterRenderObservable.add(() => this.updateLabels());
+
+        // A new scene starts without measurements, in its first model's units
+        this.modelObserver = scene.onModelLoadedObservable
+            ? scene.onModelLoadedObservable.add(() => this.onModelLoaded())
+            : null;
+
+        this.handleKeyDown = (e) => this.onKeyDown(e);
+        window.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /* ====================================================================
+       MEASURING MODE
+       ==================================================================== */
+
+    /**
+     * Turn measuring mode on or off (off finishes the measurement being placed)
+     * @param {boolean} active
+     */
+    setActive(active) {
+        if (this.active === active) return;
+
+        if (!active) {
+            this.calibration = null;
+            this.finish();
+        } else {
+            prepareSplatPicking(this.scene);
+            if (this.scene.annotations) this.scene.annotations.setPlacing(false);  // Both use clicks
+        }
+        this.active = active;
+        this.scene.getEngine().getRenderingCanvas().style.cursor = active ? 'crosshair' : '';
+        this.onActiveChangedObservable.notifyObservers(active);
+        console.log(`Measuring mode ${active ? 'on' : 'off'}`);
+    }
+
+    /**
+     * Add the model point under a screen position to the current measurement
+     * @returns {boolean} True when something was hit
+     */
+    pickPoint(x, y) {
+        const pickResult = getPickResult(this.scene, this.camera, x, y);
+        if (!pickResult || !pickResult.hit || !pickResult.pickedPoint) return false;
+
+        this.addPoint(pickResult.pickedPoint);
+        return true;
+    }
+
+    /**
+     * @param {{x: number, y: number, z: number}} point - World space
+     */
+    addPoint(point) {
+        if (!this.draft) this.draft = [];
+        this.draft.push({ x: point.x, y: point.y, z: point.z });
+
+        // Calibration needs exactly two points
+        if (this.calibration && this.draft.length === 2) {
+            const { meters } = this.calibration;
+            this.calibration = null;
+            this.calibrate(this.finish(), meters);
+            return;
+        }
+        this.notifyChanged();
+    }
+
+    /**
+     * Keep the measurement being placed (needs two points)
+     * @returns {Object|null} The new measurement
+     */
+    finish() {
+        const points = this.draft;
+        this.draft = null;
+
+        if (!points || points.length < 2) {
+            if (points) this.notifyChanged();
+            return null;
+        }
+
+        const measurement = this.createMeasurement(points);
+        this.measurements.push(measurement);
+        this.notifyChanged();
+        console.log(`Added "${measurement.name}": ${this.formatLength(getLength(points))}`);
+        return measurement;
+    }
+
+    /**
+     * Drop the measurement being placed
+     */
+    cancel() {
+        if (!this.draft && !this.calibration) return;
+        this.draft = null;
+        this.calibration = null;
+        this.notifyChanged();
+    }
+
+    onKeyDown(e) {
+        if (!this.active || (e.target instanceof Element && e.target.closest('input, select, textarea'))) return;
+
+        if (e.key === 'Enter') {
+            this.finish();
+        } else if (e.key === 'Escape') {
+            // First Escape drops the points, the second leaves measuring mode
+            if (this.draft || this.calibration) this.cancel(); else this.setActive(false);
+        } else if (e.key === 'Backspace' && this.draft) {
+            this.draft.pop();
+            if (this.draft.length === 0) this.draft = null;
+            this.notifyChanged();
+        }
+    }
+
+    /* ====================================================================
+       MEASUREMENTS
+       ==================================================================== */
+
+    /**
+     * @param {number} id
+     */
+    remove(id) {
+        const index = this.measurements.findIndex(measurement => measurement.id === id);
+        if (index === -1) return;
+
+        this.measurements.splice(index, 1);
+        this.notifyChanged();
+    }
+
+    clear() {
+        this.measurements = [];
+        this.draft = null;
+        this.notifyChanged();
+    }
+
+    get(id) {
+        return this.measurements.find(measurement => measurement.id === id) || null;
+    }
+
+    /**
+     * Fly the camera to the centre of a measurement, far enough to see all of it
+     * @param {number} id
+     */
+    frame(id) {
+        const measurement = this.get(id);
+        if (!measurement) return;
+
+        const points = measurement.points.map(toVector);
+        const min = points.reduce((a, b) => BABYLON.Vector3.Minimize(a, b));
+        const max = points.reduce((a, b) => BABYLON.Vector3.Maximize(a, b));
+        const center = min.add(max).scale(0.5);
+        const radius = Math.max(max.subtract(min).length() * 1.5, this.camera.lowerRadiusLimit || 0.01);
+
+        this.stopAnimation();
+        this.animation = animateCamera(this.camera, center, radius, CONFIG.cameraBookmarks.flyDuration, () => {
+            this.animation = null;
+        });
+        this.animation.play();
+    }
+
+    stopAnimation() {
+        if (this.animation) {
+            this.animation.stop();
+            this.animation.dispose();
+            this.animation = null;
+        }
+    }
+
+    /**
+     * Length of a measurement in scene units
+     * @param {Object} measurement
+     */
+    getLength(measurement) {
+        return getLength(measurement.points);
+    }
+
+    /* ====================================================================
+       UNITS & CALIBRATION
+       ==================================================================== */
+
+    /**
+     * @param {string} unit - 'mm', 'cm', 'm' or 'in'
+     * @param {boolean} [persist] - Save as the preferred unit (false for shared URLs)
+     */
+    setUnit(unit, persist = true) {
+        if (!(unit in CONFIG.measurement.units)) return;
+
+        this.unit = unit;
+        if (persist) SettingsStore.set('measurementUnit', unit);
+        this.notifyChanged();
+    }
+
+    /**
+     * Scene length in the display unit, e.g. "1.250 m" (scene units while
+     * the real size is unknown)
+     * @param {number} sceneLength
+     */
+    formatLength(sceneLength) {
+        const { decimals, units, sceneUnitLabel } = CONFIG.measurement;
+        if (this.metersPerUnit === null) {
+            return `${sceneLength.toFixed(decimals)} ${sceneUnitLabel}`;
+        }
+        const value = sceneLength * this.metersPerUnit / units[this.unit];
+        return `${value.toFixed(decimals)} ${this.unit}`;
+    }
+
+    /**
+     * Pick two points next; their distance becomes the given length
+     * @param {number} length - Known distance
+     * @param {string} [unit] - Its unit (defaults to the display unit)
+     * @returns {boolean} False for an invalid length
+     */
+    startCalibration(length, unit = this.unit) {
+        const meters = length * CONFIG.measurement.units[unit];
+        if (!(meters > 0)) return false;
+
+        this.draft = null;
+        this.calibration = { meters };
+        this.setActive(true);
+        this.notifyChanged();
+        return true;
+    }
+
+    /**
+     * Rescale the scene so a measurement has its true length; afterwards
+     * one scene unit is one metre
+     * @param {Object} measurement
+     * @param {number} meters - True length
+     * @returns {number|null} Scale factor, null when the points coincide
+     */
+    calibrate(measurement, meters) {
+        const length = measurement ? getLength(measurement.points) : 0;
+        if (!(length > 0)) {
+            this.notifyChanged();
+            return null;
+        }
+
+        const factor = meters / length;
+        this.rescaleScene(factor);
+        this.metersPerUnit = 1;
+        this.saveCalibration(factor);
+        this.notifyChanged();
+        this.onCalibratedObservable.notifyObservers(factor);
+        console.log(`Scene calibrated: scaled by ${factor.toFixed(4)} (1 unit = 1 m)`);
+        return factor;
+    }
+
+    /**
+     * Remember the calibration under the primary model. Its saved views, tour
+     * and annotations are stored rescaled, so the model has to be scaled the
+     * same way when it is opened again.
+     * @param {number} factor - Scale applied on top of any earlier calibration
+     */
+    saveCalibration(factor) {
+        const key = this.scene.modelRegistry ? this.scene.modelRegistry.getStorageKey() : null;
+        if (!key) return;
+
+        const all = { ...SettingsStore.get('calibrations') };
+        all[key] = (all[key] || 1) * factor;
+        SettingsStore.set('calibrations', all);
+    }
+
+    /**
+     * Scale everything about the origin - models, camera, measurements,
+     * saved views, tour, annotations and clipping planes - so the view on
+     * screen doesn't change
+     * @param {number} factor
+     * @param {Object} [options]
+     * @param {boolean} [options.content=true] - Also rescale measurements, views,
+     *   tour, annotations and clipping planes; false for a restored calibration,
+     *   whose saved content is in calibrated units already
+     */
+    rescaleScene(factor, { content = true } = {}) {
+        const scene = this.scene;
+        const registry = scene.modelRegistry;
+        if (registry) {
+            registry.items.forEach(({ model }) => {
+                model.scaling.scaleInPlace(factor);
+                model.position.scaleInPlace(factor);
+            });
+        }
+
+        if (content) {
+            this.measurements.forEach(measurement => {
+                measurement.points = measurement.points.map(({ x, y, z }) => ({ x: x * factor, y: y * factor, z: z * factor }));
+            });
+            if (scene.cameraBookmarks) scene.cameraBookmarks.rescale(factor);
+            if (scene.cameraTour) scene.cameraTour.rescale(factor);
+            if (scene.annotations) scene.annotations.rescale(factor);
+            if (scene.clippingPlanes) scene.clippingPlanes.rescale(factor);
+        }
+
+        // Limits first, so they don't clamp the rescaled view
+        const bounds = registry ? registry.getBounds() : null;
+        if (scene.cameraLimits && bounds) scene.cameraLimits.calculateFromBounds(bounds);
+
+        const camera = this.camera;
+        camera.minZ *= factor;
+        camera.maxZ *= factor;
+        setCameraView(camera, {
+            alpha: camera.alpha,
+            beta: camera.beta,
+            radius: camera.radius * factor,
+            target: camera.target.scale(factor),
+            fov: camera.fov
+        });
+    }
+
+    /**
+     * New scene: drop the measurements and take the first model's units, or
+     * the calibration saved for it
+     */
+    onModelLoaded() {
+        const registry = this.scene.modelRegistry;
+        if (!registry || registry.items.length !== 1) return;
+
+        this.measurements = [];
+        this.draft = null;
+        this.metersPerUnit = registry.items[0].metersPerUnit;
+
+        const factor = SettingsStore.get('calibrations')[registry.getStorageKey()];
+        if (factor > 0) {
+            this.rescaleScene(factor, { content: false });
+            this.metersPerUnit = 1;
+            console.log(`Restored scene calibration: scaled by ${factor.toFixed(4)} (1 unit = 1 m)`);
+        }
+        this.notifyChanged();
+    }
+
+    /**
+     * Viewport labels of a polyline: one per segment, plus the total at the
+     * last point when there are several segments
+     * @param {Object[]} points - [{x, y, z}, ...]
+     * @returns {{position: {x, y, z}, text: string}[]}
+     */
+    getLabels(points) {
+        const labels = [];
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1], b = points[i];
+            labels.push({
+                position: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: (a.z + b.z) / 2 },
+                text: this.formatLength(BABYLON.Vector3.Distance(toVector(a), toVector(b)))
+            });
+        }
+        if (points.length > 2) {
+            labels.push({ position: { ...points[points.length - 1] }, text: `Total ${this.formatLength(getLength(points))}` });
+        }
+        return labels;
+    }
+
+    /* ====================================================================
+       VIEWPORT
+       ==================================================================== */
+
+    /**
+     * Rebuild the lines, point markers and labels
+     */
+    rebuild() {
+        this.lines.forEach(line => line.dispose());
+        this.lines = [];
+        this.overlay.innerHTML = '';
+        this.labels = [];
+
+        const { lineColor, draftColor } = CONFIG.measurement;
+        this.measurements.forEach(measurement => this.addVisuals(measurement.points, lineColor, false));
+        if (this.draft) this.addVisuals(this.draft, draftColor, true);
+
+        this.updateLabels();
+    }
+
+    addVisuals(points, color, draft) {
+        if (points.length > 1) {
+            const line = BABYLON.MeshBuilder.CreateLines('measurementLine', {
+                points: points.map(toVector)
+            }, this.utilityLayer.utilityLayerScene);
+            line.color = BABYLON.Color3.FromHexString(color);
+            line.isPickable = false;
+            this.lines.push(line);
+        }
+
+        points.forEach(point => {
+            this.addOverlayElement('measurement-point', point, '', color);
+        });
+        this.getLabels(points).forEach(({ position, text }) => {
+            this.addOverlayElement(draft ? 'measurement-label draft' : 'measurement-label', position, text, color);
+        });
+    }
+
+    addOverlayElement(className, position, text, color) {
+        const element = document.createElement('div');
+        element.className = className;
+        element.textContent = text;
+        element.style.borderColor = color;
+        this.overlay.appendChild(element);
+        this.labels.push({ element, position: toVector(position) });
+    }
+
+    /**
+     * Move the labels to their projected positions
+     */
+    updateLabels() {
+        if (this.labels.length === 0) return;
+
+        const engine = this.scene.getEngine();
+        const width = engine.getRenderWidth();
+        const height = engine.getRenderHeight();
+        const rect = engine.getRenderingCanvas().getBoundingClientRect();
+        const viewport = this.camera.viewport.toGlobal(width, height);
+        const transform = this.scene.getTransformMatrix();
+
+        this.labels.forEach(({ element, position }) => {
+            const projected = BABYLON.Vector3.Project(position, BABYLON.Matrix.IdentityReadOnly, transform, viewport);
+
+            // Behind the camera or beyond the far plane
+            if (projected.z < 0 || projected.z > 1) {
+                element.style.display = 'none';
+                return;
+            }
+
+            const x = rect.left + projected.x * rect.width / width;
+            const y = rect.top + projected.y * rect.height / height;
+            element.style.display = '';
+            element.style.transform = `translate(${x}px, ${y}px) translate(-50%, -50%)`;
+        });
+    }
+
+    /* ====================================================================
+       SERIALIZATION
+       ==================================================================== */
+
+    /**
+     * Measurements for the share URL
+     * @returns {string[]} 'x,y,z;x,y,z;...' per measurement
+     */
+    getMeasurementsForUrl() {
+        return this.measurements.map(({ points }) =>
+            points.map(({ x, y, z }) => [x, y, z].map(value => value.toFixed(4)).join(',')).join(';'));
+    }
+
+    /**
+     * Unit parameters for the share URL
+     * @returns {Object} { units: display unit, unitScale: metres per scene unit (when known) }
+     */
+    getUnitsForUrl() {
+        const params = { units: this.unit };
+        if (this.metersPerUnit !== null) params.unitScale = String(this.metersPerUnit);
+        return params;
+    }
+
+    /**
+     * Apply the 'units' / 'unitScale' URL parameters and replace the
+     * measurements with the 'measure' ones
+     * @param {URLSearchParams} urlParams
+     */
+    applyMeasurementsFromUrl(urlParams) {
+        if (urlParams.get('units') in CONFIG.measurement.units) {
+            this.unit = urlParams.get('units');
+        }
+        const unitScale = parseFloat(urlParams.get('unitScale'));
+        if (unitScale > 0) {
+            this.metersPerUnit = unitScale;
+        }
+
+        const measurements = urlParams.getAll('measure').map(value => {
+            const points = value.split(';').map(point => {
+                const numbers = point.split(',').map(parseFloat);
+                if (numbers.length !== 3 || numbers.some(isNaN)) return null;
+                const [x, y, z] = numbers;
+                return { x, y, z };
+            });
+            return points.length >= 2 && points.every(Boolean) ? points : null;
+        }).filter(Boolean);
+
+        this.measurements = measurements.map(points => this.createMeasurement(points));
+        this.draft = null;
+        this.notifyChanged();
+        console.log(`Applied ${measurements.length} measurements from URL`);
+    }
+
+    /**
+     * Display unit and real size of one scene unit (null when unknown)
+     */
+    getUnits() {
+        return { unit: this.unit, metersPerUnit: this.metersPerUnit };
+    }
+
+    /**
+     * Measurements with their labels, for viewer exports
+     * @returns {Object|null} Null without measurements
+     */
+    toJSON() {
+        if (this.measurements.length === 0) return null;
+
+        return {
+            ...this.getUnits(),
+            color: CONFIG.measurement.lineColor,
+            measurements: this.measurements.map(({ name, points }) => ({
+                name,
+                points: points.map(point => ({ ...point })),
+                length: getLength(points),
+                text: this.formatLength(getLength(points)),
+                labels: this.getLabels(points)
+            }))
+        };
+    }
+
+    createMeasurement(points) {
+        const id = this.nextId++;
+        return { id, name: `${CONFIG.measurement.defaultName} ${id}`, points };
+    }
+
+    notifyChanged() {
+        this.rebuild();
+        this.onChangedObservable.notifyObservers(this.measurements);
+    }
+
+    dispose() {
+        this.setActive(false);
+        this.stopAnimation();
+        this.scene.onPointerObservable.remove(this.pointerObserver);
+        this.scene.onAfterRenderObservable.remove(this.renderObserver);
+        if (this.modelObserver) this.scene.onModelLoadedObservable.remove(this.modelObserver);
+        window.removeEventListener('keydown', this.handleKeyDown);
+
+        this.lines.forEach(line => line.dispose());
+        this.lines = [];
+        this.utilityLayer.dispose();
+        this.overlay.remove();
+        this.labels = [];
+
+        this.onChangedObservable.clear();
+        this.onActiveChangedObservable.clear();
+        this.onCalibratedObservable.clear();
+        this.scene = null;
+        this.camera = null;
+    }
+}
+
+function toVector({ x, y, z }) {
+    return new BABYLON.Vector3(x, y, z);
+}
+
+/**
+ * Polyline length in scene units
+ */
+function getLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += BABYLON.Vector3.Distance(toVector(points[i - 1]), toVector(points[i]));
+    }
+    return length;
+}
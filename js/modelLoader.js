@@ -1,419 +1,728 @@
-/* ========================================================================
-   3D VIEWER - MODEL LOADING & MANAGEMENT
-   ========================================================================
-   
-   PURPOSE:
-   Handles loading, processing, and management of 3D models in various formats.
-   Supports GLTF/GLB, OBJ, STL, FBX, SPZ, and Gaussian Splatting (.splat/.ply).
-   Includes model centering, scaling, and material assignment.
-   
-   EXPORTS:
-   - loadModel() - Main model loading function for all supported formats
-   - disposeCurrentModel() - Clean up and dispose current model
-   - loadSplatModel() - Load Gaussian Splatting models
-   - centerAndFitModel() - Center model and fit camera view
-   - normalizeModelScale() - Normalize model to consistent size
-   
-   SUPPORTED FORMATS:
-   - .gltf/.glb - PBR models with materials and textures
-   - .obj - Mesh models with optional .mtl materials  
-   - .stl - STL models with auto-applied PBR materials
-   - .fbx - FBX models with animations
-   - .spz - Compressed models
-   - .splat/.ply - Gaussian Splatting point clouds
-   
-   DEPENDENCIES:
-   - Babylon.js scene loader and mesh utilities
-   - Configuration constants for model settings
-   - Error handling and progress reporting
-   
-   ======================================================================== */
-
-import { setMeshesPickable, ErrorMessages, LoadingSpinner } from './helpers.js';
-import { CONFIG } from './config.js';
-import { animateCamera } from './cameraControl.js';
-
-/**
- * Disposes the current model if any.
- */
-export function disposeCurrentModel(currentModel, currentModelType) {
-    if (!currentModel) return { currentModel, currentModelType };
-
-    if (currentModelType === 'splat' || currentModelType === 'mesh') {
-        currentModel.dispose();
-        console.log(`Disposed model of type: ${currentModelType}`);
-    }
-    return { currentModel: null, currentModelType: null };
-}
-
-/**
- * Loads a .splat or .ply model using GaussianSplattingMesh.
- */
-export async function loadSplatModel(scene, url) {
-    console.log(`Loading .splat/.ply model from URL: ${url}`);
-
-    if (!BABYLON.GaussianSplattingMesh) {
-        throw new Error(ErrorMessages.MODEL.SPLAT_PLUGIN_MISSING);
-    }
-
-    const splatMesh = new BABYLON.GaussianSplattingMesh("mySplatMesh", null, scene);
-
-    await splatMesh.loadFileAsync(url);
-
-    return splatMesh;
-}
-
-/**
- * Centers and fits model to view
- */
-export function centerAndFitModel(model, camera, scene) {
-    if (!model) return;
-    
-    try {
-        // Get bounding info
-        let boundingInfo;
-        if (model.getHierarchyBoundingVectors) {
-            boundingInfo = model.getHierarchyBoundingVectors();
-        } else if (model.getBoundingInfo) {
-            const info = model.getBoundingInfo();
-            boundingInfo = {
-                min: info.minimum,
-                max: info.maximum
-            };
-        } else {
-            return;
-        }
-        
-        const size = boundingInfo.max.subtract(boundingInfo.min);
-        const center = boundingInfo.max.add(boundingInfo.min).scale(0.5);
-        
-        // Center the model
-        model.position = center.negate();
-        
-        // Calculate appropriate camera radius
-        const maxDimension = Math.max(size.x, size.y, size.z);
-        const targetRadius = maxDimension * 2;
-        
-        // Set camera to fit model
-        camera.radius = Math.min(targetRadius, CONFIG.cameraLimits.defaultLimits.zoom.max);
-        camera.target = BABYLON.Vector3.Zero();
-        
-    } catch (error) {
-        console.warn("Could not auto-center model:", error);
-    }
-}
-
-export function normalizeModelScale(model, targetSize = 2.0) {
-    if (!model) return;
-
-    try {
-        // Use getHierarchyBoundingVectors for an accurate size of the model and its children.
-        const boundingInfo = model.getHierarchyBoundingVectors();
-        const size = boundingInfo.max.subtract(boundingInfo.min);
-
-        // If the size is zero, do nothing to avoid division by zero errors.
-        if (size.x === 0 && size.y === 0 && size.z === 0) {
-            return;
-        }
-
-        // Find the largest dimension of the model's bounding box.
-        const maxDimension = Math.max(size.x, size.y, size.z);
-
-        // Calculate the scaling factor needed to make the largest dimension equal to targetSize.
-        const scaleFactor = targetSize / maxDimension;
-
-        // Apply the scaling factor to the model.
-        // setAll is used to ensure the scale is uniform.
-        model.scaling.setAll(scaleFactor);
-
-        console.log(`Model normalized with a scale factor of: ${scaleFactor.toFixed(4)}`);
-
-    } catch (error) {
-        console.warn("Could not normalize model scale:", error);
-    }
-}
-
-
-/**
- * Loads a model based on the source type.
- */
-export async function loadModel(scene, modelSource, defaultModelUrl = CONFIG.modelLoader.defaultFallbackModel) {
-    let { currentModel, currentModelType } = disposeCurrentModel(scene.currentModel, scene.currentModelType);
-
-    // Show loading spinner
-    LoadingSpinner.show("block");
-
-    // Setup progress callback
-    BABYLON.SceneLoader.OnProgress = (event) => {
-        const percentage = event.loaded && event.total 
-            ? Math.floor((event.loaded / event.total) * 100) 
-            : 0;
-        
-        LoadingSpinner.updateProgress(percentage);
-    };
-
-    let url = '';
-    let extension = '';
-    let isFile = false;
-
-    // Determine source type and extension
-    if (modelSource instanceof File) {
-        isFile = true;
-        extension = modelSource.name.split('.').pop().toLowerCase();
-        
-        // Create object URL for splat/ply files
-        if (extension === 'splat' || extension === 'ply') {
-            url = URL.createObjectURL(modelSource);
-        }
-    } else if (typeof modelSource === 'string') {
-        url = modelSource;
-        try {
-            const urlObj = new URL(url);
-            const path = urlObj.pathname;
-            extension = path.split('.').pop().toLowerCase();
-        } catch (e) {
-            console.error("Invalid URL:", url);
-            alert("Invalid URL format. Loading default model.");
-            url = defaultModelUrl;
-            extension = defaultModelUrl.split('.').pop().toLowerCase();
-        }
-    } else {
-        alert("Unsupported model source type. Loading default model.");
-        url = defaultModelUrl;
-        extension = defaultModelUrl.split('.').pop().toLowerCase();
-    }
-
-    console.log(`Attempting to load model with extension .${extension}`);
-
-    try {
-        if (CONFIG.modelLoader.supportedFormats.includes(extension)) {
-            if (extension === 'spz') {
-                const result = await BABYLON.SceneLoader.ImportMeshAsync(null, "", url, scene);
-                currentModel = result.meshes[0];
-                currentModel.position.y = 0;
-                currentModelType = 'mesh';
-                
-            } else if (extension === 'gltf' || extension === 'glb') {
-                console.log(`Loading as .${extension} using SceneLoader.ImportMeshAsync`);
-                
-                let result;
-                if (isFile) {
-                    // For File objects, pass the file directly
-                    result = await BABYLON.SceneLoader.ImportMeshAsync(
-                        "", 
-                        "", 
-                        modelSource, 
-                        scene
-                    );
-                } else {
-                    // For URLs, load normally
-                    result = await BABYLON.SceneLoader.ImportMeshAsync(
-                        "", 
-                        url, 
-                        "", 
-                        scene
-                    );
-                }
-                
-                // Get the root mesh
-                currentModel = result.meshes[0];
-                currentModelType = 'mesh';
-                
-                // Make all meshes pickable
-                result.meshes.forEach(mesh => {
-                    mesh.isPickable = true;
-                });
-                
-                
-            } else if (extension === 'obj') {
-                console.log(`Loading as .${extension} using SceneLoader.ImportMeshAsync`);
-                
-                let result;
-                if (isFile) {
-                    // For File objects, pass the file directly
-                    // Note: For local OBJ files with MTL, both files should be in the same directory
-                    result = await BABYLON.SceneLoader.ImportMeshAsync(
-                        "", 
-                        "", 
-                        modelSource, 
-                        scene
-                    );
-                } else {
-                    // For URLs, load normally - OBJ loader will automatically look for MTL file
-                    // The MTL file should be in the same directory and have the same name as OBJ
-                    const baseUrl = url.substring(0, url.lastIndexOf('/') + 1);
-                    const filename = url.substring(url.lastIndexOf('/') + 1);
-                    result = await BABYLON.SceneLoader.ImportMeshAsync(
-                        "", 
-                        baseUrl, 
-                        filename, 
-                        scene
-                    );
-                }
-                
-                // Get the root mesh (OBJ can have multiple meshes)
-                currentModel = result.meshes.length > 0 ? result.meshes[0] : null;
-                currentModelType = 'mesh';
-                
-                // Make all meshes pickable
-                result.meshes.forEach(mesh => {
-                    mesh.isPickable = true;
-                });
-                
-                // Log materials info for debugging
-                if (result.materials && result.materials.length > 0) {
-                    console.log(`Successfully loaded OBJ model with ${result.materials.length} materials:`, currentModel);
-                } else {
-                }
-                
-            } else if (extension === 'splat' || extension === 'ply') {
-                console.log(`Loading as .${extension} using GaussianSplattingMesh`);
-                currentModel = await loadSplatModel(scene, url);
-                currentModelType = 'splat';
-                console.log("Successfully loaded .splat/.ply model:", currentModel);
-            }
-
-           else if (extension === 'stl') {
-                console.log(`Loading as .${extension} using SceneLoader.ImportMeshAsync`);
-                let result;
-                if (isFile) {
-                    result = await BABYLON.SceneLoader.ImportMeshAsync(
-                        "", 
-                        "", 
-                        modelSource, 
-                        scene
-                    );
-                } else {
-                    result = await BABYLON.SceneLoader.ImportMeshAsync(
-                        "", 
-                        url, 
-                        "", 
-                        scene
-                    );
-                }
-                
-                currentModel = result.meshes[0];
-                currentModelType = 'mesh';
-                
-                // Apply material to all meshes
-                result.meshes.forEach((mesh, index) => {
-                    mesh.isPickable = true;
-                    
-                    // In modelLoader.js, inside the 'stl' loading block:
-                    const pbrMaterial = new BABYLON.PBRMaterial(`stlPBRMaterial_${index}`, scene);
-                    pbrMaterial.albedoColor = new BABYLON.Color3(0.8, 0.8, 0.8); // Base color
-                    pbrMaterial.metallic = 0.2;  // Not very metallic
-                    pbrMaterial.roughness = 0.6; // A bit rough
-                    pbrMaterial.backFaceCulling = false;
-                    mesh.material = pbrMaterial;        
-                });
-                
-                console.log("Successfully loaded STL model with applied material");
-            }
-            else if (extension === 'fbx') {
-                console.log(`Loading as .${extension} using SceneLoader.ImportMeshAsync`);
-                let result;
-                if (isFile) {
-                    result = await BABYLON.SceneLoader.ImportMeshAsync(
-                        "", 
-                        "", 
-                        modelSource, 
-                        scene
-                    );
-                } else {
-                    // For URLs, load normally
-                    result = await BABYLON.SceneLoader.ImportMeshAsync(
-                        "", 
-                        url, 
-                        "", 
-                        scene
-                    );
-                }
-                
-                currentModel = result.meshes[0];
-                currentModelType = 'mesh';
-                result.meshes.forEach(mesh => {
-                    mesh.isPickable = true;
-                });
-                
-                // Log animations if present
-                if (result.animationGroups && result.animationGroups.length > 0) {
-                    console.log(`FBX model loaded with ${result.animationGroups.length} animation groups`);
-                }
-                console.log("Successfully loaded FBX model:", currentModel);
-            }
-            
-
-        } else {
-            throw new Error(ErrorMessages.MODEL.UNSUPPORTED_FORMAT(extension));
-        }
-
-        // Ensure all meshes are pickable
-        setMeshesPickable(currentModel);
-
-        // **NEW:** Normalize the model scale to a consistent size
-        normalizeModelScale(currentModel, CONFIG.modelLoader.defaultNormalizedSize);
-
-        // Center and fit the model to view
-        const camera = scene.activeCamera;
-        if (camera) {
-            centerAndFitModel(currentModel, camera, scene);
-        }
-
-        // Reset the UI scale slider to its default value for the new model
-        const modelScaleRange = document.getElementById('modelScaleRange');
-        const modelScaleDisplay = document.getElementById('modelScaleDisplay');
-        if (modelScaleRange && modelScaleDisplay) {
-            modelScaleRange.value = 1;
-            modelScaleDisplay.textContent = '1.0';
-        }
-
-        
-        
-        
-    } catch (err) {
-        console.error("Failed to load model:", err);
-        alert(`Failed to load model: ${err.message}\nCreating fallback box.`);
-
-        currentModel = BABYLON.MeshBuilder.CreateBox("fallbackBox", { size: 2 }, scene);
-        currentModelType = 'mesh';
-        
-        applyDefaultScale(currentModel);
-    } finally {
-        // Clean up object URL if created
-        if (isFile && url && (extension === 'splat' || extension === 'ply')) {
-            // Delay cleanup to ensure model is fully loaded
-            setTimeout(() => URL.revokeObjectURL(url), CONFIG.modelLoader.urlCleanupDelay);
-        }
-        
-        // Clear progress callback
-        BABYLON.SceneLoader.OnProgress = null;
-    }
-
-    // Hide loading spinner
-    LoadingSpinner.hide();
-
-    // Update scene properties
-    scene.currentModel = currentModel;
-    scene.currentModelType = currentModelType;
-    scene.currentModelUrl = url; // <-- ADD THIS
-
-    return { currentModel, currentModelType };
-}
-
-/**
- * Applies the default scale from config to the model.
- */
-/*function applyDefaultScale(model) {
-    if (!model) return;
-    
-    const defaultScale = CONFIG.modelLoader.defaultModelScale;
-    try {
-        if (model.scaling) {
-            model.scaling.set(defaultScale, defaultScale, defaultScale);
-            console.log(`Model scaled to fixed default scale: ${defaultScale}`);
-        }
-    } catch (error) {
-        console.error("Error applying default scale to model:", error);
-    }
-}*/
+/* ========================================================================
+   3D VIEWER - MODEL LOADING & MANAGEMENT
+   ========================================================================
+   
+   PURPOSE:
+   Handles loading, processing, and management of 3D models in various formats.
+   Supports GLTF/GLB, OBJ, STL, FBX, SPZ, and Gaussian Splatting (.splat/.ply).
+   Includes model centering, scaling, and material assignment. Models are
+   registered in scene.modelRegistry; loads either replace the scene or add
+   to it (multi-model scenes). Up axis / handedness presets are applied at
+   load time (per file, per format or explicit). The format comes from an
+   explicit `format` option, the file extension, or - for signed links, API
+   endpoints and blob: URLs without one - the file's first bytes and its
+   Content-Type (formatDetection.js). blob: and data: URLs have no folder,
+   so a .gltf or .obj loaded from one can't find its external buffers,
+   textures or .mtl file; .glb files carry theirs inside.
+   
+   EXPORTS:
+   - loadModel() - Main model loading function for all supported formats
+   - disposeCurrentModel() - Clean up and dispose current model
+   - loadSplatModel() - Load Gaussian Splatting models (progressively for
+     .splat / .ply, parsed in the loading worker)
+   - cancelModelLoad() - Cancel the load in progress
+   - centerAndFitModel() - Center model and fit camera view
+   - fitCameraToBounds() - Fit the camera to a bounding box (all models)
+   - normalizeModelScale() - Normalize model to consistent size
+   - getModelScaleMode() / setModelScaleMode() - Normalize on load or keep
+     the file's native units
+   
+   SUPPORTED FORMATS:
+   - .gltf/.glb - PBR models with materials and textures
+   - .obj - Mesh models with optional .mtl materials  
+   - .stl - STL models with auto-applied PBR materials
+   - .fbx - FBX models with animations
+   - .splat/.ply/.spz - Gaussian Splatting point clouds (parsed by js/splat;
+     the data is read again on demand for inspection and editing)
+   
+   DEPENDENCIES:
+   - Babylon.js scene loader and mesh utilities
+   - Configuration constants for model settings
+   - Load jobs (loadJob.js) for downloads and splat parsing off the main thread
+   - Format detection (formatDetection.js)
+   - Splat uploads and on-demand splat data (js/splat/splatData.js)
+   - Settings store (last model URL, scale mode)
+   - Typed errors (ModelLoadError) reported through
+     scene.onModelLoadErrorObservable, and progress reporting
+   
+   ======================================================================== */
+
+import { setMeshesPickable, ErrorMessages, LoadingSpinner, ModelLoadError, LoadErrorTypes } from './helpers.js';
+import { CONFIG } from './config.js';
+import { animateCamera } from './cameraControl.js';
+import { startLoadJob } from './loadJob.js';
+import { detectFormat, getExtension } from './formatDetection.js';
+import { setSplatSource, uploadSplatsAsync } from './splat/splatData.js';
+import { resolveOrientation, applyModelOrientation } from './modelOrientation.js';
+import { SettingsStore } from './settingsStore.js';
+
+// Scale mode from a shared URL - wins over the saved one for this session
+let scaleModeOverride = null;
+
+// AbortController of the load in progress (see cancelModelLoad)
+let activeLoad = null;
+
+/**
+ * Disposes the current model if any.
+ */
+export function disposeCurrentModel(currentModel, currentModelType) {
+    if (!currentModel) return { currentModel, currentModelType };
+
+    if (currentModelType === 'splat' || currentModelType === 'mesh') {
+        currentModel.dispose();
+        console.log(`Disposed model of type: ${currentModelType}`);
+    }
+    return { currentModel: null, currentModelType: null };
+}
+
+/**
+ * Loads a .splat, .ply or .spz model using GaussianSplattingMesh.
+ * The file is downloaded, parsed and filtered by a load job (loadJob.js, off
+ * the main thread) and uploaded with its spherical harmonics. The decoded data
+ * is only kept when the splat budget draws a subset; other tools read it again
+ * on demand (splatData.js). Files the parser doesn't understand fall back to
+ * Babylon's own loader.
+ * .splat and .ply files are decoded while they download and the splats received
+ * so far are shown every CONFIG.modelLoader.streaming.updateInterval ms.
+ * @param {BABYLON.Scene} scene
+ * @param {File|string} source - Local file or model URL
+ * @param {string} format - 'splat', 'ply' or 'spz'
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the download
+ * @param {Function} [options.onProgress] - Called with (loadedBytes, totalBytes); total is 0 when unknown
+ * @param {Function} [options.onPartial] - Called with the mesh after each partial update
+ * @returns {Promise<BABYLON.GaussianSplattingMesh>}
+ */
+export async function loadSplatModel(scene, source, format = 'splat', { signal, onProgress, onPartial } = {}) {
+    console.log(`Loading .${format} model from:`, source instanceof File ? source.name : source);
+
+    if (!BABYLON.GaussianSplattingMesh) {
+        throw new Error(ErrorMessages.MODEL.SPLAT_PLUGIN_MISSING);
+    }
+
+    // The preview stops growing at the splat budget
+    const maxPreview = scene.splatBudget && scene.splatBudget.budget !== null ? scene.splatBudget.budget : Infinity;
+
+    const splatMesh = new BABYLON.GaussianSplattingMesh("mySplatMesh", null, scene);
+    splatMesh.splatData = null;
+
+    // A preview arriving while the previous one uploads is skipped; the next has more splats
+    let previewUpload = null;
+
+    try {
+        const { splatData, removed } = await startLoadJob({ source, kind: 'splat', format, maxPreview }, {
+            signal,
+            onProgress,
+            onPartial: (buffer) => {
+                if (previewUpload) return;
+                previewUpload = splatMesh.loadDataAsync(buffer)
+                    .then(() => {
+                        if (onPartial && !splatMesh.isDisposed()) onPartial(splatMesh);
+                    })
+                    .catch(error => console.warn('Splat preview update failed:', error))
+                    .finally(() => { previewUpload = null; });
+            }
+        });
+        await previewUpload;
+
+        if (removed > 0) {
+            console.log(`Dropped ${removed.toLocaleString()} splats that can't be drawn`);
+        }
+
+        if (splatData) {
+            setSplatSource(splatMesh, source, format, splatData.count);
+
+            if (scene.splatBudget && scene.splatBudget.getShare(splatMesh) < splatData.count) {
+                // Over-budget scans only upload their most important splats; the budget keeps the data
+                splatMesh.splatData = splatData;
+                scene.splatBudget.updateMesh(splatMesh);
+            } else {
+                await uploadSplatsAsync(splatMesh, splatData);
+            }
+        } else {
+            // Sources without a usable extension (signed links, blob: URLs) need the plugin hint
+            try {
+                await BABYLON.ImportMeshAsync(source, scene, {
+                    pluginExtension: `.${format}`,
+                    pluginOptions: { splat: { gaussianSplattingMesh: splatMesh } }
+                });
+            } catch (error) {
+                throw ModelLoadError.from(error, source, LoadErrorTypes.PARSE);
+            }
+        }
+        if (signal) signal.throwIfAborted();
+    } catch (error) {
+        splatMesh.dispose();
+        throw error;
+    }
+
+    return splatMesh;
+}
+
+/**
+ * Import a mesh format with Babylon's scene loader. URLs are downloaded by a
+ * load job first (progress, cancellation); relative resources (.bin buffers,
+ * textures, .mtl files) still load from the model's folder - http(s) URLs
+ * only, blob: and data: URLs have none.
+ * @param {BABYLON.Scene} scene
+ * @param {File|string} source - Local file or model URL
+ * @param {string} extension - File extension
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the download
+ * @param {Function} [options.onProgress] - Called with (loadedBytes, totalBytes)
+ * @returns {Promise<Object>} SceneLoader.ImportMeshAsync result
+ */
+async function importMeshes(scene, source, extension, { signal, onProgress } = {}) {
+    let file = source;
+    let rootUrl = "";
+
+    if (!(source instanceof File)) {
+        const { buffer } = await startLoadJob({ source, kind: 'mesh', format: extension }, { signal, onProgress });
+        // blob: and data: URLs have no folder to resolve resources against
+        rootUrl = /^https?:/i.test(source) ? new URL('./', source).href : '';
+        file = new File([buffer], getModelName(source, source));
+    }
+
+    let result;
+    try {
+        result = await BABYLON.SceneLoader.ImportMeshAsync("", rootUrl, file, scene, null, `.${extension}`);
+    } catch (error) {
+        throw ModelLoadError.from(error, source, LoadErrorTypes.PARSE);
+    }
+
+    // Cancelled while Babylon parsed the file
+    if (signal && signal.aborted) {
+        result.animationGroups.forEach(group => group.dispose());
+        result.meshes.forEach(mesh => mesh.dispose(false, true));
+        signal.throwIfAborted();
+    }
+
+    return result;
+}
+
+/**
+ * Recognise the format of a source without a usable extension from its first
+ * bytes and Content-Type; only the start of the file is downloaded
+ * @param {File|string} source - Local file or model URL
+ * @param {AbortSignal} signal
+ * @returns {Promise<string|null>} null when the format can't be recognised
+ */
+async function detectSourceFormat(source, signal) {
+    const { head, contentType, totalBytes } = await startLoadJob({
+        source,
+        kind: 'sniff',
+        sniffBytes: CONFIG.modelLoader.detection.sniffBytes
+    }, { signal });
+
+    const format = detectFormat(new Uint8Array(head), { contentType, totalBytes });
+    console.log(`Detected model format: ${format ? `.${format}` : 'unknown'}${contentType ? ` (Content-Type ${contentType})` : ''}`);
+    return format;
+}
+
+/**
+ * Cancel the model load in progress, if any
+ * @returns {boolean} Whether a load was cancelled
+ */
+export function cancelModelLoad() {
+    if (!activeLoad) return false;
+
+    activeLoad.abort();
+    console.log('Model loading cancelled');
+    return true;
+}
+
+/**
+ * Centers and fits model to view
+ */
+export function centerAndFitModel(model, camera, scene) {
+    if (!model) return;
+    
+    try {
+        // Get bounding info
+        let boundingInfo;
+        if (model.getHierarchyBoundingVectors) {
+            boundingInfo = model.getHierarchyBoundingVectors();
+        } else if (model.getBoundingInfo) {
+            const info = model.getBoundingInfo();
+            boundingInfo = {
+                min: info.minimum,
+                max: info.maximum
+            };
+        } else {
+            return;
+        }
+        
+        const size = boundingInfo.max.subtract(boundingInfo.min);
+        const center = boundingInfo.max.add(boundingInfo.min).scale(0.5);
+        
+        // Center the model
+        model.position = center.negate();
+        
+        // Calculate appropriate camera radius
+        const maxDimension = Math.max(size.x, size.y, size.z);
+        const targetRadius = maxDimension * 2;
+        
+        // Set camera to fit model
+        camera.radius = fitCameraRange(camera, maxDimension, targetRadius);
+        camera.target = BABYLON.Vector3.Zero();
+        
+    } catch (error) {
+        console.warn("Could not auto-center model:", error);
+    }
+}
+
+/**
+ * Fits the camera to a bounding box, e.g. the combined bounds of all models
+ * @param {BABYLON.ArcRotateCamera} camera
+ * @param {{min: BABYLON.Vector3, max: BABYLON.Vector3}} bounds
+ */
+export function fitCameraToBounds(camera, bounds) {
+    if (!camera || !bounds) return;
+
+    const size = bounds.max.subtract(bounds.min);
+    const maxDimension = Math.max(size.x, size.y, size.z);
+
+    camera.target = bounds.max.add(bounds.min).scale(0.5);
+    camera.radius = fitCameraRange(camera, maxDimension, maxDimension * 2);
+}
+
+/**
+ * Camera distance for a model size; in native mode the clip planes follow
+ * the size too, since native units can be far from the normalized size.
+ * The clip planes are set on every fit, so earlier fits and calibrations
+ * don't carry over.
+ * @returns {number} Radius to use
+ */
+function fitCameraRange(camera, maxDimension, radius) {
+    if (getModelScaleMode() !== 'native') {
+        camera.minZ = CONFIG.camera.minZ;
+        camera.maxZ = CONFIG.camera.maxZ;
+        return Math.min(radius, CONFIG.cameraLimits.defaultLimits.zoom.max);
+    }
+
+    const sizeRatio = maxDimension / CONFIG.modelLoader.defaultNormalizedSize;
+    camera.minZ = CONFIG.camera.minZ * sizeRatio;
+    camera.maxZ = CONFIG.camera.maxZ * sizeRatio;
+    return radius;
+}
+
+/**
+ * How models are scaled on load
+ * @returns {string} 'normalize' or 'native'
+ */
+export function getModelScaleMode() {
+    return scaleModeOverride || SettingsStore.get('modelScaleMode');
+}
+
+/**
+ * Normalize models loaded from now on, or keep their native units
+ * @param {string} mode - 'normalize' or 'native'
+ * @param {boolean} [persist] - Save the choice (false for shared URLs)
+ */
+export function setModelScaleMode(mode, persist = true) {
+    if (mode !== 'normalize' && mode !== 'native') return;
+
+    if (persist) {
+        scaleModeOverride = null;
+        SettingsStore.set('modelScaleMode', mode);
+    } else {
+        scaleModeOverride = mode;
+    }
+    console.log(`Model scale mode: ${mode}`);
+}
+
+/**
+ * Report a load failure through scene.onModelLoadErrorObservable
+ * @param {BABYLON.Scene} scene
+ * @param {ModelLoadError} error
+ * @param {File|string} source - The model that failed
+ * @param {Function} [retry] - Loads the model again; offered for retryable errors only
+ */
+function reportLoadError(scene, error, source, retry = null) {
+    console.error(`Model load failed (${error.type}):`, error.message, error.cause || '');
+    if (scene.onModelLoadErrorObservable) {
+        scene.onModelLoadErrorObservable.notifyObservers({
+            error,
+            source,
+            retry: retry && error.retryable ? retry : null
+        });
+    }
+}
+
+/**
+ * Show download progress in the loading spinner
+ * @param {number} loadedBytes
+ * @param {number} totalBytes - 0 when the server doesn't send a length
+ */
+function reportDownloadProgress(loadedBytes, totalBytes) {
+    if (totalBytes > 0) {
+        // Compressed transfers can deliver more than Content-Length
+        LoadingSpinner.updateProgress(Math.min(99, Math.floor((loadedBytes / totalBytes) * 100)));
+    } else {
+        LoadingSpinner.updateText(`Loading Model... ${(loadedBytes / (1024 * 1024)).toFixed(1)} MB`);
+    }
+}
+
+/**
+ * Display name for a model source
+ */
+function getModelName(modelSource, url) {
+    if (modelSource instanceof File) return modelSource.name;
+    try {
+        return decodeURIComponent(new URL(url).pathname.split('/').pop()) || url;
+    } catch (e) {
+        return url;
+    }
+}
+
+export function normalizeModelScale(model, targetSize = 2.0) {
+    if (!model) return;
+
+    try {
+        // Use getHierarchyBoundingVectors for an accurate size of the model and its children.
+        const boundingInfo = model.getHierarchyBoundingVectors();
+        const size = boundingInfo.max.subtract(boundingInfo.min);
+
+        // If the size is zero, do nothing to avoid division by zero errors.
+        if (size.x === 0 && size.y === 0 && size.z === 0) {
+            return;
+        }
+
+        // Find the largest dimension of the model's bounding box.
+        const maxDimension = Math.max(size.x, size.y, size.z);
+
+        // Calculate the scaling factor needed to make the largest dimension equal to targetSize.
+        const scaleFactor = targetSize / maxDimension;
+
+        // Apply the scaling factor to the model.
+        // Scaled in place to keep it uniform while preserving mirrored axes
+        // (e.g. the glTF loader's right- to left-handed conversion).
+        model.scaling.scaleInPlace(scaleFactor);
+
+        console.log(`Model normalized with a scale factor of: ${scaleFactor.toFixed(4)}`);
+
+    } catch (error) {
+        console.warn("Could not normalize model scale:", error);
+    }
+}
+
+
+/**
+ * Loads a model based on the source type.
+ * @param {BABYLON.Scene} scene
+ * @param {File|string} modelSource - File object or model URL
+ * @param {string} defaultModelUrl - Model to load when the URL is invalid
+ * @param {Object} [options]
+ * @param {boolean} [options.additive=false] - Add to the scene instead of replacing all models
+ * @param {Object} [options.orientation] - Up axis / mirror ({up, mirror}); defaults to the
+ *   remembered choice for the file, then the default for its format
+ * @param {string} [options.format] - Format (supported extension) overriding the file name;
+ *   sources without a supported extension are recognised from their content
+ * @returns {Promise<Object>} { currentModel, currentModelType }, plus `cancelled` for cancelled
+ *   loads; failed loads return no model and a ModelLoadError as `error` (also reported
+ *   through scene.onModelLoadErrorObservable)
+ */
+export async function loadModel(scene, modelSource, defaultModelUrl = CONFIG.modelLoader.defaultFallbackModel, { additive = false, orientation = null, format = null } = {}) {
+    const registry = scene.modelRegistry;
+    let currentModel = null;
+    let currentModelType = null;
+    let modelOrientation = { up: 'y-up', mirror: false };
+    let metersPerUnit = null;   // Known only for native units
+    let oriented = false;       // Orientation already applied (progressive splats)
+    let cancelled = false;
+    let loadError = null;       // ModelLoadError when the load failed
+
+    // A new load replaces the one in progress
+    if (activeLoad) activeLoad.abort();
+    const loadController = new AbortController();
+    activeLoad = loadController;
+    
+    if (!additive) {
+        registry.clear();
+    }
+
+    // Show loading spinner
+    LoadingSpinner.show("block");
+
+    // Setup progress callback
+    BABYLON.SceneLoader.OnProgress = (event) => {
+        const percentage = event.loaded && event.total 
+            ? Math.floor((event.loaded / event.total) * 100) 
+            : 0;
+        
+        LoadingSpinner.updateProgress(percentage);
+    };
+
+    let url = '';
+    let extension = '';
+    let isFile = false;
+
+    // Determine source type and extension
+    if (modelSource instanceof File) {
+        isFile = true;
+        extension = getExtension(modelSource.name);
+    } else if (typeof modelSource === 'string') {
+        url = modelSource;
+        try {
+            const urlObj = new URL(url);
+            const path = urlObj.pathname;
+            extension = getExtension(path);
+        } catch (e) {
+            reportLoadError(scene, new ModelLoadError(LoadErrorTypes.INVALID_SOURCE, { cause: e }), modelSource);
+            url = defaultModelUrl;
+            extension = getExtension(defaultModelUrl);
+            format = null;
+        }
+    } else {
+        reportLoadError(scene, new ModelLoadError(LoadErrorTypes.INVALID_SOURCE), modelSource);
+        url = defaultModelUrl;
+        extension = getExtension(defaultModelUrl);
+        format = null;
+    }
+
+    // An explicit format wins over the extension
+    if (format) {
+        extension = format;
+    }
+
+    console.log(`Attempting to load model with extension .${extension}`);
+
+    // Downloads (and splat parsing) run in the loading worker and can be cancelled
+    const source = isFile ? modelSource : url;
+    const jobOptions = { signal: loadController.signal, onProgress: reportDownloadProgress };
+    LoadingSpinner.setCancelHandler(cancelModelLoad);
+
+    try {
+        // No usable extension (signed links, API endpoints, blob: URLs): look at the content
+        if (!CONFIG.modelLoader.supportedFormats.includes(extension)) {
+            extension = await detectSourceFormat(source, loadController.signal) || extension;
+        }
+
+        if (CONFIG.modelLoader.supportedFormats.includes(extension)) {
+            if (extension === 'gltf' || extension === 'glb') {
+                console.log(`Loading as .${extension} using SceneLoader.ImportMeshAsync`);
+                
+                const result = await importMeshes(scene, source, extension, jobOptions);
+                
+                // Get the root mesh
+                currentModel = result.meshes[0];
+                currentModelType = 'mesh';
+                
+                // Make all meshes pickable
+                result.meshes.forEach(mesh => {
+                    mesh.isPickable = true;
+                });
+                
+                
+            } else if (extension === 'obj') {
+                console.log(`Loading as .${extension} using SceneLoader.ImportMeshAsync`);
+                
+                const result = await importMeshes(scene, source, extension, jobOptions);
+                
+                // Get the root mesh (OBJ can have multiple meshes)
+                currentModel = result.meshes.length > 0 ? result.meshes[0] : null;
+                currentModelType = 'mesh';
+                
+                // Make all meshes pickable
+                result.meshes.forEach(mesh => {
+                    mesh.isPickable = true;
+                });
+                
+                // Log materials info for debugging
+                if (result.materials && result.materials.length > 0) {
+                    console.log(`Successfully loaded OBJ model with ${result.materials.length} materials:`, currentModel);
+                } else {
+                }
+                
+            } else if (extension === 'splat' || extension === 'ply' || extension === 'spz') {
+                console.log(`Loading as .${extension} using GaussianSplattingMesh`);
+                currentModel = await loadSplatModel(scene, source, extension, {
+                    ...jobOptions,
+                    // Orient and frame the partial cloud as soon as it appears
+                    onPartial: (mesh) => {
+                        if (oriented) return;
+                        oriented = true;
+                        modelOrientation = orientation || resolveOrientation(getModelName(modelSource, url), extension);
+                        applyModelOrientation(mesh, modelOrientation);
+                        if (scene.activeCamera) {
+                            fitCameraToBounds(scene.activeCamera, mesh.getHierarchyBoundingVectors());
+                        }
+                    }
+                });
+                currentModelType = 'splat';
+                console.log(`Successfully loaded .${extension} model:`, currentModel);
+            }
+
+           else if (extension === 'stl') {
+                console.log(`Loading as .${extension} using SceneLoader.ImportMeshAsync`);
+                const result = await importMeshes(scene, source, extension, jobOptions);
+                
+                currentModel = result.meshes[0];
+                currentModelType = 'mesh';
+                
+                // Apply material to all meshes
+                result.meshes.forEach((mesh, index) => {
+                    mesh.isPickable = true;
+                    
+                    // In modelLoader.js, inside the 'stl' loading block:
+                    const pbrMaterial = new BABYLON.PBRMaterial(`stlPBRMaterial_${index}`, scene);
+                    pbrMaterial.albedoColor = new BABYLON.Color3(0.8, 0.8, 0.8); // Base color
+                    pbrMaterial.metallic = 0.2;  // Not very metallic
+                    pbrMaterial.roughness = 0.6; // A bit rough
+                    pbrMaterial.backFaceCulling = false;
+                    mesh.material = pbrMaterial;        
+                });
+                
+                console.log("Successfully loaded STL model with applied material");
+            }
+            else if (extension === 'fbx') {
+                console.log(`Loading as .${extension} using SceneLoader.ImportMeshAsync`);
+                const result = await importMeshes(scene, source, extension, jobOptions);
+                
+                currentModel = result.meshes[0];
+                currentModelType = 'mesh';
+                result.meshes.forEach(mesh => {
+                    mesh.isPickable = true;
+                });
+                
+                // Log animations if present
+                if (result.animationGroups && result.animationGroups.length > 0) {
+                    console.log(`FBX model loaded with ${result.animationGroups.length} animation groups`);
+                }
+                console.log("Successfully loaded FBX model:", currentModel);
+            }
+            
+
+        } else {
+            throw new ModelLoadError(LoadErrorTypes.UNSUPPORTED_FORMAT, { detail: extension });
+        }
+
+        // Ensure all meshes are pickable
+        setMeshesPickable(currentModel);
+
+        // Normalize the model scale to a consistent size, or keep the file's units
+        if (getModelScaleMode() === 'native') {
+            const unit = CONFIG.modelLoader.nativeUnits[extension] || 'm';
+            metersPerUnit = CONFIG.measurement.units[unit];
+            console.log(`Keeping native units (1 unit = 1 ${unit})`);
+        } else {
+            normalizeModelScale(currentModel, CONFIG.modelLoader.defaultNormalizedSize);
+        }
+
+        // Correct the up axis / handedness before centering
+        if (!oriented) {
+            modelOrientation = orientation || resolveOrientation(getModelName(modelSource, url), extension);
+            applyModelOrientation(currentModel, modelOrientation);
+        }
+
+        // Center and fit the model to view
+        const camera = scene.activeCamera;
+        if (camera) {
+            centerAndFitModel(currentModel, camera, scene);
+        }
+
+        // Reopened next session when no model is requested (local files can't be)
+        if (!isFile && !additive) {
+            SettingsStore.set('lastModelUrl', url);
+        }
+
+        // Reset the UI scale slider to its default value for the new model
+        const modelScaleRange = document.getElementById('modelScaleRange');
+        const modelScaleDisplay = document.getElementById('modelScaleDisplay');
+        if (modelScaleRange && modelScaleDisplay) {
+            modelScaleRange.value = 1;
+            modelScaleDisplay.textContent = '1.0';
+        }
+
+        
+        
+        
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            // Cancelled, or replaced by a newer load: nothing to register
+            cancelled = true;
+        } else {
+            loadError = ModelLoadError.from(err, source);
+
+            // Don't reopen a broken URL next session
+            if (!isFile && !additive && SettingsStore.get('lastModelUrl') === url) {
+                SettingsStore.remove('lastModelUrl');
+            }
+
+            // Models created before the failure (e.g. imported, then cancelled) are gone
+            if (currentModel && !currentModel.isDisposed()) {
+                currentModel.dispose();
+            }
+            currentModel = null;
+            currentModelType = null;
+        }
+    } finally {
+        // Clear progress callback
+        BABYLON.SceneLoader.OnProgress = null;
+
+        if (activeLoad === loadController) {
+            activeLoad = null;
+        }
+    }
+
+    // A newer load keeps the spinner
+    if (!activeLoad) {
+        LoadingSpinner.hide();
+    }
+
+    if (cancelled) {
+        return { currentModel: null, currentModelType: null, cancelled: true };
+    }
+
+    if (loadError) {
+        reportLoadError(scene, loadError, source, () => loadModel(scene, modelSource, defaultModelUrl, { additive, orientation, format }));
+        return { currentModel: null, currentModelType: null, error: loadError };
+    }
+
+    // Register the model; File sources get their own object URL for sharing/export
+    const item = registry.add(currentModel, {
+        name: getModelName(modelSource, url),
+        type: currentModelType,
+        url: isFile ? URL.createObjectURL(modelSource) : url,
+        format: extension,
+        orientation: modelOrientation,
+        metersPerUnit,
+        ownsUrl: isFile
+    });
+    registry.select(item.id);
+
+    // With several models, frame all of them
+    const bounds = registry.getBounds();
+    if (registry.items.length > 1 && scene.activeCamera) {
+        fitCameraToBounds(scene.activeCamera, bounds);
+    }
+
+    // Derive camera limits from the fitted models (manual UI/URL values are kept)
+    if (CONFIG.cameraLimits.autoCalculateOnLoad && scene.cameraLimits && bounds) {
+        scene.cameraLimits.calculateFromBounds(bounds);
+    }
+
+    // Let UI panels (splat inspector, etc.) react to the new model
+    if (scene.onModelLoadedObservable) {
+        scene.onModelLoadedObservable.notifyObservers({ model: currentModel, type: currentModelType });
+    }
+
+    return { currentModel, currentModelType, error: loadError };
+}
+
+/**
+ * Applies the default scale from config to the model.
+ */
+/*function applyDefaultScale(model) {
+    if (!model) return;
+    
+    const defaultScale = CONFIG.modelLoader.defaultModelScale;
+    try {
+        if (model.scaling) {
+            model.scaling.set(defaultScale, defaultScale, defaultScale);
+            console.log(`Model scaled to fixed default scale: ${defaultScale}`);
+        }
+    } catch (error) {
+        console.error("Error applying default scale to model:", error);
+    }
+}*/
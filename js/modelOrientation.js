@@ -0,0 +1,149 @@
+/* ========================================================================
+   3D VIEWER - MODEL ORIENTATION (UP AXIS & HANDEDNESS)
+   ========================================================================
+
+   PURPOSE:
+   Corrects models authored with a different up axis or handedness, e.g.
+   Y-down or Z-up .ply splats from common trainers. An orientation is an up
+   axis preset plus an optional mirror; it is applied in model space when a
+   model loads and can be changed (flipped) afterwards.
+
+   EXPORTS:
+   - getOrientationPresets() - Up axis presets for UI selects
+   - parseOrientation() / formatOrientation() - 'z-up' / 'z-up,mirror' strings
+   - resolveOrientation() - Per-file or per-format default for a model
+   - rememberOrientation() - Store a per-file choice for later loads
+   - flipOrientation() - Upside-down counterpart of an orientation
+   - applyModelOrientation() - Bake an orientation into a model's root transform
+
+   FEATURES:
+   - Per-format defaults and remembered per-file choices (saved settings)
+   - Orientation changes keep the user's transform and the model's position
+
+   DEPENDENCIES:
+   - Babylon.js math
+   - Configuration constants for presets and defaults
+   - Settings store for the remembered choices
+
+   ======================================================================== */
+
+import { CONFIG } from './config.js';
+import { SettingsStore } from './settingsStore.js';
+
+/**
+ * Up axis presets for UI selects
+ * @returns {{id: string, label: string}[]}
+ */
+export function getOrientationPresets() {
+    return Object.entries(CONFIG.modelLoader.orientation.presets)
+        .map(([id, preset]) => ({ id, label: preset.label }));
+}
+
+/**
+ * Parse an orientation string ('y-down', 'z-up,mirror')
+ * @param {string} value
+ * @returns {{up: string, mirror: boolean}|null} null for unknown presets
+ */
+export function parseOrientation(value) {
+    if (!value) return null;
+
+    const [up, flag] = value.split(',');
+    if (!CONFIG.modelLoader.orientation.presets[up]) return null;
+
+    return { up, mirror: flag === 'mirror' };
+}
+
+/**
+ * Orientation as a URL/storage string
+ * @param {{up: string, mirror: boolean}} orientation
+ */
+export function formatOrientation({ up, mirror }) {
+    return mirror ? `${up},mirror` : up;
+}
+
+/**
+ * Orientation for a model without an explicit choice: the remembered
+ * per-file choice, otherwise the default for its format
+ * @param {string} name - File name
+ * @param {string} format - File extension
+ */
+export function resolveOrientation(name, format) {
+    const remembered = parseOrientation(SettingsStore.get('modelOrientations')[name]);
+    if (remembered) return remembered;
+
+    const { formatDefaults, defaultUp } = CONFIG.modelLoader.orientation;
+    return { up: formatDefaults[format] || defaultUp, mirror: false };
+}
+
+/**
+ * Remember the orientation chosen for a file
+ * @param {string} name - File name
+ * @param {{up: string, mirror: boolean}} orientation
+ */
+export function rememberOrientation(name, orientation) {
+    if (!CONFIG.modelLoader.orientation.rememberPerFile || !name) return;
+
+    SettingsStore.set('modelOrientations', {
+        ...SettingsStore.get('modelOrientations'),
+        [name]: formatOrientation(orientation)
+    });
+}
+
+/**
+ * Upside-down counterpart of an orientation (Y-up <-> Y-down, Z-up <-> Z-down)
+ */
+export function flipOrientation({ up, mirror }) {
+    return { up: CONFIG.modelLoader.orientation.presets[up].flip, mirror };
+}
+
+/**
+ * Bake an orientation into a model's root transform. When `previous` is
+ * given it is undone first, and the model keeps its world-space center.
+ * @param {BABYLON.TransformNode} model - Model root
+ * @param {{up: string, mirror: boolean}} orientation
+ * @param {{up: string, mirror: boolean}} [previous] - Orientation currently baked in
+ */
+export function applyModelOrientation(model, orientation, previous = null) {
+    // Orientation acts in model space, before the root transform (row vectors: O * L)
+    let orientationMatrix = getOrientationMatrix(orientation);
+    if (previous) {
+        orientationMatrix = BABYLON.Matrix.Invert(getOrientationMatrix(previous)).multiply(orientationMatrix);
+    }
+
+    // Leave the root transform untouched when nothing changes (e.g. Y-up models)
+    if (orientationMatrix.isIdentity()) return;
+
+    const centerBefore = previous ? getCenter(model) : null;
+
+    const rotation = model.rotationQuaternion || BABYLON.Quaternion.FromEulerVector(model.rotation);
+    const local = BABYLON.Matrix.Compose(model.scaling, rotation, model.position);
+    const oriented = orientationMatrix.multiply(local);
+
+    model.rotationQuaternion = model.rotationQuaternion || new BABYLON.Quaternion();
+    oriented.decompose(model.scaling, model.rotationQuaternion, model.position);
+    model.computeWorldMatrix(true);
+
+    const centerAfter = centerBefore ? getCenter(model) : null;
+    if (centerBefore && centerAfter) {
+        model.position.addInPlace(centerBefore.subtract(centerAfter));
+    }
+}
+
+/**
+ * Rotation (and mirror) matrix of an orientation
+ */
+function getOrientationMatrix({ up, mirror }) {
+    const [x, y, z] = CONFIG.modelLoader.orientation.presets[up].rotation.map(BABYLON.Tools.ToRadians);
+    const rotation = BABYLON.Matrix.RotationYawPitchRoll(y, x, z);
+
+    // Mirror Z (right- <-> left-handed) before rotating
+    return mirror ? BABYLON.Matrix.Scaling(1, 1, -1).multiply(rotation) : rotation;
+}
+
+/**
+ * World-space center of a model's bounds, null when it has no geometry
+ */
+function getCenter(model) {
+    const { min, max } = model.getHierarchyBoundingVectors(true, mesh => !(mesh.metadata && mesh.metadata.helper));
+    return isFinite(min.x) && isFinite(max.x) ? min.add(max).scale(0.5) : null;
+}
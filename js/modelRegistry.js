@@ -0,0 +1,232 @@
+/* ========================================================================
+   3D VIEWER - MODEL REGISTRY (MULTI-MODEL SCENES)
+   ========================================================================
+
+   PURPOSE:
+   Tracks every model loaded into the scene so splats and meshes can be
+   combined (e.g. a GLB product inside a splat environment). Each entry has
+   its own root node (transform), visibility and name. One entry is the
+   selection, mirrored to scene.currentModel / currentModelType /
+   currentModelUrl for the panels and tools that work on a single model.
+
+   EXPORTS:
+   - ModelRegistry - Class managing the list of loaded models
+
+   FEATURES:
+   - Add / remove / clear entries (disposing their meshes)
+   - Per-entry visibility toggle and selection
+   - Per-entry orientation (up axis / handedness) changes
+   - Combined bounds of all visible entries for camera fitting and limits
+   - Change observables for the outliner and editing tools
+
+   DEPENDENCIES:
+   - Babylon.js meshes and observables
+   - Model orientation helpers
+
+   ======================================================================== */
+
+import { applyModelOrientation, rememberOrientation } from './modelOrientation.js';
+
+/**
+ * Multi-Model Registry
+ * Owns the models loaded into a scene and the current selection
+ */
+export class ModelRegistry {
+
+    constructor(scene) {
+        this.scene = scene;
+        this.items = [];           // { id, name, model, type, url, format, orientation, metersPerUnit, visible, ownsUrl }
+        this.selectedId = null;
+        this.nextId = 1;
+
+        // Notified with the item list whenever entries are added, removed, renamed or hidden
+        this.onChangedObservable = new BABYLON.Observable();
+
+        // Notified with the selected item (or null)
+        this.onSelectionChangedObservable = new BABYLON.Observable();
+    }
+
+    /**
+     * Register a loaded model
+     * @param {BABYLON.AbstractMesh} model - Root node of the model
+     * @param {Object} info
+     * @param {string} info.name - Display name
+     * @param {string} info.type - 'splat' or 'mesh'
+     * @param {string} [info.url] - Source URL (shareable URL or object URL)
+     * @param {string} [info.format] - File extension
+     * @param {Object} [info.orientation] - Orientation applied at load ({up, mirror})
+     * @param {number|null} [info.metersPerUnit] - Real size of one scene unit (null when normalized)
+     * @param {boolean} [info.ownsUrl] - Revoke the object URL when the entry is removed
+     * @returns {Object} The new entry
+     */
+    add(model, { name, type, url = '', format = '', orientation = { up: 'y-up', mirror: false }, metersPerUnit = null, ownsUrl = false }) {
+        const item = {
+            id: this.nextId++,
+            name: name || `Model ${this.nextId - 1}`,
+            model,
+            type,
+            url,
+            format,
+            orientation,
+            metersPerUnit,
+            visible: true,
+            ownsUrl
+        };
+        this.items.push(item);
+        console.log(`Model registered: "${item.name}" (${type})`);
+
+        this.notifyChanged();
+        return item;
+    }
+
+    /**
+     * Dispose and unregister an entry
+     * @param {number} id
+     */
+    remove(id) {
+        const index = this.items.findIndex(item => item.id === id);
+        if (index === -1) return;
+
+        const [item] = this.items.splice(index, 1);
+        this.disposeItem(item);
+
+        if (this.selectedId === id) {
+            const next = this.items[Math.min(index, this.items.length - 1)];
+            this.select(next ? next.id : null);
+        }
+        this.notifyChanged();
+    }
+
+    /**
+     * Dispose and unregister every entry
+     */
+    clear() {
+        if (this.items.length === 0) return;
+
+        this.items.forEach(item => this.disposeItem(item));
+        this.items = [];
+        this.select(null);
+        this.notifyChanged();
+    }
+
+    disposeItem(item) {
+        if (item.model && !item.model.isDisposed()) {
+            item.model.dispose();
+        }
+        if (item.ownsUrl && item.url) {
+            URL.revokeObjectURL(item.url);
+        }
+        console.log(`Disposed model "${item.name}" (${item.type})`);
+    }
+
+    get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    getSelected() {
+        return this.get(this.selectedId);
+    }
+
+    /**
+     * Key to save per-scene data (saved views, tours) under: the primary
+     * (first loaded) model's URL, or its file name for local files since
+     * object URLs change on every load
+     * @returns {string|null} null while no model is loaded
+     */
+    getStorageKey() {
+        const primary = this.items[0];
+        if (!primary) return null;
+        return primary.url && !primary.url.startsWith('blob:') ? primary.url : primary.name;
+    }
+
+    /**
+     * Select an entry and mirror it to scene.currentModel / currentModelType / currentModelUrl
+     * @param {number|null} id
+     */
+    select(id) {
+        const item = this.get(id);
+        this.selectedId = item ? item.id : null;
+
+        this.scene.currentModel = item ? item.model : null;
+        this.scene.currentModelType = item ? item.type : null;
+        this.scene.currentModelUrl = item ? item.url : '';
+
+        this.onSelectionChangedObservable.notifyObservers(item);
+    }
+
+    /**
+     * Show or hide an entry
+     * @param {number} id
+     * @param {boolean} visible
+     */
+    setVisible(id, visible) {
+        const item = this.get(id);
+        if (!item) return;
+
+        item.visible = visible;
+        item.model.setEnabled(visible);
+        this.notifyChanged();
+    }
+
+    /**
+     * Change an entry's orientation and remember it for the file
+     * @param {number} id
+     * @param {{up: string, mirror: boolean}} orientation
+     */
+    setOrientation(id, orientation) {
+        const item = this.get(id);
+        if (!item) return;
+
+        applyModelOrientation(item.model, orientation, item.orientation);
+        item.orientation = orientation;
+        rememberOrientation(item.name, orientation);
+        console.log(`Orientation of "${item.name}" set to:`, orientation);
+        this.notifyChanged();
+    }
+
+    /**
+     * Rename an entry
+     * @param {number} id
+     * @param {string} name
+     */
+    rename(id, name) {
+        const item = this.get(id);
+        if (!item || !name) return;
+
+        item.name = name;
+        this.notifyChanged();
+    }
+
+    /**
+     * Combined world bounds of all visible entries
+     * @returns {{min: BABYLON.Vector3, max: BABYLON.Vector3}|null}
+     */
+    getBounds() {
+        let min = null;
+        let max = null;
+
+        this.items.filter(item => item.visible).forEach(item => {
+            if (!item.model.getHierarchyBoundingVectors) return;
+
+            // Editing helpers (crop box etc.) are parented to models but are not part of them
+            const bounds = item.model.getHierarchyBoundingVectors(true, mesh => !(mesh.metadata && mesh.metadata.helper));
+            if (!isFinite(bounds.min.x) || !isFinite(bounds.max.x)) return;
+
+            min = min ? BABYLON.Vector3.Minimize(min, bounds.min) : bounds.min.clone();
+            max = max ? BABYLON.Vector3.Maximize(max, bounds.max) : bounds.max.clone();
+        });
+
+        return min && max ? { min, max } : null;
+    }
+
+    notifyChanged() {
+        this.onChangedObservable.notifyObservers(this.items);
+    }
+
+    dispose() {
+        this.clear();
+        this.onChangedObservable.clear();
+        this.onSelectionChangedObservable.clear();
+        this.scene = null;
+    }
+}
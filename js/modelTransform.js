@@ -0,0 +1,346 @@
+/* ========================================================================
+   3D VIEWER - MODEL TRANSFORM (GIZMOS & LEVELING)
+   ========================================================================
+
+   PURPOSE:
+   Repositions the selected model: move / rotate / scale gizmos, exact
+   numeric values and a "level to ground" helper for tilted captures. The
+   transforms of all models are serialized for share URLs; the viewer
+   export picks them up from the models themselves.
+
+   EXPORTS:
+   - ModelTransform - Class managing the transform of the selected model
+
+   FEATURES:
+   - One gizmo at a time (move, rotate or scale), attached to the selection
+   - Numeric position / rotation (degrees) / uniform scale
+   - Level to ground: splats are rotated so the floor (plane fitted to the
+     lowest splats) is horizontal, then every model is dropped onto y = 0
+   - URL parameter serialization ('transform', one per model)
+
+   DEPENDENCIES:
+   - Babylon.js gizmos
+   - Model registry (scene.modelRegistry) for the selection
+   - Configuration constants for leveling
+   - On-demand splat data (splat/splatData.js) for leveling splats
+
+   ======================================================================== */
+
+import { CONFIG } from './config.js';
+import { hasSplatSource, loadSplatData } from './splat/splatData.js';
+
+/**
+ * Model Transform Tools
+ * Gizmos and numeric editing for the selected model
+ */
+export class ModelTransform {
+
+    constructor(scene) {
+        this.scene = scene;
+        this.model = null;
+        this.mode = null;            // 'position', 'rotation', 'scale' or null (no gizmo)
+        this.gizmoManager = null;    // Created on first use
+        this.matrixObserver = null;
+
+        // Notified with getTransform() (or null) whenever the selected model moves
+        this.onTransformChangedObservable = new BABYLON.Observable();
+
+        // Follow the selected model
+        const registry = scene.modelRegistry;
+        this.selectionObserver = registry
+            ? registry.onSelectionChangedObservable.add((item) => this.attach(item ? item.model : null))
+            : null;
+    }
+
+    /**
+     * Start transforming a model
+     * @param {BABYLON.TransformNode} model
+     */
+    attach(model) {
+        this.detach();
+        if (!model || model.isDisposed()) return;
+
+        this.model = model;
+        ensureQuaternion(model);
+        this.matrixObserver = model.onAfterWorldMatrixUpdateObservable.add(() => this.notifyChanged());
+        this.updateGizmos();
+        this.notifyChanged();
+    }
+
+    /**
+     * Stop transforming the current model
+     */
+    detach() {
+        if (this.model && this.matrixObserver) {
+            this.model.onAfterWorldMatrixUpdateObservable.remove(this.matrixObserver);
+        }
+        this.matrixObserver = null;
+        this.model = null;
+        this.updateGizmos();
+        this.notifyChanged();
+    }
+
+    hasModel() {
+        return !!this.model && !this.model.isDisposed();
+    }
+
+    /* ====================================================================
+       GIZMOS
+       ==================================================================== */
+
+    /**
+     * Choose the active gizmo
+     * @param {string|null} mode - 'position', 'rotation', 'scale' or null to hide
+     */
+    setGizmoMode(mode) {
+        this.mode = ['position', 'rotation', 'scale'].includes(mode) ? mode : null;
+        this.updateGizmos();
+        console.log('Transform gizmo set to:', this.mode || 'off');
+    }
+
+    updateGizmos() {
+        if (!this.gizmoManager) {
+            if (!this.mode) return;
+
+            this.gizmoManager = new BABYLON.GizmoManager(this.scene);
+            this.gizmoManager.usePointerToAttachGizmos = false;
+        }
+
+        this.gizmoManager.positionGizmoEnabled = this.mode === 'position';
+        this.gizmoManager.rotationGizmoEnabled = this.mode === 'rotation';
+        this.gizmoManager.scaleGizmoEnabled = this.mode === 'scale';
+        this.gizmoManager.attachToMesh(this.mode && this.hasModel() ? this.model : null);
+    }
+
+    /* ====================================================================
+       TRANSFORM VALUES
+       ==================================================================== */
+
+    /**
+     * Transform of a model with the rotation as Euler angles in degrees
+     * @param {BABYLON.TransformNode} [model] - Defaults to the selected model
+     * @returns {{position: number[], rotation: number[], scaling: number[]}|null}
+     */
+    getTransform(model = this.model) {
+        if (!model) return null;
+
+        ensureQuaternion(model);
+        const euler = model.rotationQuaternion.toEulerAngles();
+
+        return {
+            position: model.position.asArray(),
+            rotation: [euler.x, euler.y, euler.z].map(BABYLON.Tools.ToDegrees),
+            scaling: model.scaling.asArray()
+        };
+    }
+
+    /**
+     * Update the selected model's transform; omitted values are left unchanged
+     * @param {Object} transform
+     * @param {number[]} [transform.position] - x, y, z
+     * @param {number[]} [transform.rotation] - Euler angles x, y, z in degrees
+     * @param {number[]} [transform.scaling] - x, y, z
+     * @param {number} [transform.scale] - Uniform scale (keeps axis ratios and mirroring)
+     */
+    setTransform({ position, rotation, scaling, scale } = {}) {
+        if (!this.hasModel()) return;
+        applyTransform(this.model, { position, rotation, scaling, scale });
+    }
+
+    /**
+     * Make the floor horizontal (splats) and drop the model onto y = 0
+     * @returns {Promise<void>}
+     */
+    async levelToGround() {
+        if (!this.hasModel()) return;
+
+        const model = this.model;
+        const settings = CONFIG.modelTransform.leveling;
+        const splatData = hasSplatSource(model) ? await loadSplatData(model, { keep: false }) : null;
+        if (model.isDisposed()) return;
+
+        if (splatData) {
+            // Refit after each rotation - the lowest band holds more floor as it levels out
+            for (let i = 0; i < settings.iterations; i++) {
+                const normal = fitGroundNormal(sampleWorldPoints(model, splatData, settings.sampleCount), settings.groundBand);
+                if (!normal) break;
+
+                const angle = Math.acos(Math.min(1, normal.y));
+                if (angle < settings.minAngle) break;
+
+                const axis = BABYLON.Vector3.Cross(normal, BABYLON.Vector3.Up()).normalize();
+                model.rotate(axis, angle, BABYLON.Space.WORLD);
+                model.computeWorldMatrix(true);
+            }
+
+            // Drop onto the floor rather than the lowest floater
+            const points = sampleWorldPoints(model, splatData, settings.sampleCount);
+            if (points.length > 0) {
+                model.position.y -= percentile(points.map(p => p[1]), settings.groundBand[0]);
+            }
+        } else {
+            const { min } = model.getHierarchyBoundingVectors(true, mesh => !(mesh.metadata && mesh.metadata.helper));
+            if (isFinite(min.y)) model.position.y -= min.y;
+        }
+
+        console.log('Model leveled to ground:', this.getTransform());
+    }
+
+    /* ====================================================================
+       URL SERIALIZATION
+       ==================================================================== */
+
+    /**
+     * Transforms of all registered models for the share URL, in registry order
+     * @returns {string[]} 'px,py,pz,rx,ry,rz,sx,sy,sz' per model (rotation in degrees)
+     */
+    getTransformsForUrl() {
+        const registry = this.scene.modelRegistry;
+        if (!registry) return [];
+
+        return registry.items.map(item => {
+            const { position, rotation, scaling } = this.getTransform(item.model);
+            return [
+                ...position.map(v => v.toFixed(3)),
+                ...rotation.map(v => v.toFixed(2)),
+                ...scaling.map(v => v.toFixed(3))
+            ].map(value => parseFloat(value)).join(',');
+        });
+    }
+
+    /**
+     * Apply 'transform' URL parameters to the registered models, in order
+     * @param {URLSearchParams} urlParams
+     */
+    applyTransformsFromUrl(urlParams) {
+        const registry = this.scene.modelRegistry;
+        if (!registry) return;
+
+        urlParams.getAll('transform').forEach((value, index) => {
+            const item = registry.items[index];
+            const values = value.split(',').map(parseFloat);
+            if (!item || values.length !== 9 || values.some(isNaN)) return;
+
+            applyTransform(item.model, {
+                position: values.slice(0, 3),
+                rotation: values.slice(3, 6),
+                scaling: values.slice(6, 9)
+            });
+            console.log(`Applied transform from URL to "${item.name}"`);
+        });
+    }
+
+    notifyChanged() {
+        this.onTransformChangedObservable.notifyObservers(this.hasModel() ? this.getTransform() : null);
+    }
+
+    dispose() {
+        this.detach();
+        if (this.gizmoManager) {
+            this.gizmoManager.dispose();
+            this.gizmoManager = null;
+        }
+        if (this.selectionObserver && this.scene.modelRegistry) {
+            this.scene.modelRegistry.onSelectionChangedObservable.remove(this.selectionObserver);
+        }
+        this.selectionObserver = null;
+        this.onTransformChangedObservable.clear();
+        this.scene = null;
+    }
+}
+
+/**
+ * Gizmos and the Euler fields work on rotationQuaternion
+ */
+function ensureQuaternion(model) {
+    if (!model.rotationQuaternion) {
+        model.rotationQuaternion = BABYLON.Quaternion.FromEulerVector(model.rotation);
+    }
+}
+
+/**
+ * Apply transform values to a model; omitted values are left unchanged
+ */
+function applyTransform(model, { position, rotation, scaling, scale }) {
+    ensureQuaternion(model);
+
+    if (position) {
+        model.position.copyFromFloats(position[0], position[1], position[2]);
+    }
+    if (rotation) {
+        const [x, y, z] = rotation.map(BABYLON.Tools.ToRadians);
+        model.rotationQuaternion = BABYLON.Quaternion.FromEulerAngles(x, y, z);
+    }
+    if (scaling) {
+        model.scaling.copyFromFloats(scaling[0], scaling[1], scaling[2]);
+    }
+    if (scale > 0) {
+        const current = Math.abs(model.scaling.x) || 1;
+        model.scaling.scaleInPlace(scale / current);
+    }
+}
+
+/**
+ * World positions of (a subsample of) a splat model's splats
+ * @returns {number[][]} [x, y, z] per sampled splat
+ */
+function sampleWorldPoints(model, splatData, sampleCount) {
+    const { count, positions } = splatData;
+    const stride = Math.max(1, Math.ceil(count / sampleCount));
+    const m = model.computeWorldMatrix(true).m;
+    const points = [];
+
+    for (let i = 0; i < count; i += stride) {
+        const x = positions[i * 3];
+        const y = positions[i * 3 + 1];
+        const z = positions[i * 3 + 2];
+        points.push([
+            x * m[0] + y * m[4] + z * m[8] + m[12],
+            x * m[1] + y * m[5] + z * m[9] + m[13],
+            x * m[2] + y * m[6] + z * m[10] + m[14]
+        ]);
+    }
+    return points;
+}
+
+/**
+ * Normal of the plane y = a*x + b*z + c fitted (least squares) to the points
+ * whose height lies in the given percentile band
+ * @returns {BABYLON.Vector3|null} Unit normal pointing up, null if degenerate
+ */
+function fitGroundNormal(points, [lowFraction, highFraction]) {
+    const heights = points.map(p => p[1]);
+    const low = percentile(heights, lowFraction);
+    const high = percentile(heights, highFraction);
+    const band = points.filter(p => p[1] >= low && p[1] <= high);
+    if (band.length < 3) return null;
+
+    // Centered sums for the 2x2 normal equations
+    const mean = [0, 0, 0];
+    band.forEach(p => { mean[0] += p[0]; mean[1] += p[1]; mean[2] += p[2]; });
+    mean.forEach((_, i) => { mean[i] /= band.length; });
+
+    let sxx = 0, sxz = 0, szz = 0, sxy = 0, szy = 0;
+    band.forEach(p => {
+        const dx = p[0] - mean[0];
+        const dy = p[1] - mean[1];
+        const dz = p[2] - mean[2];
+        sxx += dx * dx; sxz += dx * dz; szz += dz * dz;
+        sxy += dx * dy; szy += dz * dy;
+    });
+
+    const det = sxx * szz - sxz * sxz;
+    if (Math.abs(det) < 1e-12) return null;
+
+    const a = (sxy * szz - szy * sxz) / det;
+    const b = (szy * sxx - sxy * sxz) / det;
+    return new BABYLON.Vector3(-a, 1, -b).normalize();
+}
+
+/**
+ * Value at a fraction (0-1) of the sorted values
+ */
+function percentile(values, fraction) {
+    const sorted = Float32Array.from(values).sort();
+    return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
@@ -1,64 +1,256 @@
-/* ========================================================================
-   3D VIEWER - MESH PICKING & INTERACTION
-   ========================================================================
-   
-   PURPOSE:
-   Handles 3D mesh picking and interaction detection for mouse and touch
-   events. Provides multiple picking strategies for reliable hit detection
-   across different model types and scenarios.
-   
-   EXPORTS:
-   - getPickResult() - Multi-strategy picking with fallback methods
-   
-   FEATURES:
-   - Multiple picking strategies (direct, ray-based, frustum)
-   - Reliable hit detection for various model types
-   - Touch and mouse interaction support
-   - Fallback mechanisms for edge cases
-   
-   DEPENDENCIES:
-   - Babylon.js picking system
-   - Scene and camera references
-   
-   ======================================================================== */
-
-/**
- * Streamlines the picking logic by attempting multiple picking strategies.
- * @param {BABYLON.Scene} scene 
- * @param {BABYLON.Camera} camera 
- * @param {number} pointerX 
- * @param {number} pointerY 
- * @returns {BABYLON.PickingInfo}
- */
-export function getPickResult(scene, camera, pointerX, pointerY) {
-    // 1) Direct pick with isPickable
-    let pickResult = scene.pick(
-        pointerX,
-        pointerY,
-        (mesh) => mesh.isPickable,
-        false,
-        camera
-    );
-
-    // 2) If no hit, try isVisible
-    if (!pickResult || !pickResult.hit) {
-        pickResult = scene.pick(
-            pointerX,
-            pointerY,
-            (mesh) => mesh.isVisible,
-            true,
-            camera
-        );
-    }
-
-    // 3) If still no hit, pick with ray
-    if (!pickResult || !pickResult.hit) {
-        const ray = scene.createPickingRay(pointerX, pointerY, BABYLON.Matrix.Identity(), camera);
-        const raycastResult = scene.pickWithRay(ray);
-        if (raycastResult && raycastResult.hit) {
-            pickResult = raycastResult;
-        }
-    }
-
-    return pickResult;
-}
+/* ========================================================================
+   3D VIEWER - MESH PICKING & INTERACTION
+   ========================================================================
+   
+   PURPOSE:
+   Handles 3D mesh picking and interaction detection for mouse and touch
+   events. Provides multiple picking strategies for reliable hit detection
+   across different model types and scenarios.
+   
+   EXPORTS:
+   - getPickResult() - Multi-strategy picking with fallback methods
+   - pickSplats() - Depth pick against the decoded splat data
+   - prepareSplatPicking() - Read the splat data picking needs ahead of time
+   - isPointOccluded() - Whether geometry hides a 3D point from the camera
+   
+   FEATURES:
+   - Multiple picking strategies (direct, ray-based, frustum)
+   - Reliable hit detection for various model types
+   - Touch and mouse interaction support
+   - Fallback mechanisms for edge cases
+   - Gaussian splats: nearest opaque splat along the ray (splats have no
+     surface for mesh picking to hit)
+   - Clipping planes: geometry cut away by the scene's clip planes can't be
+     picked and doesn't hide anything
+   
+   DEPENDENCIES:
+   - Babylon.js picking system
+   - Scene and camera references
+   - Decoded splat data (splat/splatData.js) for splat picking, read on the
+     first pick after loading
+   - Configuration constants for the splat pick tolerance
+   
+   ======================================================================== */
+
+import { CONFIG } from './config.js';
+import { hasSplatSource, loadSplatData } from './splat/splatData.js';
+
+// Scene properties holding the active clip planes
+const CLIP_PLANE_SLOTS = ['clipPlane', 'clipPlane2', 'clipPlane3', 'clipPlane4', 'clipPlane5', 'clipPlane6'];
+
+/**
+ * Streamlines the picking logic by attempting multiple picking strategies.
+ * @param {BABYLON.Scene} scene 
+ * @param {BABYLON.Camera} camera 
+ * @param {number} pointerX 
+ * @param {number} pointerY 
+ * @returns {BABYLON.PickingInfo}
+ */
+export function getPickResult(scene, camera, pointerX, pointerY) {
+    // 1) Direct pick with isPickable
+    let pickResult = scene.pick(
+        pointerX,
+        pointerY,
+        (mesh) => mesh.isPickable,
+        false,
+        camera
+    );
+
+    // 2) If no hit, try isVisible
+    if (!pickResult || !pickResult.hit) {
+        pickResult = scene.pick(
+            pointerX,
+            pointerY,
+            (mesh) => mesh.isVisible,
+            true,
+            camera
+        );
+    }
+
+    // 3) If still no hit, pick with ray
+    if (!pickResult || !pickResult.hit) {
+        const ray = scene.createPickingRay(pointerX, pointerY, BABYLON.Matrix.Identity(), camera);
+        const raycastResult = scene.pickWithRay(ray);
+        if (raycastResult && raycastResult.hit) {
+            pickResult = raycastResult;
+        }
+    }
+
+    // Hits on clipped-away geometry: take the nearest one that is kept
+    const clipPlanes = getClipPlanes(scene);
+    if (pickResult && pickResult.hit && isClipped(clipPlanes, pickResult.pickedPoint)) {
+        const ray = scene.createPickingRay(pointerX, pointerY, BABYLON.Matrix.Identity(), camera);
+        pickResult = pickKeptWithRay(scene, ray, mesh => mesh.isPickable, clipPlanes);
+    }
+
+    // 4) Splats: mesh picking misses them (or hits their bounding geometry),
+    //    so fall back to a depth pick against the splat centres
+    if (!pickResult || !pickResult.hit || isSplatMesh(pickResult.pickedMesh)) {
+        const splatResult = pickSplats(scene, camera, pointerX, pointerY);
+        if (splatResult) {
+            pickResult = splatResult;
+        }
+    }
+
+    return pickResult;
+}
+
+/**
+ * Depth pick for Gaussian splats: the nearest splat along the pointer ray
+ * that is opaque enough and covers the pointer (its own size or a few
+ * pixels, whichever is larger). The picked point is on the ray at that
+ * splat's depth, so it lies exactly under the pointer.
+ * @param {BABYLON.Scene} scene 
+ * @param {BABYLON.Camera} camera 
+ * @param {number} pointerX 
+ * @param {number} pointerY 
+ * @returns {BABYLON.PickingInfo|null} Null when no splat is under the pointer
+ */
+export function pickSplats(scene, camera, pointerX, pointerY) {
+    const ray = scene.createPickingRay(pointerX, pointerY, BABYLON.Matrix.Identity(), camera);
+    const best = pickSplatsWithRay(scene, camera, ray, Infinity);
+    if (!best) return null;
+
+    const pickResult = new BABYLON.PickingInfo();
+    pickResult.hit = true;
+    pickResult.distance = best.distance;
+    pickResult.pickedPoint = ray.origin.add(ray.direction.scale(best.distance));
+    pickResult.pickedMesh = best.mesh;
+    pickResult.ray = ray;
+    return pickResult;
+}
+
+/**
+ * Read the splat data splat picking needs - meshes drop it after loading.
+ * Called by tools that pick (measuring, annotations) when they start.
+ * @param {BABYLON.Scene} scene
+ */
+export function prepareSplatPicking(scene) {
+    scene.meshes.forEach(mesh => {
+        if (isSplatMesh(mesh) && !mesh.splatData && hasSplatSource(mesh)) loadSplatData(mesh);
+    });
+}
+
+/**
+ * Whether meshes or opaque splats lie between the camera and a point, e.g.
+ * to hide screen-space markers behind the model. Hits within a small
+ * margin of the point (its own surface) don't count.
+ * @param {BABYLON.Scene} scene
+ * @param {BABYLON.Camera} camera
+ * @param {BABYLON.Vector3} point - World space
+ * @returns {boolean}
+ */
+export function isPointOccluded(scene, camera, point) {
+    const origin = camera.globalPosition;
+    const toPoint = point.subtract(origin);
+    const distance = toPoint.length();
+    if (distance === 0) return false;
+
+    const maxDistance = distance * (1 - CONFIG.picking.occlusionMargin);
+    const ray = new BABYLON.Ray(origin, toPoint.scale(1 / distance), maxDistance);
+
+    const predicate = mesh => mesh.isPickable && mesh.isEnabled() && mesh.isVisible && !isSplatMesh(mesh);
+    const clipPlanes = getClipPlanes(scene);
+    const meshHit = clipPlanes.length > 0
+        ? pickKeptWithRay(scene, ray, predicate, clipPlanes)
+        : scene.pickWithRay(ray, predicate, true);
+    if (meshHit && meshHit.hit) return true;
+
+    return pickSplatsWithRay(scene, camera, ray, maxDistance) !== null;
+}
+
+/**
+ * Nearest qualifying splat of all visible splat models along a ray
+ * @returns {{mesh: BABYLON.Mesh, distance: number, index: number}|null}
+ */
+function pickSplatsWithRay(scene, camera, ray, maxDistance) {
+    // Meshes without their splats yet miss this pick; the next ones hit them
+    prepareSplatPicking(scene);
+
+    const meshes = scene.meshes.filter(mesh =>
+        isSplatMesh(mesh) && mesh.splatData && mesh.isEnabled() && mesh.isVisible);
+    if (meshes.length === 0) return null;
+
+    // World size of one pixel per unit of distance (vertical FOV)
+    const pixelSize = 2 * Math.tan(camera.fov / 2) / scene.getEngine().getRenderHeight();
+    const tolerance = pixelSize * CONFIG.picking.splatPickRadius;
+    const minAlpha = CONFIG.picking.splatMinOpacity * 255;
+    const clipPlanes = getClipPlanes(scene);
+
+    let best = null;
+    meshes.forEach(mesh => {
+        const hit = pickSplatMesh(mesh, ray, tolerance, minAlpha, best ? best.distance : maxDistance, clipPlanes);
+        if (hit) best = hit;
+    });
+    return best;
+}
+
+/**
+ * Nearest qualifying splat of one mesh, closer than maxDistance
+ * @returns {{mesh: BABYLON.Mesh, distance: number, index: number}|null}
+ */
+function pickSplatMesh(mesh, ray, tolerance, minAlpha, maxDistance, clipPlanes) {
+    const { positions, scales, colors, count } = mesh.splatData;
+    const indices = mesh.splatEditState ? mesh.splatEditState.visibleIndices : null;
+    const total = indices ? indices.length : count;
+
+    // Row-vector world matrix: world = [x y z 1] * m
+    const m = mesh.computeWorldMatrix(true).m;
+    const scaling = mesh.absoluteScaling;
+    const sizeScale = Math.max(Math.abs(scaling.x), Math.abs(scaling.y), Math.abs(scaling.z));
+    const { x: ox, y: oy, z: oz } = ray.origin;
+    const { x: dx, y: dy, z: dz } = ray.direction;
+
+    let best = null;
+    let bestDistance = maxDistance;
+    for (let n = 0; n < total; n++) {
+        const i = indices ? indices[n] : n;
+        if (colors[i * 4 + 3] < minAlpha) continue;
+
+        const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+        const vx = x * m[0] + y * m[4] + z * m[8] + m[12] - ox;
+        const vy = x * m[1] + y * m[5] + z * m[9] + m[13] - oy;
+        const vz = x * m[2] + y * m[6] + z * m[10] + m[14] - oz;
+
+        // Depth along the ray, then distance from it
+        const t = vx * dx + vy * dy + vz * dz;
+        if (t <= 0 || t >= bestDistance) continue;
+
+        const offset2 = vx * vx + vy * vy + vz * vz - t * t;
+        const size = Math.max(scales[i * 3], scales[i * 3 + 1], scales[i * 3 + 2]) * sizeScale;
+        const radius = Math.max(size, t * tolerance);
+        if (offset2 > radius * radius) continue;
+        if (clipPlanes.length > 0 && isClipped(clipPlanes, { x: vx + ox, y: vy + oy, z: vz + oz })) continue;
+
+        bestDistance = t;
+        best = { mesh, distance: t, index: i };
+    }
+
+    return best;
+}
+
+/**
+ * Nearest mesh hit along a ray that no clip plane removes
+ * @returns {BABYLON.PickingInfo|null}
+ */
+function pickKeptWithRay(scene, ray, predicate, clipPlanes) {
+    const hits = (scene.multiPickWithRay(ray, predicate) || [])
+        .filter(hit => hit.hit && !isClipped(clipPlanes, hit.pickedPoint))
+        .sort((a, b) => a.distance - b.distance);
+    return hits[0] || null;
+}
+
+function getClipPlanes(scene) {
+    return CLIP_PLANE_SLOTS.map(slot => scene[slot]).filter(Boolean);
+}
+
+/**
+ * Babylon discards fragments on the positive side of a clip plane
+ */
+function isClipped(clipPlanes, { x, y, z }) {
+    return clipPlanes.some(({ normal, d }) => normal.x * x + normal.y * y + normal.z * z + d > 0);
+}
+
+function isSplatMesh(mesh) {
+    return !!mesh && typeof BABYLON.GaussianSplattingMesh !== 'undefined' && mesh instanceof BABYLON.GaussianSplattingMesh;
+}
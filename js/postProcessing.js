@@ -1,68 +1,68 @@
-/* ========================================================================
-   3D VIEWER - POST-PROCESSING EFFECTS
-   ========================================================================
-   
-   PURPOSE:
-   Manages visual post-processing effects including anti-aliasing, sharpening,
-   and image enhancement. Provides configurable rendering pipeline with
-   multiple AA techniques (FXAA, TAA) and quality settings.
-   
-   EXPORTS:
-   - addPostEffects() - Setup and configure rendering pipeline with effects
-   
-   FEATURES:
-   - Anti-aliasing (FXAA)
-   - Image sharpening with edge detection
-   - Configurable quality presets
-   - Performance-aware effect management
-   - Mobile-optimized settings
-   
-   DEPENDENCIES:
-   - Babylon.js DefaultRenderingPipeline
-   - Configuration constants for effect settings
-   
-   ======================================================================== */
-
-import { CONFIG } from './config.js';
-
-/**
- * Adds and manages post-processing effects.
- * @param {BABYLON.Scene} scene 
- * @param {BABYLON.Camera} camera 
- * @returns {BABYLON.DefaultRenderingPipeline}
- */
-export function addPostEffects(scene, camera) {
-    // If pipeline already exists, dispose
-    if (scene.pipeline) {
-        scene.pipeline.dispose();
-        scene.pipeline = null;
-    }
-
-    const pipeline = new BABYLON.DefaultRenderingPipeline(
-        "defaultPipeline",
-        false,
-        scene,
-        [camera]
-    );
-
-    // Apply Sharpen Settings from CONFIG
-    pipeline.sharpenEnabled = CONFIG.postProcessing.sharpenEnabled;
-    pipeline.sharpen.edgeAmount = CONFIG.postProcessing.sharpenEdgeAmount;
-    console.log(`Sharpen enabled: ${pipeline.sharpenEnabled}, Edge amount: ${pipeline.sharpen.edgeAmount}`);
-
-    // Apply anti-aliasing settings from CONFIG
-    const aaType = CONFIG.postProcessing.antiAliasing.type;
-    
-    if (aaType === 'fxaa') {
-        pipeline.fxaaEnabled = true;
-        console.log(`FXAA enabled`);
-    } else {
-        pipeline.fxaaEnabled = false;
-        console.log(`Anti-aliasing disabled`);
-    }
-
-    // Store the pipeline in the scene for easy access
-    scene.pipeline = pipeline;
-
-    return pipeline;
+/* ========================================================================
+   3D VIEWER - POST-PROCESSING EFFECTS
+   ========================================================================
+   
+   PURPOSE:
+   Manages visual post-processing effects including anti-aliasing, sharpening,
+   and image enhancement. Provides configurable rendering pipeline with
+   multiple AA techniques (FXAA, TAA) and quality settings.
+   
+   EXPORTS:
+   - addPostEffects() - Setup and configure rendering pipeline with effects
+   
+   FEATURES:
+   - Anti-aliasing (FXAA)
+   - Image sharpening with edge detection
+   - Configurable quality presets
+   - Performance-aware effect management
+   - Mobile-optimized settings
+   
+   DEPENDENCIES:
+   - Babylon.js DefaultRenderingPipeline
+   - Configuration constants for effect settings
+   
+   ======================================================================== */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Adds and manages post-processing effects.
+ * @param {BABYLON.Scene} scene 
+ * @param {BABYLON.Camera} camera 
+ * @returns {BABYLON.DefaultRenderingPipeline}
+ */
+export function addPostEffects(scene, camera) {
+    // If pipeline already exists, dispose
+    if (scene.pipeline) {
+        scene.pipeline.dispose();
+        scene.pipeline = null;
+    }
+
+    const pipeline = new BABYLON.DefaultRenderingPipeline(
+        "defaultPipeline",
+        false,
+        scene,
+        [camera]
+    );
+
+    // Apply Sharpen Settings from CONFIG
+    pipeline.sharpenEnabled = CONFIG.postProcessing.sharpenEnabled;
+    pipeline.sharpen.edgeAmount = CONFIG.postProcessing.sharpenEdgeAmount;
+    console.log(`Sharpen enabled: ${pipeline.sharpenEnabled}, Edge amount: ${pipeline.sharpen.edgeAmount}`);
+
+    // Apply anti-aliasing settings from CONFIG
+    const aaType = CONFIG.postProcessing.antiAliasing.type;
+    
+    if (aaType === 'fxaa') {
+        pipeline.fxaaEnabled = true;
+        console.log(`FXAA enabled`);
+    } else {
+        pipeline.fxaaEnabled = false;
+        console.log(`Anti-aliasing disabled`);
+    }
+
+    // Store the pipeline in the scene for easy access
+    scene.pipeline = pipeline;
+
+    return pipeline;
 }
\ No newline at end of file
@@ -0,0 +1,204 @@
+/* ========================================================================
+   3D VIEWER - PERSISTED SETTINGS STORE
+   ========================================================================
+
+   PURPOSE:
+   Saves the viewer state (quality, field of view, auto-rotation, touch
+   sensitivity, camera limits, post-processing, last model URL, the
+   remembered model orientations, camera bookmarks and annotations, the
+   model scale mode, the measurement unit and calibrations) so it survives
+   a reload. Everything is kept in one versioned localStorage record.
+
+   EXPORTS:
+   - SettingsStore - Load, read, update and reset the saved settings
+
+   FEATURES:
+   - Versioned record with migrations for data saved by older versions
+     (including the former per-setting localStorage keys)
+   - Debounced writes so slider drags don't hammer localStorage
+   - Reset to defaults clears the viewer settings; content the user made
+     for their models (bookmarks, tours, annotations, orientations,
+     calibrations) and the last model URL are kept
+   - Works without storage (private mode): settings then last for the session
+
+   DEPENDENCIES:
+   - Configuration constants for defaults and storage options
+
+   ======================================================================== */
+
+import { CONFIG } from './config.js';
+
+// Bump together with a new MIGRATIONS entry when the saved shape changes
+const SETTINGS_VERSION = 1;
+
+// Snapshot before the UI starts editing CONFIG (e.g. the sharpen intensity)
+const DEFAULTS = {
+    quality: null,                  // null = device default
+    fov: 0.8,                       // Babylon.js camera default (radians)
+    autoRotation: CONFIG.camera.useAutoRotationBehavior,
+    touchSensitivity: 5,            // Slider value 1-10
+    sharpenEnabled: CONFIG.postProcessing.sharpenEnabled,
+    sharpenEdgeAmount: CONFIG.postProcessing.sharpenEdgeAmount,
+    antiAliasing: CONFIG.postProcessing.antiAliasing.type,
+    cameraLimits: null,             // null = config defaults / auto-calculated
+    lastModelUrl: null,
+    modelOrientations: {},          // File name -> orientation string
+    cameraBookmarks: {},            // Primary model URL / file name -> saved views
+    cameraTours: {},                // Primary model URL / file name -> camera tour
+    annotations: {},                // Primary model URL / file name -> annotations
+    calibrations: {},               // Primary model URL / file name -> calibration scale factor
+    modelScaleMode: CONFIG.modelLoader.scaleMode,
+    measurementUnit: CONFIG.measurement.defaultUnit
+};
+
+// Saved per model rather than viewer settings - kept by reset()
+const MODEL_DATA_KEYS = ['lastModelUrl', 'modelOrientations', 'cameraBookmarks', 'cameraTours', 'annotations', 'calibrations'];
+
+/**
+ * Migrations from each older version to the next; MIGRATIONS[n] upgrades
+ * version n settings to version n + 1
+ */
+const MIGRATIONS = [
+    // 0 -> 1: the anti-aliasing type used to live under its own key
+    (settings) => {
+        const antiAliasing = localStorage.getItem('babylonjs_antialiasing_type');
+        if (antiAliasing) settings.antiAliasing = antiAliasing;
+
+        localStorage.removeItem('babylonjs_antialiasing_type');
+        return settings;
+    }
+];
+
+/**
+ * Persisted viewer settings
+ */
+export const SettingsStore = {
+    _settings: null,
+    _saveTimer: null,
+
+    /**
+     * Load (and migrate) the saved settings; cached after the first call
+     * @returns {Object} Saved settings - only the keys the user changed
+     */
+    load() {
+        if (this._settings) return this._settings;
+
+        let record = null;
+        try {
+            record = JSON.parse(localStorage.getItem(CONFIG.settings.storageKey));
+        } catch (error) {
+            console.warn('Saved settings are unreadable, using defaults:', error);
+        }
+
+        let { version = 0, settings = {} } = record || {};
+        if (version > SETTINGS_VERSION) {
+            // Saved by a newer viewer - don't guess at its format
+            console.warn(`Saved settings version ${version} is newer than ${SETTINGS_VERSION}, using defaults`);
+            this._settings = {};
+            return this._settings;
+        }
+
+        const migrated = version < SETTINGS_VERSION;
+        try {
+            for (; version < SETTINGS_VERSION; version++) {
+                settings = MIGRATIONS[version](settings);
+                console.log(`Migrated saved settings to version ${version + 1}`);
+            }
+            if (migrated && (record || Object.keys(settings).length > 0)) this._write(settings);
+        } catch (error) {
+            console.warn('Could not migrate saved settings:', error);
+        }
+
+        // Don't lose a change made just before the page closes
+        window.addEventListener('pagehide', () => {
+            if (this._saveTimer) this.save();
+        });
+
+        this._settings = settings;
+        return settings;
+    },
+
+    /**
+     * Saved value of a setting, or its default
+     * @param {string} key
+     */
+    get(key) {
+        const settings = this.load();
+        return key in settings ? settings[key] : DEFAULTS[key];
+    },
+
+    /**
+     * Whether the user saved a value for a setting
+     * @param {string} key
+     */
+    has(key) {
+        return key in this.load();
+    },
+
+    /**
+     * Change a setting; written to storage shortly after
+     * @param {string} key
+     * @param {*} value - JSON-serializable
+     */
+    set(key, value) {
+        this.load()[key] = value;
+        this._scheduleSave();
+    },
+
+    /**
+     * Forget a setting so its default applies again
+     * @param {string} key
+     */
+    remove(key) {
+        delete this.load()[key];
+        this._scheduleSave();
+    },
+
+    /**
+     * Forget the saved viewer settings. Bookmarks, tours, annotations,
+     * orientations and calibrations saved for models are kept.
+     * @returns {Object} The defaults, to apply to the viewer
+     */
+    reset() {
+        const settings = this.load();
+        Object.keys(settings)
+            .filter(key => !MODEL_DATA_KEYS.includes(key))
+            .forEach(key => delete settings[key]);
+        this.save();
+
+        console.log('Saved settings reset to defaults');
+        return this.getDefaults();
+    },
+
+    /**
+     * Default value of every setting
+     */
+    getDefaults() {
+        return JSON.parse(JSON.stringify(DEFAULTS));
+    },
+
+    /**
+     * Write pending changes immediately
+     */
+    save() {
+        clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+        this._write(this.load());
+    },
+
+    _scheduleSave() {
+        clearTimeout(this._saveTimer);
+        this._saveTimer = setTimeout(() => this.save(), CONFIG.settings.saveDelay);
+    },
+
+    _write(settings) {
+        try {
+            localStorage.setItem(CONFIG.settings.storageKey, JSON.stringify({
+                version: SETTINGS_VERSION,
+                settings
+            }));
+        } catch (error) {
+            console.warn('Could not save settings:', error);
+        }
+    }
+};
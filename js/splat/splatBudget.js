@@ -0,0 +1,288 @@
+/* ========================================================================
+   3D VIEWER - SPLAT BUDGET (LEVEL OF DETAIL)
+   ========================================================================
+
+   PURPOSE:
+   Splat count, not resolution, is what stalls phones. Limits the number of
+   splats drawn per device class and quality preset: when the splat models
+   exceed the budget, each draws only its most important splats. The full
+   data is untouched, so edits, downloads and the viewer export still see
+   every splat.
+
+   EXPORTS:
+   - SplatBudget - Class keeping the splat meshes of a scene within budget
+
+   FEATURES:
+   - Budgets per device class (mobile / tablet / desktop) and quality preset
+     (CONFIG.splatBudget.budgets); switched by the quality select
+   - Importance = opacity × footprint (scale volume^(2/3)); the ranking is
+     bucketed once per model / edit, so changing the budget is one pass
+   - The budget is split across visible splat models by their size
+   - Works on top of the splat editor's crop box and floater filters
+
+   DEPENDENCIES:
+   - Splat data layout (splatParser.js); on-demand data and uploads with
+     spherical harmonics (splatData.js)
+   - Device detection for the device class
+   - Model registry (scene.modelRegistry) for the splat models
+
+   ======================================================================== */
+
+import { CONFIG } from '../config.js';
+import { detectDevice, getDefaultQuality } from '../deviceDetection.js';
+import { SettingsStore } from '../settingsStore.js';
+import { loadSplatData, uploadSplats } from './splatData.js';
+
+// Importance buckets; bucket 0 holds invisible splats (no opacity or size)
+const IMPORTANCE_BUCKETS = 4096;
+
+/**
+ * Splat Budget System
+ * Uploads at most the budgeted number of splats to every splat mesh
+ */
+export class SplatBudget {
+
+    constructor(scene) {
+        this.scene = scene;
+        this.deviceType = detectDevice().type;
+        this.quality = null;
+        this.budget = null;          // Splats drawn in total, null = unlimited
+
+        // Notified with { budget, drawn, total } after the splat meshes change
+        this.onBudgetChangedObservable = new BABYLON.Observable();
+
+        // Shares follow the visible models
+        const registry = scene.modelRegistry;
+        this.registryObserver = registry
+            ? registry.onChangedObservable.add(() => this.apply())
+            : null;
+
+        // Adaptive quality picks its own budgets; start from the device default
+        const quality = SettingsStore.get('quality');
+        this.setQuality(quality && quality !== 'adaptive' ? quality : getDefaultQuality());
+    }
+
+    /**
+     * Switch to the budget of a quality preset for this device class
+     * @param {string} quality - 'low', 'medium' or 'high'
+     */
+    setQuality(quality) {
+        const budgets = CONFIG.splatBudget.budgets[this.deviceType] || CONFIG.splatBudget.budgets.desktop;
+        if (!(quality in budgets)) return;
+
+        this.quality = quality;
+        this.budget = budgets[quality];
+        console.log(`Splat budget (${this.deviceType}, ${quality}):`, this.budget ?? 'unlimited');
+        this.apply();
+    }
+
+    /**
+     * Visible splat meshes loaded through the splat parser
+     * @returns {BABYLON.Mesh[]}
+     */
+    getSplatMeshes() {
+        const registry = this.scene.modelRegistry;
+        if (!registry) return [];
+
+        return registry.items
+            .filter(item => item.type === 'splat' && item.visible && item.model.splatCount && !item.model.isDisposed())
+            .map(item => item.model);
+    }
+
+    /**
+     * Splats a mesh may draw: the budget split by model size
+     * @param {BABYLON.Mesh} mesh - May not be registered yet (loading)
+     * @returns {number} Infinity when everything fits
+     */
+    getShare(mesh) {
+        if (this.budget === null) return Infinity;
+
+        const meshes = this.getSplatMeshes();
+        if (!meshes.includes(mesh)) meshes.push(mesh);
+
+        const total = meshes.reduce((sum, m) => sum + m.splatCount, 0);
+        if (total <= this.budget) return Infinity;
+
+        return Math.floor(this.budget * mesh.splatCount / total);
+    }
+
+    /**
+     * Bring every visible splat mesh within its share
+     */
+    apply() {
+        this.getSplatMeshes().forEach(mesh => this.updateMesh(mesh));
+        this.notifyChanged();
+    }
+
+    /**
+     * Upload the splats a mesh should draw: the splat editor's kept splats,
+     * reduced to the most important ones when over budget.
+     * Does nothing when neither the kept splats nor the share changed; the
+     * splat data is read again when a mesh is cut for the first time.
+     * @param {BABYLON.Mesh} mesh - GaussianSplattingMesh from loadSplatModel
+     */
+    updateMesh(mesh) {
+        if (!mesh.splatCount || mesh.isDisposed()) return;
+
+        const state = mesh.splatBudgetState || (mesh.splatBudgetState = createBudgetState());
+        const source = mesh.splatEditState ? mesh.splatEditState.visibleIndices : null;
+        const sourceCount = source ? source.length : mesh.splatCount;
+        const share = this.getShare(mesh);
+        const limit = sourceCount > share ? share : Infinity;
+
+        // Nothing cut: the loader uploaded every splat already
+        if (!state.uploaded && !source && limit === Infinity) {
+            state.uploaded = true;
+            state.drawn = mesh.splatCount;
+            return;
+        }
+        if (state.uploaded && state.source === source && state.limit === limit) return;
+
+        const data = mesh.splatData;
+        if (!data) {
+            loadSplatData(mesh).then(loaded => {
+                if (!loaded || !this.scene) return;
+                this.updateMesh(mesh);
+                this.notifyChanged();
+            });
+            return;
+        }
+
+        let indices = source;
+        if (limit !== Infinity) {
+            if (state.rankedSource !== source || !state.keys) {
+                rankSplats(data, source, state);
+            }
+            indices = selectTop(source, state, limit);
+        }
+
+        if (indices && indices.length === 0) {
+            mesh.isVisible = false;
+        } else {
+            mesh.isVisible = true;
+            uploadSplats(mesh, data, indices);
+        }
+
+        state.uploaded = true;
+        state.source = source;
+        state.limit = limit;
+        state.drawn = indices ? indices.length : data.count;
+        if (limit !== Infinity) {
+            console.log(`Splat budget: drawing ${state.drawn.toLocaleString()} of ${sourceCount.toLocaleString()} splats`);
+        }
+    }
+
+    /**
+     * Splats drawn and kept (before the budget) over the visible models
+     * @returns {{drawn: number, total: number}}
+     */
+    getStats() {
+        return this.getSplatMeshes().reduce((stats, mesh) => {
+            const state = mesh.splatBudgetState;
+            const source = mesh.splatEditState ? mesh.splatEditState.visibleIndices : null;
+            const total = source ? source.length : mesh.splatCount;
+            stats.total += total;
+            stats.drawn += state && state.uploaded ? state.drawn : total;
+            return stats;
+        }, { drawn: 0, total: 0 });
+    }
+
+    notifyChanged() {
+        this.onBudgetChangedObservable.notifyObservers({ budget: this.budget, ...this.getStats() });
+    }
+
+    dispose() {
+        if (this.registryObserver && this.scene.modelRegistry) {
+            this.scene.modelRegistry.onChangedObservable.remove(this.registryObserver);
+        }
+        this.registryObserver = null;
+        this.onBudgetChangedObservable.clear();
+        this.scene = null;
+    }
+}
+
+/**
+ * Empty per-mesh budget state (stored as mesh.splatBudgetState)
+ */
+function createBudgetState() {
+    return {
+        uploaded: false,
+        source: null,            // Kept splats of the last upload (null = all)
+        limit: Infinity,         // Share of the last upload
+        drawn: 0,
+        rankedSource: null,      // Kept splats the ranking below was built for
+        keys: null,              // Uint16Array importance bucket per kept splat
+        histogram: null          // Uint32Array splats per bucket
+    };
+}
+
+/**
+ * Bucket the kept splats by log importance (opacity × scale volume^(2/3))
+ * @param {Object} data - Splat data
+ * @param {Uint32Array|null} source - Kept splat indices, null for all
+ * @param {Object} state - Budget state receiving keys and histogram
+ */
+function rankSplats(data, source, state) {
+    const count = source ? source.length : data.count;
+    const { colors, scales } = data;
+    const logs = new Float32Array(count);
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let n = 0; n < count; n++) {
+        const i = source ? source[n] : n;
+        const alpha = colors[i * 4 + 3];
+        const volume = scales[i * 3] * scales[i * 3 + 1] * scales[i * 3 + 2];
+
+        const value = alpha > 0 && volume > 0
+            ? Math.log2(alpha) + Math.log2(volume) * 2 / 3
+            : -Infinity;
+        logs[n] = value;
+        if (value !== -Infinity) {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+    }
+
+    const keys = new Uint16Array(count);
+    const histogram = new Uint32Array(IMPORTANCE_BUCKETS);
+    const range = max - min || 1;
+
+    for (let n = 0; n < count; n++) {
+        const key = logs[n] === -Infinity
+            ? 0
+            : 1 + Math.floor((logs[n] - min) / range * (IMPORTANCE_BUCKETS - 2));
+        keys[n] = key;
+        histogram[key]++;
+    }
+
+    state.rankedSource = source;
+    state.keys = keys;
+    state.histogram = histogram;
+}
+
+/**
+ * The `limit` most important kept splats, in file order
+ * @returns {Uint32Array} Splat indices
+ */
+function selectTop(source, state, limit) {
+    const { keys, histogram } = state;
+
+    // Lowest bucket still drawn, and how many of its splats fit
+    let threshold = IMPORTANCE_BUCKETS - 1;
+    let remaining = limit;
+    while (threshold > 0 && histogram[threshold] < remaining) {
+        remaining -= histogram[threshold];
+        threshold--;
+    }
+
+    const indices = new Uint32Array(limit);
+    let count = 0;
+    for (let n = 0; n < keys.length && count < limit; n++) {
+        const key = keys[n];
+        if (key > threshold || (key === threshold && remaining-- > 0)) {
+            indices[count++] = source ? source[n] : n;
+        }
+    }
+    return count === limit ? indices : indices.slice(0, count);
+}
@@ -0,0 +1,137 @@
+/* ========================================================================
+   3D VIEWER - GAUSSIAN SPLAT FORMAT CONVERSION
+   ========================================================================
+
+   PURPOSE:
+   Converts Gaussian splat files between .splat, 3DGS .ply and .spz in the
+   browser, optionally dropping spherical-harmonics bands to shrink the
+   output. Used by the developer tools panel and importable from scripts:
+
+       import { convertSplatFile } from './js/splat/splatConverter.js';
+       const { blob, fileName } = await convertSplatFile(file, 'spz', { shDegree: 1 });
+
+   EXPORTS:
+   - SPLAT_OUTPUT_FORMATS - Formats that can be written
+   - getSplatFormat() - Splat format from a file name or URL
+   - reduceShDegree() - Copy of splat data limited to an SH degree
+   - encodeSplatData() - Encode splat data in an output format
+   - convertSplat() - Convert a splat buffer between formats
+   - convertSplatFile() - Convert a File/Blob and name the result
+
+   NOTES:
+   - .splat has no spherical harmonics; converting to it always drops them
+   - .spz is quantized (positions, colors, scales, rotations, SH), so a
+     round trip through .spz is lossy
+
+   DEPENDENCIES:
+   - Splat parsing (splatParser.js) and encoding (splatWriter.js)
+
+   ======================================================================== */
+
+import { parseSplatData, shCoefficientCount, SplatFormatError } from './splatParser.js';
+import { writeSplat, writePly, writeSpz } from './splatWriter.js';
+
+/**
+ * Formats that can be written
+ */
+export const SPLAT_OUTPUT_FORMATS = ['splat', 'ply', 'spz'];
+
+/**
+ * Splat format from a file name or URL
+ * @param {string} name - File name or URL
+ * @returns {string} 'splat', 'ply' or 'spz'
+ */
+export function getSplatFormat(name) {
+    const format = name.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    if (!SPLAT_OUTPUT_FORMATS.includes(format)) {
+        throw new SplatFormatError(`Unknown splat format ".${format}"`);
+    }
+    return format;
+}
+
+/**
+ * Limit splat data to an SH degree. Only the SH array is copied; the other
+ * attributes are shared with the source.
+ * @param {Object} data - Splat data
+ * @param {number} maxDegree - Highest SH degree to keep (0-3)
+ * @returns {Object} Splat data
+ */
+export function reduceShDegree(data, maxDegree) {
+    if (!data.sh || maxDegree >= data.shDegree) return data;
+
+    const degree = Math.max(0, maxDegree);
+    const sourceCoeffs = shCoefficientCount(data.shDegree);
+    const coeffs = shCoefficientCount(degree);
+    let sh = null;
+
+    if (coeffs > 0) {
+        // Lower bands come first, so each splat keeps a prefix of its coefficients
+        sh = new Float32Array(data.count * coeffs * 3);
+        for (let i = 0; i < data.count; i++) {
+            sh.set(data.sh.subarray(i * sourceCoeffs * 3, (i * sourceCoeffs + coeffs) * 3), i * coeffs * 3);
+        }
+    }
+
+    return { ...data, shDegree: degree, sh };
+}
+
+/**
+ * Encode splat data in an output format
+ * @param {Object} data - Splat data
+ * @param {string} format - 'splat', 'ply' or 'spz'
+ * @param {Object} [options]
+ * @param {number} [options.shDegree] - Highest SH degree to keep (default: all)
+ * @param {Uint32Array} [options.indices] - Optional subset of splat indices to write
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function encodeSplatData(data, format, { shDegree = 3, indices = null } = {}) {
+    const reduced = reduceShDegree(data, shDegree);
+
+    switch (format) {
+        case 'splat':
+            return writeSplat(reduced, indices);
+        case 'ply':
+            return writePly(reduced, indices);
+        case 'spz':
+            return await writeSpz(reduced, indices);
+        default:
+            throw new SplatFormatError(`Cannot write splat format ".${format}"`);
+    }
+}
+
+/**
+ * Convert a splat buffer between formats
+ * @param {ArrayBuffer} buffer - Source file contents
+ * @param {string} inputFormat - 'splat', 'ply' or 'spz'
+ * @param {string} outputFormat - 'splat', 'ply' or 'spz'
+ * @param {Object} [options] - See encodeSplatData()
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function convertSplat(buffer, inputFormat, outputFormat, options = {}) {
+    const data = await parseSplatData(buffer, inputFormat);
+    return await encodeSplatData(data, outputFormat, options);
+}
+
+/**
+ * Convert a splat File/Blob. The input format comes from the file name.
+ * @param {File|Blob} file - Source file
+ * @param {string} outputFormat - 'splat', 'ply' or 'spz'
+ * @param {Object} [options] - See encodeSplatData(); `inputFormat` overrides detection
+ * @returns {Promise<{blob: Blob, fileName: string, count: number}>}
+ */
+export async function convertSplatFile(file, outputFormat, options = {}) {
+    const name = file.name || 'model.splat';
+    const inputFormat = options.inputFormat || getSplatFormat(name);
+
+    const data = await parseSplatData(await file.arrayBuffer(), inputFormat);
+    const buffer = await encodeSplatData(data, outputFormat, options);
+
+    const baseName = name.replace(/\.[^.]+$/, '');
+    console.log(`Converted ${name} (.${inputFormat}) to .${outputFormat}: ${data.count.toLocaleString()} splats`);
+
+    return {
+        blob: new Blob([buffer], { type: 'application/octet-stream' }),
+        fileName: `${baseName}.${outputFormat}`,
+        count: data.count
+    };
+}
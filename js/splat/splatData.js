@@ -0,0 +1,127 @@
+/* ========================================================================
+   3D VIEWER - SPLAT DATA ON DEMAND
+   ========================================================================
+
+   PURPOSE:
+   Decoded splat data takes several times the memory of what the GPU
+   draws, so splat meshes don't keep it once they are uploaded. Tools that
+   need the splats themselves (inspector, converter, splat editor, splat
+   budget, picking, leveling) ask for it here: it is parsed again from the
+   model's source by a load job, and kept on the mesh as `mesh.splatData`
+   by the tools that work on it continuously. Uploads keep the spherical
+   harmonics, so edited and budgeted scans keep their view-dependent colour.
+
+   EXPORTS:
+   - setSplatSource() - Record the source and splat count of a loaded mesh
+   - hasSplatSource() - Whether a mesh's splat data can be (re)loaded
+   - loadSplatData() - Decoded splat data of a mesh, parsed on first use
+   - uploadSplats() - Upload (a subset of) splat data to a mesh
+   - uploadSplatsAsync() - Same, spread over frames (initial load)
+
+   DEPENDENCIES:
+   - Load jobs (loadJob.js) for parsing off the main thread
+   - Encoders from splatWriter.js
+   - Babylon.js GaussianSplattingMesh (updateData / updateDataAsync)
+
+   ======================================================================== */
+
+import { startLoadJob } from '../loadJob.js';
+import { writeSplat, writeShTextures } from './splatWriter.js';
+
+/**
+ * Record where a splat mesh was loaded from, so its data can be parsed again
+ * @param {BABYLON.Mesh} mesh - GaussianSplattingMesh
+ * @param {File|string} source - Local file or model URL
+ * @param {string} format - 'splat', 'ply' or 'spz'
+ * @param {number} count - Splats in the parsed file
+ */
+export function setSplatSource(mesh, source, format, count) {
+    mesh.splatSource = { source, format };
+    mesh.splatCount = count;
+    mesh.splatData = mesh.splatData || null;
+    mesh.splatDataRequest = null;
+}
+
+/**
+ * Whether a mesh's splat data is loaded or can be loaded
+ * @param {BABYLON.Mesh} mesh
+ * @returns {boolean}
+ */
+export function hasSplatSource(mesh) {
+    return !!(mesh && !mesh.isDisposed() && (mesh.splatData || mesh.splatSource));
+}
+
+/**
+ * Decoded splat data of a mesh. Parses the source again when the data isn't
+ * loaded; concurrent requests share one load job.
+ * @param {BABYLON.Mesh} mesh - GaussianSplattingMesh
+ * @param {Object} [options]
+ * @param {boolean} [options.keep=true] - Keep the data on the mesh (mesh.splatData);
+ *   one-off readers (inspector, converter) pass false
+ * @returns {Promise<Object|null>} null when the data can't be read again
+ */
+export function loadSplatData(mesh, { keep = true } = {}) {
+    if (mesh.splatData) return Promise.resolve(mesh.splatData);
+    if (!mesh.splatSource || mesh.isDisposed()) return Promise.resolve(null);
+
+    if (!mesh.splatDataRequest) {
+        const { source, format } = mesh.splatSource;
+        console.log(`Reading splat data of ${mesh.name} again`);
+
+        mesh.splatDataRequest = startLoadJob({ source, kind: 'splat', format, maxPreview: 0 })
+            .then(({ splatData }) => {
+                // Indices (edits, budget) refer to the splats of the first load
+                if (!splatData || splatData.count !== mesh.splatCount) {
+                    throw new Error('The splat file changed since it was loaded');
+                }
+                return splatData;
+            })
+            .catch(error => {
+                console.warn('Splat data unavailable:', error);
+                mesh.splatSource = null;  // Don't retry on every pick
+                return null;
+            })
+            .finally(() => { mesh.splatDataRequest = null; });
+    }
+
+    return mesh.splatDataRequest.then(data => {
+        if (data && keep && !mesh.isDisposed()) mesh.splatData = data;
+        return data;
+    });
+}
+
+/**
+ * Upload splat data to a mesh, including its spherical harmonics
+ * @param {BABYLON.Mesh} mesh - GaussianSplattingMesh
+ * @param {Object} data - Splat data
+ * @param {Uint32Array} [indices] - Subset of splats to draw, null for all
+ */
+export function uploadSplats(mesh, data, indices = null) {
+    const { buffer, sh, shDegree } = encodeUpload(mesh, data, indices);
+    mesh.updateData(buffer, sh, { flipY: false }, undefined, shDegree);
+}
+
+/**
+ * Upload splat data to a mesh without blocking the frame
+ * @param {BABYLON.Mesh} mesh - GaussianSplattingMesh
+ * @param {Object} data - Splat data
+ * @param {Uint32Array} [indices] - Subset of splats to draw, null for all
+ * @returns {Promise<void>}
+ */
+export async function uploadSplatsAsync(mesh, data, indices = null) {
+    const { buffer, sh, shDegree } = encodeUpload(mesh, data, indices);
+    await mesh.updateDataAsync(buffer, sh, undefined, shDegree);
+}
+
+/**
+ * .splat buffer and SH textures for an upload
+ */
+function encodeUpload(mesh, data, indices) {
+    const textureWidth = mesh.getEngine().getCaps().maxTextureSize;
+    const sh = writeShTextures(data, indices, textureWidth);
+    return {
+        buffer: writeSplat(data, indices),
+        sh: sh || undefined,
+        shDegree: sh ? data.shDegree : 0
+    };
+}
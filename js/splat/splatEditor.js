@@ -0,0 +1,532 @@
+/* ========================================================================
+   3D VIEWER - GAUSSIAN SPLAT EDITING
+   ========================================================================
+
+   PURPOSE:
+   Non-destructive editing of the selected GaussianSplattingMesh. Reads the
+   parsed source data on the first edit, decides which splats are visible
+   and re-uploads the kept subset to the mesh, so the same subset can be
+   downloaded or used by the viewer exporter. Edit state (crop box, kept splats) is stored per
+   model as `mesh.splatEditState`, so switching the selection in a
+   multi-model scene keeps each model's edits.
+
+   EXPORTS:
+   - SplatEditor - Class managing splat visibility edits for a scene
+
+   FEATURES:
+   - Interactive crop box (axis-aligned or oriented) with move/scale/rotate
+     gizmos, hiding splats outside it in real time
+   - Floater filters: minimum opacity and maximum splat size (relative to
+     the model size), kept across model loads and shareable via URL
+   - Throttled visibility rebuilds while the box is being dragged
+   - Encoding of the kept splats as .splat or .ply
+
+   DEPENDENCIES:
+   - Babylon.js GaussianSplattingMesh (updateData) and GizmoManager
+   - Splat data layout from splatParser.js, encoders from splatWriter.js
+   - On-demand splat data and uploads with spherical harmonics (splatData.js)
+   - Configuration constants for editor settings
+   - Splat budget (scene.splatBudget), which uploads the kept splats
+
+   ======================================================================== */
+
+import { CONFIG } from '../config.js';
+import { ErrorMessages } from '../helpers.js';
+import { writeSplat, writePly } from './splatWriter.js';
+import { hasSplatSource, loadSplatData, uploadSplats } from './splatData.js';
+
+/**
+ * Splat Editing System
+ * Tracks the crop state of the current splat model and keeps the mesh in sync
+ */
+export class SplatEditor {
+
+    constructor(scene) {
+        this.scene = scene;
+
+        this.mesh = null;            // GaussianSplattingMesh being edited
+        this.data = null;            // Full source splat data (never modified), null until the first edit
+        this.bounds = null;          // { min, max, size } of the splat positions
+        this.visibleIndices = null;  // Uint32Array of kept splats, null when nothing is hidden
+
+        // Crop box state of the attached model (see createCropState)
+        this.crop = createCropState();
+        this.gizmoManager = null;    // Shared by every model's crop box, created on first use
+
+        // Floater filters - settings rather than per-model state, so they survive model loads
+        this.filters = {
+            minOpacity: CONFIG.splatEditor.filters.minOpacity,  // 0-1, 0 = off
+            maxScale: CONFIG.splatEditor.filters.maxScale       // Largest axis / model size, null = off
+        };
+
+        this.updateTimer = null;
+
+        // Notified with { kept, total } after every visibility rebuild
+        this.onEditChangedObservable = new BABYLON.Observable();
+
+        // Follow the selected model
+        const registry = scene.modelRegistry;
+        this.selectionObserver = registry
+            ? registry.onSelectionChangedObservable.add((item) => this.attach(item ? item.model : null))
+            : null;
+    }
+
+    /**
+     * Start editing a model, restoring its previous edit state.
+     * Models that weren't loaded through the splat parser are ignored.
+     * @param {BABYLON.Mesh} model
+     */
+    attach(model) {
+        this.detach();
+
+        if (!hasSplatSource(model)) return;
+
+        this.mesh = model;
+        this.data = model.splatData;
+        this.bounds = this.data ? computeBounds(this.data) : null;
+
+        const state = model.splatEditState || { crop: createCropState(), visibleIndices: null };
+        model.splatEditState = state;
+        this.crop = state.crop;
+        this.visibleIndices = state.visibleIndices;
+        console.log(`Splat editor attached (${model.splatCount.toLocaleString()} splats)`);
+
+        if (this.crop.box) {
+            this.crop.box.setEnabled(this.crop.enabled);
+            this.attachGizmos();
+        }
+
+        if (this.hasActiveFilters() || this.crop.enabled) {
+            this.applyVisibility();
+        } else {
+            this.notifyChanged();
+        }
+    }
+
+    /**
+     * Stop editing the current model. Its kept splats stay on the mesh; the crop
+     * box is hidden until the model is selected again.
+     */
+    detach() {
+        clearTimeout(this.updateTimer);
+        this.updateTimer = null;
+
+        if (this.gizmoManager) {
+            this.gizmoManager.attachToMesh(null);
+        }
+        if (this.mesh && this.mesh.isDisposed()) {
+            this.disposeCropBox();
+        } else if (this.crop.box) {
+            this.crop.box.setEnabled(false);
+        }
+
+        this.crop = createCropState();
+        this.mesh = null;
+        this.data = null;
+        this.bounds = null;
+        this.visibleIndices = null;
+        this.notifyChanged();
+    }
+
+    /**
+     * Whether an editable splat model is attached (its data may not be read yet)
+     */
+    hasModel() {
+        return !!(this.mesh && !this.mesh.isDisposed());
+    }
+
+    /**
+     * Whether the attached model's splat data is loaded
+     */
+    hasData() {
+        return this.hasModel() && !!this.data;
+    }
+
+    /**
+     * Read the attached model's splat data; meshes drop it after loading
+     * @returns {Promise<boolean>} Whether the data is available
+     */
+    async loadData() {
+        if (this.hasData()) return true;
+
+        const mesh = this.mesh;
+        if (!mesh) return false;
+
+        const data = await loadSplatData(mesh);
+        if (!data || this.mesh !== mesh) return false;  // Unreadable, or the selection changed
+
+        this.data = data;
+        this.bounds = computeBounds(data);
+        return true;
+    }
+
+    /**
+     * Whether any splats are currently hidden
+     */
+    hasEdits() {
+        return this.hasData() && this.visibleIndices !== null && this.visibleIndices.length !== this.data.count;
+    }
+
+    /* ====================================================================
+       CROP BOX
+       ==================================================================== */
+
+    /**
+     * Show or hide the crop box. The box is created (fitted to the splats) on first use.
+     * @param {boolean} enabled
+     */
+    setCropEnabled(enabled) {
+        if (!this.hasModel()) return;
+
+        this.crop.enabled = enabled;
+
+        if (!this.data) {
+            // The box is fitted to the splats, so read them first
+            if (enabled) {
+                this.loadData().then(loaded => {
+                    if (loaded && this.crop.enabled) this.setCropEnabled(true);
+                });
+            }
+            return;
+        }
+
+        if (enabled && !this.crop.box) {
+            this.createCropBox();
+            this.fitCropBox();
+        }
+
+        if (this.crop.box) {
+            this.crop.box.setEnabled(enabled);
+            this.attachGizmos();
+        }
+
+        this.applyVisibility();
+        console.log('Crop box enabled:', enabled);
+    }
+
+    /**
+     * Switch between an axis-aligned and an oriented (rotatable) crop box
+     * @param {string} mode - 'aligned' or 'oriented'
+     */
+    setCropMode(mode) {
+        this.crop.mode = mode === 'oriented' ? 'oriented' : 'aligned';
+
+        if (this.crop.box) {
+            if (this.crop.mode === 'aligned') {
+                this.crop.box.rotationQuaternion = BABYLON.Quaternion.Identity();
+            }
+            this.attachGizmos();
+            this.requestUpdate();
+        }
+        console.log('Crop box mode set to:', this.crop.mode);
+    }
+
+    /**
+     * Reset the crop box to enclose all splats
+     */
+    fitCropBox() {
+        const box = this.crop.box;
+        if (!box) return;
+
+        const { min, max } = this.bounds;
+        const padding = CONFIG.splatEditor.cropBoxPadding;
+        box.position.set((min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2);
+        box.scaling.set(
+            Math.max(max[0] - min[0], 1e-3) * padding,
+            Math.max(max[1] - min[1], 1e-3) * padding,
+            Math.max(max[2] - min[2], 1e-3) * padding
+        );
+        box.rotationQuaternion = BABYLON.Quaternion.Identity();
+        this.requestUpdate();
+    }
+
+    /**
+     * Attach the move/scale(/rotate) gizmos to the crop box while it is enabled
+     */
+    attachGizmos() {
+        if (!this.gizmoManager) {
+            this.gizmoManager = new BABYLON.GizmoManager(this.scene);
+            this.gizmoManager.usePointerToAttachGizmos = false;
+            this.gizmoManager.positionGizmoEnabled = true;
+            this.gizmoManager.scaleGizmoEnabled = true;
+        }
+        this.gizmoManager.rotationGizmoEnabled = this.crop.mode === 'oriented';
+        this.gizmoManager.attachToMesh(this.crop.enabled ? this.crop.box : null);
+    }
+
+    /**
+     * Create the crop box mesh
+     */
+    createCropBox() {
+        const box = BABYLON.MeshBuilder.CreateBox("splatCropBox", { size: 1 }, this.scene);
+        const material = new BABYLON.StandardMaterial("splatCropBoxMaterial", this.scene);
+        material.emissiveColor = BABYLON.Color3.FromHexString(CONFIG.splatEditor.cropBoxColor);
+        material.disableLighting = true;
+        material.wireframe = true;
+        box.material = material;
+        box.isPickable = false;
+        box.rotationQuaternion = BABYLON.Quaternion.Identity();
+        box.metadata = { helper: true };  // Not part of the model (bounds, export)
+
+        // Parent to the splat mesh so the box lives in splat space and follows model transforms
+        box.parent = this.mesh;
+
+        this.crop.box = box;
+        this.crop.matrixObserver = box.onAfterWorldMatrixUpdateObservable.add(() => this.requestUpdate());
+    }
+
+    /**
+     * Dispose the crop box mesh
+     */
+    disposeCropBox() {
+        const { box, matrixObserver } = this.crop;
+        if (box) {
+            box.onAfterWorldMatrixUpdateObservable.remove(matrixObserver);
+            if (box.material) box.material.dispose();
+            // The box may already be gone with its parent when the model was disposed
+            if (!box.isDisposed()) box.dispose();
+        }
+        this.crop.box = null;
+        this.crop.matrixObserver = null;
+    }
+
+    /**
+     * Inverse of the crop box transform in splat space, or null when cropping is off
+     */
+    getCropMatrix() {
+        const box = this.crop.box;
+        if (!this.crop.enabled || !box) return null;
+
+        return BABYLON.Matrix.Compose(box.scaling, box.rotationQuaternion, box.position).invert();
+    }
+
+    /* ====================================================================
+       FILTERS
+       ==================================================================== */
+
+    /**
+     * Update the floater filters; omitted values are left unchanged
+     * @param {Object} filters
+     * @param {number} [filters.minOpacity] - Hide splats below this opacity (0-1)
+     * @param {number|null} [filters.maxScale] - Hide splats whose largest axis exceeds
+     *   this fraction of the model size (null disables the filter)
+     */
+    setFilters({ minOpacity, maxScale } = {}) {
+        if (minOpacity !== undefined) {
+            this.filters.minOpacity = Math.max(0, Math.min(1, minOpacity));
+        }
+        if (maxScale !== undefined) {
+            this.filters.maxScale = maxScale > 0 ? maxScale : null;
+        }
+        this.requestUpdate();
+    }
+
+    hasActiveFilters() {
+        return this.filters.minOpacity > 0 || this.filters.maxScale !== null;
+    }
+
+    /**
+     * Apply filters from URL parameters (minOpacity, maxScale)
+     * @param {URLSearchParams} urlParams
+     */
+    applyFiltersFromUrl(urlParams) {
+        const minOpacity = parseFloat(urlParams.get('minOpacity'));
+        const maxScale = parseFloat(urlParams.get('maxScale'));
+
+        const filters = {};
+        if (!isNaN(minOpacity)) filters.minOpacity = minOpacity;
+        if (!isNaN(maxScale)) filters.maxScale = maxScale;
+
+        if (Object.keys(filters).length > 0) {
+            this.setFilters(filters);
+            console.log('Applied splat filters from URL:', filters);
+        }
+    }
+
+    /**
+     * URL serialization for sharing - only active filters are included
+     */
+    getFiltersForUrl() {
+        return {
+            ...(this.filters.minOpacity > 0 && {
+                minOpacity: this.filters.minOpacity.toFixed(2)
+            }),
+            ...(this.filters.maxScale !== null && {
+                maxScale: this.filters.maxScale.toFixed(3)
+            })
+        };
+    }
+
+    /* ====================================================================
+       VISIBILITY
+       ==================================================================== */
+
+    /**
+     * Schedule a visibility rebuild, at most once per configured interval
+     */
+    requestUpdate() {
+        if (this.updateTimer || !this.hasModel()) return;
+
+        this.updateTimer = setTimeout(() => {
+            this.updateTimer = null;
+            this.applyVisibility();
+        }, CONFIG.splatEditor.updateInterval);
+    }
+
+    /**
+     * Indices of the splats that pass every active edit, or null if all are kept
+     * @returns {Uint32Array|null}
+     */
+    computeVisibleIndices() {
+        const cropMatrix = this.getCropMatrix();
+        if (!cropMatrix && !this.hasActiveFilters()) return null;
+
+        const { positions, scales, colors, count } = this.data;
+        const m = cropMatrix ? cropMatrix.m : null;
+        const minAlpha = this.filters.minOpacity * 255;
+        const modelSize = Math.max(...this.bounds.size);
+        const maxScale = this.filters.maxScale !== null ? this.filters.maxScale * modelSize : Infinity;
+        const kept = new Uint32Array(count);
+        let keptCount = 0;
+
+        for (let i = 0; i < count; i++) {
+            if (colors[i * 4 + 3] < minAlpha) continue;
+
+            if (Math.max(scales[i * 3], scales[i * 3 + 1], scales[i * 3 + 2]) > maxScale) continue;
+
+            if (m) {
+                const x = positions[i * 3];
+                const y = positions[i * 3 + 1];
+                const z = positions[i * 3 + 2];
+
+                // Row-vector transform into unit box space; inside means |coord| <= 0.5 on every axis
+                const bx = x * m[0] + y * m[4] + z * m[8] + m[12];
+                const by = x * m[1] + y * m[5] + z * m[9] + m[13];
+                const bz = x * m[2] + y * m[6] + z * m[10] + m[14];
+
+                if (Math.abs(bx) > 0.5 || Math.abs(by) > 0.5 || Math.abs(bz) > 0.5) continue;
+            }
+
+            kept[keptCount++] = i;
+        }
+
+        return keptCount === count ? null : kept.slice(0, keptCount);
+    }
+
+    /**
+     * Rebuild the kept subset and upload it to the mesh
+     */
+    applyVisibility() {
+        if (!this.hasModel()) return;
+
+        if (!this.data) {
+            this.loadData().then(loaded => {
+                if (loaded) this.applyVisibility();
+            });
+            return;
+        }
+
+        const indices = this.computeVisibleIndices();
+        const wasEdited = this.visibleIndices !== null;
+        this.visibleIndices = indices;
+        this.mesh.splatEditState.visibleIndices = indices;
+
+        if (this.scene.splatBudget) {
+            // Uploads the kept splats, reduced further when over budget
+            this.scene.splatBudget.updateMesh(this.mesh);
+            this.scene.splatBudget.notifyChanged();
+        } else if (indices || wasEdited) {
+            // Nothing hidden before or after - the mesh already holds the full data
+            if (indices && indices.length === 0) {
+                this.mesh.isVisible = false;
+            } else {
+                this.mesh.isVisible = true;
+                uploadSplats(this.mesh, this.data, indices);
+            }
+        }
+
+        this.notifyChanged();
+    }
+
+    notifyChanged() {
+        const total = this.hasModel() ? this.mesh.splatCount : 0;
+        const kept = this.visibleIndices ? this.visibleIndices.length : total;
+        this.onEditChangedObservable.notifyObservers({ kept, total });
+    }
+
+    /* ====================================================================
+       EXPORT
+       ==================================================================== */
+
+    /**
+     * Encode the kept splats
+     * @param {string} format - 'splat' or 'ply'
+     * @returns {ArrayBuffer}
+     */
+    getEditedBuffer(format = 'splat') {
+        if (!this.hasData()) {
+            throw new Error(ErrorMessages.MODEL.NO_SPLAT_DATA);
+        }
+        return format === 'ply'
+            ? writePly(this.data, this.visibleIndices)
+            : writeSplat(this.data, this.visibleIndices);
+    }
+
+    /**
+     * Encode the kept splats as a downloadable blob
+     * @param {string} format - 'splat' or 'ply'
+     * @returns {Blob}
+     */
+    getEditedBlob(format = 'splat') {
+        return new Blob([this.getEditedBuffer(format)], { type: 'application/octet-stream' });
+    }
+
+    dispose() {
+        this.detach();
+        if (this.gizmoManager) {
+            this.gizmoManager.dispose();
+            this.gizmoManager = null;
+        }
+        if (this.selectionObserver && this.scene.modelRegistry) {
+            this.scene.modelRegistry.onSelectionChangedObservable.remove(this.selectionObserver);
+        }
+        this.selectionObserver = null;
+        this.onEditChangedObservable.clear();
+        this.scene = null;
+    }
+}
+
+/**
+ * Empty per-model crop box state
+ */
+function createCropState() {
+    return {
+        enabled: false,
+        mode: 'aligned',             // 'aligned' or 'oriented'
+        box: null,                   // Unit box parented to the splat mesh
+        matrixObserver: null
+    };
+}
+
+/**
+ * Bounds of the splat positions
+ * @param {Object} data - Splat data
+ * @returns {{min: number[], max: number[], size: number[]}}
+ */
+function computeBounds(data) {
+    const { positions, count } = data;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < count; i++) {
+        for (let k = 0; k < 3; k++) {
+            const value = positions[i * 3 + k];
+            if (value < min[k]) min[k] = value;
+            if (value > max[k]) max[k] = value;
+        }
+    }
+    if (count === 0) {
+        min.fill(-0.5);
+        max.fill(0.5);
+    }
+    return { min, max, size: max.map((value, k) => value - min[k]) };
+}
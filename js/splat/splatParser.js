@@ -0,0 +1,726 @@
+/* ========================================================================
+   3D VIEWER - GAUSSIAN SPLAT FILE PARSING
+   ========================================================================
+
+   PURPOSE:
+   Decodes .splat, .ply (3DGS) and .spz files into a common in-memory
+   representation so the viewer can inspect, edit and re-encode splats
+   instead of handing the raw file straight to GaussianSplattingMesh.
+
+   EXPORTS:
+   - SplatFormatError - Thrown when a file is not a splat layout we can read
+   - SH_C0 - Degree-0 spherical harmonics constant
+   - parseSplatData() - Parse any supported splat buffer by format
+   - parseSplatFile() - Parse an antimatter15 .splat buffer
+   - parsePlyFile() - Parse a binary little-endian 3DGS .ply buffer
+   - parseSpzFile() - Parse a Niantic .spz buffer (gzip, v2/v3)
+   - SplatStreamParser - Decode .splat / .ply rows while the file downloads
+   - shCoefficientCount() - Rest SH coefficients per channel for a degree
+
+   SPLAT DATA LAYOUT:
+   {
+       count,                  // Number of splats
+       positions,              // Float32Array(count * 3)
+       scales,                 // Float32Array(count * 3), linear
+       rotations,              // Float32Array(count * 4), normalized w, x, y, z
+       colors,                 // Uint8ClampedArray(count * 4), RGBA (A = opacity)
+       shDegree,               // 0-3
+       sh,                     // Float32Array(count * coeffs * 3) [splat][coeff][rgb] or null
+       sourceFormat,           // 'splat' | 'ply' | 'spz'
+       byteSize                // Size of the source file in bytes
+   }
+   All formats are decoded into the 3DGS .ply coordinate convention.
+
+   DEPENDENCIES:
+   - Browser DecompressionStream for .spz
+
+   ======================================================================== */
+
+/**
+ * Degree-0 spherical harmonics constant used to turn f_dc into RGB
+ */
+export const SH_C0 = 0.28209479177387814;
+
+const SPLAT_ROW_BYTES = 32;
+const SPZ_MAGIC = 0x5053474e; // "NGSP"
+const SPZ_COLOR_SCALE = 0.15;
+
+/**
+ * Error for files that are not a splat layout this parser understands
+ */
+export class SplatFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SplatFormatError';
+    }
+}
+
+/**
+ * Number of rest (non-DC) SH coefficients per color channel
+ * @param {number} degree - SH degree (0-3)
+ * @returns {number}
+ */
+export function shCoefficientCount(degree) {
+    return [0, 3, 8, 15][degree] || 0;
+}
+
+/**
+ * Parse a splat buffer based on its format
+ * @param {ArrayBuffer} buffer - Raw file contents
+ * @param {string} format - 'splat', 'ply' or 'spz'
+ * @returns {Promise<Object>} Splat data (see layout above)
+ */
+export async function parseSplatData(buffer, format) {
+    switch (format) {
+        case 'splat':
+            return parseSplatFile(buffer);
+        case 'ply':
+            return parsePlyFile(buffer);
+        case 'spz':
+            return parseSpzFile(buffer);
+        default:
+            throw new SplatFormatError(`Unknown splat format ".${format}"`);
+    }
+}
+
+/**
+ * Allocate an empty splat data object
+ */
+function createSplatData(count, shDegree, sourceFormat, byteSize) {
+    const coeffs = shCoefficientCount(shDegree);
+    return {
+        count,
+        positions: new Float32Array(count * 3),
+        scales: new Float32Array(count * 3),
+        rotations: new Float32Array(count * 4),
+        colors: new Uint8ClampedArray(count * 4),
+        shDegree,
+        sh: coeffs > 0 ? new Float32Array(count * coeffs * 3) : null,
+        sourceFormat,
+        byteSize
+    };
+}
+
+/**
+ * Normalize the quaternion of splat i in place (w, x, y, z)
+ */
+function normalizeRotation(rotations, i) {
+    const o = i * 4;
+    const length = Math.hypot(rotations[o], rotations[o + 1], rotations[o + 2], rotations[o + 3]);
+    if (length > 0) {
+        rotations[o] /= length;
+        rotations[o + 1] /= length;
+        rotations[o + 2] /= length;
+        rotations[o + 3] /= length;
+    } else {
+        rotations[o] = 1;
+    }
+}
+
+function sigmoid(x) {
+    return 1 / (1 + Math.exp(-x));
+}
+
+/* ========================================================================
+   .SPLAT (antimatter15 32-byte rows)
+   ======================================================================== */
+
+/**
+ * Parse a .splat buffer: position (3×f32), scale (3×f32), RGBA (4×u8), rotation (4×u8, w first)
+ * @param {ArrayBuffer} buffer
+ * @returns {Object} Splat data
+ */
+export function parseSplatFile(buffer) {
+    if (buffer.byteLength % SPLAT_ROW_BYTES !== 0) {
+        throw new SplatFormatError('.splat file size is not a multiple of 32 bytes');
+    }
+
+    const count = buffer.byteLength / SPLAT_ROW_BYTES;
+    const data = createSplatData(count, 0, 'splat', buffer.byteLength);
+    decodeSplatRows(new DataView(buffer), 0, data, 0, count);
+
+    return data;
+}
+
+/**
+ * Decode `count` .splat rows starting at byte `offset` into splats `start`...
+ */
+function decodeSplatRows(view, offset, data, start, count) {
+    for (let n = 0; n < count; n++) {
+        const i = start + n;
+        const b = offset + n * SPLAT_ROW_BYTES;
+
+        for (let k = 0; k < 3; k++) {
+            data.positions[i * 3 + k] = view.getFloat32(b + k * 4, true);
+            data.scales[i * 3 + k] = view.getFloat32(b + 12 + k * 4, true);
+        }
+        for (let k = 0; k < 4; k++) {
+            data.colors[i * 4 + k] = view.getUint8(b + 24 + k);
+            data.rotations[i * 4 + k] = (view.getUint8(b + 28 + k) - 128) / 128;
+        }
+        normalizeRotation(data.rotations, i);
+    }
+}
+
+/* ========================================================================
+   .PLY (3DGS binary little endian)
+   ======================================================================== */
+
+const PLY_TYPES = {
+    char: ['getInt8', 1], int8: ['getInt8', 1],
+    uchar: ['getUint8', 1], uint8: ['getUint8', 1],
+    short: ['getInt16', 2], int16: ['getInt16', 2],
+    ushort: ['getUint16', 2], uint16: ['getUint16', 2],
+    int: ['getInt32', 4], int32: ['getInt32', 4],
+    uint: ['getUint32', 4], uint32: ['getUint32', 4],
+    float: ['getFloat32', 4], float32: ['getFloat32', 4],
+    double: ['getFloat64', 8], float64: ['getFloat64', 8]
+};
+
+/**
+ * Read the ASCII header of a PLY file
+ * @returns {{ format: string, elements: Array, headerLength: number }}
+ */
+function parsePlyHeader(buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 64 * 1024));
+    const text = new TextDecoder('ascii').decode(bytes);
+    const endIndex = text.indexOf('end_header');
+
+    if (!text.startsWith('ply') || endIndex === -1) {
+        throw new SplatFormatError('Not a PLY file (missing header)');
+    }
+
+    // Header ends after the newline that follows end_header
+    const headerLength = text.indexOf('\n', endIndex) + 1;
+    const lines = text.slice(0, headerLength).split(/\r?\n/);
+    const elements = [];
+    let format = '';
+
+    for (const line of lines) {
+        const parts = line.trim().split(/\s+/);
+        if (parts[0] === 'format') {
+            format = parts[1];
+        } else if (parts[0] === 'element') {
+            elements.push({ name: parts[1], count: parseInt(parts[2], 10), properties: [], stride: 0 });
+        } else if (parts[0] === 'property' && elements.length > 0) {
+            if (parts[1] === 'list') {
+                throw new SplatFormatError('PLY list properties are not supported for splats');
+            }
+            const element = elements[elements.length - 1];
+            const type = PLY_TYPES[parts[1]];
+            if (!type) {
+                throw new SplatFormatError(`Unknown PLY property type "${parts[1]}"`);
+            }
+            element.properties.push({ name: parts[2], getter: type[0], offset: element.stride });
+            element.stride += type[1];
+        }
+    }
+
+    return { format, elements, headerLength };
+}
+
+/**
+ * Parse a 3DGS .ply buffer (f_dc/f_rest, opacity, scale_N, rot_N).
+ * Plain point clouds with red/green/blue are accepted with a small default scale.
+ * @param {ArrayBuffer} buffer
+ * @returns {Object} Splat data
+ */
+export function parsePlyFile(buffer) {
+    const layout = getPlyLayout(parsePlyHeader(buffer));
+    if (layout.offset + layout.count * layout.stride > buffer.byteLength) {
+        throw new SplatFormatError('PLY file is truncated');
+    }
+
+    const data = createSplatData(layout.count, layout.shDegree, 'ply', buffer.byteLength);
+    decodePlyRows(new DataView(buffer), layout.offset, layout, data, 0, layout.count);
+
+    return data;
+}
+
+/**
+ * Where and how the splats are stored in a PLY file
+ * @param {Object} header - Result of parsePlyHeader()
+ * @returns {Object} Vertex count, stride, byte offset, properties and SH degree
+ */
+function getPlyLayout({ format, elements, headerLength }) {
+    if (format !== 'binary_little_endian') {
+        throw new SplatFormatError(`PLY format "${format}" is not supported, expected binary_little_endian`);
+    }
+    if (elements.some(element => element.name === 'chunk')) {
+        throw new SplatFormatError('Compressed PLY splats are not supported by the inspector');
+    }
+
+    // Skip any elements stored before the vertices
+    let offset = headerLength;
+    const vertex = elements.find(element => element.name === 'vertex');
+    if (!vertex) {
+        throw new SplatFormatError('PLY file has no vertex element');
+    }
+    for (const element of elements) {
+        if (element === vertex) break;
+        offset += element.count * element.stride;
+    }
+
+    const props = Object.fromEntries(vertex.properties.map(p => [p.name, p]));
+    if (!props.x || !props.y || !props.z) {
+        throw new SplatFormatError('PLY vertices have no x/y/z positions');
+    }
+
+    const restCount = vertex.properties.filter(p => p.name.startsWith('f_rest_')).length;
+    const shDegree = [0, 9, 24, 45].indexOf(restCount);
+    if (shDegree === -1) {
+        throw new SplatFormatError(`Unexpected number of SH coefficients (${restCount})`);
+    }
+
+    const restProps = [];
+    for (let j = 0; j < restCount; j++) {
+        restProps.push(props[`f_rest_${j}`]);
+    }
+
+    return {
+        count: vertex.count,
+        stride: vertex.stride,
+        offset,
+        props,
+        restProps,
+        hasGaussians: Boolean(props.scale_0 && props.rot_0),
+        shDegree,
+        coeffs: shCoefficientCount(shDegree)
+    };
+}
+
+/**
+ * Decode `count` PLY vertices starting at byte `offset` into splats `start`...
+ */
+function decodePlyRows(view, offset, layout, data, start, count) {
+    const { stride, props, restProps, hasGaussians, coeffs } = layout;
+    const read = (base, prop) => view[prop.getter](base + prop.offset, true);
+
+    for (let n = 0; n < count; n++) {
+        const i = start + n;
+        const base = offset + n * stride;
+
+        data.positions[i * 3] = read(base, props.x);
+        data.positions[i * 3 + 1] = read(base, props.y);
+        data.positions[i * 3 + 2] = read(base, props.z);
+
+        if (hasGaussians) {
+            data.scales[i * 3] = Math.exp(read(base, props.scale_0));
+            data.scales[i * 3 + 1] = Math.exp(read(base, props.scale_1));
+            data.scales[i * 3 + 2] = Math.exp(read(base, props.scale_2));
+
+            data.rotations[i * 4] = read(base, props.rot_0);
+            data.rotations[i * 4 + 1] = read(base, props.rot_1);
+            data.rotations[i * 4 + 2] = read(base, props.rot_2);
+            data.rotations[i * 4 + 3] = read(base, props.rot_3);
+            normalizeRotation(data.rotations, i);
+        } else {
+            data.scales.fill(0.01, i * 3, i * 3 + 3);
+            data.rotations[i * 4] = 1;
+        }
+
+        if (props.f_dc_0) {
+            data.colors[i * 4] = (0.5 + SH_C0 * read(base, props.f_dc_0)) * 255;
+            data.colors[i * 4 + 1] = (0.5 + SH_C0 * read(base, props.f_dc_1)) * 255;
+            data.colors[i * 4 + 2] = (0.5 + SH_C0 * read(base, props.f_dc_2)) * 255;
+        } else if (props.red) {
+            data.colors[i * 4] = read(base, props.red);
+            data.colors[i * 4 + 1] = read(base, props.green);
+            data.colors[i * 4 + 2] = read(base, props.blue);
+        } else {
+            data.colors.fill(255, i * 4, i * 4 + 3);
+        }
+        data.colors[i * 4 + 3] = props.opacity ? sigmoid(read(base, props.opacity)) * 255 : 255;
+
+        // f_rest is stored channel-major: all R coefficients, then G, then B
+        if (data.sh) {
+            const shBase = i * coeffs * 3;
+            for (let c = 0; c < 3; c++) {
+                for (let j = 0; j < coeffs; j++) {
+                    data.sh[shBase + j * 3 + c] = read(base, restProps[c * coeffs + j]);
+                }
+            }
+        }
+    }
+}
+
+/* ========================================================================
+   STREAMING (.splat / .ply rows decoded while downloading)
+   ======================================================================== */
+
+const PLY_HEADER_LIMIT = 64 * 1024;
+const STREAM_INITIAL_CAPACITY = 65536;  // Splats, when a .splat download has no known size
+
+/**
+ * Decodes a splat file chunk by chunk while it downloads, so the splats
+ * received so far can be shown before the file is complete.
+ * .splat and binary .ply rows are decoded as they arrive; anything else
+ * (.spz, PLY layouts the parser rejects) is collected and parsed by finish().
+ */
+export class SplatStreamParser {
+    /**
+     * @param {string} format - 'splat', 'ply' or 'spz'
+     * @param {number} [expectedBytes] - File size when known (Content-Length)
+     */
+    constructor(format, expectedBytes = 0) {
+        this.format = format;
+        this.receivedBytes = 0;
+        this.progressive = format === 'splat' || format === 'ply';
+        this.chunks = [];       // Whole file, for formats parsed at the end
+        this.pending = null;    // Received bytes not decoded yet (PLY header, partial row)
+        this.skipBytes = 0;     // Bytes before the first row still to skip
+        this.layout = null;     // { count, stride, decode }
+        this.data = null;       // Allocated for layout.count (or a growing capacity) splats
+        this.decodedCount = 0;
+
+        if (format === 'splat') {
+            this.layout = { count: Infinity, stride: SPLAT_ROW_BYTES, decode: decodeSplatRows };
+            const capacity = Math.floor(expectedBytes / SPLAT_ROW_BYTES) || STREAM_INITIAL_CAPACITY;
+            this.data = createSplatData(capacity, 0, 'splat', expectedBytes);
+        }
+    }
+
+    /**
+     * True while rows are decoded as they arrive
+     * @returns {boolean}
+     */
+    get isProgressive() {
+        return this.progressive;
+    }
+
+    /**
+     * Add the next chunk of the file
+     * @param {Uint8Array} chunk
+     */
+    push(chunk) {
+        this.receivedBytes += chunk.byteLength;
+        if (!this.progressive) {
+            this.chunks.push(chunk);
+            return;
+        }
+
+        let bytes = this.pending ? concatBytes([this.pending, chunk]) : chunk;
+        this.pending = null;
+
+        if (!this.layout) {
+            bytes = this.readPlyHeader(bytes);
+            if (!bytes) return;
+        }
+
+        if (this.skipBytes > 0) {
+            const skip = Math.min(this.skipBytes, bytes.byteLength);
+            bytes = bytes.subarray(skip);
+            this.skipBytes -= skip;
+        }
+
+        const { count, stride, decode } = this.layout;
+        const rows = Math.min(Math.floor(bytes.byteLength / stride), count - this.decodedCount);
+        if (rows > 0) {
+            this.reserve(this.decodedCount + rows);
+            decode(new DataView(bytes.buffer, bytes.byteOffset, rows * stride), 0, this.data, this.decodedCount, rows);
+            this.decodedCount += rows;
+        }
+
+        // Keep the start of the next row; bytes after the last PLY vertex are ignored
+        const rest = bytes.subarray(rows * stride);
+        if (rest.byteLength > 0 && this.decodedCount < count) {
+            this.pending = rest.slice();
+        }
+    }
+
+    /**
+     * Splats decoded so far, sharing the parser's arrays
+     * @returns {Object|null} Splat data, null before the first row
+     */
+    getPartialData() {
+        if (!this.progressive || this.decodedCount === 0) return null;
+        return { ...this.data, count: this.decodedCount };
+    }
+
+    /**
+     * Complete the parse once the whole file has been pushed
+     * @returns {Promise<Object>} Splat data
+     */
+    async finish() {
+        if (!this.progressive || !this.layout) {
+            const parts = this.progressive ? [this.pending || new Uint8Array(0)] : this.chunks;
+            return parseSplatData(concatBytes(parts).buffer, this.format);
+        }
+
+        if (this.format === 'splat') {
+            if (this.pending) {
+                throw new SplatFormatError('.splat file size is not a multiple of 32 bytes');
+            }
+            if (this.data.count !== this.decodedCount) {
+                this.data = resizeSplatData(this.data, this.decodedCount);
+            }
+        } else if (this.decodedCount < this.layout.count) {
+            throw new SplatFormatError('PLY file is truncated');
+        }
+
+        this.data.byteSize = this.receivedBytes;
+        return this.data;
+    }
+
+    /**
+     * Parse the PLY header once it has arrived
+     * @param {Uint8Array} bytes - Everything received so far
+     * @returns {Uint8Array|null} The same bytes when rows can be decoded, null otherwise
+     */
+    readPlyHeader(bytes) {
+        const text = new TextDecoder('ascii').decode(bytes.subarray(0, PLY_HEADER_LIMIT));
+        const endIndex = text.indexOf('end_header');
+        const headerEnd = endIndex === -1 ? -1 : text.indexOf('\n', endIndex);
+
+        if (headerEnd === -1) {
+            if (bytes.byteLength < PLY_HEADER_LIMIT) {
+                this.pending = bytes.slice();
+            } else {
+                this.collect(bytes);
+            }
+            return null;
+        }
+
+        let layout;
+        try {
+            layout = getPlyLayout(parsePlyHeader(bytes.slice(0, headerEnd + 1).buffer));
+        } catch (error) {
+            if (!(error instanceof SplatFormatError)) throw error;
+            this.collect(bytes);
+            return null;
+        }
+
+        this.layout = {
+            count: layout.count,
+            stride: layout.stride,
+            decode: (view, offset, data, start, count) => decodePlyRows(view, offset, layout, data, start, count)
+        };
+        this.skipBytes = layout.offset;
+        this.data = createSplatData(layout.count, layout.shDegree, 'ply', 0);
+        return bytes;
+    }
+
+    /**
+     * Stop decoding rows and keep the file for finish()
+     */
+    collect(bytes) {
+        this.progressive = false;
+        this.chunks.push(bytes);
+    }
+
+    /**
+     * Grow the .splat arrays to hold at least `count` splats
+     */
+    reserve(count) {
+        if (count <= this.data.count) return;
+        this.data = resizeSplatData(this.data, Math.max(count, this.data.count * 2));
+    }
+}
+
+/**
+ * Copy splat data into arrays sized for `count` splats
+ */
+function resizeSplatData(data, count) {
+    const resized = createSplatData(count, data.shDegree, data.sourceFormat, data.byteSize);
+    const n = Math.min(count, data.count);
+
+    resized.positions.set(data.positions.subarray(0, n * 3));
+    resized.scales.set(data.scales.subarray(0, n * 3));
+    resized.rotations.set(data.rotations.subarray(0, n * 4));
+    resized.colors.set(data.colors.subarray(0, n * 4));
+    if (data.sh) {
+        resized.sh.set(data.sh.subarray(0, resized.sh.length));
+    }
+    return resized;
+}
+
+/**
+ * Join byte chunks into one array
+ */
+function concatBytes(chunks) {
+    if (chunks.length === 1) return chunks[0];
+
+    const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return result;
+}
+
+/* ========================================================================
+   .SPZ (Niantic, gzip-compressed, versions 2 and 3)
+   ======================================================================== */
+
+/**
+ * Gunzip a buffer if it carries the gzip signature
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function gunzipIfNeeded(buffer) {
+    const bytes = new Uint8Array(buffer, 0, 2);
+    if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) {
+        return buffer;
+    }
+    if (typeof DecompressionStream === 'undefined') {
+        throw new SplatFormatError('This browser cannot decompress .spz files');
+    }
+    const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return await new Response(stream).arrayBuffer();
+}
+
+/**
+ * Parse a .spz buffer
+ * @param {ArrayBuffer} buffer - Raw (gzipped) file contents
+ * @returns {Promise<Object>} Splat data
+ */
+export async function parseSpzFile(buffer) {
+    const raw = await gunzipIfNeeded(buffer);
+    const view = new DataView(raw);
+
+    if (raw.byteLength < 16 || view.getUint32(0, true) !== SPZ_MAGIC) {
+        throw new SplatFormatError('Not an SPZ file (bad magic)');
+    }
+
+    const version = view.getUint32(4, true);
+    const count = view.getUint32(8, true);
+    const shDegree = view.getUint8(12);
+    const fractionalBits = view.getUint8(13);
+
+    if (version !== 2 && version !== 3) {
+        throw new SplatFormatError(`SPZ version ${version} is not supported`);
+    }
+
+    const coeffs = shCoefficientCount(shDegree);
+    const data = createSplatData(count, shDegree, 'spz', buffer.byteLength);
+    const bytes = new Uint8Array(raw);
+    const rotationBytes = version === 3 ? 4 : 3;
+
+    // Attribute blocks follow the 16-byte header back to back
+    let offset = 16;
+    const positionsOffset = offset; offset += count * 9;
+    const alphasOffset = offset; offset += count;
+    const colorsOffset = offset; offset += count * 3;
+    const scalesOffset = offset; offset += count * 3;
+    const rotationsOffset = offset; offset += count * rotationBytes;
+    const shOffset = offset; offset += count * coeffs * 3;
+
+    if (offset > raw.byteLength) {
+        throw new SplatFormatError('SPZ file is truncated');
+    }
+
+    const fixedScale = 1 / (1 << fractionalBits);
+
+    for (let i = 0; i < count; i++) {
+        // 24-bit signed fixed point positions
+        for (let k = 0; k < 3; k++) {
+            const p = positionsOffset + (i * 3 + k) * 3;
+            let fixed = bytes[p] | (bytes[p + 1] << 8) | (bytes[p + 2] << 16);
+            if (fixed & 0x800000) fixed |= ~0xffffff;
+            data.positions[i * 3 + k] = fixed * fixedScale;
+        }
+
+        data.colors[i * 4 + 3] = bytes[alphasOffset + i];
+        for (let k = 0; k < 3; k++) {
+            const dc = (bytes[colorsOffset + i * 3 + k] / 255 - 0.5) / SPZ_COLOR_SCALE;
+            data.colors[i * 4 + k] = (0.5 + SH_C0 * dc) * 255;
+            data.scales[i * 3 + k] = Math.exp(bytes[scalesOffset + i * 3 + k] / 16 - 10);
+        }
+
+        // SPZ stores x, y, z, w; we keep w, x, y, z
+        const q = version === 3
+            ? unpackSmallestThree(bytes, rotationsOffset + i * 4)
+            : unpackFirstThree(bytes, rotationsOffset + i * 3);
+        data.rotations[i * 4] = q[3];
+        data.rotations[i * 4 + 1] = q[0];
+        data.rotations[i * 4 + 2] = q[1];
+        data.rotations[i * 4 + 3] = q[2];
+        normalizeRotation(data.rotations, i);
+
+        if (data.sh) {
+            const base = i * coeffs * 3;
+            for (let j = 0; j < coeffs * 3; j++) {
+                data.sh[base + j] = (bytes[shOffset + base + j] - 128) / 128;
+            }
+        }
+    }
+
+    convertRubToRdf(data);
+    return data;
+}
+
+/**
+ * SPZ v2 rotation: x, y, z as signed bytes, w reconstructed
+ */
+function unpackFirstThree(bytes, offset) {
+    const x = bytes[offset] / 127.5 - 1;
+    const y = bytes[offset + 1] / 127.5 - 1;
+    const z = bytes[offset + 2] / 127.5 - 1;
+    return [x, y, z, Math.sqrt(Math.max(0, 1 - x * x - y * y - z * z))];
+}
+
+/**
+ * SPZ v3 rotation: index of the largest component + three 10-bit signed magnitudes
+ */
+function unpackSmallestThree(bytes, offset) {
+    let packed = (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+    const largest = packed >>> 30;
+    const mask = (1 << 9) - 1;
+    const q = [0, 0, 0, 0];
+    let sumSquares = 0;
+
+    for (let i = 3; i >= 0; i--) {
+        if (i === largest) continue;
+        const magnitude = packed & mask;
+        const negative = (packed >>> 9) & 1;
+        packed >>>= 10;
+        q[i] = Math.SQRT1_2 * magnitude / mask * (negative ? -1 : 1);
+        sumSquares += q[i] * q[i];
+    }
+    q[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+    return q;
+}
+
+/**
+ * Sign of each rest SH coefficient under a 180° rotation about X (y → -y, z → -z)
+ */
+const SH_FLIP_YZ_SIGNS = [
+    -1, -1, 1,                      // degree 1
+    -1, 1, 1, -1, 1,                // degree 2
+    -1, 1, -1, -1, 1, -1, 1         // degree 3
+];
+
+/**
+ * SPZ files are right-up-back (OpenGL); 3DGS .ply files are right-down-front.
+ * Both are right handed, so this is a 180° rotation about X.
+ * The same conversion maps RDF back to RUB when writing .spz.
+ * @param {Object} data - Splat data, modified in place
+ */
+export function convertRubToRdf(data) {
+    const coeffs = shCoefficientCount(data.shDegree);
+
+    for (let i = 0; i < data.count; i++) {
+        data.positions[i * 3 + 1] = -data.positions[i * 3 + 1];
+        data.positions[i * 3 + 2] = -data.positions[i * 3 + 2];
+
+        // q' = (0, 1, 0, 0) * q
+        const o = i * 4;
+        const w = data.rotations[o], x = data.rotations[o + 1], y = data.rotations[o + 2], z = data.rotations[o + 3];
+        data.rotations[o] = -x;
+        data.rotations[o + 1] = w;
+        data.rotations[o + 2] = -z;
+        data.rotations[o + 3] = y;
+
+        if (data.sh) {
+            const base = i * coeffs * 3;
+            for (let j = 0; j < coeffs; j++) {
+                if (SH_FLIP_YZ_SIGNS[j] < 0) {
+                    data.sh[base + j * 3] = -data.sh[base + j * 3];
+                    data.sh[base + j * 3 + 1] = -data.sh[base + j * 3 + 1];
+                    data.sh[base + j * 3 + 2] = -data.sh[base + j * 3 + 2];
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,101 @@
+/* ========================================================================
+   3D VIEWER - GAUSSIAN SPLAT STATISTICS
+   ========================================================================
+
+   PURPOSE:
+   Computes summary statistics for parsed splat data so scans can be
+   judged in the browser: counts, bounds, file and memory size, SH degree
+   and the opacity / scale distributions.
+
+   EXPORTS:
+   - computeSplatStats() - Summarize splat data
+   - estimateGpuMemory() - Approximate GPU memory used by the splat textures
+
+   DEPENDENCIES:
+   - Splat data layout from splatParser.js
+
+   ======================================================================== */
+
+import { shCoefficientCount } from './splatParser.js';
+
+const HISTOGRAM_BINS = 20;
+
+/**
+ * Approximate GPU memory for GaussianSplattingMesh textures:
+ * centers (RGBA32F), two covariance textures (RGBA16F), colors (RGBA8)
+ * and SH coefficients packed as bytes.
+ * @param {number} count - Number of splats
+ * @param {number} shDegree - SH degree
+ * @returns {number} Bytes
+ */
+export function estimateGpuMemory(count, shDegree = 0) {
+    const bytesPerSplat = 16 + 8 + 8 + 4 + shCoefficientCount(shDegree) * 3;
+    return count * bytesPerSplat;
+}
+
+/**
+ * Summarize splat data
+ * @param {Object} data - Splat data from splatParser.js
+ * @returns {Object} Statistics
+ */
+export function computeSplatStats(data) {
+    const { count, positions, scales, colors } = data;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    const opacityBins = new Array(HISTOGRAM_BINS).fill(0);
+    let opacitySum = 0;
+
+    // Largest axis per splat, on a log scale so tiny and huge splats share one chart
+    const logScales = new Float32Array(count);
+    let logMin = Infinity;
+    let logMax = -Infinity;
+
+    for (let i = 0; i < count; i++) {
+        for (let k = 0; k < 3; k++) {
+            const value = positions[i * 3 + k];
+            if (value < min[k]) min[k] = value;
+            if (value > max[k]) max[k] = value;
+        }
+
+        const opacity = colors[i * 4 + 3] / 255;
+        opacitySum += opacity;
+        opacityBins[Math.min(HISTOGRAM_BINS - 1, Math.floor(opacity * HISTOGRAM_BINS))]++;
+
+        const largest = Math.max(scales[i * 3], scales[i * 3 + 1], scales[i * 3 + 2]);
+        const logScale = Math.log10(Math.max(largest, 1e-8));
+        logScales[i] = logScale;
+        if (logScale < logMin) logMin = logScale;
+        if (logScale > logMax) logMax = logScale;
+    }
+
+    const scaleBins = new Array(HISTOGRAM_BINS).fill(0);
+    const logRange = (logMax - logMin) || 1;
+    for (let i = 0; i < count; i++) {
+        const bin = Math.floor((logScales[i] - logMin) / logRange * HISTOGRAM_BINS);
+        scaleBins[Math.min(HISTOGRAM_BINS - 1, bin)]++;
+    }
+
+    const cpuBytes = [data.positions, data.scales, data.rotations, data.colors, data.sh]
+        .reduce((total, array) => total + (array ? array.byteLength : 0), 0);
+
+    return {
+        count,
+        sourceFormat: data.sourceFormat,
+        byteSize: data.byteSize,
+        shDegree: data.shDegree,
+        bounds: count > 0 ? { min, max, size: max.map((value, k) => value - min[k]) } : null,
+        opacity: {
+            mean: count > 0 ? opacitySum / count : 0,
+            histogram: opacityBins,
+            range: [0, 1]
+        },
+        scale: {
+            histogram: scaleBins,
+            range: count > 0 ? [Math.pow(10, logMin), Math.pow(10, logMax)] : [0, 0]
+        },
+        memory: {
+            cpu: cpuBytes,
+            gpu: estimateGpuMemory(count, data.shDegree)
+        }
+    };
+}
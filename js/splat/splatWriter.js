@@ -0,0 +1,307 @@
+/* ========================================================================
+   3D VIEWER - GAUSSIAN SPLAT FILE WRITING
+   ========================================================================
+
+   PURPOSE:
+   Encodes the in-memory splat data produced by splatParser.js back into
+   splat file formats, both for rendering through GaussianSplattingMesh
+   and for downloads.
+
+   EXPORTS:
+   - writeSplat() - Encode splat data as an antimatter15 .splat buffer
+   - writeShTextures() - Encode the SH coefficients as GaussianSplattingMesh
+     SH texture data (uploaded together with the .splat buffer)
+   - writePly() - Encode splat data as a binary little-endian 3DGS .ply buffer
+   - writeSpz() - Encode splat data as a gzipped Niantic .spz (version 3) buffer
+
+   DEPENDENCIES:
+   - Splat data layout and SH constants from splatParser.js
+   - Browser CompressionStream for .spz
+
+   ======================================================================== */
+
+import { SH_C0, shCoefficientCount, convertRubToRdf } from './splatParser.js';
+
+const SPLAT_ROW_BYTES = 32;
+const SH_TEXTURE_COMPONENTS = 16;     // SH values per splat in each SH texture (4 × RGBA32UI bytes)
+
+// Keeps fully transparent/opaque splats finite when converting back to logits
+const OPACITY_EPSILON = 1e-6;
+
+const SPZ_MAGIC = 0x5053474e; // "NGSP"
+const SPZ_VERSION = 3;
+const SPZ_COLOR_SCALE = 0.15;
+const SPZ_MAX_FRACTIONAL_BITS = 12;
+
+/**
+ * Encode splat data as a .splat buffer (the layout GaussianSplattingMesh.loadDataAsync expects)
+ * @param {Object} data - Splat data
+ * @param {Uint32Array} [indices] - Optional subset of splat indices to write
+ * @returns {ArrayBuffer}
+ */
+export function writeSplat(data, indices = null) {
+    const count = indices ? indices.length : data.count;
+    const buffer = new ArrayBuffer(count * SPLAT_ROW_BYTES);
+    const floats = new Float32Array(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    for (let n = 0; n < count; n++) {
+        const i = indices ? indices[n] : n;
+        const f = n * 8;
+        const b = n * SPLAT_ROW_BYTES;
+
+        floats.set(data.positions.subarray(i * 3, i * 3 + 3), f);
+        floats.set(data.scales.subarray(i * 3, i * 3 + 3), f + 3);
+        bytes.set(data.colors.subarray(i * 4, i * 4 + 4), b + 24);
+
+        for (let k = 0; k < 4; k++) {
+            const value = Math.round(data.rotations[i * 4 + k] * 128 + 128);
+            bytes[b + 28 + k] = Math.max(0, Math.min(255, value));
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ * Encode the SH coefficients in the layout GaussianSplattingMesh.updateData
+ * expects: 16 values per splat and texture, one byte each (value × 127.5 +
+ * 127.5), coefficient by coefficient with RGB interleaved
+ * @param {Object} data - Splat data
+ * @param {Uint32Array} [indices] - Optional subset of splat indices to write
+ * @param {number} textureWidth - Width of the mesh textures (the engine's maxTextureSize)
+ * @returns {Uint8Array[]|null} One array per SH texture, null when the data has no SH
+ */
+export function writeShTextures(data, indices = null, textureWidth = 4096) {
+    if (!data.sh || !data.shDegree) return null;
+
+    const count = indices ? indices.length : data.count;
+    const components = shCoefficientCount(data.shDegree) * 3;
+
+    // The mesh adds an empty row when the splats fill the last one exactly
+    const rows = Math.ceil((count + 1) / textureWidth);
+    const textures = Array.from(
+        { length: Math.ceil(components / SH_TEXTURE_COMPONENTS) },
+        () => new Uint8Array(rows * textureWidth * SH_TEXTURE_COMPONENTS).fill(128)
+    );
+
+    for (let n = 0; n < count; n++) {
+        const i = indices ? indices[n] : n;
+        for (let c = 0; c < components; c++) {
+            const value = Math.round(data.sh[i * components + c] * 127.5 + 127.5);
+            const texture = textures[Math.floor(c / SH_TEXTURE_COMPONENTS)];
+            texture[n * SH_TEXTURE_COMPONENTS + c % SH_TEXTURE_COMPONENTS] = Math.max(0, Math.min(255, value));
+        }
+    }
+
+    return textures;
+}
+
+/**
+ * Encode splat data as a 3DGS .ply buffer (f_dc/f_rest, logit opacity, log scales)
+ * @param {Object} data - Splat data
+ * @param {Uint32Array} [indices] - Optional subset of splat indices to write
+ * @returns {ArrayBuffer}
+ */
+export function writePly(data, indices = null) {
+    const count = indices ? indices.length : data.count;
+    const coeffs = data.sh ? shCoefficientCount(data.shDegree) : 0;
+
+    const properties = ['x', 'y', 'z', 'nx', 'ny', 'nz', 'f_dc_0', 'f_dc_1', 'f_dc_2'];
+    for (let j = 0; j < coeffs * 3; j++) {
+        properties.push(`f_rest_${j}`);
+    }
+    properties.push('opacity', 'scale_0', 'scale_1', 'scale_2', 'rot_0', 'rot_1', 'rot_2', 'rot_3');
+
+    const header = [
+        'ply',
+        'format binary_little_endian 1.0',
+        `element vertex ${count}`,
+        ...properties.map(name => `property float ${name}`),
+        'end_header',
+        ''
+    ].join('\n');
+    const headerBytes = new TextEncoder().encode(header);
+
+    const stride = properties.length;
+    const buffer = new ArrayBuffer(headerBytes.length + count * stride * 4);
+    new Uint8Array(buffer).set(headerBytes);
+    const view = new DataView(buffer, headerBytes.length);
+
+    const row = new Float32Array(stride);
+    for (let n = 0; n < count; n++) {
+        const i = indices ? indices[n] : n;
+        let k = 0;
+
+        row[k++] = data.positions[i * 3];
+        row[k++] = data.positions[i * 3 + 1];
+        row[k++] = data.positions[i * 3 + 2];
+        row[k++] = 0;
+        row[k++] = 0;
+        row[k++] = 0;
+
+        for (let c = 0; c < 3; c++) {
+            row[k++] = (data.colors[i * 4 + c] / 255 - 0.5) / SH_C0;
+        }
+
+        // f_rest is stored channel-major: all R coefficients, then G, then B
+        for (let c = 0; c < 3; c++) {
+            for (let j = 0; j < coeffs; j++) {
+                row[k++] = data.sh[(i * coeffs + j) * 3 + c];
+            }
+        }
+
+        const alpha = Math.min(1 - OPACITY_EPSILON, Math.max(OPACITY_EPSILON, data.colors[i * 4 + 3] / 255));
+        row[k++] = Math.log(alpha / (1 - alpha));
+
+        for (let c = 0; c < 3; c++) {
+            row[k++] = Math.log(Math.max(data.scales[i * 3 + c], 1e-8));
+        }
+        for (let c = 0; c < 4; c++) {
+            row[k++] = data.rotations[i * 4 + c];
+        }
+
+        const rowOffset = n * stride * 4;
+        for (let p = 0; p < stride; p++) {
+            view.setFloat32(rowOffset + p * 4, row[p], true);
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ * Encode splat data as a gzipped .spz buffer (version 3, smallest-three rotations)
+ * @param {Object} data - Splat data
+ * @param {Uint32Array} [indices] - Optional subset of splat indices to write
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function writeSpz(data, indices = null) {
+    if (typeof CompressionStream === 'undefined') {
+        throw new Error('This browser cannot compress .spz files');
+    }
+
+    // .spz is right-up-back; convert a copy so the caller's data stays untouched
+    const spz = selectSplats(data, indices);
+    convertRubToRdf(spz);
+
+    const { count, shDegree } = spz;
+    const coeffs = spz.sh ? shCoefficientCount(shDegree) : 0;
+
+    // Use as many fractional bits as the 24-bit positions allow
+    let maxAbs = 0;
+    for (let i = 0; i < count * 3; i++) {
+        maxAbs = Math.max(maxAbs, Math.abs(spz.positions[i]));
+    }
+    let fractionalBits = SPZ_MAX_FRACTIONAL_BITS;
+    while (fractionalBits > 0 && maxAbs * (1 << fractionalBits) >= 0x7fffff) {
+        fractionalBits--;
+    }
+
+    const bytes = new Uint8Array(16 + count * (9 + 1 + 3 + 3 + 4 + coeffs * 3));
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, SPZ_MAGIC, true);
+    view.setUint32(4, SPZ_VERSION, true);
+    view.setUint32(8, count, true);
+    view.setUint8(12, coeffs > 0 ? shDegree : 0);
+    view.setUint8(13, fractionalBits);
+
+    // Attribute blocks follow the 16-byte header back to back
+    let offset = 16;
+    const positionsOffset = offset; offset += count * 9;
+    const alphasOffset = offset; offset += count;
+    const colorsOffset = offset; offset += count * 3;
+    const scalesOffset = offset; offset += count * 3;
+    const rotationsOffset = offset; offset += count * 4;
+    const shOffset = offset;
+
+    const toByte = (value) => Math.max(0, Math.min(255, Math.round(value)));
+    const fixedScale = 1 << fractionalBits;
+
+    for (let i = 0; i < count; i++) {
+        for (let k = 0; k < 3; k++) {
+            const fixed = Math.round(spz.positions[i * 3 + k] * fixedScale);
+            const p = positionsOffset + (i * 3 + k) * 3;
+            bytes[p] = fixed & 0xff;
+            bytes[p + 1] = (fixed >> 8) & 0xff;
+            bytes[p + 2] = (fixed >> 16) & 0xff;
+        }
+
+        bytes[alphasOffset + i] = spz.colors[i * 4 + 3];
+        for (let k = 0; k < 3; k++) {
+            const dc = (spz.colors[i * 4 + k] / 255 - 0.5) / SH_C0;
+            bytes[colorsOffset + i * 3 + k] = toByte((dc * SPZ_COLOR_SCALE + 0.5) * 255);
+            bytes[scalesOffset + i * 3 + k] = toByte((Math.log(Math.max(spz.scales[i * 3 + k], 1e-8)) + 10) * 16);
+        }
+
+        packSmallestThree(spz.rotations, i, view, rotationsOffset + i * 4);
+
+        // Degree-1 coefficients keep 5 bits, higher degrees 4 bits (as the reference encoder does)
+        for (let j = 0; j < coeffs; j++) {
+            const bucket = j < 3 ? 8 : 16;
+            for (let c = 0; c < 3; c++) {
+                const index = (i * coeffs + j) * 3 + c;
+                const quantized = Math.round(spz.sh[index] * 128) + 128;
+                bytes[shOffset + index] = toByte(Math.floor((quantized + bucket / 2) / bucket) * bucket);
+            }
+        }
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+    return await new Response(stream).arrayBuffer();
+}
+
+/**
+ * Pack rotation i (w, x, y, z) as SPZ v3 smallest-three: 2-bit largest index + 3 × (sign + 9 bits)
+ */
+function packSmallestThree(rotations, i, view, offset) {
+    // SPZ orders components x, y, z, w
+    const q = [rotations[i * 4 + 1], rotations[i * 4 + 2], rotations[i * 4 + 3], rotations[i * 4]];
+
+    let largest = 0;
+    for (let k = 1; k < 4; k++) {
+        if (Math.abs(q[k]) > Math.abs(q[largest])) largest = k;
+    }
+    // q and -q are the same rotation; make the dropped component positive
+    const negate = q[largest] < 0;
+    const mask = (1 << 9) - 1;
+
+    let packed = largest;
+    for (let k = 0; k < 4; k++) {
+        if (k === largest) continue;
+        const negative = (q[k] < 0) !== negate ? 1 : 0;
+        const magnitude = Math.min(mask, Math.round(mask * Math.abs(q[k]) / Math.SQRT1_2));
+        packed = (packed << 10) | (negative << 9) | magnitude;
+    }
+    view.setUint32(offset, packed >>> 0, true);
+}
+
+/**
+ * Copy the selected splats into a new splat data object
+ */
+function selectSplats(data, indices) {
+    const count = indices ? indices.length : data.count;
+    const coeffs = data.sh ? shCoefficientCount(data.shDegree) : 0;
+    const copy = {
+        ...data,
+        count,
+        positions: new Float32Array(count * 3),
+        scales: new Float32Array(count * 3),
+        rotations: new Float32Array(count * 4),
+        colors: new Uint8ClampedArray(count * 4),
+        sh: coeffs > 0 ? new Float32Array(count * coeffs * 3) : null
+    };
+
+    for (let n = 0; n < count; n++) {
+        const i = indices ? indices[n] : n;
+        copy.positions.set(data.positions.subarray(i * 3, i * 3 + 3), n * 3);
+        copy.scales.set(data.scales.subarray(i * 3, i * 3 + 3), n * 3);
+        copy.rotations.set(data.rotations.subarray(i * 4, i * 4 + 4), n * 4);
+        copy.colors.set(data.colors.subarray(i * 4, i * 4 + 4), n * 4);
+        if (copy.sh) {
+            copy.sh.set(data.sh.subarray(i * coeffs * 3, (i + 1) * coeffs * 3), n * coeffs * 3);
+        }
+    }
+
+    return copy;
+}
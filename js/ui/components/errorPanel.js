@@ -0,0 +1,63 @@
+/* ========================================================================
+   ERROR PANEL COMPONENT
+   ======================================================================== */
+
+import { createElement } from './controls.js';
+
+/**
+ * Show an error panel in the middle of the viewer, replacing any open one
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} options.message
+ * @param {string} [options.detail] - Secondary line, e.g. the file name
+ * @param {{label: string, primary?: boolean, onClick: Function}[]} [options.actions] - Buttons;
+ *   the panel closes before an action runs
+ */
+export function showErrorPanel({ title, message, detail = '', actions = [] }) {
+    hideErrorPanel();
+
+    const panel = createElement('div', {
+        id: 'error-panel',
+        className: 'error-panel',
+        attributes: { role: 'alertdialog', 'aria-labelledby': 'error-panel-title' }
+    });
+
+    const titleElement = createElement('div', { id: 'error-panel-title', className: 'error-panel-title' });
+    titleElement.textContent = title;
+    const messageElement = createElement('div', { className: 'error-panel-message' });
+    messageElement.textContent = message;
+    panel.append(titleElement, messageElement);
+
+    if (detail) {
+        const detailElement = createElement('div', { className: 'error-panel-detail' });
+        detailElement.textContent = detail;
+        panel.appendChild(detailElement);
+    }
+
+    const buttons = createElement('div', { className: 'error-panel-actions' });
+    [...actions, { label: 'Dismiss', onClick: () => {} }].forEach(action => {
+        const button = createElement('button', {
+            className: action.primary ? 'action-button primary' : 'action-button'
+        });
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            hideErrorPanel();
+            action.onClick();
+        });
+        buttons.appendChild(button);
+    });
+    panel.appendChild(buttons);
+
+    document.body.appendChild(panel);
+    buttons.firstChild.focus();
+}
+
+/**
+ * Close the error panel, if open
+ */
+export function hideErrorPanel() {
+    const panel = document.getElementById('error-panel');
+    if (panel) {
+        panel.remove();
+    }
+}
@@ -1,312 +1,1098 @@
-/* ========================================================================
-   DEVELOPER TOOLS PANEL COMPONENT
-   ======================================================================== */
-
-import { ICONS } from '../components/icons.js';
-import { createElement } from '../components/controls.js';
-import { showToast } from '../components/toast.js';
-import { loadModel } from '../../modelLoader.js';
-import { setupUIUpdates, startUIUpdates, stopUIUpdates, restartUIUpdates, DOM, Events, ErrorMessages, LoadingSpinner } from '../../helpers.js';
-import { CONFIG } from '../../config.js';
-
-/**
- * Create developer tools section HTML
- */
-export function createDevSection() {
-    return `
-        <div id="devContent" class="content-section" style="display: none;">
-            <h4>Developer Tools</h4>
-            
-            <div class="dev-section">
-                <div class="dev-title">Performance</div>
-                <div class="scene-info">
-                    <div class="info-row">
-                        <span class="info-label">FPS:</span>
-                        <span id="controlPanelFps" class="info-value">0</span>
-                    </div>
-                    <div class="info-row">
-                        <span class="info-label">Resolution:</span>
-                        <span id="controlPanelResolution" class="info-value">0 x 0</span>
-                    </div>
-                    <div class="info-row">
-                        <span class="info-label">Vertices:</span>
-                        <span id="controlPanelVertices" class="info-value">0</span>
-                    </div>
-                </div>
-            </div>
-            
-            <div class="settings-separator"></div>
-            
-            <div class="dev-section">
-                <div class="dev-title">Device Detection</div>
-                <div class="scene-info">
-                    <div class="info-row">
-                        <span class="info-label">Touch Support:</span>
-                        <span id="deviceTouch" class="info-value">-</span>
-                    </div>
-                    <div class="info-row">
-                        <span class="info-label">Mobile UA:</span>
-                        <span id="deviceMobile" class="info-value">-</span>
-                    </div>
-                    <div class="info-row">
-                        <span class="info-label">Touch Device:</span>
-                        <span id="deviceTouchDevice" class="info-value">-</span>
-                    </div>
-                    <div class="info-row">
-                        <span class="info-label">Device Type:</span>
-                        <span id="deviceType" class="info-value">-</span>
-                    </div>
-                    <div class="info-row">
-                        <span class="info-label">Max Touch Points:</span>
-                        <span id="deviceMaxTouch" class="info-value">-</span>
-                    </div>
-                    <div class="info-row">
-                        <span class="info-label">Screen Size:</span>
-                        <span id="deviceScreenSize" class="info-value">-</span>
-                    </div>
-                </div>
-            </div>
-            
-            <div class="settings-separator"></div>
-            
-            <div class="dev-section">
-                <div class="dev-title">Load Model</div>
-                <div class="model-loader file-loader">
-                    <button id="loadModelFileButton" class="action-button">
-                        ${ICONS.file_open}
-                        <span class="button-text">Load from File</span>
-                    </button>
-                </div>
-                
-                <div class="model-loader url-loader">
-                    <input type="text" id="modelUrlInput" placeholder="Enter model URL" class="url-input">
-                    <button id="loadModelUrlButton" class="action-button">
-                        ${ICONS.file_open}
-                        <span class="button-text">Load from URL</span>
-                    </button>
-                </div>
-            </div>
-            
-            <div id="loadingSpinner" class="loading-spinner">
-                <div class="spinner-animation"></div>
-                <div class="spinner-text">Loading Model...</div>
-            </div>
-            
-            <div class="settings-separator"></div>
-            
-            <div class="dev-section">
-                <div class="dev-title">Export</div>
-                <button id="exportButton" class="action-button">
-                    ${ICONS.export}
-                    <span class="button-text">Export Viewer</span>
-                </button>
-            </div>
-        </div>
-    `;
-}
-
-/**
- * Setup model loading functionality
- */
-export function setupModelLoading(scene) {
-    console.log("setupModelLoading called");
-    const fileButton = document.getElementById("loadModelFileButton");
-    const urlButton = document.getElementById("loadModelUrlButton");
-    
-    console.log("Elements found:");
-    console.log("- fileButton:", fileButton);
-    console.log("- urlButton:", urlButton);
-    
-    // File loading handler
-    if (fileButton) {
-        console.log("Setting up file loading button");
-        fileButton.addEventListener("click", () => {
-            console.log("File loading button clicked");
-            triggerFileLoad(scene);
-        });
-        console.log("File loading button event listener attached");
-    } else {
-        console.error("File loading button not found!");
-    }
-    
-    // URL loading handler
-    if (urlButton) {
-        urlButton.addEventListener("click", async () => {
-            const urlInput = document.getElementById("modelUrlInput");
-            if (!urlInput || !urlInput.value.trim()) {
-                showToast(ErrorMessages.INPUT.EMPTY_URL, CONFIG.ui.toast.displayDuration);
-                return;
-            }
-            
-            await loadModelWithSpinner(scene, urlInput.value.trim(), "url");
-        });
-    }
-}
-
-/**
- * Load model with loading spinner and error handling
- */
-async function loadModelWithSpinner(scene, source, type) {
-    try {
-        // Show loading spinner
-        LoadingSpinner.show("flex");
-        
-        console.log(`Loading model from ${type}: ${type === 'file' ? source.name : source}`);
-        console.log("Source object:", source);
-        
-        if (type === 'file') {
-            console.log("File details - Name:", source.name, "Size:", source.size, "Type:", source.type);
-            const extension = source.name.split('.').pop().toLowerCase();
-            console.log("File extension:", extension);
-            console.log("Supported formats:", CONFIG.modelLoader.supportedFormats);
-            console.log("Extension supported:", CONFIG.modelLoader.supportedFormats.includes(extension));
-        }
-        
-        const result = await loadModel(scene, source, CONFIG.modelLoader.defaultFallbackModel);
-        console.log("Load model result:", result);
-        
-        // Apply model scale from URL if present (for shared URLs)
-        applyModelScaleFromUrl(scene);
-        
-        // Store model URL for sharing
-        if (result && result.currentModel) {
-            // Set the model URL for the exporter and sharing feature
-            scene.currentModelUrl = (type === 'file') ? URL.createObjectURL(source) : source;
-
-            // Determine and set the model type for the exporter
-            const fileName = (type === 'file') ? source.name : source;
-            const extension = fileName.split('?')[0].split('.').pop().toLowerCase();
-
-            if (['splat', 'ply'].includes(extension)) {
-                scene.currentModelType = 'splat';
-            } else if (['gltf', 'glb', 'obj'].includes(extension)) {
-                scene.currentModelType = 'mesh';
-            } else {
-                scene.currentModelType = 'unknown'; // Handle other cases
-            }
-
-            // This property is also used by the exporter
-            scene.currentModel = result.currentModel;
-
-            console.log(`Model info set on scene: type='${scene.currentModelType}', url='${scene.currentModelUrl}'`);
-        }
-        
-        // Show success message
-        const fileName = type === 'file' ? source.name : 'URL';
-        showToast(`Model "${fileName}" loaded successfully`);
-        
-        // Close panel
-        closeAllPanels();
-        
-    } catch (error) {
-        console.error("Error loading model:", error);
-        showToast(ErrorMessages.MODEL.LOAD_FAILED(error.message), 5000);
-    } finally {
-        // Hide loading spinner
-        LoadingSpinner.hide();
-    }
-}
-
-/**
- * Trigger file loading dialog and handle file selection
- */
-function triggerFileLoad(scene) {
-    console.log("File open button clicked");
-    
-    // Create a hidden file input element using utility
-    const fileInput = createElement('input', {
-        type: 'file',
-        accept: '.splat,.ply,.spz,.gltf,.glb,.obj'
-    });
-    fileInput.style.display = 'none';
-    
-    // Handle file selection
-    fileInput.addEventListener('change', async (event) => {
-        const file = event.target.files[0];
-        if (!file) {
-            console.log("No file selected");
-            return;
-        }
-        
-        console.log("File selected:", file.name, "Size:", file.size);
-        
-        // Validate file extension
-        const extension = file.name.split('.').pop().toLowerCase();
-        if (!CONFIG.modelLoader.supportedFormats.includes(extension)) {
-            showToast(`Unsupported file format: .${extension}. Supported formats: ${CONFIG.modelLoader.supportedFormats.join(', ')}`, 5000);
-            return;
-        }
-        
-        // Load the model
-        try {
-            LoadingSpinner.show("flex");
-            
-            console.log("Starting model loading...");
-            const result = await loadModel(scene, file, CONFIG.modelLoader.defaultFallbackModel);
-            console.log("Model loaded successfully:", result);
-            
-            // Store model URL for sharing
-            if (result && result.currentModel) {
-                scene.currentModelUrl = URL.createObjectURL(file);
-            }
-            
-            showToast(`Model "${file.name}" loaded successfully`);
-            
-        } catch (error) {
-            console.error("Error loading model:", error);
-            showToast(ErrorMessages.MODEL.LOAD_FAILED(error.message), 5000);
-        } finally {
-            // Hide loading spinner
-            LoadingSpinner.hide();
-        }
-        
-        // Clean up the input element
-        document.body.removeChild(fileInput);
-    });
-    
-    // Trigger the file dialog
-    document.body.appendChild(fileInput);
-    console.log("File input created and added to DOM, triggering click...");
-    fileInput.click();
-    console.log("File dialog should now be open");
-}
-
-// Helper functions that need to be imported or defined locally
-function applyModelScaleFromUrl(scene) {
-    const urlParams = new URLSearchParams(window.location.search);
-    
-    if (urlParams.has('scale') && scene.currentModel) {
-        const scale = parseFloat(urlParams.get('scale'));
-        
-        if (!isNaN(scale) && scale > 0) {
-            // Apply the scale to the model
-            scene.currentModel.scaling.setAll(scale);
-            
-            // Update the UI slider to reflect the loaded scale
-            const modelScaleRange = document.getElementById('modelScaleRange');
-            const modelScaleDisplay = document.getElementById('modelScaleRangeDisplay');
-            if (modelScaleRange && modelScaleDisplay) {
-                modelScaleRange.value = scale;
-                modelScaleDisplay.textContent = scale.toFixed(1);
-            }
-            
-            console.log(`Applied model scale from URL: ${scale}`);
-        }
-    }
-}
-
-function closeAllPanels() {
-    // Use cached DOM queries for better performance
-    const allContentSections = DOM.getAllContentSections();
-    const controlPanelContent = DOM.get("controlPanelContent");
-    const controlPanel = DOM.get("controlPanel");
-    const buttons = DOM.getAllIconButtons();
-    
-    allContentSections.forEach(section => section.style.display = "none");
-    if (controlPanelContent) controlPanelContent.style.display = "none";
-    if (controlPanel) controlPanel.classList.remove("expanded");
-    buttons.forEach(btn => btn.classList.remove('active'));
-    
-    // Stop UI updates when closing all panels
-    stopUIUpdates();
+/* ========================================================================
+   DEVELOPER TOOLS PANEL COMPONENT
+   ======================================================================== */
+
+import { ICONS } from '../components/icons.js';
+import { createElement, createToggleSwitch, createRangeControl } from '../components/controls.js';
+import { showToast } from '../components/toast.js';
+import { showErrorPanel } from '../components/errorPanel.js';
+import { loadModel } from '../../modelLoader.js';
+import { setupUIUpdates, startUIUpdates, stopUIUpdates, restartUIUpdates, DOM, Events, ErrorMessages, LoadingSpinner, LoadErrorTypes } from '../../helpers.js';
+import { CONFIG } from '../../config.js';
+import { computeSplatStats } from '../../splat/splatStats.js';
+import { hasSplatSource, loadSplatData } from '../../splat/splatData.js';
+import { EXPORT_UTILS } from '../../export/exportConfig.js';
+import { convertSplatFile, encodeSplatData } from '../../splat/splatConverter.js';
+import { getOrientationPresets } from '../../modelOrientation.js';
+import { getExtension } from '../../formatDetection.js';
+
+/**
+ * Create developer tools section HTML
+ */
+export function createDevSection() {
+    return `
+        <div id="devContent" class="content-section" style="display: none;">
+            <h4>Developer Tools</h4>
+            
+            <div class="dev-section">
+                <div class="dev-title">Performance</div>
+                <div class="scene-info">
+                    <div class="info-row">
+                        <span class="info-label">FPS:</span>
+                        <span id="controlPanelFps" class="info-value">0</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label">Resolution:</span>
+                        <span id="controlPanelResolution" class="info-value">0 x 0</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label">Vertices:</span>
+                        <span id="controlPanelVertices" class="info-value">0</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label">Quality Level:</span>
+                        <span id="controlPanelQualityLevel" class="info-value">Manual</span>
+                    </div>
+                </div>
+            </div>
+            
+            <div class="settings-separator"></div>
+            
+            ${createOutlinerSection()}
+            
+            <div class="settings-separator"></div>
+            
+            ${createTransformSection()}
+            
+            <div class="settings-separator"></div>
+            
+            ${createSplatInspectorSection()}
+            
+            <div class="settings-separator"></div>
+            
+            ${createCropSection()}
+            
+            <div class="settings-separator"></div>
+            
+            ${createClippingSection()}
+            
+            <div class="settings-separator"></div>
+            
+            ${createConvertSection()}
+            
+            <div class="settings-separator"></div>
+            
+            <div class="dev-section">
+                <div class="dev-title">Device Detection</div>
+                <div class="scene-info">
+                    <div class="info-row">
+                        <span class="info-label">Touch Support:</span>
+                        <span id="deviceTouch" class="info-value">-</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label">Mobile UA:</span>
+                        <span id="deviceMobile" class="info-value">-</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label">Touch Device:</span>
+                        <span id="deviceTouchDevice" class="info-value">-</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label">Device Type:</span>
+                        <span id="deviceType" class="info-value">-</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label">Max Touch Points:</span>
+                        <span id="deviceMaxTouch" class="info-value">-</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label">Screen Size:</span>
+                        <span id="deviceScreenSize" class="info-value">-</span>
+                    </div>
+                </div>
+            </div>
+            
+            <div class="settings-separator"></div>
+            
+            <div class="dev-section">
+                <div class="dev-title">Load Model</div>
+                ${createToggleSwitch('addModelToggle', 'Add to Scene')}
+                <div class="control-group">
+                    <label for="loadOrientationSelect">Up Axis</label>
+                    <select id="loadOrientationSelect" class="settings-select">
+                        <option value="" selected>Auto (file / format)</option>
+                        ${getOrientationPresets().map(preset => `<option value="${preset.id}">${preset.label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="model-loader file-loader">
+                    <button id="loadModelFileButton" class="action-button">
+                        ${ICONS.file_open}
+                        <span class="button-text">Load from File</span>
+                    </button>
+                </div>
+                
+                <div class="model-loader url-loader">
+                    <input type="text" id="modelUrlInput" placeholder="Enter model URL" class="url-input">
+                    <button id="loadModelUrlButton" class="action-button">
+                        ${ICONS.file_open}
+                        <span class="button-text">Load from URL</span>
+                    </button>
+                </div>
+            </div>
+            
+            <div id="loadingSpinner" class="loading-spinner">
+                <div class="spinner-animation"></div>
+                <div class="spinner-text">Loading Model...</div>
+                <button id="loadingCancelButton" class="action-button loading-cancel-button" style="display: none;">
+                    <span class="button-text">Cancel</span>
+                </button>
+            </div>
+            
+            <div class="settings-separator"></div>
+            
+            <div class="dev-section">
+                <div class="dev-title">Export</div>
+                <button id="exportButton" class="action-button">
+                    ${ICONS.export}
+                    <span class="button-text">Export Viewer</span>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Create scene models (outliner) section HTML
+ */
+function createOutlinerSection() {
+    return `
+            <div class="dev-section" id="modelOutliner">
+                <div class="dev-title">Scene Models</div>
+                <div id="outlinerEmpty" class="splat-inspector-empty">No models loaded</div>
+                <ul id="outlinerList" class="outliner-list"></ul>
+            </div>`;
+}
+
+/**
+ * Create model transform section HTML
+ */
+function createTransformSection() {
+    const vector = (id, label, step) => `
+                    <div class="control-group">
+                        <label for="${id}X">${label}</label>
+                        <div class="transform-vector">
+                            ${['X', 'Y', 'Z'].map(axis => `<input type="number" id="${id}${axis}" class="transform-input" step="${step}" title="${axis}">`).join('')}
+                        </div>
+                    </div>`;
+    
+    return `
+            <div class="dev-section" id="modelTransform">
+                <div class="dev-title">Transform</div>
+                <div id="transformEmpty" class="splat-inspector-empty">No model selected</div>
+                <div id="transformContent" style="display: none;">
+                    <div class="control-group">
+                        <label for="transformGizmoSelect">Gizmo</label>
+                        <select id="transformGizmoSelect" class="settings-select">
+                            <option value="" selected>Off</option>
+                            <option value="position">Move</option>
+                            <option value="rotation">Rotate</option>
+                            <option value="scale">Scale</option>
+                        </select>
+                    </div>
+                    ${vector('transformPosition', 'Position', 0.1)}
+                    ${vector('transformRotation', 'Rotation (°)', 5)}
+                    <div class="control-group">
+                        <label for="transformScale">Scale</label>
+                        <input type="number" id="transformScale" class="transform-input" step="0.1" min="0.001">
+                    </div>
+                    <div class="crop-actions">
+                        <button id="transformLevelButton" class="action-button">
+                            ${ICONS.reset_view}
+                            <span class="button-text">Level to Ground</span>
+                        </button>
+                    </div>
+                </div>
+            </div>`;
+}
+
+/**
+ * Create splat inspector section HTML
+ */
+function createSplatInspectorSection() {
+    const row = (id, label) => `
+                    <div class="info-row">
+                        <span class="info-label">${label}:</span>
+                        <span id="${id}" class="info-value">-</span>
+                    </div>`;
+    
+    return `
+            <div class="dev-section" id="splatInspector">
+                <div class="dev-title">Splat Inspector</div>
+                <div id="splatInspectorEmpty" class="splat-inspector-empty">No splat data for the current model</div>
+                <div id="splatInspectorContent" class="scene-info" style="display: none;">
+                    ${row('splatCount', 'Splats')}
+                    ${row('splatFormat', 'Format')}
+                    ${row('splatFileSize', 'File Size')}
+                    ${row('splatShDegree', 'SH Degree')}
+                    ${row('splatBoundsSize', 'Bounds Size')}
+                    ${row('splatBoundsMin', 'Bounds Min')}
+                    ${row('splatBoundsMax', 'Bounds Max')}
+                    ${row('splatMeanOpacity', 'Mean Opacity')}
+                    ${row('splatMemoryCpu', 'Memory (CPU)')}
+                    ${row('splatMemoryGpu', 'Memory (GPU est.)')}
+                    <div class="histogram-title">Opacity</div>
+                    <div id="splatOpacityHistogram" class="splat-histogram"></div>
+                    <div class="histogram-axis"><span>0</span><span>1</span></div>
+                    <div class="histogram-title">Scale (largest axis, log)</div>
+                    <div id="splatScaleHistogram" class="splat-histogram"></div>
+                    <div class="histogram-axis"><span id="splatScaleMin">-</span><span id="splatScaleMax">-</span></div>
+                </div>
+            </div>`;
+}
+
+/**
+ * Create splat crop box section HTML
+ */
+function createCropSection() {
+    return `
+            <div class="dev-section" id="splatCrop">
+                <div class="dev-title">Crop Box</div>
+                <div id="cropEmpty" class="splat-inspector-empty">No splat data for the current model</div>
+                <div id="cropContent" style="display: none;">
+                    ${createToggleSwitch('cropBoxToggle', 'Enable Crop Box')}
+                    <div class="control-group">
+                        <label for="cropModeSelect">Box Mode</label>
+                        <select id="cropModeSelect" class="settings-select">
+                            <option value="aligned" selected>Axis-aligned</option>
+                            <option value="oriented">Oriented</option>
+                        </select>
+                    </div>
+                    <div class="scene-info">
+                        <div class="info-row">
+                            <span class="info-label">Kept Splats:</span>
+                            <span id="cropKeptCount" class="info-value">-</span>
+                        </div>
+                    </div>
+                    <div class="crop-actions">
+                        <button id="cropFitButton" class="action-button">
+                            ${ICONS.reset_view}
+                            <span class="button-text">Fit to Model</span>
+                        </button>
+                        <button id="cropDownloadSplatButton" class="action-button">
+                            ${ICONS.export}
+                            <span class="button-text">Download .splat</span>
+                        </button>
+                        <button id="cropDownloadPlyButton" class="action-button">
+                            ${ICONS.export}
+                            <span class="button-text">Download .ply</span>
+                        </button>
+                    </div>
+                </div>
+            </div>`;
+}
+
+/**
+ * Create clipping planes section HTML
+ */
+function createClippingSection() {
+    return `
+            <div class="dev-section" id="clippingPlanes">
+                <div class="dev-title">Clipping Planes</div>
+                <div id="clippingEmpty" class="splat-inspector-empty">No clipping planes</div>
+                <ul id="clippingList" class="outliner-list"></ul>
+                <div id="clippingEditor" style="display: none;">
+                    <div class="control-group">
+                        <label>Axis</label>
+                        <div class="clipping-axis-buttons">
+                            ${['x', 'y', 'z'].map(axis => `<button class="action-button" data-axis="${axis}">${axis.toUpperCase()}</button>`).join('')}
+                        </div>
+                    </div>
+                    ${createRangeControl('clippingOffsetRange', 'Position', -1, 1, 0, 0.01)}
+                    ${createToggleSwitch('clippingInvertToggle', 'Invert')}
+                    ${createToggleSwitch('clippingCapToggle', 'Cap Meshes')}
+                    <div class="control-group">
+                        <label for="clippingCapColorInput">Cap Colour</label>
+                        <input type="color" id="clippingCapColorInput" class="clipping-color-input" value="${CONFIG.clipping.defaultCapColor}">
+                    </div>
+                </div>
+                ${createToggleSwitch('clippingHelpersToggle', 'Show Gizmo', true)}
+                <div class="crop-actions">
+                    <button id="addClippingPlaneButton" class="action-button">
+                        ${ICONS.add}
+                        <span class="button-text">Add Plane</span>
+                    </button>
+                    <button id="clearClippingPlanesButton" class="action-button">
+                        <span class="button-text">Clear All</span>
+                    </button>
+                </div>
+            </div>`;
+}
+
+/**
+ * Create splat format conversion section HTML
+ */
+function createConvertSection() {
+    return `
+            <div class="dev-section" id="splatConvert">
+                <div class="dev-title">Convert Splat</div>
+                <div class="control-group">
+                    <label for="convertFormatSelect">Output Format</label>
+                    <select id="convertFormatSelect" class="settings-select">
+                        <option value="splat">.splat</option>
+                        <option value="ply">.ply (3DGS)</option>
+                        <option value="spz" selected>.spz</option>
+                    </select>
+                </div>
+                <div class="control-group">
+                    <label for="convertShSelect">Spherical Harmonics</label>
+                    <select id="convertShSelect" class="settings-select">
+                        <option value="3" selected>Keep all</option>
+                        <option value="2">Up to degree 2</option>
+                        <option value="1">Up to degree 1</option>
+                        <option value="0">Drop (color only)</option>
+                    </select>
+                </div>
+                <div class="crop-actions">
+                    <button id="convertCurrentButton" class="action-button">
+                        ${ICONS.export}
+                        <span class="button-text">Convert Current Model</span>
+                    </button>
+                    <button id="convertFileButton" class="action-button">
+                        ${ICONS.file_open}
+                        <span class="button-text">Convert File...</span>
+                    </button>
+                </div>
+            </div>`;
+}
+
+/**
+ * Setup splat format conversion controls
+ */
+export function setupSplatConvertControls(scene) {
+    const formatSelect = DOM.get('convertFormatSelect');
+    const shSelect = DOM.get('convertShSelect');
+    const currentButton = DOM.get('convertCurrentButton');
+    const fileButton = DOM.get('convertFileButton');
+    
+    const getOptions = () => ({
+        format: formatSelect ? formatSelect.value : 'spz',
+        shDegree: shSelect ? parseInt(shSelect.value, 10) : 3
+    });
+    
+    if (currentButton) {
+        Events.addClickListener(currentButton, async () => {
+            const model = scene.currentModel;
+            if (!hasSplatSource(model)) {
+                showToast(ErrorMessages.MODEL.NO_SPLAT_DATA, CONFIG.ui.toast.displayDuration);
+                return;
+            }
+            
+            const { format, shDegree } = getOptions();
+            try {
+                showToast(`Converting to .${format}...`);
+                const splatData = await loadSplatData(model, { keep: false });
+                if (!splatData) throw new Error(ErrorMessages.MODEL.NO_SPLAT_DATA);
+                const buffer = await encodeSplatData(splatData, format, { shDegree });
+                const blob = new Blob([buffer], { type: 'application/octet-stream' });
+                EXPORT_UTILS.downloadBlob(blob, `splat-converted-${Date.now()}.${format}`);
+                showToast(`Converted ${splatData.count.toLocaleString()} splats (${EXPORT_UTILS.formatFileSize(blob.size)})`);
+            } catch (error) {
+                console.error('Splat conversion failed:', error);
+                showToast(ErrorMessages.SYSTEM.CONVERSION_FAILED(error.message), 5000);
+            }
+        });
+    }
+    
+    if (fileButton) {
+        Events.addClickListener(fileButton, () => {
+            const fileInput = createElement('input', { type: 'file', accept: '.splat,.ply,.spz' });
+            fileInput.style.display = 'none';
+            
+            fileInput.addEventListener('change', async (event) => {
+                const file = event.target.files[0];
+                document.body.removeChild(fileInput);
+                if (!file) return;
+                
+                const { format, shDegree } = getOptions();
+                try {
+                    showToast(`Converting ${file.name} to .${format}...`);
+                    const { blob, fileName, count } = await convertSplatFile(file, format, { shDegree });
+                    EXPORT_UTILS.downloadBlob(blob, fileName);
+                    showToast(`Converted ${count.toLocaleString()} splats (${EXPORT_UTILS.formatFileSize(blob.size)})`);
+                } catch (error) {
+                    console.error('Splat conversion failed:', error);
+                    showToast(ErrorMessages.SYSTEM.CONVERSION_FAILED(error.message), 5000);
+                }
+            });
+            
+            document.body.appendChild(fileInput);
+            fileInput.click();
+        });
+    }
+}
+
+/**
+ * Show the adaptive quality level in the Performance section
+ */
+export function setupAdaptiveQualityDisplay(scene) {
+    const adaptive = scene.adaptiveQuality;
+    const display = DOM.get('controlPanelQualityLevel');
+    if (!adaptive || !display) return;
+    
+    const updateUI = ({ level, moving }) => {
+        display.textContent = level
+            ? `${level.name} (adaptive${moving ? ', moving' : ''})`
+            : 'Manual';
+    };
+    
+    // Adaptive mode may already be on (restored setting)
+    adaptive.onLevelChangedObservable.add(updateUI);
+    updateUI({ level: adaptive.enabled ? adaptive.getLevel() : null, moving: adaptive.moving });
+}
+
+/**
+ * Setup splat crop box controls
+ */
+export function setupSplatCropControls(scene) {
+    const editor = scene.splatEditor;
+    if (!editor) return;
+    
+    const cropToggle = DOM.get('cropBoxToggle');
+    const cropModeSelect = DOM.get('cropModeSelect');
+    const fitButton = DOM.get('cropFitButton');
+    const downloadSplatButton = DOM.get('cropDownloadSplatButton');
+    const downloadPlyButton = DOM.get('cropDownloadPlyButton');
+    
+    if (cropToggle) {
+        Events.addToggleListener(cropToggle, (checked) => {
+            editor.setCropEnabled(checked);
+        });
+    }
+    
+    if (cropModeSelect) {
+        cropModeSelect.addEventListener('change', (e) => {
+            editor.setCropMode(e.target.value);
+        });
+    }
+    
+    if (fitButton) {
+        Events.addClickListener(fitButton, () => editor.fitCropBox());
+    }
+    
+    const download = async (format) => {
+        if (!await editor.loadData()) {
+            showToast(ErrorMessages.MODEL.NO_SPLAT_DATA, CONFIG.ui.toast.displayDuration);
+            return;
+        }
+        EXPORT_UTILS.downloadBlob(editor.getEditedBlob(format), `splat-edited-${Date.now()}.${format}`);
+        showToast(`Downloaded edited .${format}`);
+    };
+    if (downloadSplatButton) {
+        Events.addClickListener(downloadSplatButton, () => download('splat'));
+    }
+    if (downloadPlyButton) {
+        Events.addClickListener(downloadPlyButton, () => download('ply'));
+    }
+    
+    editor.onEditChangedObservable.add(({ kept, total }) => {
+        updateCropSection(editor, kept, total);
+    });
+    updateCropSection(editor, 0, 0);
+}
+
+/**
+ * Refresh crop box controls from the editor state
+ */
+function updateCropSection(editor, kept, total) {
+    const empty = DOM.get('cropEmpty');
+    const content = DOM.get('cropContent');
+    if (!empty || !content) return;
+    
+    const hasModel = editor.hasModel();
+    empty.style.display = hasModel ? 'none' : 'block';
+    content.style.display = hasModel ? 'block' : 'none';
+    
+    const cropToggle = DOM.get('cropBoxToggle');
+    const cropModeSelect = DOM.get('cropModeSelect');
+    const keptCount = DOM.get('cropKeptCount');
+    if (cropToggle) cropToggle.checked = editor.crop.enabled;
+    if (cropModeSelect) cropModeSelect.value = editor.crop.mode;
+    if (keptCount) keptCount.textContent = `${kept.toLocaleString()} / ${total.toLocaleString()}`;
+}
+
+/**
+ * Setup clipping plane controls - list, axis, position, invert and caps
+ */
+export function setupClippingControls(scene) {
+    const clipping = scene.clippingPlanes;
+    const list = DOM.get('clippingList');
+    if (!clipping || !list) return;
+    
+    const addButton = DOM.get('addClippingPlaneButton');
+    if (addButton) {
+        Events.addClickListener(addButton, () => {
+            if (!clipping.add()) {
+                showToast(ErrorMessages.INPUT.TOO_MANY_CLIPPING_PLANES(CONFIG.clipping.maxPlanes));
+            }
+        });
+    }
+    const clearButton = DOM.get('clearClippingPlanesButton');
+    if (clearButton) {
+        Events.addClickListener(clearButton, () => clipping.clear());
+    }
+    
+    list.addEventListener('click', (e) => {
+        const row = e.target.closest('.outliner-item');
+        if (!row) return;
+        const id = parseInt(row.dataset.id, 10);
+        
+        if (e.target.closest('.outliner-remove')) {
+            clipping.remove(id);
+        } else {
+            clipping.select(id);
+        }
+    });
+    
+    document.querySelectorAll('.clipping-axis-buttons [data-axis]').forEach(button => {
+        Events.addClickListener(button, () => clipping.setAxis(clipping.selectedId, button.dataset.axis));
+    });
+    
+    const offsetRange = DOM.get('clippingOffsetRange');
+    Events.addRangeListener(offsetRange, (value) => clipping.setOffset(clipping.selectedId, value));
+    
+    const invertToggle = DOM.get('clippingInvertToggle');
+    Events.addToggleListener(invertToggle, (checked) => clipping.setInverted(clipping.selectedId, checked));
+    
+    const capToggle = DOM.get('clippingCapToggle');
+    const capColorInput = DOM.get('clippingCapColorInput');
+    const updateCap = () => {
+        clipping.setCapColor(clipping.selectedId, capToggle.checked ? capColorInput.value : null);
+    };
+    Events.addToggleListener(capToggle, updateCap);
+    capColorInput.addEventListener('input', () => {
+        if (capToggle.checked) updateCap();
+    });
+    
+    const helpersToggle = DOM.get('clippingHelpersToggle');
+    Events.addToggleListener(helpersToggle, (checked) => clipping.setHelpersVisible(checked));
+    
+    clipping.onChangedObservable.add(() => renderClippingPlanes(clipping));
+    renderClippingPlanes(clipping);
+}
+
+/**
+ * Rebuild the plane list and show the selected plane's settings
+ */
+function renderClippingPlanes(clipping) {
+    const list = DOM.get('clippingList');
+    const empty = DOM.get('clippingEmpty');
+    const editor = DOM.get('clippingEditor');
+    if (!list || !empty || !editor) return;
+    
+    list.innerHTML = '';
+    clipping.planes.forEach((plane, index) => {
+        const row = createElement('li', {
+            className: plane.id === clipping.selectedId ? 'outliner-item selected' : 'outliner-item',
+            attributes: { 'data-id': plane.id, title: 'Edit this plane' }
+        });
+        
+        const name = createElement('span', { className: 'outliner-name' });
+        name.textContent = `Plane ${index + 1} (${describeNormal(plane.normal)}${plane.inverted ? ', inverted' : ''})`;
+        
+        const remove = createElement('button', {
+            className: 'outliner-remove',
+            innerHTML: '&times;',
+            attributes: { title: 'Remove plane' }
+        });
+        
+        row.append(name, remove);
+        list.appendChild(row);
+    });
+    
+    empty.style.display = clipping.planes.length > 0 ? 'none' : 'block';
+    
+    const selected = clipping.get(clipping.selectedId);
+    editor.style.display = selected ? 'block' : 'none';
+    if (!selected) return;
+    
+    // Slider range: the models' half diagonal either side of their middle
+    const extent = clipping.getExtent();
+    const offset = clipping.getOffset(selected);
+    const offsetRange = DOM.get('clippingOffsetRange');
+    offsetRange.min = -extent;
+    offsetRange.max = extent;
+    offsetRange.step = extent / 200;
+    offsetRange.value = offset;
+    DOM.get('clippingOffsetRangeDisplay').textContent = offset.toFixed(3);
+    
+    DOM.get('clippingInvertToggle').checked = selected.inverted;
+    DOM.get('clippingCapToggle').checked = !!selected.capColor;
+    if (selected.capColor) DOM.get('clippingCapColorInput').value = selected.capColor;
+    
+    document.querySelectorAll('.clipping-axis-buttons [data-axis]').forEach(button => {
+        button.classList.toggle('active', describeNormal(selected.normal) === button.dataset.axis.toUpperCase());
+    });
+}
+
+/**
+ * Axis name of an axis-aligned normal, 'Custom' otherwise
+ */
+function describeNormal(normal) {
+    const axis = ['x', 'y', 'z'].find(key => Math.abs(normal[key]) > 0.9999);
+    return axis ? axis.toUpperCase() : 'Custom';
+}
+
+/**
+ * Setup the scene models list - select, show/hide and remove loaded models
+ */
+export function setupModelOutliner(scene) {
+    const registry = scene.modelRegistry;
+    const list = DOM.get('outlinerList');
+    if (!registry || !list) return;
+    
+    const render = () => renderOutliner(registry);
+    registry.onChangedObservable.add(render);
+    registry.onSelectionChangedObservable.add(render);
+    
+    // One delegated listener for all rows - rows are rebuilt on every change
+    list.addEventListener('click', (e) => {
+        const row = e.target.closest('.outliner-item');
+        if (!row) return;
+        const id = parseInt(row.dataset.id, 10);
+        
+        if (e.target.closest('.outliner-remove')) {
+            registry.remove(id);
+        } else if (!e.target.closest('.outliner-visibility')) {
+            registry.select(id);
+        }
+    });
+    list.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('outliner-visibility')) return;
+        const row = e.target.closest('.outliner-item');
+        registry.setVisible(parseInt(row.dataset.id, 10), e.target.checked);
+    });
+    
+    render();
+}
+
+/**
+ * Rebuild the scene models list from the registry
+ */
+function renderOutliner(registry) {
+    const list = DOM.get('outlinerList');
+    const empty = DOM.get('outlinerEmpty');
+    if (!list || !empty) return;
+    
+    list.innerHTML = '';
+    registry.items.forEach(item => {
+        const row = createElement('li', {
+            className: `outliner-item${item.id === registry.selectedId ? ' selected' : ''}`,
+            attributes: { 'data-id': item.id }
+        });
+        
+        const visibility = createElement('input', {
+            type: 'checkbox',
+            className: 'outliner-visibility',
+            attributes: { title: 'Show / hide' }
+        });
+        visibility.checked = item.visible;
+        
+        // Names come from file names and URLs - set as text, not HTML
+        const name = createElement('span', { className: 'outliner-name' });
+        name.textContent = item.name;
+        name.title = `${item.name} (${item.type})`;
+        
+        const remove = createElement('button', {
+            className: 'outliner-remove',
+            innerHTML: '&times;',
+            attributes: { title: 'Remove from scene' }
+        });
+        
+        row.append(visibility, name, remove);
+        list.appendChild(row);
+    });
+    
+    empty.style.display = registry.items.length > 0 ? 'none' : 'block';
+}
+
+/**
+ * Setup model transform controls - gizmo mode, numeric fields and leveling
+ */
+export function setupModelTransformControls(scene) {
+    const transform = scene.modelTransform;
+    if (!transform) return;
+    
+    const gizmoSelect = DOM.get('transformGizmoSelect');
+    const levelButton = DOM.get('transformLevelButton');
+    const scaleInput = DOM.get('transformScale');
+    
+    if (gizmoSelect) {
+        gizmoSelect.addEventListener('change', (e) => {
+            transform.setGizmoMode(e.target.value || null);
+        });
+    }
+    
+    // Vector fields apply all three axes when any of them changes
+    const readVector = (id) => ['X', 'Y', 'Z'].map(axis => parseFloat(DOM.get(id + axis).value) || 0);
+    [['transformPosition', 'position'], ['transformRotation', 'rotation']].forEach(([id, key]) => {
+        ['X', 'Y', 'Z'].forEach(axis => {
+            const input = DOM.get(id + axis);
+            if (input) {
+                input.addEventListener('change', () => transform.setTransform({ [key]: readVector(id) }));
+            }
+        });
+    });
+    
+    if (scaleInput) {
+        scaleInput.addEventListener('change', () => {
+            const scale = parseFloat(scaleInput.value);
+            if (scale > 0) transform.setTransform({ scale });
+        });
+    }
+    
+    if (levelButton) {
+        Events.addClickListener(levelButton, async () => {
+            if (!transform.hasModel()) return;
+            await transform.levelToGround();
+            showToast('Model leveled to ground');
+        });
+    }
+    
+    transform.onTransformChangedObservable.add(updateTransformSection);
+    updateTransformSection(transform.hasModel() ? transform.getTransform() : null);
+}
+
+/**
+ * Refresh transform fields; the field being edited is left alone
+ */
+function updateTransformSection(values) {
+    const empty = DOM.get('transformEmpty');
+    const content = DOM.get('transformContent');
+    if (!empty || !content) return;
+    
+    empty.style.display = values ? 'none' : 'block';
+    content.style.display = values ? 'block' : 'none';
+    if (!values) return;
+    
+    const setValue = (id, value, digits) => {
+        const input = DOM.get(id);
+        if (input && document.activeElement !== input) {
+            input.value = Number(value.toFixed(digits));
+        }
+    };
+    ['X', 'Y', 'Z'].forEach((axis, i) => {
+        setValue(`transformPosition${axis}`, values.position[i], 3);
+        setValue(`transformRotation${axis}`, values.rotation[i], 1);
+    });
+    setValue('transformScale', Math.abs(values.scaling[0]), 3);
+}
+
+/**
+ * Setup splat inspector - refreshes whenever the selected model changes
+ */
+export function setupSplatInspector(scene) {
+    if (scene.modelRegistry) {
+        scene.modelRegistry.onSelectionChangedObservable.add(() => updateSplatInspector(scene));
+    }
+    updateSplatInspector(scene);
+}
+
+/**
+ * Fill the splat inspector from the current model's splat data. Meshes don't
+ * keep their decoded splats, so they are read again while the developer
+ * tools are open.
+ */
+export function updateSplatInspector(scene) {
+    const empty = DOM.get('splatInspectorEmpty');
+    const content = DOM.get('splatInspectorContent');
+    if (!empty || !content) return;
+    
+    const model = scene.currentModel;
+    
+    // Stats are cached on the mesh - the data doesn't change once loaded
+    if (!model || !model.splatStats) {
+        empty.style.display = 'block';
+        content.style.display = 'none';
+        
+        const devContent = DOM.get('devContent');
+        const isOpen = devContent && devContent.style.display === 'block';
+        if (!hasSplatSource(model) || !isOpen) {
+            empty.textContent = 'No splat data for the current model';
+            return;
+        }
+        
+        empty.textContent = 'Reading splat data...';
+        loadSplatData(model, { keep: false }).then(splatData => {
+            if (splatData && !model.splatStats) model.splatStats = computeSplatStats(splatData);
+            if (scene.currentModel === model) updateSplatInspector(scene);
+        });
+        return;
+    }
+    const stats = model.splatStats;
+    const formatVector = (values) => values.map(v => v.toFixed(2)).join(', ');
+    
+    const values = {
+        splatCount: stats.count.toLocaleString(),
+        splatFormat: `.${stats.sourceFormat}`,
+        splatFileSize: EXPORT_UTILS.formatFileSize(stats.byteSize),
+        splatShDegree: stats.shDegree,
+        splatBoundsSize: stats.bounds ? formatVector(stats.bounds.size) : '-',
+        splatBoundsMin: stats.bounds ? formatVector(stats.bounds.min) : '-',
+        splatBoundsMax: stats.bounds ? formatVector(stats.bounds.max) : '-',
+        splatMeanOpacity: stats.opacity.mean.toFixed(3),
+        splatMemoryCpu: EXPORT_UTILS.formatFileSize(stats.memory.cpu),
+        splatMemoryGpu: EXPORT_UTILS.formatFileSize(stats.memory.gpu),
+        splatScaleMin: stats.scale.range[0].toExponential(1),
+        splatScaleMax: stats.scale.range[1].toExponential(1)
+    };
+    Object.entries(values).forEach(([id, value]) => {
+        const element = DOM.get(id);
+        if (element) element.textContent = value;
+    });
+    
+    renderHistogram(DOM.get('splatOpacityHistogram'), stats.opacity.histogram);
+    renderHistogram(DOM.get('splatScaleHistogram'), stats.scale.histogram);
+    
+    empty.style.display = 'none';
+    content.style.display = 'block';
+}
+
+/**
+ * Render histogram bins as a simple bar chart
+ */
+function renderHistogram(container, bins) {
+    if (!container) return;
+    
+    const peak = Math.max(...bins, 1);
+    container.innerHTML = bins.map(value => {
+        const height = Math.round(value / peak * 100);
+        return `<div class="histogram-bar" style="height: ${height}%" title="${value.toLocaleString()}"></div>`;
+    }).join('');
+}
+
+/**
+ * Setup model loading functionality
+ */
+export function setupModelLoading(scene) {
+    console.log("setupModelLoading called");
+    const fileButton = document.getElementById("loadModelFileButton");
+    const urlButton = document.getElementById("loadModelUrlButton");
+    
+    console.log("Elements found:");
+    console.log("- fileButton:", fileButton);
+    console.log("- urlButton:", urlButton);
+    
+    // File loading handler
+    if (fileButton) {
+        console.log("Setting up file loading button");
+        fileButton.addEventListener("click", () => {
+            console.log("File loading button clicked");
+            triggerFileLoad(scene);
+        });
+        console.log("File loading button event listener attached");
+    } else {
+        console.error("File loading button not found!");
+    }
+    
+    // URL loading handler
+    if (urlButton) {
+        urlButton.addEventListener("click", async () => {
+            const urlInput = document.getElementById("modelUrlInput");
+            if (!urlInput || !urlInput.value.trim()) {
+                showToast(ErrorMessages.INPUT.EMPTY_URL, CONFIG.ui.toast.displayDuration);
+                return;
+            }
+            
+            await loadModelWithSpinner(scene, urlInput.value.trim(), "url");
+        });
+    }
+}
+
+/**
+ * Show model load failures (scene.onModelLoadErrorObservable) in the error
+ * panel, with Retry for errors worth retrying and a file picker
+ */
+export function setupLoadErrorPanel(scene) {
+    if (!scene.onModelLoadErrorObservable) return;
+
+    scene.onModelLoadErrorObservable.add(({ error, source, retry }) => {
+        const actions = [];
+        if (retry) {
+            actions.push({
+                label: 'Retry',
+                primary: true,
+                onClick: async () => {
+                    const result = await retry();
+                    if (!result.error && !result.cancelled) {
+                        showToast('Model loaded successfully');
+                    }
+                }
+            });
+        }
+        actions.push({ label: 'Load Different File', primary: !retry, onClick: () => triggerFileLoad(scene) });
+
+        showErrorPanel({
+            title: error.title,
+            message: error.message,
+            detail: source instanceof File ? source.name : (typeof source === 'string' ? source : ''),
+            actions
+        });
+    });
+}
+
+/**
+ * Load model with loading spinner and error handling
+ */
+async function loadModelWithSpinner(scene, source, type) {
+    try {
+        // Show loading spinner
+        LoadingSpinner.show("flex");
+        
+        console.log(`Loading model from ${type}: ${type === 'file' ? source.name : source}`);
+        console.log("Source object:", source);
+        
+        if (type === 'file') {
+            console.log("File details - Name:", source.name, "Size:", source.size, "Type:", source.type);
+            const extension = source.name.split('.').pop().toLowerCase();
+            console.log("File extension:", extension);
+            console.log("Supported formats:", CONFIG.modelLoader.supportedFormats);
+            console.log("Extension supported:", CONFIG.modelLoader.supportedFormats.includes(extension));
+        }
+        
+        // The model registry records the URL and type used for sharing and export
+        const result = await loadModel(scene, source, CONFIG.modelLoader.defaultFallbackModel, getLoadOptions());
+        console.log("Load model result:", result);
+        if (result.cancelled) {
+            showToast(ErrorMessages.MODEL.LOAD_CANCELLED);
+            return;
+        }
+        // Shown in the error panel (setupLoadErrorPanel)
+        if (result.error) return;
+        
+        // Apply model scale from URL if present (for shared URLs)
+        applyModelScaleFromUrl(scene);
+        
+        // Show success message
+        const fileName = type === 'file' ? source.name : 'URL';
+        showToast(`Model "${fileName}" loaded successfully`);
+        
+        // Close panel
+        closeAllPanels();
+        
+    } catch (error) {
+        console.error("Error loading model:", error);
+        showToast(ErrorMessages.MODEL.LOAD_FAILED(error.message), 5000);
+    } finally {
+        // Hide loading spinner
+        LoadingSpinner.hide();
+    }
+}
+
+/**
+ * Trigger file loading dialog and handle file selection
+ */
+function triggerFileLoad(scene) {
+    console.log("File open button clicked");
+    
+    // Create a hidden file input element using utility
+    const fileInput = createElement('input', {
+        type: 'file',
+        accept: '.splat,.ply,.spz,.gltf,.glb,.obj'
+    });
+    fileInput.style.display = 'none';
+    
+    // Handle file selection
+    fileInput.addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) {
+            console.log("No file selected");
+            return;
+        }
+        
+        console.log("File selected:", file.name, "Size:", file.size);
+        
+        // Validate file extension (files without one are recognised from their content)
+        const extension = getExtension(file.name);
+        if (extension && !CONFIG.modelLoader.supportedFormats.includes(extension)) {
+            showToast(ErrorMessages.LOAD[LoadErrorTypes.UNSUPPORTED_FORMAT](extension), 5000);
+            return;
+        }
+        
+        // Load the model
+        try {
+            LoadingSpinner.show("flex");
+            
+            console.log("Starting model loading...");
+            const result = await loadModel(scene, file, CONFIG.modelLoader.defaultFallbackModel, getLoadOptions());
+            console.log("Model loaded successfully:", result);
+            
+            if (result.cancelled) {
+                showToast(ErrorMessages.MODEL.LOAD_CANCELLED);
+            } else if (!result.error) {
+                showToast(`Model "${file.name}" loaded successfully`);
+            }
+            
+        } catch (error) {
+            console.error("Error loading model:", error);
+            showToast(ErrorMessages.MODEL.LOAD_FAILED(error.message), 5000);
+        } finally {
+            // Hide loading spinner
+            LoadingSpinner.hide();
+        }
+        
+        // Clean up the input element
+        document.body.removeChild(fileInput);
+    });
+    
+    // Trigger the file dialog
+    document.body.appendChild(fileInput);
+    console.log("File input created and added to DOM, triggering click...");
+    fileInput.click();
+    console.log("File dialog should now be open");
+}
+
+/**
+ * loadModel() options from the Load Model section: "Add to Scene" loads next to
+ * the current models instead of replacing them; the up axis overrides the
+ * per-file / per-format default
+ */
+function getLoadOptions() {
+    const toggle = DOM.get('addModelToggle');
+    const orientationSelect = DOM.get('loadOrientationSelect');
+    const up = orientationSelect ? orientationSelect.value : '';
+    
+    return {
+        additive: !!(toggle && toggle.checked),
+        orientation: up ? { up, mirror: false } : null
+    };
+}
+
+// Helper functions that need to be imported or defined locally
+function applyModelScaleFromUrl(scene) {
+    const urlParams = new URLSearchParams(window.location.search);
+    
+    if (urlParams.has('scale') && scene.currentModel) {
+        const scale = parseFloat(urlParams.get('scale'));
+        
+        if (!isNaN(scale) && scale > 0) {
+            // Apply the scale to the model
+            scene.currentModel.scaling.setAll(scale);
+            
+            // Update the UI slider to reflect the loaded scale
+            const modelScaleRange = document.getElementById('modelScaleRange');
+            const modelScaleDisplay = document.getElementById('modelScaleRangeDisplay');
+            if (modelScaleRange && modelScaleDisplay) {
+                modelScaleRange.value = scale;
+                modelScaleDisplay.textContent = scale.toFixed(1);
+            }
+            
+            console.log(`Applied model scale from URL: ${scale}`);
+        }
+    }
+}
+
+function closeAllPanels() {
+    // Use cached DOM queries for better performance
+    const allContentSections = DOM.getAllContentSections();
+    const controlPanelContent = DOM.get("controlPanelContent");
+    const controlPanel = DOM.get("controlPanel");
+    const buttons = DOM.getAllIconButtons();
+    
+    allContentSections.forEach(section => section.style.display = "none");
+    if (controlPanelContent) controlPanelContent.style.display = "none";
+    if (controlPanel) controlPanel.classList.remove("expanded");
+    buttons.forEach(btn => btn.classList.remove('active'));
+    
+    // Stop UI updates when closing all panels
+    stopUIUpdates();
 }
\ No newline at end of file
@@ -0,0 +1,400 @@
+/* ========================================================================
+   MEASURE PANEL COMPONENT
+   ======================================================================== */
+
+import { createElement, createToggleSwitch } from '../components/controls.js';
+import { showToast } from '../components/toast.js';
+import { DOM, Events, ErrorMessages } from '../../helpers.js';
+import { ICONS } from '../components/icons.js';
+import { CONFIG } from '../../config.js';
+import { getModelScaleMode, setModelScaleMode } from '../../modelLoader.js';
+import { EXPORT_UTILS } from '../../export/exportConfig.js';
+
+const UNIT_LABELS = {
+    mm: 'Millimetres (mm)',
+    cm: 'Centimetres (cm)',
+    m: 'Metres (m)',
+    in: 'Inches (in)'
+};
+
+/**
+ * Create measure section HTML
+ */
+export function createMeasureSection() {
+    return `
+        <div id="measureContent" class="content-section" style="display: none;">
+            <h4>Measure & Annotate</h4>
+
+            <div class="settings-category">
+                <div class="settings-title">Measurements</div>
+                ${createToggleSwitch('measureModeToggle', 'Measuring Mode')}
+                <div class="measure-hint">Click points on the model. Enter finishes a measurement, Backspace removes the last point, Esc cancels.</div>
+                <div id="measurementsEmpty" class="splat-inspector-empty">No measurements yet</div>
+                <ul id="measurementsList" class="outliner-list"></ul>
+                <div class="control-group measure-buttons">
+                    <button id="finishMeasurementButton" class="action-button">
+                        ${ICONS.add}
+                        <span class="button-text">Finish</span>
+                    </button>
+                    <button id="clearMeasurementsButton" class="action-button">
+                        <span class="button-text">Clear All</span>
+                    </button>
+                </div>
+            </div>
+
+            ${createUnitsCategory()}
+
+            ${createAnnotationsCategory()}
+        </div>
+    `;
+}
+
+/**
+ * Units category HTML - display unit, calibration and native units
+ */
+function createUnitsCategory() {
+    const unitOptions = Object.keys(CONFIG.measurement.units)
+        .map(unit => `<option value="${unit}">${UNIT_LABELS[unit] || unit}</option>`).join('');
+    return `
+            <div class="settings-category">
+                <div class="settings-title">Units</div>
+                <div class="control-group">
+                    <label for="measureUnitSelect">Display Unit</label>
+                    <select id="measureUnitSelect" class="settings-select">${unitOptions}</select>
+                </div>
+                <div class="scene-info">
+                    <div class="info-row">
+                        <span class="info-label">Scene Unit:</span>
+                        <span id="measureSceneUnitDisplay" class="info-value">-</span>
+                    </div>
+                </div>
+                <div class="control-group">
+                    <label for="calibrationLengthInput">Known Distance</label>
+                    <input type="number" id="calibrationLengthInput" class="transform-input" min="0" step="any" placeholder="e.g. 1.5">
+                </div>
+                <div class="control-group">
+                    <button id="calibrateButton" class="action-button" style="width: 100%; margin-top: 8px;">
+                        ${ICONS.ruler}
+                        <span class="button-text">Calibrate: Pick Two Points</span>
+                    </button>
+                </div>
+                ${createToggleSwitch('nativeUnitsToggle', 'Keep Native Units')}
+                <div class="measure-hint">Native units skip the resize to a common size; applies to models loaded next.</div>
+            </div>
+    `;
+}
+
+/**
+ * Annotations category HTML - list, editor of the open note and import / export
+ */
+function createAnnotationsCategory() {
+    return `
+            <div class="settings-category">
+                <div class="settings-title">Annotations</div>
+                <div id="annotationsEmpty" class="splat-inspector-empty">No annotations yet</div>
+                <ul id="annotationsList" class="outliner-list"></ul>
+                <div class="control-group">
+                    <button id="addAnnotationButton" class="action-button" style="width: 100%; margin-top: 8px;">
+                        ${ICONS.add}
+                        <span class="button-text">Add Annotation</span>
+                    </button>
+                </div>
+
+                <div id="annotationEditor" class="annotation-editor" style="display: none;">
+                    <div class="control-group">
+                        <label for="annotationTitleInput">Title</label>
+                        <input type="text" id="annotationTitleInput" class="transform-input">
+                    </div>
+                    <div class="control-group">
+                        <label for="annotationTextInput">Text</label>
+                        <textarea id="annotationTextInput" class="annotation-textarea" rows="4"></textarea>
+                    </div>
+                    <div class="measure-hint">**bold**, *italic* and [label](https://...) links</div>
+                    <div class="control-group">
+                        <label for="annotationLinkInput">Link</label>
+                        <input type="url" id="annotationLinkInput" class="transform-input" placeholder="https://">
+                    </div>
+                    <div class="control-group">
+                        <label for="annotationImageInput">Image URL</label>
+                        <input type="url" id="annotationImageInput" class="transform-input" placeholder="https://">
+                    </div>
+                    <div class="control-group">
+                        <button id="annotationViewButton" class="action-button" style="width: 100%; margin-top: 8px;">
+                            ${ICONS.camera}
+                            <span class="button-text">Use Current View</span>
+                        </button>
+                    </div>
+                </div>
+
+                <div class="control-group measure-buttons">
+                    <button id="annotationsDownloadButton" class="action-button">
+                        ${ICONS.export}
+                        <span class="button-text">Download</span>
+                    </button>
+                    <button id="annotationsImportButton" class="action-button">
+                        ${ICONS.file_open}
+                        <span class="button-text">Import</span>
+                    </button>
+                </div>
+            </div>
+    `;
+}
+
+/**
+ * Setup measure controls - measuring mode, list, units and annotations
+ */
+export function setupMeasureControls(scene) {
+    const tool = scene.measurementTool;
+    const list = DOM.get('measurementsList');
+    const modeToggle = DOM.get('measureModeToggle');
+    if (!tool || !list || !modeToggle) return;
+
+    modeToggle.addEventListener('change', () => tool.setActive(modeToggle.checked));
+    tool.onActiveChangedObservable.add(active => { modeToggle.checked = active; });
+
+    const finishButton = DOM.get('finishMeasurementButton');
+    if (finishButton) {
+        Events.addClickListener(finishButton, () => tool.finish());
+    }
+    const clearButton = DOM.get('clearMeasurementsButton');
+    if (clearButton) {
+        Events.addClickListener(clearButton, () => tool.clear());
+    }
+
+    // One delegated listener for all rows - rows are rebuilt on every change
+    list.addEventListener('click', (e) => {
+        const row = e.target.closest('.outliner-item');
+        if (!row) return;
+        const id = parseInt(row.dataset.id, 10);
+
+        if (e.target.closest('.outliner-remove')) {
+            tool.remove(id);
+        } else {
+            tool.frame(id);
+        }
+    });
+
+    tool.onChangedObservable.add(() => renderMeasurements(tool));
+    renderMeasurements(tool);
+
+    setupUnitControls(tool);
+
+    if (scene.annotations) {
+        setupAnnotationControls(scene.annotations);
+    }
+}
+
+/**
+ * Setup unit controls - display unit, calibration and scale mode
+ */
+function setupUnitControls(tool) {
+    const unitSelect = DOM.get('measureUnitSelect');
+    const lengthInput = DOM.get('calibrationLengthInput');
+    const calibrateButton = DOM.get('calibrateButton');
+    const nativeToggle = DOM.get('nativeUnitsToggle');
+    if (!unitSelect || !lengthInput || !calibrateButton || !nativeToggle) return;
+
+    unitSelect.addEventListener('change', () => tool.setUnit(unitSelect.value));
+
+    // The known distance is entered in the display unit
+    Events.addClickListener(calibrateButton, () => {
+        if (tool.calibration) {
+            tool.cancel();
+        } else if (!tool.startCalibration(parseFloat(lengthInput.value))) {
+            showToast(ErrorMessages.INPUT.INVALID_CALIBRATION_LENGTH);
+        }
+    });
+    tool.onCalibratedObservable.add(factor => {
+        showToast(`Scene rescaled ×${factor.toPrecision(4)} - 1 unit is now 1 m`);
+    });
+
+    nativeToggle.checked = getModelScaleMode() === 'native';
+    nativeToggle.addEventListener('change', () => {
+        const mode = nativeToggle.checked ? 'native' : 'normalize';
+        if (mode === getModelScaleMode()) return;
+        setModelScaleMode(mode);
+        showToast('Scale mode applies to the next model you load');
+    });
+}
+
+/**
+ * Setup annotation controls - placing, list, editor and import / export
+ */
+function setupAnnotationControls(annotations) {
+    const list = DOM.get('annotationsList');
+    const addButton = DOM.get('addAnnotationButton');
+    if (!list || !addButton) return;
+
+    const addText = addButton.querySelector('.button-text');
+    Events.addClickListener(addButton, () => annotations.setPlacing(!annotations.placing));
+    annotations.onPlacingChangedObservable.add(placing => {
+        addText.textContent = placing ? 'Click the Model… (Cancel)' : 'Add Annotation';
+    });
+
+    list.addEventListener('click', (e) => {
+        const row = e.target.closest('.outliner-item');
+        if (!row) return;
+        const id = parseInt(row.dataset.id, 10);
+
+        if (e.target.closest('.outliner-remove')) {
+            annotations.remove(id);
+        } else {
+            annotations.goTo(id);
+        }
+    });
+
+    // Edits apply when a field is left (every keystroke would rebuild the markers)
+    const fields = {
+        title: DOM.get('annotationTitleInput'),
+        text: DOM.get('annotationTextInput'),
+        link: DOM.get('annotationLinkInput'),
+        image: DOM.get('annotationImageInput')
+    };
+    Object.entries(fields).forEach(([key, input]) => {
+        input.addEventListener('change', () => {
+            if (annotations.selectedId !== null) annotations.update(annotations.selectedId, { [key]: input.value });
+        });
+    });
+
+    const viewButton = DOM.get('annotationViewButton');
+    Events.addClickListener(viewButton, () => {
+        if (annotations.selectedId === null) return;
+        annotations.updateView(annotations.selectedId);
+        showToast('The annotation now opens with the current view');
+    });
+
+    const downloadButton = DOM.get('annotationsDownloadButton');
+    Events.addClickListener(downloadButton, () => {
+        const data = annotations.toJSON();
+        if (!data) {
+            showToast('Add an annotation first');
+            return;
+        }
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        EXPORT_UTILS.downloadBlob(blob, `annotations-${Date.now()}.json`);
+    });
+
+    const importButton = DOM.get('annotationsImportButton');
+    Events.addClickListener(importButton, () => {
+        const fileInput = createElement('input', { type: 'file', accept: '.json' });
+        fileInput.style.display = 'none';
+
+        fileInput.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            document.body.removeChild(fileInput);
+            if (!file) return;
+
+            let data = null;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (error) {
+                console.warn('Annotations import failed:', error);
+            }
+
+            if (data && annotations.fromJSON(data)) {
+                showToast(`Imported ${annotations.annotations.length} annotations`);
+            } else {
+                showToast(ErrorMessages.INPUT.INVALID_ANNOTATIONS_FILE);
+            }
+        });
+
+        document.body.appendChild(fileInput);
+        fileInput.click();
+    });
+
+    annotations.onChangedObservable.add(() => renderAnnotations(annotations));
+    annotations.onSelectedObservable.add(() => renderAnnotations(annotations));
+    renderAnnotations(annotations);
+}
+
+/**
+ * Rebuild the annotation list and fill the editor with the open annotation
+ */
+function renderAnnotations(annotations) {
+    const list = DOM.get('annotationsList');
+    const empty = DOM.get('annotationsEmpty');
+    const editor = DOM.get('annotationEditor');
+    if (!list || !empty || !editor) return;
+
+    list.innerHTML = '';
+    annotations.annotations.forEach((annotation, index) => {
+        const row = createElement('li', {
+            className: annotation.id === annotations.selectedId ? 'outliner-item selected' : 'outliner-item',
+            attributes: { 'data-id': annotation.id, title: 'Fly to this annotation' }
+        });
+
+        const number = createElement('span', { className: 'annotation-number' });
+        number.textContent = index + 1;
+
+        const name = createElement('span', { className: 'outliner-name' });
+        name.textContent = annotation.title;
+
+        const remove = createElement('button', {
+            className: 'outliner-remove',
+            innerHTML: '&times;',
+            attributes: { title: 'Delete annotation' }
+        });
+
+        row.append(number, name, remove);
+        list.appendChild(row);
+    });
+
+    empty.style.display = annotations.annotations.length > 0 ? 'none' : 'block';
+
+    const selected = annotations.get(annotations.selectedId);
+    editor.style.display = selected ? 'block' : 'none';
+    if (selected) {
+        DOM.get('annotationTitleInput').value = selected.title;
+        DOM.get('annotationTextInput').value = selected.text;
+        DOM.get('annotationLinkInput').value = selected.link;
+        DOM.get('annotationImageInput').value = selected.image;
+    }
+}
+
+/**
+ * Rebuild the measurement list and sync the scale inputs
+ */
+function renderMeasurements(tool) {
+    const list = DOM.get('measurementsList');
+    const empty = DOM.get('measurementsEmpty');
+    if (!list || !empty) return;
+
+    list.innerHTML = '';
+    tool.measurements.forEach(measurement => {
+        const row = createElement('li', {
+            className: 'outliner-item',
+            attributes: { 'data-id': measurement.id, title: 'Show this measurement' }
+        });
+
+        const name = createElement('span', { className: 'outliner-name' });
+        name.textContent = measurement.name;
+
+        const length = createElement('span', { className: 'measurement-length' });
+        length.textContent = tool.formatLength(tool.getLength(measurement));
+
+        const remove = createElement('button', {
+            className: 'outliner-remove',
+            innerHTML: '&times;',
+            attributes: { title: 'Delete measurement' }
+        });
+
+        row.append(name, length, remove);
+        list.appendChild(row);
+    });
+
+    empty.style.display = tool.measurements.length > 0 ? 'none' : 'block';
+
+    // Units can come from a shared URL or a new model
+    const unitSelect = DOM.get('measureUnitSelect');
+    if (unitSelect) unitSelect.value = tool.unit;
+
+    const sceneUnit = DOM.get('measureSceneUnitDisplay');
+    if (sceneUnit) {
+        sceneUnit.textContent = tool.metersPerUnit === null ? 'Not calibrated' : `1 unit = ${tool.formatLength(1)}`;
+    }
+
+    const calibrateText = DOM.get('calibrateButton')?.querySelector('.button-text');
+    if (calibrateText) {
+        calibrateText.textContent = tool.calibration ? 'Picking Points… (Cancel)' : 'Calibrate: Pick Two Points';
+    }
+}
@@ -0,0 +1,200 @@
+/* ========================================================================
+   SCREENSHOT PANEL COMPONENT
+   ======================================================================== */
+
+import { createToggleSwitch, createRangeControl } from '../components/controls.js';
+import { showToast } from '../components/toast.js';
+import { DOM, Events, ErrorMessages, WindowEvents } from '../../helpers.js';
+import { ICONS } from '../components/icons.js';
+import { CONFIG } from '../../config.js';
+import { EXPORT_UTILS } from '../../export/exportConfig.js';
+import { captureScreenshot, getScreenshotSize } from '../../export/screenshot.js';
+import { renderTurntable } from '../../export/turntable.js';
+
+/**
+ * Create screenshot section HTML
+ */
+export function createScreenshotSection() {
+    const { presets, defaultPreset } = CONFIG.screenshot;
+    return `
+        <div id="screenshotContent" class="content-section" style="display: none;">
+            <h4>Screenshot</h4>
+
+            <div class="settings-category">
+                <div class="settings-title">Output</div>
+                <div class="control-group">
+                    <label for="screenshotSizeSelect">Size</label>
+                    <select id="screenshotSizeSelect" class="settings-select">
+                        ${presets.map(preset => `<option value="${preset.id}"${preset.id === defaultPreset ? ' selected' : ''}>${preset.label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="control-group">
+                    <label for="screenshotFormatSelect">Format</label>
+                    <select id="screenshotFormatSelect" class="settings-select">
+                        <option value="png" selected>PNG</option>
+                        <option value="jpeg">JPEG</option>
+                        <option value="webp">WebP</option>
+                    </select>
+                </div>
+                ${createToggleSwitch('screenshotTransparentToggle', 'Transparent Background')}
+                ${createToggleSwitch('screenshotMetadataToggle', 'Camera Metadata')}
+                <div class="scene-info">
+                    <div class="info-row">
+                        <span class="info-label">Resolution:</span>
+                        <span id="screenshotSizeDisplay" class="info-value">-</span>
+                    </div>
+                </div>
+                <div class="control-group">
+                    <button id="captureScreenshotButton" class="action-button" style="width: 100%; margin-top: 8px;">
+                        ${ICONS.camera}
+                        <span class="button-text">Capture</span>
+                    </button>
+                </div>
+            </div>
+
+            ${createTurntableCategory()}
+        </div>
+    `;
+}
+
+/**
+ * Turntable category HTML - uses the output options above
+ */
+function createTurntableCategory() {
+    const { defaultSteps, defaultElevation, ui: { ranges } } = CONFIG.turntable;
+    return `
+            <div class="settings-category">
+                <div class="settings-title">Turntable</div>
+                ${createRangeControl('turntableStepsRange', 'Images', ranges.steps.min, ranges.steps.max, defaultSteps, ranges.steps.step)}
+                ${createRangeControl('turntableElevationRange', 'Elevation (°)', ranges.elevation.min, ranges.elevation.max, defaultElevation, ranges.elevation.step)}
+                <div class="control-group">
+                    <label for="turntableRadiusInput">Distance</label>
+                    <input type="number" id="turntableRadiusInput" class="transform-input" min="0.01" step="0.1" placeholder="Current">
+                </div>
+                <div class="control-group">
+                    <button id="turntableButton" class="action-button" style="width: 100%; margin-top: 8px;">
+                        ${ICONS.camera}
+                        <span class="button-text">Render Turntable</span>
+                    </button>
+                </div>
+            </div>
+    `;
+}
+
+/**
+ * Setup screenshot controls - output options and capture
+ */
+export function setupScreenshotControls(scene) {
+    const button = DOM.get('captureScreenshotButton');
+    const sizeSelect = DOM.get('screenshotSizeSelect');
+    const formatSelect = DOM.get('screenshotFormatSelect');
+    const transparentToggle = DOM.get('screenshotTransparentToggle');
+    const metadataToggle = DOM.get('screenshotMetadataToggle');
+    if (!button || !sizeSelect || !formatSelect) return;
+
+    const getSize = () => {
+        const preset = CONFIG.screenshot.presets.find(p => p.id === sizeSelect.value);
+        return getScreenshotSize(scene, preset);
+    };
+
+    // Canvas multiples follow the window size
+    const updateOptions = () => {
+        const display = DOM.get('screenshotSizeDisplay');
+        if (!display) return;
+
+        const { width, height } = getSize();
+        display.textContent = `${width} × ${height} px`;
+
+        // JPEG has no alpha channel
+        const jpeg = formatSelect.value === 'jpeg';
+        transparentToggle.disabled = jpeg;
+        if (jpeg) transparentToggle.checked = false;
+    };
+
+    sizeSelect.addEventListener('change', updateOptions);
+    formatSelect.addEventListener('change', updateOptions);
+    WindowEvents.addResizeCallback(updateOptions);
+    updateOptions();
+
+    Events.addClickListener(button, async () => {
+        if (button.disabled) return;
+        button.disabled = true;
+
+        try {
+            const { width, height } = getSize();
+            const { blob, fileName, metadata, metadataEmbedded } = await captureScreenshot(scene, {
+                width,
+                height,
+                format: formatSelect.value,
+                transparent: transparentToggle.checked,
+                includeMetadata: metadataToggle.checked
+            });
+
+            EXPORT_UTILS.downloadBlob(blob, fileName);
+
+            // JPEG / WebP can't carry the PNG text chunk - save it next to the image
+            if (metadata && !metadataEmbedded) {
+                const json = new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' });
+                EXPORT_UTILS.downloadBlob(json, fileName.replace(/\.\w+$/, '.json'));
+            }
+
+            showToast(`Screenshot saved (${width} × ${height}, ${EXPORT_UTILS.formatFileSize(blob.size)})`);
+        } catch (error) {
+            console.error('Screenshot failed:', error);
+            showToast(ErrorMessages.SYSTEM.SCREENSHOT_FAILED(error.message), 5000);
+        } finally {
+            button.disabled = false;
+        }
+    });
+
+    setupTurntableControls(scene, getSize);
+}
+
+/**
+ * Setup turntable controls - batch render with the screenshot output options
+ */
+function setupTurntableControls(scene, getSize) {
+    const button = DOM.get('turntableButton');
+    const stepsRange = DOM.get('turntableStepsRange');
+    const elevationRange = DOM.get('turntableElevationRange');
+    const radiusInput = DOM.get('turntableRadiusInput');
+    if (!button || !stepsRange || !elevationRange || !radiusInput) return;
+
+    Events.addRangeListener(stepsRange, () => {}, DOM.get('turntableStepsRangeDisplay'));
+    Events.addRangeListener(elevationRange, () => {}, DOM.get('turntableElevationRangeDisplay'));
+
+    const label = button.querySelector('.button-text');
+
+    Events.addClickListener(button, async () => {
+        if (button.disabled) return;
+        button.disabled = true;
+
+        // Empty distance: keep the camera's current one
+        const radius = parseFloat(radiusInput.value) > 0 ? parseFloat(radiusInput.value) : scene.activeCamera.radius;
+        const steps = parseInt(stepsRange.value, 10);
+        const { width, height } = getSize();
+
+        try {
+            const { blob, fileName } = await renderTurntable(scene, {
+                steps,
+                elevation: parseFloat(elevationRange.value),
+                radius,
+                width,
+                height,
+                format: DOM.get('screenshotFormatSelect').value,
+                transparent: DOM.get('screenshotTransparentToggle').checked
+            }, progress => {
+                label.textContent = `Rendering ${Math.round(progress * steps)} / ${steps}`;
+            });
+
+            EXPORT_UTILS.downloadBlob(blob, fileName);
+            showToast(`Turntable saved (${steps} images, ${EXPORT_UTILS.formatFileSize(blob.size)})`);
+        } catch (error) {
+            console.error('Turntable render failed:', error);
+            showToast(ErrorMessages.SYSTEM.TURNTABLE_FAILED(error.message), 5000);
+        } finally {
+            label.textContent = 'Render Turntable';
+            button.disabled = false;
+        }
+    });
+}
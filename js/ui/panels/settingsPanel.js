@@ -1,657 +1,1045 @@
-/* ========================================================================
-   SETTINGS PANEL COMPONENT
-   ======================================================================== */
-
-import { createToggleSwitch, createRangeControl, getCameraLimitsElements, createElement } from '../components/controls.js';
-import { showToast } from '../components/toast.js';
-import { setupUIUpdates, startUIUpdates, stopUIUpdates, restartUIUpdates, DOM, Events, ErrorMessages, LoadingSpinner } from '../../helpers.js';
-import { CONFIG } from '../../config.js';
-import { detectDevice } from '../../deviceDetection.js';
-import { ICONS } from '../components/icons.js';
-
-/**
- * Create complete settings section HTML using smaller components
- */
-export function createSettingsSection(hasTouch) {
-    return `
-        <div id="settingsContent" class="content-section" style="display: none;">
-            <h4>Settings</h4>
-            
-            ${createVisualizationSection()}
-            ${createCameraLimitsSection()}
-            ${createPostProcessingSection()}
-            ${hasTouch ? createTouchControlsSection() : ''}
-        </div>
-    `;
-}
-
-/**
- * Create visualization settings section HTML
- */
-function createVisualizationSection() {
-    const device = detectDevice();
-    const defaultQuality = device.isDesktop ? 'high' : 'medium';
-    
-    return `
-        <div class="settings-category">
-            <div class="settings-title">Visualization</div>
-            <div class="control-group">
-                <label for="autoRotateToggle">Auto Rotation</label>
-                <label class="switch">
-                    <input type="checkbox" id="autoRotateToggle" ${CONFIG.camera.useAutoRotationBehavior ? 'checked' : ''}>
-                    <span class="slider round"></span>
-                </label>
-            </div>
-            
-            <div class="control-group">
-                 <label for="qualitySelect">Quality</label>
-                <select id="qualitySelect" class="settings-select">
-                    <option value="low">Low (Better Performance)</option>
-                    <option value="medium" ${defaultQuality === 'medium' ? 'selected' : ''}>Medium</option>
-                    <option value="high" ${defaultQuality === 'high' ? 'selected' : ''}>High (Better Quality)</option>
-                </select>
-            </div>
-            
-            <div class="control-group">
-                <label for="fovRange">Field of View</label>
-                <div class="range-container">
-                    <input type="range" id="fovRange" min="0.4" max="2.0" value="0.8" step="0.05" class="slider-range">
-                    <span id="fovDisplay" class="range-value">46°</span>
-                </div>
-            </div>
-            ${createRangeControl('modelScaleRange', 'Model Scale', 0.1, 5, 1, 0.1)}
-        </div>
-    `;
-}
-
-/**
- * Create camera limits settings section HTML
- */
-function createCameraLimitsSection() {
-    return `
-        <div class="settings-category">
-            <div class="settings-title">Camera Limits</div>
-            
-            <div class="control-group">
-                <label for="cameraLimitsToggle">Enable Camera Limits</label>
-                <label class="switch">
-                    <input type="checkbox" id="cameraLimitsToggle" checked>
-                    <span class="slider round"></span>
-                </label>
-            </div>
-            
-            <div class="control-group">
-                <label for="limitZoomToggle">Limit Zoom</label>
-                <label class="switch">
-                    <input type="checkbox" id="limitZoomToggle" checked>
-                    <span class="slider round"></span>
-                </label>
-            </div>
-            
-            <div class="control-group">
-                <label for="minDistanceRange">Min Distance</label>
-                <div class="range-container">
-                    <input type="range" id="minDistanceRange" min="0.1" max="30" value="1.0" step="0.1" class="slider-range">
-                    <span id="minDistanceDisplay" class="range-value">1.0</span>
-                </div>
-            </div>
-            
-            <div class="control-group">
-                <label for="maxDistanceRange">Max Distance</label>
-                <div class="range-container">
-                    <input type="range" id="maxDistanceRange" min="1" max="50" value="15" step="0.5" class="slider-range">
-                    <span id="maxDistanceDisplay" class="range-value">15.0</span>
-                </div>
-            </div>
-            
-            <div class="control-group">
-                <label for="limitVerticalToggle">Limit Vertical Rotation</label>
-                <label class="switch">
-                    <input type="checkbox" id="limitVerticalToggle" checked>
-                    <span class="slider round"></span>
-                </label>
-            </div>
-            
-            <div class="control-group">
-                <label for="verticalUpRange">Up Angle Limit</label>
-                <div class="range-container">
-                    <input type="range" id="verticalUpRange" min="-90" max="90" value="-80" step="5" class="slider-range">
-                    <span id="verticalUpDisplay" class="range-value">-80°</span>
-                </div>
-            </div>
-            
-            <div class="control-group">
-                <label for="verticalDownRange">Down Angle Limit</label>
-                <div class="range-container">
-                    <input type="range" id="verticalDownRange" min="-90" max="90" value="5" step="5" class="slider-range">
-                    <span id="verticalDownDisplay" class="range-value">5°</span>
-                </div>
-            </div>
-            
-            <div class="control-group">
-                <label for="limitHorizontalToggle">Limit Horizontal Rotation</label>
-                <label class="switch">
-                    <input type="checkbox" id="limitHorizontalToggle">
-                    <span class="slider round"></span>
-                </label>
-            </div>
-            
-            <div class="control-group">
-                <label for="horizontalAngleRange">Horizontal Total Angle</label>
-                <div class="range-container">
-                    <input type="range" id="horizontalAngleRange" min="30" max="360" value="360" step="15" class="slider-range">
-                    <span id="horizontalAngleDisplay" class="range-value">360°</span>
-                </div>
-            </div>
-            
-            <div class="control-group">
-                <label for="horizontalOffsetRange">Horizontal Offset</label>
-                <div class="range-container">
-                    <input type="range" id="horizontalOffsetRange" min="-180" max="180" value="0" step="15" class="slider-range">
-                    <span id="horizontalOffsetDisplay" class="range-value">0°</span>
-                </div>
-            </div>
-            
-            <div class="control-group">
-                <label for="limitPanToggle">Enable Panning</label>
-                <label class="switch">
-                    <input type="checkbox" id="limitPanToggle" checked>
-                    <span class="slider round"></span>
-                </label>
-            </div>
-            
-            <div class="control-group">
-                <button id="resetLimitsButton" class="action-button" style="width: 100%; margin-top: 8px;">
-                    ${ICONS.reset_view}
-                    <span class="button-text">Reset to Defaults</span>
-                </button>
-            </div>
-        </div>
-    `;
-}
-
-/**
- * Create post-processing settings section HTML
- */
-function createPostProcessingSection() {
-    return `
-        <div class="settings-category">
-            <div class="settings-title">Post Processing</div>
-            <div class="control-group">
-                <label for="sharpenToggle">Sharpening</label>
-                <label class="switch">
-                    <input type="checkbox" id="sharpenToggle" ${CONFIG.postProcessing.sharpenEnabled ? 'checked' : ''}>
-                    <span class="slider round"></span>
-                </label>
-            </div>
-            <div class="control-group">
-                <label for="sharpenIntensityRange">Sharpening Intensity</label>
-                <div class="range-container">
-                    <input type="range" id="sharpenIntensityRange" min="0.0" max="2.0" value="${CONFIG.postProcessing.sharpenEdgeAmount}" step="0.1" class="slider-range">
-                    <span id="sharpenIntensityDisplay" class="range-value">${CONFIG.postProcessing.sharpenEdgeAmount}</span>
-                </div>
-            </div>
-            <div class="control-group">
-                <label for="antiAliasingSelect">Anti-Aliasing</label>
-                <select id="antiAliasingSelect" class="settings-select">
-                    <option value="none" ${CONFIG.postProcessing.antiAliasing.type === 'none' ? 'selected' : ''}>None</option>
-                    <option value="fxaa" ${CONFIG.postProcessing.antiAliasing.type === 'fxaa' ? 'selected' : ''}>FXAA (Fast)</option>
-                </select>
-            </div>
-        </div>
-    `;
-}
-
-/**
- * Create touch controls settings section HTML
- */
-function createTouchControlsSection() {
-    return `
-        <div class="settings-category">
-            <div class="settings-title">Touch Controls</div>
-            <div class="control-group">
-                <label for="touchSensitivityRange">Touch Sensitivity</label>
-                <input type="range" id="touchSensitivityRange" min="1" max="10" value="5" class="slider-range">
-            </div>
-        </div>
-    `;
-}
-
-/**
- * Setup all settings controls and their event handlers
- */
-export function setupSettingsControls(camera, scene) {
-    // Auto Rotation toggle
-    const autoRotateToggle = document.getElementById('autoRotateToggle');
-    if (autoRotateToggle && camera.autoRotationBehavior) {
-        autoRotateToggle.addEventListener('change', (e) => {
-            camera.useAutoRotationBehavior = e.target.checked;
-            if (!e.target.checked) {
-                camera.stopAutoRotation();
-            }
-        });
-    }
-
-    // Sharpening toggle
-    const sharpenToggle = document.getElementById('sharpenToggle');
-    if (sharpenToggle && scene.pipeline) {
-        Events.addToggleListener(sharpenToggle, (checked) => {
-            scene.pipeline.sharpenEnabled = checked;
-        });
-    }
-
-    // Sharpening intensity slider
-    const sharpenIntensityRange = document.getElementById('sharpenIntensityRange');
-    const sharpenIntensityDisplay = document.getElementById('sharpenIntensityDisplay');
-    if (sharpenIntensityRange && sharpenIntensityDisplay && scene.pipeline) {
-        Events.addRangeListener(sharpenIntensityRange, (value) => {
-            scene.pipeline.sharpen.edgeAmount = value;
-            CONFIG.postProcessing.sharpenEdgeAmount = value;
-            console.log('Sharpening intensity updated to:', value);
-        }, sharpenIntensityDisplay);
-    }
-
-    // Anti-aliasing selector
-    const antiAliasingSelect = document.getElementById('antiAliasingSelect');
-    
-    // Load saved anti-aliasing setting from localStorage
-    const savedAAType = localStorage.getItem('babylonjs_antialiasing_type');
-    
-    if (savedAAType && antiAliasingSelect) {
-        antiAliasingSelect.value = savedAAType;
-        CONFIG.postProcessing.antiAliasing.type = savedAAType;
-        
-        // Apply the saved setting
-        updateAntiAliasing(savedAAType, scene, camera);
-    }
-    
-    if (antiAliasingSelect) {
-        antiAliasingSelect.addEventListener('change', (e) => {
-            const aaType = e.target.value;
-            updateAntiAliasing(aaType, scene, camera);
-        });
-    }
-    
-    // Quality selector
-    const qualitySelect = document.getElementById('qualitySelect');
-    if (qualitySelect) {
-        qualitySelect.addEventListener('change', (e) => {
-            updateQualitySettings(e.target.value, scene);
-        });
-    }
-    
-    // FOV range control
-    const fovRange = document.getElementById('fovRange');
-    const fovDisplay = document.getElementById('fovDisplay');
-    if (fovRange && fovDisplay) {
-        // Initialize display with current FOV
-        const currentFovDegrees = Math.round(camera.fov * 180 / Math.PI);
-        fovDisplay.textContent = currentFovDegrees + '°';
-        fovRange.value = camera.fov;
-        
-        Events.addRangeListener(fovRange, (value) => {
-            camera.fov = value;
-            const degrees = Math.round(value * 180 / Math.PI);
-            fovDisplay.textContent = degrees + '°';
-            console.log('FOV updated to:', degrees + '° (' + value.toFixed(2) + ' radians)');
-        }, fovDisplay);
-    }
-
-    const modelScaleRange = document.getElementById('modelScaleRange');
-    const modelScaleDisplay = document.getElementById('modelScaleRangeDisplay');
-    if (modelScaleRange && modelScaleDisplay) {
-        Events.addRangeListener(modelScaleRange, (value) => {
-            if (scene.currentModel) {
-                scene.currentModel.scaling.setAll(value);
-            }
-        }, modelScaleDisplay);
-    }
-
-    // Touch sensitivity (if available)
-    const touchSensitivityRange = document.getElementById('touchSensitivityRange');
-    if (touchSensitivityRange) {
-        Events.addRangeListener(touchSensitivityRange, (value) => {
-            const sensitivity = value / 5.0;
-            updateTouchSensitivity(sensitivity, camera);
-        });
-    }
-    
-    // Camera Limits Controls
-    setupCameraLimitsControls(camera, scene);
-    
-    // Export button handler
-    const exportButton = document.getElementById('exportButton');
-    if (exportButton) {
-        Events.addClickListener(exportButton, () => handleExport(camera, scene, scene.getEngine()));
-    }
-}
-
-/**
- * Sets up camera limits toggle event handlers
- */
-function setupCameraLimitsToggles(elements, cameraLimits) {
-    const { masterToggle, limitZoomToggle, limitVerticalToggle, limitHorizontalToggle, limitPanToggle,
-            verticalUpRange, verticalDownRange, horizontalAngleRange, horizontalOffsetRange } = elements;
-    
-    // Master toggle
-    if (masterToggle) {
-        Events.addToggleListener(masterToggle, (checked) => {
-            cameraLimits.setEnabled(checked);
-            console.log('Camera limits enabled:', checked);
-        });
-    }
-    
-    // Individual limit toggles
-    if (limitZoomToggle) {
-        Events.addToggleListener(limitZoomToggle, (checked) => {
-            const limits = cameraLimits.getCurrentLimits();
-            cameraLimits.setDistanceLimits(checked, limits.radiusMin, limits.radiusMax);
-            console.log('Zoom limits enabled:', checked);
-        });
-    }
-    
-    if (limitVerticalToggle) {
-        Events.addToggleListener(limitVerticalToggle, (checked) => {
-            const upValue = parseFloat(verticalUpRange.value);
-            const downValue = parseFloat(verticalDownRange.value);
-            cameraLimits.setVerticalLimitsUpDown(checked, upValue, downValue);
-            console.log('Vertical limits enabled:', checked);
-        });
-    }
-    
-    if (limitHorizontalToggle) {
-        Events.addToggleListener(limitHorizontalToggle, (checked) => {
-            const totalAngle = parseFloat(horizontalAngleRange.value);
-            const offset = parseFloat(horizontalOffsetRange.value);
-            cameraLimits.setHorizontalLimitsAngleOffset(checked, totalAngle, offset);
-            console.log('Horizontal limits enabled:', checked);
-        });
-    }
-    
-    if (limitPanToggle) {
-        Events.addToggleListener(limitPanToggle, (checked) => {
-            cameraLimits.setPanningEnabled(checked);
-            console.log('Panning enabled:', checked);
-        });
-    }
-}
-
-/**
- * Helper to convert beta angle to up/down degrees
- */
-function betaToUpDown(betaRadians) {
-    return (betaRadians - Math.PI/2) * 180 / Math.PI;
-}
-
-/**
- * Update UI elements with current camera limits
- */
-function updateUIFromLimits(elements, cameraLimits) {
-    const limits = cameraLimits.getCurrentLimits();
-    
-    // Update toggles
-    if (elements.masterToggle) {
-        elements.masterToggle.checked = cameraLimits.isEnabled;
-    }
-    if (elements.limitZoomToggle) {
-        elements.limitZoomToggle.checked = limits.restrictDistance;
-    }
-    if (elements.limitVerticalToggle) {
-        elements.limitVerticalToggle.checked = limits.restrictVertical;
-    }
-    if (elements.limitHorizontalToggle) {
-        elements.limitHorizontalToggle.checked = limits.restrictHorizontal;
-    }
-    if (elements.limitPanToggle) {
-        elements.limitPanToggle.checked = limits.enablePanning;
-    }
-    
-    // Update zoom ranges
-    if (elements.zoomMinRange && elements.zoomMinDisplay) {
-        elements.zoomMinRange.value = limits.radiusMin;
-        elements.zoomMinDisplay.textContent = limits.radiusMin.toFixed(1);
-    }
-    if (elements.zoomMaxRange && elements.zoomMaxDisplay) {
-        elements.zoomMaxRange.value = limits.radiusMax;
-        elements.zoomMaxDisplay.textContent = limits.radiusMax.toFixed(1);
-    }
-    
-    // Update vertical ranges (convert beta to up/down)
-    if (elements.verticalUpRange && elements.verticalUpDisplay) {
-        const upLimit = betaToUpDown(limits.betaMin);
-        elements.verticalUpRange.value = Math.round(upLimit);
-        elements.verticalUpDisplay.textContent = Math.round(upLimit) + '°';
-    }
-    if (elements.verticalDownRange && elements.verticalDownDisplay) {
-        const downLimit = betaToUpDown(limits.betaMax);
-        elements.verticalDownRange.value = Math.round(downLimit);
-        elements.verticalDownDisplay.textContent = Math.round(downLimit) + '°';
-    }
-    
-    // Update horizontal ranges (calculate angle and offset from min/max)
-    if (elements.horizontalAngleRange && elements.horizontalAngleDisplay) {
-        const alphaMinDeg = limits.alphaMin * 180 / Math.PI;
-        const alphaMaxDeg = limits.alphaMax * 180 / Math.PI;
-        const totalAngle = alphaMaxDeg - alphaMinDeg;
-        const centerOffset = (alphaMinDeg + alphaMaxDeg) / 2;
-        
-        elements.horizontalAngleRange.value = Math.round(Math.min(360, Math.max(30, totalAngle)));
-        elements.horizontalAngleDisplay.textContent = Math.round(totalAngle) + '°';
-    }
-    if (elements.horizontalOffsetRange && elements.horizontalOffsetDisplay) {
-        const alphaMinDeg = limits.alphaMin * 180 / Math.PI;
-        const alphaMaxDeg = limits.alphaMax * 180 / Math.PI;
-        const centerOffset = (alphaMinDeg + alphaMaxDeg) / 2;
-        
-        elements.horizontalOffsetRange.value = Math.round(centerOffset);
-        elements.horizontalOffsetDisplay.textContent = Math.round(centerOffset) + '°';
-    }
-}
-
-/**
- * Setup all range control event handlers for camera limits
- */
-function setupCameraLimitsRanges(elements, cameraLimits) {
-    // Distance ranges
-    if (elements.zoomMinRange && elements.zoomMinDisplay) {
-        Events.addRangeListener(elements.zoomMinRange, (value) => {
-            const limits = cameraLimits.getCurrentLimits();
-            cameraLimits.setDistanceLimits(limits.restrictDistance, value, limits.radiusMax);
-            console.log('Min distance set to:', value);
-        }, elements.zoomMinDisplay);
-    }
-    
-    if (elements.zoomMaxRange && elements.zoomMaxDisplay) {
-        Events.addRangeListener(elements.zoomMaxRange, (value) => {
-            const limits = cameraLimits.getCurrentLimits();
-            cameraLimits.setDistanceLimits(limits.restrictDistance, limits.radiusMin, value);
-            console.log('Max distance set to:', value);
-        }, elements.zoomMaxDisplay);
-    }
-    
-    // Vertical ranges (up/down)
-    if (elements.verticalUpRange && elements.verticalUpDisplay) {
-        Events.addRangeListener(elements.verticalUpRange, (value) => {
-            const downValue = parseFloat(elements.verticalDownRange.value);
-            cameraLimits.setVerticalLimitsUpDown(true, value, downValue);
-            console.log('Up limit set to:', value + '°');
-        }, elements.verticalUpDisplay);
-    }
-    
-    if (elements.verticalDownRange && elements.verticalDownDisplay) {
-        Events.addRangeListener(elements.verticalDownRange, (value) => {
-            const upValue = parseFloat(elements.verticalUpRange.value);
-            cameraLimits.setVerticalLimitsUpDown(true, upValue, value);
-            console.log('Down limit set to:', value + '°');
-        }, elements.verticalDownDisplay);
-    }
-    
-    // Horizontal ranges (angle + offset system)
-    function updateHorizontalLimits() {
-        const totalAngle = parseFloat(elements.horizontalAngleRange.value);
-        const offset = parseFloat(elements.horizontalOffsetRange.value);
-        
-        cameraLimits.setHorizontalLimitsAngleOffset(true, totalAngle, offset);
-        
-        console.log(`Horizontal limits: ${totalAngle}° total, centered at ${offset}°`);
-    }
-    
-    if (elements.horizontalAngleRange && elements.horizontalAngleDisplay) {
-        Events.addRangeListener(elements.horizontalAngleRange, (value) => {
-            updateHorizontalLimits();
-        }, elements.horizontalAngleDisplay);
-    }
-    
-    if (elements.horizontalOffsetRange && elements.horizontalOffsetDisplay) {
-        Events.addRangeListener(elements.horizontalOffsetRange, (value) => {
-            updateHorizontalLimits();
-        }, elements.horizontalOffsetDisplay);
-    }
-}
-
-/**
- * Setup reset functionality for camera limits
- */
-function setupCameraLimitsReset(elements, cameraLimits, updateUICallback) {
-    if (elements.resetButton) {
-        elements.resetButton.addEventListener('click', () => {
-            cameraLimits.resetToDefaults();
-            updateUICallback(); // Refresh UI with default values
-            showToast('Camera limits reset to defaults');
-            console.log('Camera limits reset to defaults');
-        });
-    }
-}
-
-/**
- * Setup camera limits controls (main function)
- */
-function setupCameraLimitsControls(camera, scene) {
-    const cameraLimits = scene.cameraLimits;
-    if (!cameraLimits) return;
-    
-    // Get all control elements
-    const elements = getCameraLimitsElements();
-    
-    // Create local update function that can be passed to reset handler
-    const updateUI = () => updateUIFromLimits(elements, cameraLimits);
-    
-    // Setup all control handlers using new helpers
-    setupCameraLimitsToggles(elements, cameraLimits);
-    setupCameraLimitsRanges(elements, cameraLimits);
-    setupCameraLimitsReset(elements, cameraLimits, updateUI);
-    
-    // Initialize the UI
-    updateUI();
-    
-    console.log('Camera limits controls initialized (auto-calculate removed)');
-}
-
-// Import functions that need to be available in this scope
-async function handleExport(camera, scene, engine) {
-    // Lazy load the exporter
-    const { ViewerExporter, showExportDialog } = await import('../../export/ViewerExporter.js');
-    const exporter = new ViewerExporter(scene, camera, engine);
-    showExportDialog(exporter);
-}
-
-/**
- * Update rendering quality settings
- */
-function updateQualitySettings(quality, scene) {
-    const engine = scene.getEngine();
-    
-    const qualitySettings = {
-        low: { scaling: 1.5, fxaa: false, sharpen: false },
-        medium: { scaling: 1.0, fxaa: false, sharpen: true },
-        high: { scaling: 0.70, fxaa: false, sharpen: true }
-    };
-    
-    const settings = qualitySettings[quality];
-    if (!settings) return;
-    
-    // Apply settings
-    engine.setHardwareScalingLevel(settings.scaling);
-    
-    if (scene.pipeline) {
-        scene.pipeline.fxaaEnabled = settings.fxaa;
-        scene.pipeline.sharpenEnabled = settings.sharpen;
-        
-        // Update UI toggles to match
-        const sharpenToggle = document.getElementById('sharpenToggle');
-        const sharpenIntensityRange = document.getElementById('sharpenIntensityRange');
-        const sharpenIntensityDisplay = document.getElementById('sharpenIntensityDisplay');
-        const antiAliasingSelect = document.getElementById('antiAliasingSelect');
-        
-        if (sharpenToggle) sharpenToggle.checked = settings.sharpen;
-        if (sharpenIntensityRange && settings.sharpen) {
-            sharpenIntensityRange.value = scene.pipeline.sharpen.edgeAmount;
-            if (sharpenIntensityDisplay) {
-                sharpenIntensityDisplay.textContent = scene.pipeline.sharpen.edgeAmount;
-            }
-        }
-        if (antiAliasingSelect) {
-            antiAliasingSelect.value = settings.fxaa ? 'fxaa' : 'none';
-        }
-    }
-}
-
-/**
- * Update touch sensitivity for camera controls
- */
-function updateTouchSensitivity(sensitivity, camera) {
-    if (!camera) return;
-    
-    // Adjust camera sensitivity parameters using CONFIG constants
-    camera.angularSensibilityX = CONFIG.ui.sensitivity.baseAngular / sensitivity;
-    camera.angularSensibilityY = CONFIG.ui.sensitivity.baseAngular / sensitivity;
-    camera.panningSensibility = CONFIG.ui.sensitivity.basePanning / sensitivity;
-    
-    // Update gesture controller if available
-    if (window.gestureController && window.gestureController.thresholds) {
-        const thresholds = window.gestureController.thresholds;
-        thresholds.pinchSensitivity = CONFIG.gesture.pinchSensitivity * sensitivity;
-        thresholds.panSensitivity = (CONFIG.mobile.panningSensibility / 1000) * sensitivity;
-    }
-}
-
-/**
- * Update anti-aliasing method
- */
-function updateAntiAliasing(type, scene, camera) {
-    console.log('Switching anti-aliasing to:', type);
-    
-    // Store settings
-    CONFIG.postProcessing.antiAliasing.type = type;
-    localStorage.setItem('babylonjs_antialiasing_type', type);
-    
-    // Clean up any existing effects
-    if (scene._customAAPostProcess) {
-        scene._customAAPostProcess.dispose();
-        scene._customAAPostProcess = null;
-    }
-    
-    if (!scene.pipeline) {
-        console.warn('No rendering pipeline available');
-        return;
-    }
-    
-    switch (type) {
-        case 'none':
-            scene.pipeline.fxaaEnabled = false;
-            scene.pipeline.samples = 1;
-            console.log('Anti-aliasing disabled');
-            break;
-            
-        case 'fxaa':
-            scene.pipeline.fxaaEnabled = true;
-            scene.pipeline.samples = 1;
-            console.log('FXAA enabled');
-            break;
-            
-        default:
-            console.warn('Unknown anti-aliasing type:', type);
-            scene.pipeline.fxaaEnabled = false;
-            scene.pipeline.samples = 1;
-    }
+/* ========================================================================
+   SETTINGS PANEL COMPONENT
+   ======================================================================== */
+
+import { createToggleSwitch, createRangeControl, getCameraLimitsElements, createElement } from '../components/controls.js';
+import { showToast } from '../components/toast.js';
+import { setupUIUpdates, startUIUpdates, stopUIUpdates, restartUIUpdates, DOM, Events, ErrorMessages, LoadingSpinner } from '../../helpers.js';
+import { CONFIG } from '../../config.js';
+import { getDefaultQuality } from '../../deviceDetection.js';
+import { ICONS } from '../components/icons.js';
+import { EXPORT_UTILS } from '../../export/exportConfig.js';
+import { getOrientationPresets, flipOrientation } from '../../modelOrientation.js';
+import { SettingsStore } from '../../settingsStore.js';
+
+/**
+ * Create complete settings section HTML using smaller components
+ */
+export function createSettingsSection(hasTouch) {
+    return `
+        <div id="settingsContent" class="content-section" style="display: none;">
+            <h4>Settings</h4>
+            
+            ${createVisualizationSection()}
+            ${createCameraLimitsSection()}
+            ${createPostProcessingSection()}
+            ${createSplatFiltersSection()}
+            ${hasTouch ? createTouchControlsSection() : ''}
+            ${createSavedSettingsSection()}
+        </div>
+    `;
+}
+
+/**
+ * Create visualization settings section HTML
+ */
+function createVisualizationSection() {
+    const defaultQuality = getDefaultQuality();
+    
+    return `
+        <div class="settings-category">
+            <div class="settings-title">Visualization</div>
+            <div class="control-group">
+                <label for="autoRotateToggle">Auto Rotation</label>
+                <label class="switch">
+                    <input type="checkbox" id="autoRotateToggle" ${CONFIG.camera.useAutoRotationBehavior ? 'checked' : ''}>
+                    <span class="slider round"></span>
+                </label>
+            </div>
+            
+            <div class="control-group">
+                 <label for="qualitySelect">Quality</label>
+                <select id="qualitySelect" class="settings-select">
+                    <option value="low">Low (Better Performance)</option>
+                    <option value="medium" ${defaultQuality === 'medium' ? 'selected' : ''}>Medium</option>
+                    <option value="high" ${defaultQuality === 'high' ? 'selected' : ''}>High (Better Quality)</option>
+                    <option value="adaptive">Adaptive (Holds ${CONFIG.adaptiveQuality.targetFps} FPS)</option>
+                </select>
+            </div>
+            
+            <div class="control-group" title="Splats drawn / splats in the scene; the budget depends on the device and quality">
+                <label>Splats Drawn</label>
+                <span id="splatBudgetDisplay" class="range-value">-</span>
+            </div>
+            
+            <div class="control-group">
+                <label for="fovRange">Field of View</label>
+                <div class="range-container">
+                    <input type="range" id="fovRange" min="0.4" max="2.0" value="0.8" step="0.05" class="slider-range">
+                    <span id="fovDisplay" class="range-value">46°</span>
+                </div>
+            </div>
+            ${createRangeControl('modelScaleRange', 'Model Scale', 0.1, 5, 1, 0.1)}
+            ${createOrientationControls()}
+        </div>
+    `;
+}
+
+/**
+ * Create model orientation (up axis, mirror, quick flip) controls HTML
+ */
+function createOrientationControls() {
+    return `
+            <div class="control-group">
+                <label for="modelUpAxisSelect">Model Up Axis</label>
+                <select id="modelUpAxisSelect" class="settings-select">
+                    ${getOrientationPresets().map(preset => `<option value="${preset.id}">${preset.label}</option>`).join('')}
+                </select>
+            </div>
+            ${createToggleSwitch('modelMirrorToggle', 'Mirror (Handedness)')}
+            <div class="control-group">
+                <button id="flipModelButton" class="action-button" style="width: 100%;">
+                    ${ICONS.reset_view}
+                    <span class="button-text">Flip Upside Down</span>
+                </button>
+            </div>
+    `;
+}
+
+/**
+ * Create camera limits settings section HTML
+ */
+function createCameraLimitsSection() {
+    return `
+        <div id="cameraLimitsSettings" class="settings-category">
+            <div class="settings-title">Camera Limits</div>
+            
+            <div class="control-group">
+                <label for="cameraLimitsToggle">Enable Camera Limits</label>
+                <label class="switch">
+                    <input type="checkbox" id="cameraLimitsToggle" checked>
+                    <span class="slider round"></span>
+                </label>
+            </div>
+            
+            <div class="control-group">
+                <label for="limitZoomToggle">Limit Zoom</label>
+                <label class="switch">
+                    <input type="checkbox" id="limitZoomToggle" checked>
+                    <span class="slider round"></span>
+                </label>
+            </div>
+            
+            <div class="control-group">
+                <label for="minDistanceRange">Min Distance</label>
+                <div class="range-container">
+                    <input type="range" id="minDistanceRange" min="0.1" max="30" value="1.0" step="0.1" class="slider-range">
+                    <span id="minDistanceDisplay" class="range-value">1.0</span>
+                </div>
+            </div>
+            
+            <div class="control-group">
+                <label for="maxDistanceRange">Max Distance</label>
+                <div class="range-container">
+                    <input type="range" id="maxDistanceRange" min="1" max="50" value="15" step="0.5" class="slider-range">
+                    <span id="maxDistanceDisplay" class="range-value">15.0</span>
+                </div>
+            </div>
+            
+            <div class="control-group">
+                <label for="limitVerticalToggle">Limit Vertical Rotation</label>
+                <label class="switch">
+                    <input type="checkbox" id="limitVerticalToggle" checked>
+                    <span class="slider round"></span>
+                </label>
+            </div>
+            
+            <div class="control-group">
+                <label for="verticalUpRange">Up Angle Limit</label>
+                <div class="range-container">
+                    <input type="range" id="verticalUpRange" min="-90" max="90" value="-80" step="5" class="slider-range">
+                    <span id="verticalUpDisplay" class="range-value">-80°</span>
+                </div>
+            </div>
+            
+            <div class="control-group">
+                <label for="verticalDownRange">Down Angle Limit</label>
+                <div class="range-container">
+                    <input type="range" id="verticalDownRange" min="-90" max="90" value="5" step="5" class="slider-range">
+                    <span id="verticalDownDisplay" class="range-value">5°</span>
+                </div>
+            </div>
+            
+            <div class="control-group">
+                <label for="limitHorizontalToggle">Limit Horizontal Rotation</label>
+                <label class="switch">
+                    <input type="checkbox" id="limitHorizontalToggle">
+                    <span class="slider round"></span>
+                </label>
+            </div>
+            
+            <div class="control-group">
+                <label for="horizontalAngleRange">Horizontal Total Angle</label>
+                <div class="range-container">
+                    <input type="range" id="horizontalAngleRange" min="30" max="360" value="360" step="15" class="slider-range">
+                    <span id="horizontalAngleDisplay" class="range-value">360°</span>
+                </div>
+            </div>
+            
+            <div class="control-group">
+                <label for="horizontalOffsetRange">Horizontal Offset</label>
+                <div class="range-container">
+                    <input type="range" id="horizontalOffsetRange" min="-180" max="180" value="0" step="15" class="slider-range">
+                    <span id="horizontalOffsetDisplay" class="range-value">0°</span>
+                </div>
+            </div>
+            
+            <div class="control-group">
+                <label for="limitPanToggle">Enable Panning</label>
+                <label class="switch">
+                    <input type="checkbox" id="limitPanToggle" checked>
+                    <span class="slider round"></span>
+                </label>
+            </div>
+            
+            <div class="control-group">
+                <label for="limitPanAreaToggle">Limit Pan Area</label>
+                <label class="switch">
+                    <input type="checkbox" id="limitPanAreaToggle" ${CONFIG.cameraLimits.defaultRestrictions.panArea ? 'checked' : ''}>
+                    <span class="slider round"></span>
+                </label>
+            </div>
+            
+            <div class="control-group">
+                <label for="panShapeSelect">Pan Area Shape</label>
+                <select id="panShapeSelect" class="settings-select">
+                    <option value="sphere" ${CONFIG.cameraLimits.defaultLimits.panning.shape !== 'box' ? 'selected' : ''}>Sphere</option>
+                    <option value="box" ${CONFIG.cameraLimits.defaultLimits.panning.shape === 'box' ? 'selected' : ''}>Box</option>
+                </select>
+            </div>
+            
+            ${createRangeControl('panDistanceRange', 'Max Pan Distance',
+                CONFIG.cameraLimits.ui.ranges.panning.min,
+                CONFIG.cameraLimits.ui.ranges.panning.max,
+                CONFIG.cameraLimits.defaultLimits.panning.maxDistance,
+                CONFIG.cameraLimits.ui.ranges.panning.step)}
+            
+            <div class="control-group">
+                <button id="resetLimitsButton" class="action-button" style="width: 100%; margin-top: 8px;">
+                    ${ICONS.reset_view}
+                    <span class="button-text">Reset to Defaults</span>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Create post-processing settings section HTML
+ */
+function createPostProcessingSection() {
+    return `
+        <div class="settings-category">
+            <div class="settings-title">Post Processing</div>
+            <div class="control-group">
+                <label for="sharpenToggle">Sharpening</label>
+                <label class="switch">
+                    <input type="checkbox" id="sharpenToggle" ${CONFIG.postProcessing.sharpenEnabled ? 'checked' : ''}>
+                    <span class="slider round"></span>
+                </label>
+            </div>
+            <div class="control-group">
+                <label for="sharpenIntensityRange">Sharpening Intensity</label>
+                <div class="range-container">
+                    <input type="range" id="sharpenIntensityRange" min="0.0" max="2.0" value="${CONFIG.postProcessing.sharpenEdgeAmount}" step="0.1" class="slider-range">
+                    <span id="sharpenIntensityDisplay" class="range-value">${CONFIG.postProcessing.sharpenEdgeAmount}</span>
+                </div>
+            </div>
+            <div class="control-group">
+                <label for="antiAliasingSelect">Anti-Aliasing</label>
+                <select id="antiAliasingSelect" class="settings-select">
+                    <option value="none" ${CONFIG.postProcessing.antiAliasing.type === 'none' ? 'selected' : ''}>None</option>
+                    <option value="fxaa" ${CONFIG.postProcessing.antiAliasing.type === 'fxaa' ? 'selected' : ''}>FXAA (Fast)</option>
+                </select>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Create splat floater filter section HTML
+ */
+function createSplatFiltersSection() {
+    const ranges = CONFIG.splatEditor.ui.ranges;
+    const filters = CONFIG.splatEditor.filters;
+    
+    return `
+        <div class="settings-category">
+            <div class="settings-title">Splat Filters</div>
+            ${createRangeControl('minOpacityRange', 'Min Opacity',
+                ranges.opacity.min, ranges.opacity.max, filters.minOpacity, ranges.opacity.step)}
+            ${createRangeControl('maxScaleRange', 'Max Splat Size',
+                ranges.scale.min, ranges.scale.max, filters.maxScale ?? ranges.scale.max, ranges.scale.step)}
+            <div class="control-group">
+                <button id="bakeSplatButton" class="action-button" style="width: 100%; margin-top: 8px;">
+                    ${ICONS.export}
+                    <span class="button-text">Download Cleaned .splat</span>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Create touch controls settings section HTML
+ */
+function createTouchControlsSection() {
+    return `
+        <div class="settings-category">
+            <div class="settings-title">Touch Controls</div>
+            <div class="control-group">
+                <label for="touchSensitivityRange">Touch Sensitivity</label>
+                <input type="range" id="touchSensitivityRange" min="1" max="10" value="5" class="slider-range">
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Create saved settings section HTML (reset everything to defaults)
+ */
+function createSavedSettingsSection() {
+    return `
+        <div class="settings-category">
+            <div class="settings-title">Saved Settings</div>
+            <div class="control-group">
+                <button id="resetSettingsButton" class="action-button" style="width: 100%;">
+                    ${ICONS.reset_view}
+                    <span class="button-text">Reset All Settings</span>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Setup all settings controls and their event handlers
+ */
+export function setupSettingsControls(camera, scene) {
+    // Auto Rotation toggle
+    const autoRotateToggle = document.getElementById('autoRotateToggle');
+    if (autoRotateToggle && camera.autoRotationBehavior) {
+        autoRotateToggle.addEventListener('change', (e) => {
+            camera.useAutoRotationBehavior = e.target.checked;
+            if (!e.target.checked) {
+                camera.stopAutoRotation();
+            }
+            SettingsStore.set('autoRotation', e.target.checked);
+        });
+    }
+
+    // Sharpening toggle
+    const sharpenToggle = document.getElementById('sharpenToggle');
+    if (sharpenToggle && scene.pipeline) {
+        Events.addToggleListener(sharpenToggle, (checked) => {
+            scene.pipeline.sharpenEnabled = checked;
+            SettingsStore.set('sharpenEnabled', checked);
+        });
+    }
+
+    // Sharpening intensity slider
+    const sharpenIntensityRange = document.getElementById('sharpenIntensityRange');
+    const sharpenIntensityDisplay = document.getElementById('sharpenIntensityDisplay');
+    if (sharpenIntensityRange && sharpenIntensityDisplay && scene.pipeline) {
+        Events.addRangeListener(sharpenIntensityRange, (value) => {
+            scene.pipeline.sharpen.edgeAmount = value;
+            CONFIG.postProcessing.sharpenEdgeAmount = value;
+            SettingsStore.set('sharpenEdgeAmount', value);
+            console.log('Sharpening intensity updated to:', value);
+        }, sharpenIntensityDisplay);
+    }
+
+    // Anti-aliasing selector
+    const antiAliasingSelect = document.getElementById('antiAliasingSelect');
+    if (antiAliasingSelect) {
+        antiAliasingSelect.addEventListener('change', (e) => {
+            const aaType = e.target.value;
+            updateAntiAliasing(aaType, scene, camera);
+            SettingsStore.set('antiAliasing', aaType);
+        });
+    }
+    
+    // Adaptive quality levels switch sharpening and anti-aliasing as they go
+    if (scene.adaptiveQuality) {
+        scene.adaptiveQuality.onLevelChangedObservable.add(() => syncPostProcessingControls(scene));
+    }
+    
+    // Quality selector
+    const qualitySelect = document.getElementById('qualitySelect');
+    if (qualitySelect) {
+        qualitySelect.addEventListener('change', (e) => {
+            updateQualitySettings(e.target.value, scene);
+            
+            // Quality presets switch sharpening and anti-aliasing too
+            SettingsStore.set('quality', e.target.value);
+            if (scene.pipeline) {
+                SettingsStore.set('sharpenEnabled', scene.pipeline.sharpenEnabled);
+                SettingsStore.set('antiAliasing', scene.pipeline.fxaaEnabled ? 'fxaa' : 'none');
+            }
+        });
+    }
+    
+    // FOV range control
+    const fovRange = document.getElementById('fovRange');
+    const fovDisplay = document.getElementById('fovDisplay');
+    if (fovRange && fovDisplay) {
+        // Initialize display with current FOV
+        const currentFovDegrees = Math.round(camera.fov * 180 / Math.PI);
+        fovDisplay.textContent = currentFovDegrees + '°';
+        fovRange.value = camera.fov;
+        
+        Events.addRangeListener(fovRange, (value) => {
+            camera.fov = value;
+            const degrees = Math.round(value * 180 / Math.PI);
+            fovDisplay.textContent = degrees + '°';
+            SettingsStore.set('fov', value);
+            console.log('FOV updated to:', degrees + '° (' + value.toFixed(2) + ' radians)');
+        }, fovDisplay);
+    }
+
+    const modelScaleRange = document.getElementById('modelScaleRange');
+    const modelScaleDisplay = document.getElementById('modelScaleRangeDisplay');
+    if (modelScaleRange && modelScaleDisplay) {
+        Events.addRangeListener(modelScaleRange, (value) => {
+            if (scene.modelTransform) {
+                // Keeps mirrored axes (e.g. the glTF handedness flip) intact
+                scene.modelTransform.setTransform({ scale: value });
+            } else if (scene.currentModel) {
+                scene.currentModel.scaling.setAll(value);
+            }
+        }, modelScaleDisplay);
+    }
+
+    // Touch sensitivity (if available)
+    const touchSensitivityRange = document.getElementById('touchSensitivityRange');
+    if (touchSensitivityRange) {
+        Events.addRangeListener(touchSensitivityRange, (value) => {
+            const sensitivity = value / 5.0;
+            updateTouchSensitivity(sensitivity, camera);
+            SettingsStore.set('touchSensitivity', value);
+        });
+    }
+    
+    // Camera Limits Controls
+    setupCameraLimitsControls(camera, scene);
+    
+    // Model orientation (up axis, mirror, quick flip)
+    setupOrientationControls(scene);
+    
+    // Splat floater filters
+    setupSplatFilterControls(scene);
+    setupSplatBudgetDisplay(scene);
+    
+    // Export button handler
+    const exportButton = document.getElementById('exportButton');
+    if (exportButton) {
+        Events.addClickListener(exportButton, () => handleExport(camera, scene, scene.getEngine()));
+    }
+    
+    // Saved settings: restore what the user changed last session, reset everything
+    setupSavedSettings(camera, scene);
+}
+
+/**
+ * Sets up camera limits toggle event handlers
+ */
+function setupCameraLimitsToggles(elements, cameraLimits) {
+    const { masterToggle, limitZoomToggle, limitVerticalToggle, limitHorizontalToggle, limitPanToggle,
+            limitPanAreaToggle, panShapeSelect,
+            verticalUpRange, verticalDownRange, horizontalAngleRange, horizontalOffsetRange } = elements;
+    
+    // Master toggle
+    if (masterToggle) {
+        Events.addToggleListener(masterToggle, (checked) => {
+            cameraLimits.setEnabled(checked);
+            console.log('Camera limits enabled:', checked);
+        });
+    }
+    
+    // Individual limit toggles
+    if (limitZoomToggle) {
+        Events.addToggleListener(limitZoomToggle, (checked) => {
+            cameraLimits.markManual('zoom');
+            const limits = cameraLimits.getCurrentLimits();
+            cameraLimits.setDistanceLimits(checked, limits.radiusMin, limits.radiusMax);
+            console.log('Zoom limits enabled:', checked);
+        });
+    }
+    
+    if (limitVerticalToggle) {
+        Events.addToggleListener(limitVerticalToggle, (checked) => {
+            cameraLimits.markManual('vertical');
+            const upValue = parseFloat(verticalUpRange.value);
+            const downValue = parseFloat(verticalDownRange.value);
+            cameraLimits.setVerticalLimitsUpDown(checked, upValue, downValue);
+            console.log('Vertical limits enabled:', checked);
+        });
+    }
+    
+    if (limitHorizontalToggle) {
+        Events.addToggleListener(limitHorizontalToggle, (checked) => {
+            const totalAngle = parseFloat(horizontalAngleRange.value);
+            const offset = parseFloat(horizontalOffsetRange.value);
+            cameraLimits.setHorizontalLimitsAngleOffset(checked, totalAngle, offset);
+            console.log('Horizontal limits enabled:', checked);
+        });
+    }
+    
+    if (limitPanToggle) {
+        Events.addToggleListener(limitPanToggle, (checked) => {
+            cameraLimits.setPanningEnabled(checked);
+            console.log('Panning enabled:', checked);
+        });
+    }
+    
+    if (limitPanAreaToggle) {
+        Events.addToggleListener(limitPanAreaToggle, (checked) => {
+            cameraLimits.markManual('pan');
+            const limits = cameraLimits.getCurrentLimits();
+            cameraLimits.setPanAreaLimits(checked, limits.panRadius, limits.panShape);
+            console.log('Pan area limits enabled:', checked);
+        });
+    }
+    
+    if (panShapeSelect) {
+        panShapeSelect.addEventListener('change', (e) => {
+            cameraLimits.markManual('pan');
+            const limits = cameraLimits.getCurrentLimits();
+            cameraLimits.setPanAreaLimits(limits.restrictPanArea, limits.panRadius, e.target.value);
+            console.log('Pan area shape set to:', e.target.value);
+        });
+    }
+}
+
+/**
+ * Helper to convert beta angle to up/down degrees
+ */
+function betaToUpDown(betaRadians) {
+    return (betaRadians - Math.PI/2) * 180 / Math.PI;
+}
+
+/**
+ * Update UI elements with current camera limits
+ */
+function updateUIFromLimits(elements, cameraLimits) {
+    const limits = cameraLimits.getCurrentLimits();
+    
+    // Update toggles
+    if (elements.masterToggle) {
+        elements.masterToggle.checked = cameraLimits.isEnabled;
+    }
+    if (elements.limitZoomToggle) {
+        elements.limitZoomToggle.checked = limits.restrictDistance;
+    }
+    if (elements.limitVerticalToggle) {
+        elements.limitVerticalToggle.checked = limits.restrictVertical;
+    }
+    if (elements.limitHorizontalToggle) {
+        elements.limitHorizontalToggle.checked = limits.restrictHorizontal;
+    }
+    if (elements.limitPanToggle) {
+        elements.limitPanToggle.checked = limits.enablePanning;
+    }
+    if (elements.limitPanAreaToggle) {
+        elements.limitPanAreaToggle.checked = limits.restrictPanArea;
+    }
+    if (elements.panShapeSelect) {
+        elements.panShapeSelect.value = limits.panShape;
+    }
+    
+    // Update pan area range
+    if (elements.panDistanceRange && elements.panDistanceDisplay) {
+        elements.panDistanceRange.value = limits.panRadius;
+        elements.panDistanceDisplay.textContent = limits.panRadius.toFixed(1);
+    }
+    
+    // Update zoom ranges
+    if (elements.zoomMinRange && elements.zoomMinDisplay) {
+        elements.zoomMinRange.value = limits.radiusMin;
+        elements.zoomMinDisplay.textContent = limits.radiusMin.toFixed(1);
+    }
+    if (elements.zoomMaxRange && elements.zoomMaxDisplay) {
+        elements.zoomMaxRange.value = limits.radiusMax;
+        elements.zoomMaxDisplay.textContent = limits.radiusMax.toFixed(1);
+    }
+    
+    // Update vertical ranges (convert beta to up/down)
+    if (elements.verticalUpRange && elements.verticalUpDisplay) {
+        const upLimit = betaToUpDown(limits.betaMin);
+        elements.verticalUpRange.value = Math.round(upLimit);
+        elements.verticalUpDisplay.textContent = Math.round(upLimit) + '°';
+    }
+    if (elements.verticalDownRange && elements.verticalDownDisplay) {
+        const downLimit = betaToUpDown(limits.betaMax);
+        elements.verticalDownRange.value = Math.round(downLimit);
+        elements.verticalDownDisplay.textContent = Math.round(downLimit) + '°';
+    }
+    
+    // Update horizontal ranges (calculate angle and offset from min/max)
+    if (elements.horizontalAngleRange && elements.horizontalAngleDisplay) {
+        const alphaMinDeg = limits.alphaMin * 180 / Math.PI;
+        const alphaMaxDeg = limits.alphaMax * 180 / Math.PI;
+        const totalAngle = alphaMaxDeg - alphaMinDeg;
+        const centerOffset = (alphaMinDeg + alphaMaxDeg) / 2;
+        
+        elements.horizontalAngleRange.value = Math.round(Math.min(360, Math.max(30, totalAngle)));
+        elements.horizontalAngleDisplay.textContent = Math.round(totalAngle) + '°';
+    }
+    if (elements.horizontalOffsetRange && elements.horizontalOffsetDisplay) {
+        const alphaMinDeg = limits.alphaMin * 180 / Math.PI;
+        const alphaMaxDeg = limits.alphaMax * 180 / Math.PI;
+        const centerOffset = (alphaMinDeg + alphaMaxDeg) / 2;
+        
+        elements.horizontalOffsetRange.value = Math.round(centerOffset);
+        elements.horizontalOffsetDisplay.textContent = Math.round(centerOffset) + '°';
+    }
+}
+
+/**
+ * Setup all range control event handlers for camera limits
+ */
+function setupCameraLimitsRanges(elements, cameraLimits) {
+    // Distance ranges
+    if (elements.zoomMinRange && elements.zoomMinDisplay) {
+        Events.addRangeListener(elements.zoomMinRange, (value) => {
+            cameraLimits.markManual('zoom');
+            const limits = cameraLimits.getCurrentLimits();
+            cameraLimits.setDistanceLimits(limits.restrictDistance, value, limits.radiusMax);
+            console.log('Min distance set to:', value);
+        }, elements.zoomMinDisplay);
+    }
+    
+    if (elements.zoomMaxRange && elements.zoomMaxDisplay) {
+        Events.addRangeListener(elements.zoomMaxRange, (value) => {
+            cameraLimits.markManual('zoom');
+            const limits = cameraLimits.getCurrentLimits();
+            cameraLimits.setDistanceLimits(limits.restrictDistance, limits.radiusMin, value);
+            console.log('Max distance set to:', value);
+        }, elements.zoomMaxDisplay);
+    }
+    
+    // Pan area range
+    if (elements.panDistanceRange && elements.panDistanceDisplay) {
+        Events.addRangeListener(elements.panDistanceRange, (value) => {
+            cameraLimits.markManual('pan');
+            const limits = cameraLimits.getCurrentLimits();
+            cameraLimits.setPanAreaLimits(limits.restrictPanArea, value, limits.panShape);
+            console.log('Max pan distance set to:', value);
+        }, elements.panDistanceDisplay);
+    }
+    
+    // Vertical ranges (up/down)
+    if (elements.verticalUpRange && elements.verticalUpDisplay) {
+        Events.addRangeListener(elements.verticalUpRange, (value) => {
+            cameraLimits.markManual('vertical');
+            const downValue = parseFloat(elements.verticalDownRange.value);
+            cameraLimits.setVerticalLimitsUpDown(true, value, downValue);
+            console.log('Up limit set to:', value + '°');
+        }, elements.verticalUpDisplay);
+    }
+    
+    if (elements.verticalDownRange && elements.verticalDownDisplay) {
+        Events.addRangeListener(elements.verticalDownRange, (value) => {
+            cameraLimits.markManual('vertical');
+            const upValue = parseFloat(elements.verticalUpRange.value);
+            cameraLimits.setVerticalLimitsUpDown(true, upValue, value);
+            console.log('Down limit set to:', value + '°');
+        }, elements.verticalDownDisplay);
+    }
+    
+    // Horizontal ranges (angle + offset system)
+    function updateHorizontalLimits() {
+        const totalAngle = parseFloat(elements.horizontalAngleRange.value);
+        const offset = parseFloat(elements.horizontalOffsetRange.value);
+        
+        cameraLimits.setHorizontalLimitsAngleOffset(true, totalAngle, offset);
+        
+        console.log(`Horizontal limits: ${totalAngle}° total, centered at ${offset}°`);
+    }
+    
+    if (elements.horizontalAngleRange && elements.horizontalAngleDisplay) {
+        Events.addRangeListener(elements.horizontalAngleRange, (value) => {
+            updateHorizontalLimits();
+        }, elements.horizontalAngleDisplay);
+    }
+    
+    if (elements.horizontalOffsetRange && elements.horizontalOffsetDisplay) {
+        Events.addRangeListener(elements.horizontalOffsetRange, (value) => {
+            updateHorizontalLimits();
+        }, elements.horizontalOffsetDisplay);
+    }
+}
+
+/**
+ * Setup reset functionality for camera limits
+ */
+function setupCameraLimitsReset(elements, cameraLimits, updateUICallback) {
+    if (elements.resetButton) {
+        elements.resetButton.addEventListener('click', () => {
+            cameraLimits.resetToDefaults();
+            SettingsStore.remove('cameraLimits');
+            updateUICallback(); // Refresh UI with default values
+            showToast('Camera limits reset to defaults');
+            console.log('Camera limits reset to defaults');
+        });
+    }
+}
+
+/**
+ * Setup camera limits controls (main function)
+ */
+function setupCameraLimitsControls(camera, scene) {
+    const cameraLimits = scene.cameraLimits;
+    if (!cameraLimits) return;
+    
+    // Get all control elements
+    const elements = getCameraLimitsElements();
+    
+    // Create local update function that can be passed to reset handler
+    const updateUI = () => updateUIFromLimits(elements, cameraLimits);
+    
+    // Setup all control handlers using new helpers
+    setupCameraLimitsToggles(elements, cameraLimits);
+    setupCameraLimitsRanges(elements, cameraLimits);
+    setupCameraLimitsReset(elements, cameraLimits, updateUI);
+    
+    // Refresh the controls whenever limits change outside the panel (auto-calculation on load)
+    cameraLimits.setUIUpdateCallback(updateUI);
+    
+    // Save any change made in the section (its controls' own handlers run first)
+    const section = document.getElementById('cameraLimitsSettings');
+    if (section) {
+        const saveLimits = () => SettingsStore.set('cameraLimits', cameraLimits.getState());
+        section.addEventListener('change', saveLimits);
+        section.addEventListener('input', saveLimits);
+    }
+    
+    // Initialize the UI
+    updateUI();
+    
+    console.log('Camera limits controls initialized');
+}
+
+/**
+ * Format the max splat size filter (top of the range = off)
+ */
+function formatMaxScale(maxScale) {
+    return maxScale === null ? 'Off' : `${(maxScale * 100).toFixed(1)}%`;
+}
+
+/**
+ * Setup splat floater filter sliders and the bake/download button
+ */
+function setupSplatFilterControls(scene) {
+    const editor = scene.splatEditor;
+    if (!editor) return;
+    
+    const scaleRange = CONFIG.splatEditor.ui.ranges.scale;
+    const minOpacityRange = document.getElementById('minOpacityRange');
+    const minOpacityDisplay = document.getElementById('minOpacityRangeDisplay');
+    const maxScaleRange = document.getElementById('maxScaleRange');
+    const maxScaleDisplay = document.getElementById('maxScaleRangeDisplay');
+    const bakeButton = document.getElementById('bakeSplatButton');
+    
+    const updateUI = () => {
+        const { minOpacity, maxScale } = editor.filters;
+        if (minOpacityRange && minOpacityDisplay) {
+            minOpacityRange.value = minOpacity;
+            minOpacityDisplay.textContent = minOpacity.toFixed(2);
+        }
+        if (maxScaleRange && maxScaleDisplay) {
+            maxScaleRange.value = maxScale ?? scaleRange.max;
+            maxScaleDisplay.textContent = formatMaxScale(maxScale);
+        }
+    };
+    
+    if (minOpacityRange && minOpacityDisplay) {
+        Events.addRangeListener(minOpacityRange, (value) => {
+            editor.setFilters({ minOpacity: value });
+            minOpacityDisplay.textContent = value.toFixed(2);
+            console.log('Splat min opacity set to:', value);
+        });
+    }
+    
+    if (maxScaleRange && maxScaleDisplay) {
+        Events.addRangeListener(maxScaleRange, (value) => {
+            const maxScale = value >= scaleRange.max ? null : value;
+            editor.setFilters({ maxScale });
+            maxScaleDisplay.textContent = formatMaxScale(maxScale);
+            console.log('Splat max size set to:', formatMaxScale(maxScale));
+        });
+    }
+    
+    if (bakeButton) {
+        Events.addClickListener(bakeButton, async () => {
+            if (!await editor.loadData()) {
+                showToast(ErrorMessages.MODEL.NO_SPLAT_DATA, CONFIG.ui.toast.displayDuration);
+                return;
+            }
+            EXPORT_UTILS.downloadBlob(editor.getEditedBlob('splat'), `splat-cleaned-${Date.now()}.splat`);
+            showToast('Cleaned .splat downloaded');
+        });
+    }
+    
+    // Filters can also change from a shared URL
+    editor.onEditChangedObservable.add(updateUI);
+    updateUI();
+}
+
+/**
+ * Show how many splats the budget lets through
+ */
+function setupSplatBudgetDisplay(scene) {
+    const budget = scene.splatBudget;
+    const display = document.getElementById('splatBudgetDisplay');
+    if (!budget || !display) return;
+    
+    const formatCount = (count) => count >= 1e6 ? `${(count / 1e6).toFixed(1)}M` : `${Math.round(count / 1e3)}K`;
+    const updateUI = ({ drawn, total }) => {
+        display.textContent = total === 0 ? '-'
+            : drawn < total ? `${formatCount(drawn)} / ${formatCount(total)}`
+            : `All (${formatCount(total)})`;
+    };
+    
+    budget.onBudgetChangedObservable.add(updateUI);
+    updateUI(budget.getStats());
+}
+
+/**
+ * Setup model orientation controls for the selected model
+ */
+function setupOrientationControls(scene) {
+    const registry = scene.modelRegistry;
+    if (!registry) return;
+    
+    const upAxisSelect = document.getElementById('modelUpAxisSelect');
+    const mirrorToggle = document.getElementById('modelMirrorToggle');
+    const flipButton = document.getElementById('flipModelButton');
+    
+    const setOrientation = (change) => {
+        const item = registry.getSelected();
+        if (!item) {
+            showToast(ErrorMessages.MODEL.NO_MODEL_SELECTED, CONFIG.ui.toast.displayDuration);
+            return;
+        }
+        registry.setOrientation(item.id, change(item.orientation));
+    };
+    
+    if (upAxisSelect) {
+        upAxisSelect.addEventListener('change', (e) => {
+            setOrientation(orientation => ({ ...orientation, up: e.target.value }));
+        });
+    }
+    
+    if (mirrorToggle) {
+        Events.addToggleListener(mirrorToggle, (checked) => {
+            setOrientation(orientation => ({ ...orientation, mirror: checked }));
+        });
+    }
+    
+    if (flipButton) {
+        Events.addClickListener(flipButton, () => setOrientation(flipOrientation));
+    }
+    
+    const updateUI = () => {
+        const item = registry.getSelected();
+        if (!item) return;
+        if (upAxisSelect) upAxisSelect.value = item.orientation.up;
+        if (mirrorToggle) mirrorToggle.checked = item.orientation.mirror;
+    };
+    registry.onSelectionChangedObservable.add(updateUI);
+    registry.onChangedObservable.add(updateUI);
+    updateUI();
+}
+
+/**
+ * Restore the settings saved last session and wire the reset button
+ */
+function setupSavedSettings(camera, scene) {
+    // Only keys the user changed are saved; the rest keep their startup values.
+    // A shared URL's field of view (applied before the UI exists) wins.
+    const saved = { ...SettingsStore.load() };
+    if (new URLSearchParams(window.location.search).has('fov')) {
+        delete saved.fov;
+    }
+    applyViewerSettings(saved, scene);
+    
+    const resetButton = document.getElementById('resetSettingsButton');
+    if (resetButton) {
+        Events.addClickListener(resetButton, () => {
+            applyViewerSettings(SettingsStore.getDefaults(), scene);
+            
+            // The controls' handlers save what they apply - clear afterwards
+            SettingsStore.reset();
+            showToast('All settings reset to defaults');
+        });
+    }
+}
+
+/**
+ * Apply viewer settings through the settings controls, so the camera,
+ * engine and UI end up exactly as if the user had changed them
+ * @param {Object} settings - Any subset of the saved settings
+ */
+function applyViewerSettings(settings, scene) {
+    // Quality first - its presets also switch sharpening and anti-aliasing
+    if ('quality' in settings) setControlValue('qualitySelect', settings.quality || getDefaultQuality());
+    if ('sharpenEnabled' in settings) setControlValue('sharpenToggle', settings.sharpenEnabled);
+    if ('sharpenEdgeAmount' in settings) setControlValue('sharpenIntensityRange', settings.sharpenEdgeAmount);
+    if ('antiAliasing' in settings) setControlValue('antiAliasingSelect', settings.antiAliasing);
+    if ('fov' in settings) setControlValue('fovRange', settings.fov);
+    if ('autoRotation' in settings) setControlValue('autoRotateToggle', settings.autoRotation);
+    if ('touchSensitivity' in settings) setControlValue('touchSensitivityRange', settings.touchSensitivity);
+    if ('modelScaleMode' in settings) setControlValue('nativeUnitsToggle', settings.modelScaleMode === 'native');
+    if ('measurementUnit' in settings) setControlValue('measureUnitSelect', settings.measurementUnit);
+    
+    if ('cameraLimits' in settings && scene.cameraLimits) {
+        if (settings.cameraLimits) {
+            scene.cameraLimits.setState(settings.cameraLimits);
+        } else {
+            scene.cameraLimits.resetToDefaults();
+        }
+    }
+}
+
+/**
+ * Set a control's value and fire the event its handler listens for
+ */
+function setControlValue(id, value) {
+    const element = document.getElementById(id);
+    if (!element) return;
+    
+    if (element.type === 'checkbox') {
+        element.checked = !!value;
+    } else {
+        element.value = value;
+    }
+    element.dispatchEvent(new Event(element.type === 'range' ? 'input' : 'change'));
+}
+
+// Import functions that need to be available in this scope
+async function handleExport(camera, scene, engine) {
+    // Lazy load the exporter
+    const { ViewerExporter, showExportDialog } = await import('../../export/ViewerExporter.js');
+    const exporter = new ViewerExporter(scene, camera, engine);
+    showExportDialog(exporter);
+}
+
+/**
+ * Update rendering quality settings
+ */
+function updateQualitySettings(quality, scene) {
+    const engine = scene.getEngine();
+    
+    // Adaptive mode picks the level from the frame rate
+    if (scene.adaptiveQuality) {
+        scene.adaptiveQuality.setEnabled(quality === 'adaptive');
+    }
+    if (quality === 'adaptive') return;
+    
+    const qualitySettings = {
+        low: { scaling: 1.5, fxaa: false, sharpen: false },
+        medium: { scaling: 1.0, fxaa: false, sharpen: true },
+        high: { scaling: 0.70, fxaa: false, sharpen: true }
+    };
+    
+    const settings = qualitySettings[quality];
+    if (!settings) return;
+    
+    // Apply settings
+    engine.setHardwareScalingLevel(settings.scaling);
+    
+    // Fewer splats at lower quality (budget per device class)
+    if (scene.splatBudget) {
+        scene.splatBudget.setQuality(quality);
+    }
+    
+    if (scene.pipeline) {
+        scene.pipeline.fxaaEnabled = settings.fxaa;
+        scene.pipeline.sharpenEnabled = settings.sharpen;
+        syncPostProcessingControls(scene);
+    }
+}
+
+/**
+ * Update the sharpen and anti-aliasing controls to match the pipeline
+ * (after a quality preset or adaptive level switched them)
+ */
+function syncPostProcessingControls(scene) {
+    if (!scene.pipeline) return;
+    
+    const sharpenToggle = document.getElementById('sharpenToggle');
+    const sharpenIntensityRange = document.getElementById('sharpenIntensityRange');
+    const sharpenIntensityDisplay = document.getElementById('sharpenIntensityDisplay');
+    const antiAliasingSelect = document.getElementById('antiAliasingSelect');
+    
+    if (sharpenToggle) sharpenToggle.checked = scene.pipeline.sharpenEnabled;
+    if (sharpenIntensityRange && scene.pipeline.sharpenEnabled) {
+        sharpenIntensityRange.value = scene.pipeline.sharpen.edgeAmount;
+        if (sharpenIntensityDisplay) {
+            sharpenIntensityDisplay.textContent = scene.pipeline.sharpen.edgeAmount;
+        }
+    }
+    if (antiAliasingSelect) {
+        antiAliasingSelect.value = scene.pipeline.fxaaEnabled ? 'fxaa' : 'none';
+    }
+}
+
+/**
+ * Update touch sensitivity for camera controls
+ */
+function updateTouchSensitivity(sensitivity, camera) {
+    if (!camera) return;
+    
+    // Adjust camera sensitivity parameters using CONFIG constants
+    camera.angularSensibilityX = CONFIG.ui.sensitivity.baseAngular / sensitivity;
+    camera.angularSensibilityY = CONFIG.ui.sensitivity.baseAngular / sensitivity;
+    camera.panningSensibility = CONFIG.ui.sensitivity.basePanning / sensitivity;
+    
+    // Update gesture controller if available
+    if (window.gestureController && window.gestureController.thresholds) {
+        const thresholds = window.gestureController.thresholds;
+        thresholds.pinchSensitivity = CONFIG.gesture.pinchSensitivity * sensitivity;
+        thresholds.panSensitivity = (CONFIG.mobile.panningSensibility / 1000) * sensitivity;
+    }
+}
+
+/**
+ * Update anti-aliasing method
+ */
+function updateAntiAliasing(type, scene, camera) {
+    console.log('Switching anti-aliasing to:', type);
+    
+    // Store settings
+    CONFIG.postProcessing.antiAliasing.type = type;
+    
+    // Clean up any existing effects
+    if (scene._customAAPostProcess) {
+        scene._customAAPostProcess.dispose();
+        scene._customAAPostProcess = null;
+    }
+    
+    if (!scene.pipeline) {
+        console.warn('No rendering pipeline available');
+        return;
+    }
+    
+    switch (type) {
+        case 'none':
+            scene.pipeline.fxaaEnabled = false;
+            scene.pipeline.samples = 1;
+            console.log('Anti-aliasing disabled');
+            break;
+            
+        case 'fxaa':
+            scene.pipeline.fxaaEnabled = true;
+            scene.pipeline.samples = 1;
+            console.log('FXAA enabled');
+            break;
+            
+        default:
+            console.warn('Unknown anti-aliasing type:', type);
+            scene.pipeline.fxaaEnabled = false;
+            scene.pipeline.samples = 1;
+    }
 }
\ No newline at end of file
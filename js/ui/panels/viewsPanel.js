@@ -0,0 +1,465 @@
+/* ========================================================================
+   VIEWS PANEL COMPONENT
+   ======================================================================== */
+
+import { createElement, createToggleSwitch } from '../components/controls.js';
+import { showToast } from '../components/toast.js';
+import { DOM, Events, ErrorMessages } from '../../helpers.js';
+import { ICONS } from '../components/icons.js';
+import { EXPORT_UTILS } from '../../export/exportConfig.js';
+import { ViewportRecorder } from '../../export/viewportRecorder.js';
+import { TOUR_EASINGS } from '../../cameraTour.js';
+import { CONFIG } from '../../config.js';
+
+const EASING_LABELS = {
+    linear: 'Linear',
+    easeIn: 'Ease In',
+    easeOut: 'Ease Out',
+    easeInOut: 'Ease In-Out'
+};
+
+/**
+ * Create saved views section HTML
+ */
+export function createViewsSection() {
+    return `
+        <div id="viewsContent" class="content-section" style="display: none;">
+            <h4>Saved Views</h4>
+
+            <div class="settings-category">
+                <div class="settings-title">Bookmarks</div>
+                <div id="bookmarksEmpty" class="splat-inspector-empty">No saved views yet</div>
+                <ul id="bookmarksList" class="outliner-list"></ul>
+                <div class="control-group">
+                    <button id="addBookmarkButton" class="action-button" style="width: 100%; margin-top: 8px;">
+                        ${ICONS.add}
+                        <span class="button-text">Save Current View</span>
+                    </button>
+                </div>
+            </div>
+
+            ${createTourCategory()}
+
+            ${createRecordingCategory()}
+        </div>
+    `;
+}
+
+/**
+ * Tour category HTML - keyframes, playback and import / export
+ */
+function createTourCategory() {
+    return `
+            <div class="settings-category">
+                <div class="settings-title">Tour</div>
+                <div id="tourEmpty" class="splat-inspector-empty">No keyframes yet</div>
+                <ul id="tourKeyframeList" class="outliner-list"></ul>
+                <div class="control-group">
+                    <button id="addKeyframeButton" class="action-button" style="width: 100%; margin-top: 8px;">
+                        ${ICONS.add}
+                        <span class="button-text">Add Keyframe</span>
+                    </button>
+                </div>
+
+                <div class="control-group tour-transport">
+                    <button id="tourPlayButton" class="action-button" title="Play">${ICONS.play}</button>
+                    <button id="tourStopButton" class="action-button" title="Stop">${ICONS.stop}</button>
+                    <input type="range" id="tourScrubRange" min="0" max="0" value="0" step="0.01" class="slider-range">
+                    <span id="tourTimeDisplay" class="range-value">0.0 s</span>
+                </div>
+                ${createToggleSwitch('tourLoopToggle', 'Loop')}
+                ${createToggleSwitch('tourKioskToggle', 'Kiosk Mode')}
+
+                <div class="control-group tour-file-buttons">
+                    <button id="tourDownloadButton" class="action-button">
+                        ${ICONS.export}
+                        <span class="button-text">Download</span>
+                    </button>
+                    <button id="tourImportButton" class="action-button">
+                        ${ICONS.file_open}
+                        <span class="button-text">Import</span>
+                    </button>
+                </div>
+            </div>
+    `;
+}
+
+/**
+ * Recording category HTML - camera path, output format, size and frame rate
+ */
+function createRecordingCategory() {
+    const { resolutions, defaultResolution, frameRates, defaultFrameRate } = CONFIG.recording;
+    return `
+            <div class="settings-category">
+                <div class="settings-title">Recording</div>
+                <div class="control-group">
+                    <label for="recordPathSelect">Camera Path</label>
+                    <select id="recordPathSelect" class="settings-select">
+                        <option value="orbit" selected>360° Orbit</option>
+                        <option value="tour">Camera Tour</option>
+                    </select>
+                </div>
+                <div class="control-group">
+                    <label for="recordFormatSelect">Format</label>
+                    <select id="recordFormatSelect" class="settings-select">
+                        <option value="webm" selected>WebM Video</option>
+                        <option value="png">PNG Sequence (ZIP)</option>
+                    </select>
+                </div>
+                <div class="control-group">
+                    <label for="recordResolutionSelect">Resolution</label>
+                    <select id="recordResolutionSelect" class="settings-select">
+                        ${resolutions.map(([width, height], index) => `<option value="${index}"${index === defaultResolution ? ' selected' : ''}>${width} × ${height}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="control-group">
+                    <label for="recordFpsSelect">Frame Rate</label>
+                    <select id="recordFpsSelect" class="settings-select">
+                        ${frameRates.map(fps => `<option value="${fps}"${fps === defaultFrameRate ? ' selected' : ''}>${fps} fps</option>`).join('')}
+                    </select>
+                </div>
+                <div class="control-group">
+                    <button id="recordButton" class="action-button" style="width: 100%; margin-top: 8px;">
+                        ${ICONS.record}
+                        <span class="button-text">Record</span>
+                    </button>
+                </div>
+            </div>
+    `;
+}
+
+/**
+ * Setup saved views controls - add, fly to, rename and delete bookmarks
+ */
+export function setupViewsControls(scene) {
+    const bookmarks = scene.cameraBookmarks;
+    const list = DOM.get('bookmarksList');
+    if (!bookmarks || !list) return;
+
+    bookmarks.onChangedObservable.add(() => renderBookmarks(bookmarks));
+
+    const addButton = DOM.get('addBookmarkButton');
+    if (addButton) {
+        Events.addClickListener(addButton, () => {
+            const bookmark = bookmarks.add();
+            showToast(`Saved "${bookmark.name}"`);
+        });
+    }
+
+    // One delegated listener for all rows - rows are rebuilt on every change
+    list.addEventListener('click', (e) => {
+        const row = e.target.closest('.outliner-item');
+        if (!row || e.target.closest('.bookmark-name')) return;
+        const id = parseInt(row.dataset.id, 10);
+
+        if (e.target.closest('.outliner-remove')) {
+            bookmarks.remove(id);
+        } else {
+            bookmarks.goTo(id);
+        }
+    });
+    list.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('bookmark-name')) return;
+        const row = e.target.closest('.outliner-item');
+        bookmarks.rename(parseInt(row.dataset.id, 10), e.target.value);
+    });
+
+    renderBookmarks(bookmarks);
+
+    setupTourControls(scene);
+    setupRecordingControls(scene);
+}
+
+/**
+ * Setup camera tour controls - keyframe editing, transport and JSON files
+ */
+function setupTourControls(scene) {
+    const tour = scene.cameraTour;
+    const list = DOM.get('tourKeyframeList');
+    if (!tour || !list) return;
+
+    tour.onChangedObservable.add(() => renderKeyframes(tour));
+    tour.onPlaybackObservable.add(playback => updateTransport(tour, playback));
+
+    const addButton = DOM.get('addKeyframeButton');
+    if (addButton) {
+        Events.addClickListener(addButton, () => {
+            tour.addKeyframe();
+            showToast(`Keyframe ${tour.keyframes.length} added`);
+        });
+    }
+
+    // Delegated like the bookmark list - rows are rebuilt on every change
+    list.addEventListener('click', (e) => {
+        const row = e.target.closest('.outliner-item');
+        if (!row || e.target.closest('input, select')) return;
+        const index = parseInt(row.dataset.index, 10);
+
+        if (e.target.closest('.outliner-remove')) {
+            tour.removeKeyframe(index);
+        } else {
+            tour.goToKeyframe(index);
+        }
+    });
+    list.addEventListener('change', (e) => {
+        const row = e.target.closest('.outliner-item');
+        if (!row) return;
+        const index = parseInt(row.dataset.index, 10);
+
+        if (e.target.classList.contains('tour-duration')) {
+            tour.updateKeyframe(index, { duration: parseFloat(e.target.value) });
+        } else if (e.target.classList.contains('tour-easing')) {
+            tour.updateKeyframe(index, { easing: e.target.value });
+        }
+    });
+
+    const playButton = DOM.get('tourPlayButton');
+    if (playButton) {
+        Events.addClickListener(playButton, () => {
+            if (tour.state === 'playing') {
+                tour.pause();
+            } else if (!tour.play()) {
+                showToast(ErrorMessages.INPUT.TOUR_TOO_SHORT);
+            }
+        });
+    }
+
+    const stopButton = DOM.get('tourStopButton');
+    if (stopButton) {
+        Events.addClickListener(stopButton, () => tour.stop());
+    }
+
+    const scrub = DOM.get('tourScrubRange');
+    if (scrub) {
+        scrub.addEventListener('input', (e) => tour.seek(parseFloat(e.target.value)));
+    }
+
+    const loopToggle = DOM.get('tourLoopToggle');
+    if (loopToggle) {
+        loopToggle.addEventListener('change', (e) => tour.setLoop(e.target.checked));
+    }
+
+    const kioskToggle = DOM.get('tourKioskToggle');
+    if (kioskToggle) {
+        kioskToggle.addEventListener('change', (e) => {
+            if (tour.setKiosk(e.target.checked) !== e.target.checked) {
+                e.target.checked = false;
+                showToast(ErrorMessages.INPUT.TOUR_TOO_SHORT);
+            }
+        });
+    }
+
+    const downloadButton = DOM.get('tourDownloadButton');
+    if (downloadButton) {
+        Events.addClickListener(downloadButton, () => {
+            if (tour.keyframes.length === 0) {
+                showToast(ErrorMessages.INPUT.TOUR_TOO_SHORT);
+                return;
+            }
+            const blob = new Blob([JSON.stringify(tour.toJSON(), null, 2)], { type: 'application/json' });
+            EXPORT_UTILS.downloadBlob(blob, `camera-tour-${Date.now()}.json`);
+        });
+    }
+
+    const importButton = DOM.get('tourImportButton');
+    if (importButton) {
+        Events.addClickListener(importButton, () => {
+            const fileInput = createElement('input', { type: 'file', accept: '.json' });
+            fileInput.style.display = 'none';
+
+            fileInput.addEventListener('change', async (event) => {
+                const file = event.target.files[0];
+                document.body.removeChild(fileInput);
+                if (!file) return;
+
+                let data = null;
+                try {
+                    data = JSON.parse(await file.text());
+                } catch (error) {
+                    console.warn('Camera tour import failed:', error);
+                }
+
+                if (data && tour.fromJSON(data)) {
+                    showToast(`Imported tour with ${tour.keyframes.length} keyframes`);
+                } else {
+                    showToast(ErrorMessages.INPUT.INVALID_TOUR_FILE);
+                }
+            });
+
+            document.body.appendChild(fileInput);
+            fileInput.click();
+        });
+    }
+
+    renderKeyframes(tour);
+}
+
+/**
+ * Setup recording controls - record / cancel and download the result
+ */
+function setupRecordingControls(scene) {
+    const button = DOM.get('recordButton');
+    if (!button) return;
+
+    const recorder = new ViewportRecorder(scene);
+    const label = button.querySelector('.button-text');
+
+    // Fall back to the PNG sequence where MediaRecorder can't do WebM
+    const formatSelect = DOM.get('recordFormatSelect');
+    if (formatSelect && !ViewportRecorder.getVideoMimeType()) {
+        formatSelect.querySelector('option[value="webm"]').disabled = true;
+        formatSelect.value = 'png';
+    }
+
+    recorder.onProgressObservable.add(progress => {
+        label.textContent = `Cancel (${Math.round(progress * 100)}%)`;
+    });
+
+    Events.addClickListener(button, async () => {
+        if (recorder.recording) {
+            recorder.cancel();
+            return;
+        }
+
+        const [width, height] = CONFIG.recording.resolutions[parseInt(DOM.get('recordResolutionSelect').value, 10)];
+        const options = {
+            path: DOM.get('recordPathSelect').value,
+            format: formatSelect.value,
+            fps: parseInt(DOM.get('recordFpsSelect').value, 10),
+            width,
+            height
+        };
+
+        label.textContent = 'Cancel (0%)';
+        try {
+            const { blob, fileName, frames } = await recorder.record(options);
+            EXPORT_UTILS.downloadBlob(blob, fileName);
+            showToast(`Recorded ${frames} frames (${EXPORT_UTILS.formatFileSize(blob.size)})`);
+        } catch (error) {
+            if (recorder.cancelled) {
+                showToast('Recording cancelled');
+            } else {
+                console.error('Viewport recording failed:', error);
+                showToast(ErrorMessages.SYSTEM.RECORDING_FAILED(error.message), 5000);
+            }
+        } finally {
+            label.textContent = 'Record';
+        }
+    });
+}
+
+/**
+ * Rebuild the keyframe list
+ */
+function renderKeyframes(tour) {
+    const list = DOM.get('tourKeyframeList');
+    const empty = DOM.get('tourEmpty');
+    if (!list || !empty) return;
+
+    list.innerHTML = '';
+    tour.keyframes.forEach((keyframe, index) => {
+        const row = createElement('li', {
+            className: 'outliner-item',
+            attributes: { 'data-index': index, title: 'Fly to this keyframe' }
+        });
+
+        const name = createElement('span', { className: 'outliner-name' });
+        name.textContent = `Keyframe ${index + 1}`;
+
+        // Duration and easing of the move arriving at this keyframe
+        const duration = createElement('input', {
+            type: 'number',
+            className: 'tour-duration',
+            attributes: { min: '0.1', step: '0.1', title: 'Seconds to reach this keyframe' }
+        });
+        duration.value = keyframe.duration;
+
+        const easing = createElement('select', {
+            className: 'tour-easing',
+            attributes: { title: 'Easing' },
+            innerHTML: TOUR_EASINGS.map(value => `<option value="${value}">${EASING_LABELS[value]}</option>`).join('')
+        });
+        easing.value = keyframe.easing;
+
+        const remove = createElement('button', {
+            className: 'outliner-remove',
+            innerHTML: '&times;',
+            attributes: { title: 'Delete keyframe' }
+        });
+
+        row.append(name, duration, easing, remove);
+        list.appendChild(row);
+    });
+
+    empty.style.display = tour.keyframes.length > 0 ? 'none' : 'block';
+
+    const loopToggle = DOM.get('tourLoopToggle');
+    if (loopToggle) loopToggle.checked = tour.loop;
+}
+
+/**
+ * Reflect playback state in the play button, scrub bar and time display
+ */
+function updateTransport(tour, { state, time, duration }) {
+    // Called every frame while playing - only swap the icon on state changes
+    const playButton = DOM.get('tourPlayButton');
+    if (playButton && playButton.dataset.state !== state) {
+        const playing = state === 'playing';
+        playButton.dataset.state = state;
+        playButton.innerHTML = playing ? ICONS.pause : ICONS.play;
+        playButton.title = playing ? 'Pause' : 'Play';
+    }
+
+    const scrub = DOM.get('tourScrubRange');
+    if (scrub && document.activeElement !== scrub) {
+        scrub.max = duration;
+        scrub.value = time;
+    }
+
+    const display = DOM.get('tourTimeDisplay');
+    if (display) display.textContent = `${time.toFixed(1)} / ${duration.toFixed(1)} s`;
+
+    const kioskToggle = DOM.get('tourKioskToggle');
+    if (kioskToggle) kioskToggle.checked = tour.kiosk;
+}
+
+/**
+ * Rebuild the bookmark list
+ */
+function renderBookmarks(bookmarks) {
+    const list = DOM.get('bookmarksList');
+    const empty = DOM.get('bookmarksEmpty');
+    if (!list || !empty) return;
+
+    list.innerHTML = '';
+    bookmarks.bookmarks.forEach(bookmark => {
+        const row = createElement('li', {
+            className: 'outliner-item',
+            attributes: { 'data-id': bookmark.id, title: 'Fly to this view' }
+        });
+
+        const go = createElement('span', {
+            className: 'bookmark-go',
+            innerHTML: ICONS.bookmark
+        });
+
+        // Names can come from shared URLs - set as a value, not HTML
+        const name = createElement('input', {
+            type: 'text',
+            className: 'bookmark-name',
+            attributes: { title: 'Rename' }
+        });
+        name.value = bookmark.name;
+
+        const remove = createElement('button', {
+            className: 'outliner-remove',
+            innerHTML: '&times;',
+            attributes: { title: 'Delete view' }
+        });
+
+        row.append(go, name, remove);
+        list.appendChild(row);
+    });
+
+    empty.style.display = bookmarks.bookmarks.length > 0 ? 'none' : 'block';
+}